@@ -0,0 +1,5 @@
+declare const DataTypes: any, Model: any;
+declare const sequelize: any;
+declare class ApiKey extends Model {
+}
+//# sourceMappingURL=apiKey.model.d.ts.map
\ No newline at end of file
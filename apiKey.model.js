@@ -0,0 +1,69 @@
+"use strict";
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+class ApiKey extends Model {
+}
+ApiKey.init({
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+    },
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'User the key acts on behalf of',
+    },
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+    },
+    prefix: {
+        type: DataTypes.STRING(16),
+        allowNull: false,
+        comment: 'Non-secret key prefix shown in listings',
+    },
+    keyHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+        comment: 'hashApiKey() of the full key; the key itself is never stored',
+    },
+    scopes: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'Permissions the key may use, within the owner role',
+    },
+    rateLimit: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Maximum requests per rate limit window',
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    lastUsedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    lastUsedIp: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+    },
+    revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+}, {
+    sequelize,
+    modelName: 'ApiKey',
+    tableName: 'api_keys',
+    timestamps: true,
+    indexes: [
+        { fields: ['userId'] },
+    ],
+});
+module.exports = { ApiKey };
+//# sourceMappingURL=apiKey.model.js.map
\ No newline at end of file
@@ -0,0 +1,63 @@
+declare const Op: any;
+declare const crypto: any;
+declare const User: any;
+declare const ApiKey: any;
+declare const hashApiKey: any;
+declare const getRolePermissions: any, permissionMatches: any;
+declare const authService: any;
+declare const config: any;
+/**
+ * API Key Service
+ * Issues, lists, revokes and authenticates scoped API keys for machine clients
+ */
+declare class ApiKeyService {
+    private readonly keyPrefix;
+    private readonly lastUsedResolutionMs;
+    constructor();
+    /**
+     * Issue a new API key
+     * @param userId - Owner user ID
+     * @param options - Key name, scopes, expiry (days) and rate limit
+     * @returns Key details including the plaintext key (shown once)
+     */
+    createApiKey(userId: number, options: {
+        name: string;
+        scopes: string[];
+        expiresInDays?: number;
+        rateLimit?: number;
+    }): Promise<any>;
+    /**
+     * List a user's API keys (never includes the key itself)
+     * @param userId - Owner user ID
+     * @returns API keys
+     */
+    listApiKeys(userId: number): Promise<any>;
+    /**
+     * Revoke an API key
+     * @param userId - Owner user ID
+     * @param keyId - API key ID
+     * @returns Revocation result
+     */
+    revokeApiKey(userId: number, keyId: number): Promise<any>;
+    /**
+     * Authenticate a request by API key
+     * @param key - Plaintext key from the X-API-Key header
+     * @param ipAddress - Client IP address
+     * @returns Request user (limited to the key scopes) and key details
+     */
+    authenticate(key: string, ipAddress?: string): Promise<any>;
+    /**
+     * Count a user's keys that are neither revoked nor expired
+     * @param userId - Owner user ID
+     * @returns Number of active keys
+     */
+    private countActiveKeys;
+    /**
+     * Format an API key for responses
+     * @param apiKey - API key record
+     * @returns Public key details
+     */
+    formatApiKey(apiKey: any): any;
+}
+declare const apiKeyService: ApiKeyService;
+//# sourceMappingURL=apiKey.service.d.ts.map
\ No newline at end of file
@@ -0,0 +1,219 @@
+"use strict";
+const { Op } = require('sequelize');
+const crypto = require('crypto');
+const { User } = require('../db/models/user.model');
+const { ApiKey } = require('../db/models/apiKey.model');
+const { hashApiKey } = require('../utils/hash');
+const { getRolePermissions, permissionMatches } = require('../utils/permissions');
+const { authService } = require('./auth.service');
+const config = require('../config');
+/**
+ * API Key Service
+ * Issues, lists, revokes and authenticates scoped API keys for machine clients
+ */
+class ApiKeyService {
+    constructor() {
+        this.keyPrefix = 'ipr_';
+        // Avoid a database write on every request from busy clients
+        this.lastUsedResolutionMs = 60 * 1000;
+    }
+    /**
+     * Issue a new API key
+     * @param userId - Owner user ID
+     * @param options - Key name, scopes, expiry (days) and rate limit
+     * @returns Key details including the plaintext key (shown once)
+     */
+    async createApiKey(userId, options) {
+        try {
+            const { name, scopes, expiresInDays, rateLimit } = options;
+            console.log(`🔑 Creating API key "${name}" for user: ${userId}`);
+            const user = await User.findByPk(userId);
+            if (!user) {
+                throw new Error('User not found');
+            }
+            if (!name || String(name).length > 100) {
+                throw new Error('Key name is required (max 100 characters)');
+            }
+            if (!Array.isArray(scopes) || scopes.length === 0) {
+                throw new Error('At least one scope is required');
+            }
+            // A key can never do more than its owner's role allows
+            const rolePermissions = getRolePermissions(user.role);
+            const deniedScopes = scopes.filter((scope) => typeof scope !== 'string' || !permissionMatches(rolePermissions, scope));
+            if (deniedScopes.length > 0) {
+                throw new Error(`Scopes not allowed for your role: ${deniedScopes.join(', ')}`);
+            }
+            if (rateLimit !== undefined && (!Number.isInteger(rateLimit) || rateLimit < 1 || rateLimit > config.apiKeyRateLimit)) {
+                throw new Error(`Rate limit must be between 1 and ${config.apiKeyRateLimit}`);
+            }
+            if (expiresInDays !== undefined && (!Number.isInteger(expiresInDays) || expiresInDays < 1)) {
+                throw new Error('Expiry must be a positive number of days');
+            }
+            const activeKeys = await this.countActiveKeys(userId);
+            if (activeKeys >= config.apiKeyMaxPerUser) {
+                throw new Error(`API key limit reached (${config.apiKeyMaxPerUser})`);
+            }
+            const key = `${this.keyPrefix}${crypto.randomBytes(32).toString('hex')}`;
+            const apiKey = await ApiKey.create({
+                userId,
+                name,
+                prefix: key.slice(0, 12),
+                keyHash: hashApiKey(key),
+                scopes: [...new Set(scopes)],
+                rateLimit: rateLimit || config.apiKeyRateLimit,
+                expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+            });
+            console.log(`✅ API key created: ${apiKey.prefix}…`);
+            return {
+                success: true,
+                message: 'Store this key now; it will not be shown again',
+                key,
+                apiKey: this.formatApiKey(apiKey)
+            };
+        }
+        catch (error) {
+            console.error('❌ Error creating API key:', error);
+            throw new Error(`Failed to create API key: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * List a user's API keys (never includes the key itself)
+     * @param userId - Owner user ID
+     * @returns API keys
+     */
+    async listApiKeys(userId) {
+        try {
+            const apiKeys = await ApiKey.findAll({
+                where: { userId },
+                order: [['createdAt', 'DESC']]
+            });
+            return {
+                success: true,
+                apiKeys: apiKeys.map((apiKey) => this.formatApiKey(apiKey))
+            };
+        }
+        catch (error) {
+            console.error('❌ Error listing API keys:', error);
+            throw new Error(`Failed to list API keys: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Revoke an API key
+     * @param userId - Owner user ID
+     * @param keyId - API key ID
+     * @returns Revocation result
+     */
+    async revokeApiKey(userId, keyId) {
+        try {
+            console.log(`🔑 Revoking API key ${keyId} for user: ${userId}`);
+            const apiKey = await ApiKey.findOne({ where: { id: keyId, userId } });
+            if (!apiKey) {
+                throw new Error('API key not found');
+            }
+            if (!apiKey.revokedAt) {
+                await apiKey.update({ revokedAt: new Date() });
+            }
+            return {
+                success: true,
+                message: 'API key revoked'
+            };
+        }
+        catch (error) {
+            console.error('❌ Error revoking API key:', error);
+            throw new Error(`Failed to revoke API key: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Authenticate a request by API key
+     * @param key - Plaintext key from the X-API-Key header
+     * @param ipAddress - Client IP address
+     * @returns Request user (limited to the key scopes) and key details
+     */
+    async authenticate(key, ipAddress) {
+        try {
+            if (!key || !String(key).startsWith(this.keyPrefix)) {
+                throw new Error('Invalid API key');
+            }
+            const apiKey = await ApiKey.findOne({ where: { keyHash: hashApiKey(String(key)) } });
+            if (!apiKey || apiKey.revokedAt) {
+                throw new Error('Invalid API key');
+            }
+            if (apiKey.expiresAt && apiKey.expiresAt < new Date()) {
+                throw new Error('API key has expired');
+            }
+            const user = await User.findByPk(apiKey.userId);
+            if (!user) {
+                throw new Error('Invalid API key');
+            }
+            if (user.lockUntil && user.lockUntil > new Date()) {
+                throw new Error('Account is locked');
+            }
+            const now = new Date();
+            if (!apiKey.lastUsedAt || now.getTime() - apiKey.lastUsedAt.getTime() > this.lastUsedResolutionMs) {
+                await apiKey.update({ lastUsedAt: now, lastUsedIp: ipAddress || null });
+            }
+            const requestUser = await authService.buildRequestUser(user);
+            return {
+                success: true,
+                user: {
+                    ...requestUser,
+                    // hasPermission() checks scopes on top of the role
+                    scopes: apiKey.scopes
+                },
+                apiKey: {
+                    id: apiKey.id,
+                    name: apiKey.name,
+                    prefix: apiKey.prefix,
+                    rateLimit: apiKey.rateLimit
+                }
+            };
+        }
+        catch (error) {
+            throw new Error(`API key authentication failed: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Count a user's keys that are neither revoked nor expired
+     * @param userId - Owner user ID
+     * @returns Number of active keys
+     */
+    async countActiveKeys(userId) {
+        return ApiKey.count({
+            where: {
+                userId,
+                revokedAt: null,
+                [Op.or]: [
+                    { expiresAt: null },
+                    { expiresAt: { [Op.gt]: new Date() } }
+                ]
+            }
+        });
+    }
+    /**
+     * Format an API key for responses
+     * @param apiKey - API key record
+     * @returns Public key details
+     */
+    formatApiKey(apiKey) {
+        return {
+            id: apiKey.id,
+            name: apiKey.name,
+            prefix: apiKey.prefix,
+            scopes: apiKey.scopes,
+            rateLimit: apiKey.rateLimit,
+            expiresAt: apiKey.expiresAt,
+            lastUsedAt: apiKey.lastUsedAt,
+            lastUsedIp: apiKey.lastUsedIp,
+            revokedAt: apiKey.revokedAt,
+            createdAt: apiKey.createdAt
+        };
+    }
+}
+// Create singleton instance
+const apiKeyService = new ApiKeyService();
+// Export the service instance and class
+module.exports = {
+    apiKeyService,
+    ApiKeyService
+};
+//# sourceMappingURL=apiKey.service.js.map
\ No newline at end of file
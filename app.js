@@ -159,34 +159,112 @@ const createApp = () => {
                 auth: {
                     "POST /api/auth/register": "Register new user",
                     "POST /api/auth/login": "User login",
-                    "POST /api/auth/refresh-token": "Refresh JWT token",
+                    "POST /api/auth/login/2fa": "Complete login with a TOTP or backup code",
+                    "POST /api/auth/login/password": "Set a new password when a rotation is required, completing login",
+                    "GET /api/auth/password-policy": "Get password policy rules",
+                    "POST /api/auth/wallet/nonce": "Issue Sign-In With Ethereum nonce and message (purpose: login, verify, link, unlink, org_wallet or transfer)",
+                    "POST /api/auth/wallet/login": "Login with signed Sign-In With Ethereum message",
+                    "POST /api/auth/wallet/verify": "Prove ownership of the account wallet",
+                    "GET /api/auth/wallets": "List linked wallets",
+                    "POST /api/auth/wallets": "Link a wallet (signed challenge)",
+                    "DELETE /api/auth/wallets": "Unlink a wallet (signed challenge)",
+                    "PUT /api/auth/wallets/primary": "Set primary wallet",
+                    "POST /api/auth/refresh-token": "Rotate refresh token and issue new JWT",
+                    "POST /api/auth/logout": "Revoke the current session",
+                    "POST /api/auth/logout-all": "Revoke all sessions and issued tokens",
+                    "GET /api/auth/sessions": "List active sessions (device, IP, last seen)",
+                    "DELETE /api/auth/sessions/:id": "Revoke a session and sign that device out",
+                    "POST /api/auth/2fa/setup": "Start TOTP two-factor enrollment",
+                    "POST /api/auth/2fa/enable": "Confirm two-factor enrollment and get backup codes",
+                    "POST /api/auth/2fa/disable": "Disable two-factor authentication",
+                    "POST /api/auth/2fa/backup-codes": "Regenerate two-factor backup codes",
                     "GET /api/auth/verify": "Verify email address",
+                    "POST /api/auth/resend-verification": "Resend verification email",
                     "POST /api/auth/request-password-reset": "Request password reset",
                     "POST /api/auth/reset-password": "Reset password",
                     "GET /api/auth/profile": "Get user profile",
                     "PUT /api/auth/profile": "Update user profile",
-                    "POST /api/auth/change-password": "Change password"
+                    "GET /api/auth/me/export": "Download all personal data as JSON (GDPR export)",
+                    "DELETE /api/auth/me": "Erase account and anonymize personal data (password, confirm: \"ERASE\")",
+                    "POST /api/auth/change-password": "Change password",
+                    "GET /api/auth/api-keys": "List API keys",
+                    "POST /api/auth/api-keys": "Create a scoped API key (shown once)",
+                    "DELETE /api/auth/api-keys/:id": "Revoke an API key",
+                    "GET /api/auth/users/stats": "User statistics (users:read)",
+                    "PUT /api/auth/users/:id/role": "Change a user's role (users:manage)",
+                    "POST /api/auth/users/:id/password-rotation": "Require a new password at next login (users:manage)"
                 },
                 ipAssets: {
-                    "POST /api/ip-assets": "Create IP asset",
-                    "GET /api/ip-assets": "Get user's IP assets",
-                    "GET /api/ip-assets/:id": "Get specific IP asset",
-                    "PUT /api/ip-assets/:id": "Update IP asset",
-                    "DELETE /api/ip-assets/:id": "Delete IP asset"
+                    "POST /api/ip-assets": "Create IP asset (draft: true saves without registering on-chain; 409 if the content is already registered; admins may pass allowDuplicate and duplicateReason; patents require patent: { inventors, assignees, claims, ipcCodes, cpcCodes, priorityDate, applicationNumber, publicationNumber }; trademarks require trademark: { markType, wordElement, markImage, classes: [{ classNumber, goodsServices, firstUseDate, firstUseInCommerceDate }] } and get trademarkConflicts warnings; jurisdictions: codes from LEGAL_JURISDICTIONS protection is held in, the first one by default)",
+                    "POST /api/ip-assets/upload": "Upload a file (multipart field: file) to IPFS and register it in one step (409 if already registered; 502 with the retryable draft if the blockchain registration fails; patents and trademarks send patent or trademark as a JSON field; an uploaded image is the mark image of a figurative mark; jurisdictions as a comma-separated field)",
+                    "GET /api/ip-assets": "List your IP assets (cursor, limit, ipType, status, walletAddress, createdFrom, createdTo, organizationId, sort, order, fields; patents: inventor, assignee, ipc, cpc, applicationNumber, publicationNumber, priorityFrom, priorityTo, fields=patent; trademarks: niceClass, markType, mark, fields=trademark)",
+                    "GET /api/ip-assets/:id": "Get specific IP asset (with patent or trademark metadata)",
+                    "GET /api/ip-assets/deadlines": "Upcoming expiry, renewal, maintenance fee and declaration deadlines of your assets (organizationId, from, to, jurisdiction, type, status: open by default or all; format=ics for an iCalendar file with reminder alarms)",
+                    "GET /api/ip-assets/:id/deadlines": "Deadlines of an asset in each of its jurisdictions (owners)",
+                    "PUT /api/ip-assets/:id/jurisdictions": "Set the jurisdictions protection is held in (jurisdictions) and recompute its deadlines",
+                    "POST /api/ip-assets/:id/deadlines/:deadlineId/complete": "Record that a renewal, maintenance fee or declaration was filed or paid (reference)",
+                    "GET /api/ip-assets/trademarks/search": "Search registered marks of all owners by Nice class (niceClass, mark for marks that look or sound alike, markType, minScore, limit)",
+                    "PUT /api/ip-assets/:id": "Update IP asset (stores a new metadata version; co-owned assets need approval by a majority of shares)",
+                    "DELETE /api/ip-assets/:id": "Abandon IP asset (the on-chain registration is kept; co-owned assets need every co-owner's approval)",
+                    "POST /api/ip-assets/:id/register": "Register a draft IP asset on-chain (on an asset pending confirmation, settles it from its transaction)",
+                    "POST /api/ip-assets/:id/transfer": "Offer the asset to a wallet (newOwnerAddress, note; requires a fresh 2FA code); ownership changes only when the recipient accepts",
+                    "GET /api/ip-assets/:id/transfer-offers": "Transfer offers made for an asset (owners)",
+                    "GET /api/ip-assets/transfer-offers": "Transfer offers made to your wallets or organizations (status)",
+                    "GET /api/ip-assets/transfer-offers/:offerId": "Get a transfer offer (its proposer and recipient, the asset owners and auditors)",
+                    "POST /api/ip-assets/transfer-offers/:offerId/accept": "Accept a transfer offer (wallets not linked to an account sign a \"transfer\" wallet challenge: message, signature)",
+                    "POST /api/ip-assets/transfer-offers/:offerId/reject": "Reject a transfer offer",
+                    "DELETE /api/ip-assets/transfer-offers/:offerId": "Withdraw a pending transfer offer (owners)",
+                    "PUT /api/ip-assets/:id/status": "Open or resolve a dispute, or mark expired (assets:review)",
+                    "GET /api/ip-assets/:id/status-history": "Lifecycle state changes with who and why (owners)",
+                    "GET /api/ip-assets/:id/versions": "Metadata versions with author, timestamp, IPFS CID and transaction hash (owners)",
+                    "GET /api/ip-assets/:id/versions/diff": "Compare two metadata versions (from, to; owners)",
+                    "GET /api/ip-assets/:id/similar": "Registered assets with near-duplicate descriptions or documents (minScore, limit; owners)",
+                    "GET /api/ip-assets/:id/image-matches": "Registered likely copies of an image asset by perceptual hash distance (maxDistance, limit; owners)",
+                    "POST /api/ip-assets/image-search": "Find likely copies of an uploaded image (multipart field: file; maxDistance, limit)",
+                    "GET /api/ip-assets/:id/co-owners": "Co-owners with their percentage shares and the approval rule of each action (owners)",
+                    "PUT /api/ip-assets/:id/co-owners": "Set co-owners (coOwners: [{ userId, sharePercent, walletAddress? }], shares total 100; changes on a co-owned asset need every co-owner's approval)",
+                    "GET /api/ip-assets/:id/approvals": "Co-owner approval requests for transfers, updates, abandonment and share changes (status)",
+                    "POST /api/ip-assets/:id/approvals/:approvalId/votes": "Approve or reject a request (decision, comment; requires a fresh 2FA code)",
+                    "DELETE /api/ip-assets/:id/approvals/:approvalId": "Cancel your pending approval request",
+                    "POST /api/ip-assets/:id/royalties": "Record a license royalty (amount in ETH, reference) and split it by share",
+                    "GET /api/ip-assets/:id/payouts": "Sale proceeds and royalties apportioned to each owner",
+                    "GET /api/ip-assets/:id/certificate": "Download the signed PDF registration certificate with a QR code linking to its public verification (a new one is issued only when the asset changed since the last)",
+                    "POST /api/ip-assets/:id/certificate": "Issue a new registration certificate even if the current one is still valid"
+                },
+                organizations: {
+                    "POST /api/organizations": "Create organization",
+                    "GET /api/organizations": "List your organizations",
+                    "GET /api/organizations/:id": "Get organization",
+                    "GET /api/organizations/:id/members": "List members",
+                    "PUT /api/organizations/:id/members/:userId": "Change member role",
+                    "DELETE /api/organizations/:id/members/:userId": "Remove member or leave",
+                    "POST /api/organizations/:id/invitations": "Invite member by email",
+                    "GET /api/organizations/:id/invitations": "List pending invitations",
+                    "DELETE /api/organizations/:id/invitations/:invitationId": "Revoke invitation",
+                    "POST /api/organizations/invitations/accept": "Accept invitation",
+                    "GET /api/organizations/:id/wallets": "List organization wallets",
+                    "POST /api/organizations/:id/wallets": "Add organization wallet (signed challenge)",
+                    "DELETE /api/organizations/:id/wallets/:address": "Remove organization wallet",
+                    "PUT /api/organizations/:id/wallets/primary": "Set primary organization wallet",
+                    "GET /api/organizations/:id/audit": "Membership and wallet audit trail"
                 },
                 marketplace: {
-                    "POST /api/marketplace/publish": "Publish work to marketplace",
+                    "POST /api/marketplace/publish": "Publish work to marketplace (assetId links it to an IP asset so sale proceeds are split between its co-owners)",
                     "POST /api/marketplace/acquire/:workId": "Acquire work from marketplace",
                     "GET /api/marketplace/works": "Get all works",
                     "GET /api/marketplace/works/search": "Search works",
-                    "GET /api/marketplace/works/:workId": "Get work details"
+                    "GET /api/marketplace/works/:workId": "Get work details",
+                    "GET /api/marketplace/health": "Marketplace health (system:health)"
                 },
                 public: {
                     "GET /api/public/ip-assets": "Browse public IP assets",
-                    "GET /api/public/ip-assets/search": "Search public IP assets"
+                    "GET /api/public/ip-assets/search": "Search public IP assets",
+                    "POST /api/public/verify": "Check a file (multipart field: file) or SHA-256 hash against registrations, with owner wallet, registration time, transaction and ownership history (no account needed; rate limited)",
+                    "GET /api/public/certificates/:certificateId": "Verify a registration certificate (content hash, platform signature and whether the asset has since changed)"
                 }
             },
-            authentication: "Bearer token required for protected endpoints",
+            authentication: "Bearer token or X-API-Key header required for protected endpoints (API keys are limited to their scopes and cannot manage the account, sessions, wallets, 2FA or organizations)",
+            authorization: "Role-based; roles are admin, examiner, creator, licensee and auditor",
             rateLimiting: `${config.rateLimit || 3000} requests per 15 minutes`,
             compliance: {
                 contact: config.complianceContact,
@@ -0,0 +1,52 @@
+/**
+ * IP Asset Lifecycle
+ * States, allowed transitions and the operations each state permits
+ */
+type AssetState = 'draft' | 'pending_chain' | 'registered' | 'disputed' | 'transferred' | 'abandoned' | 'expired';
+type AssetOperation = 'update' | 'register' | 'transfer' | 'abandon';
+declare const ASSET_STATES: AssetState[];
+declare const ASSET_TRANSITIONS: Record<AssetState, AssetState[]>;
+declare const ASSET_OPERATIONS: Record<AssetOperation, AssetState[]>;
+/**
+ * Error raised when an operation or transition is not allowed in the asset's current state
+ */
+declare class AssetStateError extends Error {
+    readonly statusCode: number;
+    readonly status?: AssetState;
+    constructor(message: string, status?: AssetState);
+}
+/**
+ * Check whether a state name is valid
+ * @param state - State name
+ * @returns True if the state exists
+ */
+declare const isValidAssetState: (state: string) => boolean;
+/**
+ * Check whether an asset may move between two states
+ * @param from - Current state
+ * @param to - Target state
+ * @returns True if the transition is allowed
+ */
+declare const canTransition: (from: AssetState, to: AssetState) => boolean;
+/**
+ * Throw unless an asset may move between two states
+ * @param from - Current state
+ * @param to - Target state
+ */
+declare const assertTransition: (from: AssetState, to: AssetState) => void;
+/**
+ * Check whether an operation is permitted in a state
+ * @param state - Current state
+ * @param operation - Operation name (update, register, transfer, abandon)
+ * @returns True if the operation is allowed
+ */
+declare const isOperationAllowed: (state: AssetState, operation: AssetOperation) => boolean;
+/**
+ * Throw unless an operation is permitted on an asset
+ * @param asset - IP asset
+ * @param operation - Operation name (update, register, transfer, abandon)
+ */
+declare const assertOperationAllowed: (asset: {
+    status: AssetState;
+}, operation: AssetOperation) => void;
+//# sourceMappingURL=assetLifecycle.d.ts.map
\ No newline at end of file
@@ -0,0 +1,98 @@
+"use strict";
+/**
+ * IP Asset Lifecycle
+ * States, allowed transitions and the operations each state permits
+ */
+const ASSET_STATES = ['draft', 'pending_chain', 'registered', 'disputed', 'transferred', 'abandoned', 'expired'];
+// Allowed transitions: from state -> states it may move to
+const ASSET_TRANSITIONS = {
+    draft: ['pending_chain', 'abandoned'],
+    // A failed chain registration falls back to draft so it can be retried
+    pending_chain: ['registered', 'draft'],
+    registered: ['disputed', 'transferred', 'abandoned', 'expired'],
+    disputed: ['registered', 'transferred', 'abandoned', 'expired'],
+    // Each further transfer is recorded as transferred -> transferred
+    transferred: ['transferred', 'disputed', 'abandoned', 'expired'],
+    abandoned: [],
+    expired: []
+};
+// States in which an operation is permitted
+const ASSET_OPERATIONS = {
+    update: ['draft', 'registered', 'transferred'],
+    register: ['draft'],
+    transfer: ['registered', 'transferred'],
+    abandon: ['draft', 'registered', 'transferred']
+};
+/**
+ * Error raised when an operation or transition is not allowed in the asset's current state
+ */
+class AssetStateError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'AssetStateError';
+        this.statusCode = 409;
+        this.status = status;
+    }
+}
+/**
+ * Check whether a state name is valid
+ * @param state - State name
+ * @returns True if the state exists
+ */
+const isValidAssetState = (state) => {
+    return ASSET_STATES.includes(state);
+};
+/**
+ * Check whether an asset may move between two states
+ * @param from - Current state
+ * @param to - Target state
+ * @returns True if the transition is allowed
+ */
+const canTransition = (from, to) => {
+    return (ASSET_TRANSITIONS[from] || []).includes(to);
+};
+/**
+ * Throw unless an asset may move between two states
+ * @param from - Current state
+ * @param to - Target state
+ */
+const assertTransition = (from, to) => {
+    if (!isValidAssetState(to)) {
+        throw new AssetStateError(`Unknown asset state: ${to}`, from);
+    }
+    if (!canTransition(from, to)) {
+        throw new AssetStateError(`IP asset cannot move from ${from} to ${to}`, from);
+    }
+};
+/**
+ * Check whether an operation is permitted in a state
+ * @param state - Current state
+ * @param operation - Operation name (update, register, transfer, abandon)
+ * @returns True if the operation is allowed
+ */
+const isOperationAllowed = (state, operation) => {
+    return (ASSET_OPERATIONS[operation] || []).includes(state);
+};
+/**
+ * Throw unless an operation is permitted on an asset
+ * @param asset - IP asset
+ * @param operation - Operation name (update, register, transfer, abandon)
+ */
+const assertOperationAllowed = (asset, operation) => {
+    if (!isOperationAllowed(asset.status, operation)) {
+        throw new AssetStateError(`Cannot ${operation} an IP asset that is ${asset.status.replace('_', ' ')}`, asset.status);
+    }
+};
+// Export all functions
+module.exports = {
+    ASSET_STATES,
+    ASSET_TRANSITIONS,
+    ASSET_OPERATIONS,
+    AssetStateError,
+    isValidAssetState,
+    canTransition,
+    assertTransition,
+    isOperationAllowed,
+    assertOperationAllowed
+};
+//# sourceMappingURL=assetLifecycle.js.map
\ No newline at end of file
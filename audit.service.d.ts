@@ -0,0 +1,37 @@
+declare const AuditLog: any;
+declare const generateAuditHash: any;
+/**
+ * Audit Service
+ * Records and queries audit trail entries
+ */
+declare class AuditService {
+    /**
+     * Record an audit entry
+     * @param entry - Actor, action, entity, organization, metadata and IP address
+     * @param options - Optional Sequelize transaction
+     * @returns Created audit entry
+     */
+    record(entry: {
+        actorId?: number | null;
+        action: string;
+        entityType: string;
+        entityId?: string | number | null;
+        organizationId?: number | null;
+        metadata?: any;
+        ipAddress?: string;
+    }, options?: {
+        transaction?: any;
+    }): Promise<any>;
+    /**
+     * List audit entries, newest first
+     * @param filters - Column filters (e.g., organizationId, actorId, entityType, entityId)
+     * @param pagination - Limit and offset
+     * @returns Audit entries and total count
+     */
+    list(filters: any, pagination?: {
+        limit?: number;
+        offset?: number;
+    }): Promise<any>;
+}
+declare const auditService: AuditService;
+//# sourceMappingURL=audit.service.d.ts.map
\ No newline at end of file
@@ -0,0 +1,73 @@
+"use strict";
+const { AuditLog } = require('../db/models/auditLog.model');
+const { generateAuditHash } = require('../utils/hash');
+/**
+ * Audit Service
+ * Records and queries audit trail entries
+ */
+class AuditService {
+    /**
+     * Record an audit entry
+     * @param entry - Actor, action, entity, organization, metadata and IP address
+     * @param options - Optional Sequelize transaction
+     * @returns Created audit entry
+     */
+    async record(entry, options = {}) {
+        try {
+            const timestamp = Date.now();
+            const resource = `${entry.entityType}:${entry.entityId ?? ''}`;
+            return await AuditLog.create({
+                actorId: entry.actorId ?? null,
+                action: entry.action,
+                entityType: entry.entityType,
+                entityId: entry.entityId !== undefined && entry.entityId !== null ? String(entry.entityId) : null,
+                organizationId: entry.organizationId ?? null,
+                metadata: entry.metadata || null,
+                ipAddress: entry.ipAddress || null,
+                hash: generateAuditHash(entry.action, entry.actorId ?? 'system', resource, timestamp),
+                createdAt: new Date(timestamp)
+            }, { transaction: options.transaction });
+        }
+        catch (error) {
+            console.error('❌ Error recording audit entry:', error);
+            throw new Error(`Failed to record audit entry: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * List audit entries, newest first
+     * @param filters - Column filters (e.g., organizationId, actorId, entityType, entityId)
+     * @param pagination - Limit and offset
+     * @returns Audit entries and total count
+     */
+    async list(filters, pagination = {}) {
+        try {
+            const limit = Math.min(Number(pagination.limit) || 50, 200);
+            const offset = Number(pagination.offset) || 0;
+            const { rows, count } = await AuditLog.findAndCountAll({
+                where: filters,
+                order: [['createdAt', 'DESC'], ['id', 'DESC']],
+                limit,
+                offset
+            });
+            return {
+                success: true,
+                entries: rows,
+                total: count,
+                limit,
+                offset
+            };
+        }
+        catch (error) {
+            console.error('❌ Error listing audit entries:', error);
+            throw new Error(`Failed to list audit entries: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+}
+// Create singleton instance
+const auditService = new AuditService();
+// Export the service instance and class
+module.exports = {
+    auditService,
+    AuditService
+};
+//# sourceMappingURL=audit.service.js.map
\ No newline at end of file
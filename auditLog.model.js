@@ -0,0 +1,60 @@
+"use strict";
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+class AuditLog extends Model {
+}
+AuditLog.init({
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+    },
+    actorId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'User who performed the action (null for system actions)',
+    },
+    action: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'Dotted action name, e.g. organization.member_added',
+    },
+    entityType: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+    },
+    entityId: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+    },
+    organizationId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+    },
+    metadata: {
+        type: DataTypes.JSON,
+        allowNull: true,
+    },
+    ipAddress: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+    },
+    hash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        comment: 'generateAuditHash() of the entry for tamper evidence',
+    },
+}, {
+    sequelize,
+    modelName: 'AuditLog',
+    tableName: 'audit_logs',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+        { fields: ['actorId'] },
+        { fields: ['organizationId'] },
+        { fields: ['entityType', 'entityId'] },
+    ],
+});
+module.exports = { AuditLog };
+//# sourceMappingURL=auditLog.model.js.map
\ No newline at end of file
@@ -1,10 +1,22 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
 const { authService } = require('../services/auth.service');
+const { walletService } = require('../services/wallet.service');
+const { twoFactorService } = require('../services/twoFactor.service');
+const { apiKeyService } = require('../services/apiKey.service');
+const { sessionService } = require('../services/session.service');
+const { privacyService } = require('../services/privacy.service');
+const { requirePermission } = require('../middlewares/permission.middleware');
+const { PasswordPolicyError, getPasswordPolicy } = require('../utils/passwordPolicy');
 /**
  * Authentication Controller
  * Handles all authentication-related API endpoints
  */
+// Device details recorded on the session created for issued tokens
+const getSessionContext = (req) => ({
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent']
+});
 // Register new user
 exports.register = async (req, res) => {
     try {
@@ -12,10 +24,13 @@ exports.register = async (req, res) => {
         if (!username || !email || !password || !walletAddress) {
             return res.status(400).json({ message: 'All fields are required.' });
         }
-        const result = await authService.register({ username, email, password, walletAddress });
+        const result = await authService.register({ username, email, password, walletAddress }, getSessionContext(req));
         return res.status(201).json(result);
     }
     catch (err) {
+        if (err instanceof PasswordPolicyError) {
+            return res.status(400).json({ message: 'Password does not meet the password policy.', errors: err.violations });
+        }
         const errorMsg = err instanceof Error ? err.message : 'Unknown error';
         return res.status(400).json({ message: 'Registration failed.', error: errorMsg });
     }
@@ -27,7 +42,22 @@ exports.login = async (req, res) => {
         if (!email || !password) {
             return res.status(400).json({ message: 'Email and password are required.' });
         }
-        const result = await authService.login({ email, password });
+        const result = await authService.login({ email, password }, getSessionContext(req));
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(401).json({ message: 'Login failed.', error: errorMsg });
+    }
+};
+// Complete login with a second factor
+exports.completeTwoFactorLogin = async (req, res) => {
+    try {
+        const { challengeToken, code } = req.body;
+        if (!challengeToken || !code) {
+            return res.status(400).json({ message: 'Challenge token and code are required.' });
+        }
+        const result = await authService.completeTwoFactorLogin(challengeToken, code, getSessionContext(req));
         return res.status(200).json(result);
     }
     catch (err) {
@@ -35,6 +65,239 @@ exports.login = async (req, res) => {
         return res.status(401).json({ message: 'Login failed.', error: errorMsg });
     }
 };
+// Set a new password when an admin has required a rotation, completing the login
+exports.completePasswordRotation = async (req, res) => {
+    try {
+        const { challengeToken, newPassword } = req.body;
+        if (!challengeToken || !newPassword) {
+            return res.status(400).json({ message: 'Challenge token and new password are required.' });
+        }
+        const result = await authService.completePasswordRotation(challengeToken, newPassword, getSessionContext(req));
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        if (err instanceof PasswordPolicyError) {
+            return res.status(400).json({ message: 'Password does not meet the password policy.', errors: err.violations });
+        }
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(401).json({ message: 'Password rotation failed.', error: errorMsg });
+    }
+};
+// Get the password policy
+exports.getPasswordPolicy = async (req, res) => {
+    return res.status(200).json({ success: true, policy: getPasswordPolicy() });
+};
+// Start 2FA enrollment
+exports.setupTwoFactor = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        if (req.apiKey) {
+            return res.status(403).json({ message: 'Two-factor authentication cannot be managed with an API key.' });
+        }
+        const result = await twoFactorService.setup(userId);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(400).json({ message: 'Failed to set up two-factor authentication.', error: errorMsg });
+    }
+};
+// Confirm 2FA enrollment
+exports.enableTwoFactor = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        if (req.apiKey) {
+            return res.status(403).json({ message: 'Two-factor authentication cannot be managed with an API key.' });
+        }
+        const { code } = req.body;
+        if (!code) {
+            return res.status(400).json({ message: 'Code is required.' });
+        }
+        const result = await twoFactorService.enable(userId, code);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(400).json({ message: 'Failed to enable two-factor authentication.', error: errorMsg });
+    }
+};
+// Disable 2FA
+exports.disableTwoFactor = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        if (req.apiKey) {
+            return res.status(403).json({ message: 'Two-factor authentication cannot be managed with an API key.' });
+        }
+        const { password, code } = req.body;
+        if (!password || !code) {
+            return res.status(400).json({ message: 'Password and code are required.' });
+        }
+        const result = await twoFactorService.disable(userId, password, code);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(400).json({ message: 'Failed to disable two-factor authentication.', error: errorMsg });
+    }
+};
+// Regenerate 2FA backup codes
+exports.regenerateBackupCodes = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        if (req.apiKey) {
+            return res.status(403).json({ message: 'Two-factor authentication cannot be managed with an API key.' });
+        }
+        const { code } = req.body;
+        if (!code) {
+            return res.status(400).json({ message: 'Code is required.' });
+        }
+        const result = await twoFactorService.regenerateBackupCodes(userId, code);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(400).json({ message: 'Failed to regenerate backup codes.', error: errorMsg });
+    }
+};
+// Issue Sign-In With Ethereum nonce
+exports.getWalletNonce = async (req, res) => {
+    try {
+        const { walletAddress, purpose = 'login' } = req.body;
+        if (!walletAddress) {
+            return res.status(400).json({ message: 'Wallet address is required.' });
+        }
+        if (!['login', 'verify', 'link', 'unlink', 'org_wallet', 'transfer'].includes(purpose)) {
+            return res.status(400).json({ message: 'Purpose must be one of: login, verify, link, unlink, org_wallet, transfer.' });
+        }
+        const result = await authService.issueWalletNonce(walletAddress, purpose);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(400).json({ message: 'Failed to issue wallet nonce.', error: errorMsg });
+    }
+};
+// Login with a signed Sign-In With Ethereum message
+exports.walletLogin = async (req, res) => {
+    try {
+        const { message, signature } = req.body;
+        if (!message || !signature) {
+            return res.status(400).json({ message: 'Message and signature are required.' });
+        }
+        const result = await authService.loginWithWallet(message, signature, getSessionContext(req));
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(401).json({ message: 'Wallet login failed.', error: errorMsg });
+    }
+};
+// Prove ownership of the wallet on the current account
+exports.verifyWallet = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        if (req.apiKey) {
+            return res.status(403).json({ message: 'Wallets cannot be managed with an API key.' });
+        }
+        const { message, signature } = req.body;
+        if (!message || !signature) {
+            return res.status(400).json({ message: 'Message and signature are required.' });
+        }
+        const result = await authService.verifyWallet(userId, message, signature, getSessionContext(req));
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(400).json({ message: 'Wallet verification failed.', error: errorMsg });
+    }
+};
+// List wallets linked to the current account
+exports.listWallets = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        const result = await walletService.listWallets(userId);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(500).json({ message: 'Failed to list wallets.', error: errorMsg });
+    }
+};
+// Link an additional wallet (requires a "link" signature challenge)
+exports.linkWallet = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        if (req.apiKey) {
+            return res.status(403).json({ message: 'Wallets cannot be managed with an API key.' });
+        }
+        const { message, signature, label } = req.body;
+        if (!message || !signature) {
+            return res.status(400).json({ message: 'Message and signature are required.' });
+        }
+        const result = await walletService.linkWallet(userId, message, signature, label);
+        return res.status(201).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(400).json({ message: 'Failed to link wallet.', error: errorMsg });
+    }
+};
+// Unlink a wallet (requires an "unlink" signature challenge)
+exports.unlinkWallet = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        if (req.apiKey) {
+            return res.status(403).json({ message: 'Wallets cannot be managed with an API key.' });
+        }
+        const { message, signature } = req.body;
+        if (!message || !signature) {
+            return res.status(400).json({ message: 'Message and signature are required.' });
+        }
+        const result = await walletService.unlinkWallet(userId, message, signature);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(400).json({ message: 'Failed to unlink wallet.', error: errorMsg });
+    }
+};
+// Choose the primary wallet
+exports.setPrimaryWallet = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        if (req.apiKey) {
+            return res.status(403).json({ message: 'Wallets cannot be managed with an API key.' });
+        }
+        const { walletAddress } = req.body;
+        if (!walletAddress) {
+            return res.status(400).json({ message: 'Wallet address is required.' });
+        }
+        const result = await walletService.setPrimaryWallet(userId, walletAddress);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(400).json({ message: 'Failed to set primary wallet.', error: errorMsg });
+    }
+};
 // Refresh token
 exports.refreshToken = async (req, res) => {
     try {
@@ -42,7 +305,7 @@ exports.refreshToken = async (req, res) => {
         if (!refreshToken) {
             return res.status(400).json({ message: 'Refresh token is required.' });
         }
-        const result = await authService.refreshToken(refreshToken);
+        const result = await authService.refreshToken(refreshToken, getSessionContext(req));
         return res.status(200).json(result);
     }
     catch (err) {
@@ -50,6 +313,72 @@ exports.refreshToken = async (req, res) => {
         return res.status(401).json({ message: 'Token refresh failed.', error: errorMsg });
     }
 };
+// Logout current session
+exports.logout = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        const { refreshToken } = req.body;
+        if (!refreshToken) {
+            return res.status(400).json({ message: 'Refresh token is required.' });
+        }
+        const result = await authService.logout(userId, refreshToken);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(400).json({ message: 'Logout failed.', error: errorMsg });
+    }
+};
+// Logout all sessions
+exports.logoutAll = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        if (req.apiKey) {
+            return res.status(403).json({ message: 'Sessions cannot be managed with an API key.' });
+        }
+        const result = await authService.logoutAll(userId);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(500).json({ message: 'Logout failed.', error: errorMsg });
+    }
+};
+// List active sessions
+exports.listSessions = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        const result = await sessionService.listSessions(userId, req.user.sessionId);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(500).json({ message: 'Failed to list sessions.', error: errorMsg });
+    }
+};
+// Revoke a session
+exports.revokeSession = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        if (req.apiKey) {
+            return res.status(403).json({ message: 'Sessions cannot be managed with an API key.' });
+        }
+        const result = await authService.revokeSession(userId, req.params.id);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(400).json({ message: 'Failed to revoke session.', error: errorMsg });
+    }
+};
 // Verify email
 exports.verifyEmail = async (req, res) => {
     try {
@@ -79,12 +408,61 @@ exports.getProfile = async (req, res) => {
         return res.status(500).json({ message: 'Failed to get profile.', error: errorMsg });
     }
 };
+// Export all personal data (GDPR data portability)
+exports.exportUserData = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        if (req.apiKey) {
+            return res.status(403).json({ message: 'Data export is not available with an API key.' });
+        }
+        const result = await privacyService.exportUserData(userId);
+        res.setHeader('Content-Disposition', `attachment; filename="account-export-${userId}.json"`);
+        return res.status(200).json(result.export);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(500).json({ message: 'Failed to export user data.', error: errorMsg });
+    }
+};
+// Erase account and anonymize personal data (GDPR right to erasure)
+exports.eraseAccount = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        if (req.apiKey) {
+            return res.status(403).json({ message: 'Accounts cannot be erased with an API key.' });
+        }
+        const { password, confirm } = req.body;
+        if (!password || confirm !== 'ERASE') {
+            return res.status(400).json({ message: 'Password and confirm: "ERASE" are required.' });
+        }
+        const proof = await twoFactorService.checkFreshProof(userId, req.headers['x-2fa-code'] || req.body.twoFactorCode);
+        if (!proof.verified) {
+            return res.status(403).json({
+                message: proof.locked ? 'Account is locked after too many failed attempts. Try again later.' : 'Valid two-factor code is required.',
+                twoFactorRequired: true
+            });
+        }
+        const result = await privacyService.eraseUser(userId, password);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(400).json({ message: 'Failed to erase account.', error: errorMsg });
+    }
+};
 // Update user profile
 exports.updateProfile = async (req, res) => {
     try {
         const userId = req.user?.id;
         if (!userId)
             return res.status(401).json({ message: 'Unauthorized.' });
+        if (req.apiKey) {
+            return res.status(403).json({ message: 'The profile cannot be changed with an API key.' });
+        }
         const { username, email, walletAddress } = req.body;
         if (!username && !email && !walletAddress) {
             return res.status(400).json({ message: 'Nothing to update.' });
@@ -97,6 +475,21 @@ exports.updateProfile = async (req, res) => {
         return res.status(500).json({ message: 'Failed to update profile.', error: errorMsg });
     }
 };
+// Resend verification email
+exports.resendVerificationEmail = async (req, res) => {
+    try {
+        const { email } = req.body;
+        if (!email) {
+            return res.status(400).json({ message: 'Email is required.' });
+        }
+        const result = await authService.resendVerificationEmail(email);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(500).json({ message: 'Failed to resend verification email.', error: errorMsg });
+    }
+};
 // Request password reset
 exports.requestPasswordReset = async (req, res) => {
     try {
@@ -123,6 +516,9 @@ exports.resetPassword = async (req, res) => {
         return res.status(200).json(result);
     }
     catch (err) {
+        if (err instanceof PasswordPolicyError) {
+            return res.status(400).json({ message: 'Password does not meet the password policy.', errors: err.violations });
+        }
         const errorMsg = err instanceof Error ? err.message : 'Unknown error';
         return res.status(500).json({ message: 'Password reset failed.', error: errorMsg });
     }
@@ -133,16 +529,128 @@ exports.changePassword = async (req, res) => {
         const userId = req.user?.id;
         if (!userId)
             return res.status(401).json({ message: 'Unauthorized.' });
+        if (req.apiKey) {
+            return res.status(403).json({ message: 'The password cannot be changed with an API key.' });
+        }
         const { currentPassword, newPassword } = req.body;
         if (!currentPassword || !newPassword) {
             return res.status(400).json({ message: 'Current password and new password are required.' });
         }
-        const result = await authService.changePassword(userId, currentPassword, newPassword);
+        const proof = await twoFactorService.checkFreshProof(userId, req.headers['x-2fa-code'] || req.body.twoFactorCode);
+        if (!proof.verified) {
+            return res.status(403).json({
+                message: proof.locked ? 'Account is locked after too many failed attempts. Try again later.' : 'Valid two-factor code is required.',
+                twoFactorRequired: true
+            });
+        }
+        const result = await authService.changePassword(userId, currentPassword, newPassword, getSessionContext(req));
         return res.status(200).json(result);
     }
     catch (err) {
+        if (err instanceof PasswordPolicyError) {
+            return res.status(400).json({ message: 'Password does not meet the password policy.', errors: err.violations });
+        }
         const errorMsg = err instanceof Error ? err.message : 'Unknown error';
         return res.status(500).json({ message: 'Failed to change password.', error: errorMsg });
     }
 };
+// Get user statistics (admin)
+exports.getUserStats = [requirePermission('users:read'), async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        const stats = await authService.getUserStats();
+        return res.status(200).json({ success: true, data: stats });
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(500).json({ message: 'Failed to get user statistics.', error: errorMsg });
+    }
+}];
+// Change a user's role (admin)
+exports.updateUserRole = [requirePermission('users:manage'), async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        const { role } = req.body;
+        if (!role) {
+            return res.status(400).json({ message: 'Role is required.' });
+        }
+        const result = await authService.setUserRole(userId, req.params.id, role);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(400).json({ message: 'Failed to change user role.', error: errorMsg });
+    }
+}];
+// Require a user to choose a new password at next login (admin)
+exports.forcePasswordRotation = [requirePermission('users:manage'), async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        const result = await authService.forcePasswordRotation(userId, req.params.id);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(400).json({ message: 'Failed to force password rotation.', error: errorMsg });
+    }
+}];
+// List API keys
+exports.listApiKeys = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        const result = await apiKeyService.listApiKeys(userId);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(500).json({ message: 'Failed to list API keys.', error: errorMsg });
+    }
+};
+// Create API key
+exports.createApiKey = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        // Keys are managed by the account holder, never by another key
+        if (req.apiKey) {
+            return res.status(403).json({ message: 'API keys cannot be managed with an API key.' });
+        }
+        const { name, scopes, expiresInDays, rateLimit } = req.body;
+        if (!name || !scopes) {
+            return res.status(400).json({ message: 'Name and scopes are required.' });
+        }
+        const result = await apiKeyService.createApiKey(userId, { name, scopes, expiresInDays, rateLimit });
+        return res.status(201).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(400).json({ message: 'Failed to create API key.', error: errorMsg });
+    }
+};
+// Revoke API key
+exports.revokeApiKey = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        if (req.apiKey) {
+            return res.status(403).json({ message: 'API keys cannot be managed with an API key.' });
+        }
+        const result = await apiKeyService.revokeApiKey(userId, req.params.id);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(400).json({ message: 'Failed to revoke API key.', error: errorMsg });
+    }
+};
 //# sourceMappingURL=auth.controller.js.map
\ No newline at end of file
@@ -1,7 +1,41 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
 const { authService } = require('../services/auth.service');
+const { apiKeyService } = require('../services/apiKey.service');
+const { consumeApiKeyQuota } = require('./rateLimiter.middleware');
+/**
+ * Authenticate a machine client by its X-API-Key header
+ */
+const authenticateApiKey = async (req, res, next) => {
+    try {
+        const result = await apiKeyService.authenticate(req.headers['x-api-key'], req.ip);
+        const quota = consumeApiKeyQuota(result.apiKey.id, result.apiKey.rateLimit);
+        res.setHeader('X-RateLimit-Limit', String(result.apiKey.rateLimit));
+        res.setHeader('X-RateLimit-Remaining', String(quota.remaining));
+        if (!quota.allowed) {
+            return res.status(429).json({
+                success: false,
+                message: 'API key rate limit exceeded.',
+                retryAfter: Math.ceil((quota.resetTime - Date.now()) / 1000)
+            });
+        }
+        // Set user data in request object, limited to the key scopes
+        req.user = result.user;
+        req.apiKey = result.apiKey;
+        next();
+    }
+    catch (err) {
+        console.error('API key auth error:', err);
+        return res.status(401).json({
+            success: false,
+            message: 'Invalid or expired API key.'
+        });
+    }
+};
 const authenticate = async (req, res, next) => {
+    if (req.headers['x-api-key']) {
+        return authenticateApiKey(req, res, next);
+    }
     const authHeader = req.headers.authorization;
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
         return res.status(401).json({
@@ -1,7 +1,22 @@
+declare const Op: any;
 declare const bcrypt: any;
 declare const jwt: any;
 declare const crypto: any;
+declare const ethers: any;
 declare const User: any;
+declare const WalletNonce: any;
+declare const UserWallet: any;
+declare const OrganizationWallet: any;
+declare const RefreshToken: any;
+declare const sha256: any;
+declare const twoFactorService: any;
+declare const sessionService: any;
+declare const passwordPolicyService: any;
+declare const PasswordPolicyError: any;
+declare const mailerService: any;
+declare const DEFAULT_ROLE: any, isValidRole: any, getRolePermissions: any;
+declare const generateSiweNonce: any, buildSiweMessage: any, parseSiweMessage: any;
+declare const sequelize: any;
 declare const config: any;
 /**
  * Authentication Service
@@ -11,9 +26,12 @@ declare class AuthService {
     private readonly saltRounds;
     private readonly jwtExpiry;
     private readonly refreshTokenExpiry;
+    private readonly twoFactorChallengeExpiry;
+    private readonly passwordRotationChallengeExpiry;
     /**
      * Register a new user
      * @param userData - User registration data
+     * @param context - Request context (ipAddress, userAgent) for session tracking
      * @returns Registration result
      */
     register(userData: {
@@ -21,28 +39,107 @@ declare class AuthService {
         email: string;
         password: string;
         walletAddress: string;
+    }, context?: {
+        ipAddress?: string;
+        userAgent?: string;
     }): Promise<any>;
     /**
      * Authenticate user login
      * @param credentials - Login credentials
+     * @param context - Request context (ipAddress, userAgent) for session tracking
      * @returns Authentication result
      */
     login(credentials: {
         email: string;
         password: string;
+    }, context?: {
+        ipAddress?: string;
+        userAgent?: string;
+    }): Promise<any>;
+    /**
+     * Complete a login that is waiting for the second factor
+     * @param challengeToken - Challenge token returned by the first login step
+     * @param code - TOTP or backup code
+     * @param context - Request context (ipAddress, userAgent) for session tracking
+     * @returns Authentication result
+     */
+    completeTwoFactorLogin(challengeToken: string, code: string, context?: {
+        ipAddress?: string;
+        userAgent?: string;
     }): Promise<any>;
     /**
      * Refresh JWT token
      * @param refreshToken - Refresh token
+     * @param context - Request context (ipAddress, userAgent) for session tracking
      * @returns New tokens
      */
-    refreshToken(refreshToken: string): Promise<any>;
+    refreshToken(refreshToken: string, context?: {
+        ipAddress?: string;
+        userAgent?: string;
+    }): Promise<any>;
+    /**
+     * Log out the session a refresh token belongs to
+     * @param userId - User ID
+     * @param refreshToken - Refresh token of the session
+     * @returns Logout result
+     */
+    logout(userId: number, refreshToken: string): Promise<any>;
+    /**
+     * Log out every session of a user and invalidate issued access tokens
+     * @param userId - User ID
+     * @returns Logout result
+     */
+    logoutAll(userId: number): Promise<any>;
+    /**
+     * Revoke one session of a user, signing that device out
+     * @param userId - User ID
+     * @param sessionId - Session ID
+     * @returns Revocation result
+     */
+    revokeSession(userId: number, sessionId: number): Promise<any>;
+    /**
+     * Issue a Sign-In With Ethereum nonce and the message to sign
+     * @param walletAddress - Wallet address that will sign the message
+     * @param purpose - What the signature authorizes (login, verify, link or unlink)
+     * @returns Nonce and EIP-4361 message
+     */
+    issueWalletNonce(walletAddress: string, purpose?: 'login' | 'verify' | 'link' | 'unlink'): Promise<any>;
+    /**
+     * Authenticate user with a signed EIP-4361 message
+     * @param message - Signed SIWE message
+     * @param signature - Wallet signature of the message
+     * @param context - Request context (ipAddress, userAgent) for session tracking
+     * @returns Authentication result
+     */
+    loginWithWallet(message: string, signature: string, context?: {
+        ipAddress?: string;
+        userAgent?: string;
+    }): Promise<any>;
+    /**
+     * Prove ownership of the wallet address on the user's account
+     * @param userId - User ID
+     * @param message - Signed SIWE message
+     * @param signature - Wallet signature of the message
+     * @param context - Request context (ipAddress, userAgent) for session tracking
+     * @returns Verification result with tokens carrying the proven wallet
+     */
+    verifyWallet(userId: number, message: string, signature: string, context?: {
+        ipAddress?: string;
+        userAgent?: string;
+    }): Promise<any>;
     /**
      * Verify email address
+     * Users whose address is listed in ADMIN_EMAILS are given the admin role here.
      * @param token - Verification token
      * @returns Verification result
      */
     verifyEmail(token: string): Promise<any>;
+    /**
+     * Send a new verification email
+     * @param email - User email
+     * @returns Resend result
+     */
+    resendVerificationEmail(email: string): Promise<any>;
     /**
      * Request password reset
      * @param email - User email
@@ -78,21 +175,109 @@ declare class AuthService {
      * @param userId - User ID
      * @param currentPassword - Current password
      * @param newPassword - New password
+     * @param context - Request context (ipAddress, userAgent) for session tracking
      * @returns Password change result
      */
-    changePassword(userId: number, currentPassword: string, newPassword: string): Promise<any>;
+    changePassword(userId: number, currentPassword: string, newPassword: string, context?: {
+        ipAddress?: string;
+        userAgent?: string;
+    }): Promise<any>;
+    /**
+     * Set a new password for a forced rotation and complete the login
+     * @param challengeToken - Challenge token returned by the login step
+     * @param newPassword - New password
+     * @param context - Request context (ipAddress, userAgent) for session tracking
+     * @returns Authentication result
+     */
+    completePasswordRotation(challengeToken: string, newPassword: string, context?: {
+        ipAddress?: string;
+        userAgent?: string;
+    }): Promise<any>;
+    /**
+     * Require a user to choose a new password at next login (admin)
+     * @param actorId - Admin user ID
+     * @param userId - Target user ID
+     * @returns Rotation result
+     */
+    forcePasswordRotation(actorId: number, userId: number): Promise<any>;
+    /**
+     * Hash and store a new password, remembering it in the password history
+     * @param user - User object
+     * @param newPassword - New password (already checked against the policy)
+     * @param extraFields - Additional columns to update with the password
+     */
+    private setPassword;
     /**
      * Verify JWT token
      * @param token - JWT token
      * @returns Token verification result
      */
     verifyToken(token: string): Promise<any>;
+    /**
+     * Build the user object attached to authenticated requests (req.user)
+     * @param user - User object
+     * @returns Request user
+     */
+    buildRequestUser(user: any): Promise<any>;
     /**
      * Generate JWT tokens
      * @param user - User object
+     * @param familyId - Refresh token family to rotate within (new family when omitted)
+     * @param context - Request context (ipAddress, userAgent) for session tracking
      * @returns JWT tokens
      */
     private generateTokens;
+    /**
+     * Create the short-lived challenge returned when a second factor is required
+     * @param user - User object
+     * @returns Challenge result
+     */
+    private createTwoFactorChallenge;
+    /**
+     * Create the challenge returned when the user must choose a new password before signing in
+     * @param user - User object
+     * @returns Challenge result
+     */
+    private createPasswordRotationChallenge;
+    /**
+     * Revoke every refresh token in a family
+     * @param familyId - Refresh token family
+     * @param reason - Revocation reason
+     */
+    private revokeTokenFamily;
+    /**
+     * Revoke all refresh tokens of a user and invalidate outstanding access tokens
+     * @param user - User object
+     * @param reason - Revocation reason
+     */
+    private revokeAllTokens;
+    /**
+     * Validate a signed SIWE message and consume its nonce
+     * @param message - Signed SIWE message
+     * @param signature - Wallet signature of the message
+     * @param purpose - Purpose the nonce must have been issued for
+     * @returns Checksummed address that produced the signature
+     */
+    consumeSiweSignature(message: string, signature: string, purpose: string): Promise<string>;
+    /**
+     * Normalize a wallet address to its checksummed form
+     * @param walletAddress - Wallet address
+     * @returns Checksummed wallet address
+     */
+    normalizeWalletAddress(walletAddress: string): string;
+    /**
+     * Queue the email verification message
+     * Failures are logged rather than thrown so sign-up is not blocked; the user can request a resend.
+     * @param user - User object
+     * @param verificationToken - Verification token
+     */
+    private sendVerificationEmail;
+    /**
+     * Get the wallet address only if its ownership has been proven
+     * @param user - User object
+     * @returns Proven wallet address or null
+     */
+    private getVerifiedWalletAddress;
     /**
      * Generate verification token
      * @returns Verification token
@@ -108,6 +293,15 @@ declare class AuthService {
      * @param user - User object
      */
     private handleFailedLogin;
+    /**
+     * Change a user's role
+     * Issued tokens are revoked so the new role is embedded in the next JWT.
+     * @param actorId - ID of the user performing the change
+     * @param userId - ID of the user to update
+     * @param role - New role
+     * @returns Updated user summary
+     */
+    setUserRole(actorId: number, userId: number, role: string): Promise<any>;
     /**
      * Get user statistics
      * @returns User statistics
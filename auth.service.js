@@ -1,8 +1,23 @@
 "use strict";
+const { Op } = require('sequelize');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const { ethers } = require('ethers');
 const { User } = require('../db/models/user.model');
+const { WalletNonce } = require('../db/models/walletNonce.model');
+const { UserWallet } = require('../db/models/userWallet.model');
+const { OrganizationWallet } = require('../db/models/organizationWallet.model');
+const { RefreshToken } = require('../db/models/refreshToken.model');
+const { sha256 } = require('../utils/hash');
+const { twoFactorService } = require('./twoFactor.service');
+const { sessionService } = require('./session.service');
+const { passwordPolicyService } = require('./passwordPolicy.service');
+const { PasswordPolicyError } = require('../utils/passwordPolicy');
+const { mailerService } = require('./mailer.service');
+const { DEFAULT_ROLE, isValidRole, getRolePermissions } = require('../utils/permissions');
+const { generateSiweNonce, buildSiweMessage, parseSiweMessage } = require('../utils/siwe');
+const sequelize = require('../db/index');
 const config = require('../config');
 /**
  * Authentication Service
@@ -13,19 +28,22 @@ class AuthService {
         this.saltRounds = 12;
         this.jwtExpiry = '24h';
         this.refreshTokenExpiry = '7d';
+        this.twoFactorChallengeExpiry = '5m';
+        this.passwordRotationChallengeExpiry = '15m';
     }
     /**
      * Register a new user
      * @param userData - User registration data
+     * @param context - Request context (ipAddress, userAgent) for session tracking
      * @returns Registration result
      */
-    async register(userData) {
+    async register(userData, context = {}) {
         try {
             console.log('👤 Registering new user...', { username: userData.username, email: userData.email });
             // Check if user already exists
             const existingUser = await User.findOne({
                 where: {
-                    [require('sequelize').Op.or]: [
+                    [Op.or]: [
                         { email: userData.email },
                         { username: userData.username }
                     ]
@@ -34,6 +52,20 @@ class AuthService {
             if (existingUser) {
                 throw new Error('User with this email or username already exists');
             }
+            const walletAddress = this.normalizeWalletAddress(userData.walletAddress);
+            // A wallet proven by another account cannot be claimed again
+            const walletOwner = await User.findOne({
+                where: {
+                    walletAddress,
+                    walletVerifiedAt: { [Op.ne]: null }
+                }
+            });
+            if (walletOwner || await UserWallet.findOne({ where: { address: walletAddress } })) {
+                throw new Error('Wallet address is already linked to another account');
+            }
+            await passwordPolicyService.assertPasswordAllowed(userData.password, {
+                userInputs: [userData.username, userData.email]
+            });
             // Hash password
             const hashedPassword = await bcrypt.hash(userData.password, this.saltRounds);
             // Generate verification token
@@ -43,12 +75,17 @@ class AuthService {
                 username: userData.username,
                 email: userData.email,
                 password: hashedPassword,
-                walletAddress: userData.walletAddress,
+                passwordChangedAt: new Date(),
+                walletAddress,
                 verificationToken,
-                isVerified: false
+                isVerified: false,
+                // Bootstrap administrators (ADMIN_EMAILS) are promoted once they verify the address, see verifyEmail
+                role: DEFAULT_ROLE
             });
+            await passwordPolicyService.recordPassword(user.id, hashedPassword);
+            await this.sendVerificationEmail(user, verificationToken);
             // Generate JWT tokens
-            const tokens = this.generateTokens(user);
+            const tokens = await this.generateTokens(user, null, context);
             console.log(`✅ User registered successfully: ${user.username}`);
             return {
                 success: true,
@@ -57,23 +94,27 @@ class AuthService {
                     username: user.username,
                     email: user.email,
                     walletAddress: user.walletAddress,
+                    walletVerified: Boolean(user.walletVerifiedAt),
                     isVerified: user.isVerified
                 },
-                tokens,
-                verificationToken // Send for email verification
+                tokens
             };
         }
         catch (error) {
             console.error('❌ Error registering user:', error);
+            if (error instanceof PasswordPolicyError) {
+                throw error;
+            }
             throw new Error(`Registration failed: ${error instanceof Error ? error.message : String(error)}`);
         }
     }
     /**
      * Authenticate user login
      * @param credentials - Login credentials
+     * @param context - Request context (ipAddress, userAgent) for session tracking
      * @returns Authentication result
      */
-    async login(credentials) {
+    async login(credentials, context = {}) {
         try {
             console.log('🔐 Authenticating user...', { email: credentials.email });
             // Find user by email
@@ -94,13 +135,20 @@ class AuthService {
                 await this.handleFailedLogin(user);
                 throw new Error('Invalid credentials');
             }
+            // Second login step when 2FA is enabled; failed attempts are reset only once the code is verified
+            if (user.twoFactorEnabled) {
+                return this.createTwoFactorChallenge(user);
+            }
             // Reset failed login attempts on successful login
             await user.update({
                 failedLoginAttempts: 0,
                 lockUntil: null
             });
+            if (user.passwordChangeRequired) {
+                return this.createPasswordRotationChallenge(user);
+            }
             // Generate JWT tokens
-            const tokens = this.generateTokens(user);
+            const tokens = await this.generateTokens(user, null, context);
             console.log(`✅ User authenticated successfully: ${user.username}`);
             return {
                 success: true,
@@ -109,6 +157,7 @@ class AuthService {
                     username: user.username,
                     email: user.email,
                     walletAddress: user.walletAddress,
+                    walletVerified: Boolean(user.walletVerifiedAt),
                     isVerified: user.isVerified
                 },
                 tokens
@@ -119,23 +168,104 @@ class AuthService {
             throw new Error(`Authentication failed: ${error instanceof Error ? error.message : String(error)}`);
         }
     }
+    /**
+     * Complete a login that is waiting for the second factor
+     * @param challengeToken - Challenge token returned by the first login step
+     * @param code - TOTP or backup code
+     * @param context - Request context (ipAddress, userAgent) for session tracking
+     * @returns Authentication result
+     */
+    async completeTwoFactorLogin(challengeToken, code, context = {}) {
+        try {
+            console.log('🔐 Verifying second login factor...');
+            const decoded = jwt.verify(challengeToken, config.jwtSecret);
+            if (decoded.purpose !== '2fa_login') {
+                throw new Error('Invalid challenge token');
+            }
+            const user = await User.findByPk(decoded.id);
+            if (!user || !user.twoFactorEnabled) {
+                throw new Error('Invalid challenge token');
+            }
+            if (user.lockUntil && user.lockUntil > new Date()) {
+                const lockTimeRemaining = Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000 / 60);
+                throw new Error(`Account is locked. Try again in ${lockTimeRemaining} minutes`);
+            }
+            if (!(await twoFactorService.verifyCode(user, code))) {
+                await this.handleFailedLogin(user);
+                throw new Error('Invalid two-factor code');
+            }
+            await user.update({
+                failedLoginAttempts: 0,
+                lockUntil: null
+            });
+            if (user.passwordChangeRequired) {
+                return this.createPasswordRotationChallenge(user);
+            }
+            const tokens = await this.generateTokens(user, null, context);
+            console.log(`✅ User authenticated with second factor: ${user.username}`);
+            return {
+                success: true,
+                user: {
+                    id: user.id,
+                    username: user.username,
+                    email: user.email,
+                    walletAddress: user.walletAddress,
+                    walletVerified: Boolean(user.walletVerifiedAt),
+                    isVerified: user.isVerified
+                },
+                tokens
+            };
+        }
+        catch (error) {
+            console.error('❌ Error verifying second login factor:', error);
+            throw new Error(`Authentication failed: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
     /**
      * Refresh JWT token
      * @param refreshToken - Refresh token
+     * @param context - Request context (ipAddress, userAgent) for session tracking
      * @returns New tokens
      */
-    async refreshToken(refreshToken) {
+    async refreshToken(refreshToken, context = {}) {
         try {
             console.log('🔄 Refreshing token...');
-            // Verify refresh token
-            const decoded = jwt.verify(refreshToken, config.jwtSecret);
+            // Verify refresh token (signed with its own secret so access tokens cannot be replayed here)
+            const decoded = jwt.verify(refreshToken, config.jwtRefreshSecret);
+            const storedToken = await RefreshToken.findOne({
+                where: { tokenHash: sha256(decoded.jti) }
+            });
+            if (!storedToken || storedToken.userId !== decoded.id) {
+                throw new Error('Unknown refresh token');
+            }
+            // A rotated or revoked token being presented again means it was stolen: kill the whole family
+            if (storedToken.usedAt || storedToken.revokedAt) {
+                await this.revokeTokenFamily(storedToken.familyId, 'reuse_detected');
+                console.warn(`🚨 Refresh token reuse detected for user ${storedToken.userId}, family ${storedToken.familyId} revoked`);
+                throw new Error('Refresh token has already been used');
+            }
             // Find user
             const user = await User.findByPk(decoded.id);
             if (!user) {
                 throw new Error('User not found');
             }
-            // Generate new tokens
-            const tokens = this.generateTokens(user);
+            if ((decoded.tokenVersion || 0) !== (user.tokenVersion || 0)) {
+                await this.revokeTokenFamily(storedToken.familyId, 'password_change');
+                throw new Error('Refresh token has been revoked');
+            }
+            // Generate new tokens in the same family and retire the presented one
+            const tokens = await this.generateTokens(user, storedToken.familyId, context);
+            const [rotated] = await RefreshToken.update({
+                usedAt: new Date(),
+                replacedByHash: sha256(jwt.decode(tokens.refreshToken).jti)
+            }, {
+                where: { id: storedToken.id, usedAt: null, revokedAt: null }
+            });
+            if (rotated !== 1) {
+                // Lost a race with a concurrent refresh of the same token
+                await this.revokeTokenFamily(storedToken.familyId, 'reuse_detected');
+                throw new Error('Refresh token has already been used');
+            }
             console.log(`✅ Token refreshed successfully for user: ${user.username}`);
             return {
                 success: true,
@@ -147,8 +277,246 @@ class AuthService {
             throw new Error(`Token refresh failed: ${error instanceof Error ? error.message : String(error)}`);
         }
     }
+    /**
+     * Log out the session a refresh token belongs to
+     * @param userId - User ID
+     * @param refreshToken - Refresh token of the session
+     * @returns Logout result
+     */
+    async logout(userId, refreshToken) {
+        try {
+            console.log(`👋 Logging out user: ${userId}`);
+            let decoded;
+            try {
+                decoded = jwt.verify(refreshToken, config.jwtRefreshSecret, { ignoreExpiration: true });
+            }
+            catch (error) {
+                throw new Error('Invalid refresh token');
+            }
+            const storedToken = await RefreshToken.findOne({
+                where: { tokenHash: sha256(decoded.jti), userId }
+            });
+            if (!storedToken) {
+                throw new Error('Unknown refresh token');
+            }
+            await this.revokeTokenFamily(storedToken.familyId, 'logout');
+            return {
+                success: true,
+                message: 'Logged out successfully'
+            };
+        }
+        catch (error) {
+            console.error('❌ Error logging out:', error);
+            throw new Error(`Logout failed: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Log out every session of a user and invalidate issued access tokens
+     * @param userId - User ID
+     * @returns Logout result
+     */
+    async logoutAll(userId) {
+        try {
+            console.log(`👋 Logging out all sessions for user: ${userId}`);
+            const user = await User.findByPk(userId);
+            if (!user) {
+                throw new Error('User not found');
+            }
+            await this.revokeAllTokens(user, 'logout_all');
+            return {
+                success: true,
+                message: 'Logged out of all sessions'
+            };
+        }
+        catch (error) {
+            console.error('❌ Error logging out all sessions:', error);
+            throw new Error(`Logout failed: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Revoke one session of a user, signing that device out
+     * @param userId - User ID
+     * @param sessionId - Session ID
+     * @returns Revocation result
+     */
+    async revokeSession(userId, sessionId) {
+        try {
+            console.log(`👋 Revoking session ${sessionId} for user: ${userId}`);
+            const session = await sessionService.getUserSession(userId, sessionId);
+            await this.revokeTokenFamily(session.familyId, 'session_revoked');
+            return {
+                success: true,
+                message: 'Session revoked'
+            };
+        }
+        catch (error) {
+            console.error('❌ Error revoking session:', error);
+            throw new Error(`Failed to revoke session: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Issue a Sign-In With Ethereum nonce and the message to sign
+     * @param walletAddress - Wallet address that will sign the message
+     * @param purpose - What the signature authorizes (login, verify, link or unlink)
+     * @returns Nonce and EIP-4361 message
+     */
+    async issueWalletNonce(walletAddress, purpose = 'login') {
+        try {
+            const address = this.normalizeWalletAddress(walletAddress);
+            console.log(`🔏 Issuing wallet nonce for ${address} (${purpose})`);
+            const nonce = generateSiweNonce();
+            const issuedAt = new Date();
+            const expiresAt = new Date(issuedAt.getTime() + config.siweNonceTtl * 1000);
+            const message = buildSiweMessage({
+                domain: config.siweDomain,
+                address,
+                statement: config.siweStatement,
+                uri: config.siweUri,
+                chainId: config.siweChainId,
+                nonce,
+                issuedAt: issuedAt.toISOString(),
+                expirationTime: expiresAt.toISOString()
+            });
+            await WalletNonce.create({
+                nonce,
+                walletAddress: address,
+                purpose,
+                message,
+                expiresAt
+            });
+            return {
+                success: true,
+                nonce,
+                message,
+                expiresAt: expiresAt.toISOString()
+            };
+        }
+        catch (error) {
+            console.error('❌ Error issuing wallet nonce:', error);
+            throw new Error(`Failed to issue wallet nonce: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Authenticate user with a signed EIP-4361 message
+     * @param message - Signed SIWE message
+     * @param signature - Wallet signature of the message
+     * @param context - Request context (ipAddress, userAgent) for session tracking
+     * @returns Authentication result
+     */
+    async loginWithWallet(message, signature, context = {}) {
+        try {
+            console.log('🔐 Authenticating user with wallet signature...');
+            const walletAddress = await this.consumeSiweSignature(message, signature, 'login');
+            // Only wallets that were previously proven can be used to sign in
+            const linkedWallet = await UserWallet.findOne({ where: { address: walletAddress } });
+            const user = linkedWallet
+                ? await User.findByPk(linkedWallet.userId)
+                : await User.findOne({
+                    where: {
+                        walletAddress,
+                        walletVerifiedAt: { [Op.ne]: null }
+                    }
+                });
+            if (!user) {
+                throw new Error('No account is linked to this wallet');
+            }
+            if (user.lockUntil && user.lockUntil > new Date()) {
+                const lockTimeRemaining = Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000 / 60);
+                throw new Error(`Account is locked. Try again in ${lockTimeRemaining} minutes`);
+            }
+            // Second login step when 2FA is enabled
+            if (user.twoFactorEnabled) {
+                return this.createTwoFactorChallenge(user);
+            }
+            if (user.passwordChangeRequired) {
+                return this.createPasswordRotationChallenge(user);
+            }
+            const tokens = await this.generateTokens(user, null, context);
+            console.log(`✅ User authenticated with wallet: ${user.username}`);
+            return {
+                success: true,
+                user: {
+                    id: user.id,
+                    username: user.username,
+                    email: user.email,
+                    walletAddress: user.walletAddress,
+                    walletVerified: true,
+                    isVerified: user.isVerified
+                },
+                tokens
+            };
+        }
+        catch (error) {
+            console.error('❌ Error authenticating user with wallet:', error);
+            throw new Error(`Wallet authentication failed: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Prove ownership of the wallet address on the user's account
+     * @param userId - User ID
+     * @param message - Signed SIWE message
+     * @param signature - Wallet signature of the message
+     * @param context - Request context (ipAddress, userAgent) for session tracking
+     * @returns Verification result with tokens carrying the proven wallet
+     */
+    async verifyWallet(userId, message, signature, context = {}) {
+        try {
+            console.log(`🔏 Verifying wallet ownership for user: ${userId}`);
+            const user = await User.findByPk(userId);
+            if (!user) {
+                throw new Error('User not found');
+            }
+            const walletAddress = await this.consumeSiweSignature(message, signature, 'verify');
+            if (walletAddress !== user.walletAddress) {
+                throw new Error('Signed wallet does not match the wallet address on this account');
+            }
+            const walletOwner = await User.findOne({
+                where: {
+                    walletAddress,
+                    walletVerifiedAt: { [Op.ne]: null },
+                    [Op.not]: { id: userId }
+                }
+            });
+            const linkedWallet = await UserWallet.findOne({ where: { address: walletAddress } });
+            if (walletOwner || (linkedWallet && linkedWallet.userId !== user.id)) {
+                throw new Error('Wallet address is already linked to another account');
+            }
+            if (await OrganizationWallet.findOne({ where: { address: walletAddress } })) {
+                throw new Error('Wallet address belongs to an organization');
+            }
+            if (!user.walletVerifiedAt || !linkedWallet) {
+                const verifiedAt = user.walletVerifiedAt || new Date();
+                await sequelize.transaction(async (transaction) => {
+                    await user.update({ walletVerifiedAt: verifiedAt }, { transaction });
+                    if (!linkedWallet) {
+                        // The account wallet becomes the primary linked wallet
+                        await UserWallet.update({ isPrimary: false }, { where: { userId: user.id }, transaction });
+                        await UserWallet.create({
+                            userId: user.id,
+                            address: walletAddress,
+                            isPrimary: true,
+                            verifiedAt
+                        }, { transaction });
+                    }
+                });
+            }
+            const tokens = await this.generateTokens(user, null, context);
+            console.log(`✅ Wallet verified for user: ${user.username}`);
+            return {
+                success: true,
+                message: 'Wallet ownership verified',
+                walletAddress,
+                tokens
+            };
+        }
+        catch (error) {
+            console.error('❌ Error verifying wallet:', error);
+            throw new Error(`Wallet verification failed: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
     /**
      * Verify email address
+     * Users whose address is listed in ADMIN_EMAILS are given the admin role here.
      * @param token - Verification token
      * @returns Verification result
      */
@@ -167,11 +535,19 @@ class AuthService {
                     message: 'Email already verified'
                 };
             }
+            // Bootstrap administrators listed in ADMIN_EMAILS get the admin role only after proving the address
+            const promoted = user.role === DEFAULT_ROLE && config.adminEmails.includes(String(user.email).toLowerCase());
             // Mark user as verified
             await user.update({
                 isVerified: true,
-                verificationToken: null
+                verificationToken: null,
+                ...(promoted ? { role: 'admin' } : {})
             });
+            if (promoted) {
+                // Issued tokens carry the old role
+                await this.revokeAllTokens(user, 'role_changed');
+                console.log(`🛡️ Granted admin role to bootstrap administrator: ${user.username}`);
+            }
             console.log(`✅ Email verified successfully for user: ${user.username}`);
             return {
                 success: true,
@@ -183,6 +559,31 @@ class AuthService {
             throw new Error(`Email verification failed: ${error instanceof Error ? error.message : String(error)}`);
         }
     }
+    /**
+     * Send a new verification email
+     * @param email - User email
+     * @returns Resend result
+     */
+    async resendVerificationEmail(email) {
+        try {
+            console.log('📧 Resending verification email...');
+            const user = await User.findOne({ where: { email } });
+            // Don't reveal if user exists or is already verified
+            if (user && !user.isVerified) {
+                const verificationToken = this.generateVerificationToken();
+                await user.update({ verificationToken });
+                await this.sendVerificationEmail(user, verificationToken);
+            }
+            return {
+                success: true,
+                message: 'If an unverified account with this email exists, a verification email has been sent'
+            };
+        }
+        catch (error) {
+            console.error('❌ Error resending verification email:', error);
+            throw new Error(`Failed to resend verification email: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
     /**
      * Request password reset
      * @param email - User email
@@ -209,11 +610,15 @@ class AuthService {
                 resetPasswordToken: resetToken,
                 resetPasswordExpires: resetExpires
             });
-            console.log(`✅ Password reset token generated for user: ${user.username}`);
+            await mailerService.queueEmail('passwordReset', user.email, {
+                username: user.username,
+                resetUrl: `${config.appUrl}/reset-password?token=${encodeURIComponent(resetToken)}`,
+                expiresInMinutes: 60
+            });
+            console.log(`✅ Password reset email queued for user: ${user.username}`);
             return {
                 success: true,
-                message: 'If an account with this email exists, a password reset link has been sent',
-                resetToken // In production, send via email
+                message: 'If an account with this email exists, a password reset link has been sent'
             };
         }
         catch (error) {
@@ -234,23 +639,21 @@ class AuthService {
                 where: {
                     resetPasswordToken: token,
                     resetPasswordExpires: {
-                        [require('sequelize').Op.gt]: new Date()
+                        [Op.gt]: new Date()
                     }
                 }
             });
             if (!user) {
                 throw new Error('Invalid or expired reset token');
             }
-            // Hash new password
-            const hashedPassword = await bcrypt.hash(newPassword, this.saltRounds);
+            await passwordPolicyService.assertPasswordAllowed(newPassword, { user });
             // Update user password and clear reset token
-            await user.update({
-                password: hashedPassword,
+            await this.setPassword(user, newPassword, {
                 resetPasswordToken: null,
-                resetPasswordExpires: null,
-                failedLoginAttempts: 0,
-                lockUntil: null
+                resetPasswordExpires: null
             });
+            // Sessions opened with the old password must not survive a reset
+            await this.revokeAllTokens(user, 'password_change');
             console.log(`✅ Password reset successfully for user: ${user.username}`);
             return {
                 success: true,
@@ -259,6 +662,9 @@ class AuthService {
         }
         catch (error) {
             console.error('❌ Error resetting password:', error);
+            if (error instanceof PasswordPolicyError) {
+                throw error;
+            }
             throw new Error(`Password reset failed: ${error instanceof Error ? error.message : String(error)}`);
         }
     }
@@ -271,7 +677,7 @@ class AuthService {
         try {
             console.log(`👤 Getting profile for user: ${userId}`);
             const user = await User.findByPk(userId, {
-                attributes: ['id', 'username', 'email', 'walletAddress', 'isVerified', 'createdAt']
+                attributes: ['id', 'username', 'email', 'walletAddress', 'walletVerifiedAt', 'role', 'isVerified', 'twoFactorEnabled', 'createdAt']
             });
             if (!user) {
                 throw new Error('User not found');
@@ -283,7 +689,10 @@ class AuthService {
                     username: user.username,
                     email: user.email,
                     walletAddress: user.walletAddress,
+                    walletVerified: Boolean(user.walletVerifiedAt),
+                    role: user.role,
                     isVerified: user.isVerified,
+                    twoFactorEnabled: user.twoFactorEnabled,
                     createdAt: user.createdAt
                 }
             };
@@ -310,17 +719,24 @@ class AuthService {
             if (updateData.username || updateData.email) {
                 const existingUser = await User.findOne({
                     where: {
-                        [require('sequelize').Op.or]: [
+                        [Op.or]: [
                             updateData.username ? { username: updateData.username } : {},
                             updateData.email ? { email: updateData.email } : {}
                         ].filter(condition => Object.keys(condition).length > 0),
-                        [require('sequelize').Op.not]: { id: userId }
+                        [Op.not]: { id: userId }
                     }
                 });
                 if (existingUser) {
                     throw new Error('Username or email already exists');
                 }
             }
+            // A new wallet address has to be proven again before it is trusted
+            if (updateData.walletAddress) {
+                updateData.walletAddress = this.normalizeWalletAddress(updateData.walletAddress);
+                if (updateData.walletAddress !== user.walletAddress) {
+                    updateData.walletVerifiedAt = null;
+                }
+            }
             // Update user
             const updatedUser = await user.update(updateData);
             console.log(`✅ Profile updated successfully for user: ${user.username}`);
@@ -331,6 +747,7 @@ class AuthService {
                     username: updatedUser.username,
                     email: updatedUser.email,
                     walletAddress: updatedUser.walletAddress,
+                    walletVerified: Boolean(updatedUser.walletVerifiedAt),
                     isVerified: updatedUser.isVerified
                 }
             };
@@ -345,9 +762,10 @@ class AuthService {
      * @param userId - User ID
      * @param currentPassword - Current password
      * @param newPassword - New password
+     * @param context - Request context (ipAddress, userAgent) for session tracking
      * @returns Password change result
      */
-    async changePassword(userId, currentPassword, newPassword) {
+    async changePassword(userId, currentPassword, newPassword, context = {}) {
         try {
             console.log(`🔑 Changing password for user: ${userId}`);
             const user = await User.findByPk(userId);
@@ -359,25 +777,120 @@ class AuthService {
             if (!isCurrentPasswordValid) {
                 throw new Error('Current password is incorrect');
             }
-            // Hash new password
-            const hashedPassword = await bcrypt.hash(newPassword, this.saltRounds);
-            // Update password
-            await user.update({
-                password: hashedPassword,
-                failedLoginAttempts: 0,
-                lockUntil: null
-            });
+            await passwordPolicyService.assertPasswordAllowed(newPassword, { user });
+            await this.setPassword(user, newPassword);
+            // Revoke every other session; the caller gets a fresh pair
+            await this.revokeAllTokens(user, 'password_change');
+            const tokens = await this.generateTokens(user, null, context);
             console.log(`✅ Password changed successfully for user: ${user.username}`);
             return {
                 success: true,
-                message: 'Password changed successfully'
+                message: 'Password changed successfully',
+                tokens
             };
         }
         catch (error) {
             console.error('❌ Error changing password:', error);
+            if (error instanceof PasswordPolicyError) {
+                throw error;
+            }
             throw new Error(`Failed to change password: ${error instanceof Error ? error.message : String(error)}`);
         }
     }
+    /**
+     * Set a new password for a forced rotation and complete the login
+     * @param challengeToken - Challenge token returned by the login step
+     * @param newPassword - New password
+     * @param context - Request context (ipAddress, userAgent) for session tracking
+     * @returns Authentication result
+     */
+    async completePasswordRotation(challengeToken, newPassword, context = {}) {
+        try {
+            console.log('🔑 Completing required password rotation...');
+            const decoded = jwt.verify(challengeToken, config.jwtSecret);
+            if (decoded.purpose !== 'password_rotation') {
+                throw new Error('Invalid challenge token');
+            }
+            const user = await User.findByPk(decoded.id);
+            if (!user || !user.passwordChangeRequired) {
+                throw new Error('Invalid challenge token');
+            }
+            await passwordPolicyService.assertPasswordAllowed(newPassword, { user });
+            await this.setPassword(user, newPassword);
+            const tokens = await this.generateTokens(user, null, context);
+            console.log(`✅ Password rotated for user: ${user.username}`);
+            return {
+                success: true,
+                user: {
+                    id: user.id,
+                    username: user.username,
+                    email: user.email,
+                    walletAddress: user.walletAddress,
+                    walletVerified: Boolean(user.walletVerifiedAt),
+                    isVerified: user.isVerified
+                },
+                tokens
+            };
+        }
+        catch (error) {
+            console.error('❌ Error completing password rotation:', error);
+            if (error instanceof PasswordPolicyError) {
+                throw error;
+            }
+            throw new Error(`Password rotation failed: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Require a user to choose a new password at next login (admin)
+     * @param actorId - Admin user ID
+     * @param userId - Target user ID
+     * @returns Rotation result
+     */
+    async forcePasswordRotation(actorId, userId) {
+        try {
+            console.log(`🔑 Forcing password rotation for user ${userId} (by ${actorId})`);
+            const user = await User.findByPk(userId);
+            if (!user) {
+                throw new Error('User not found');
+            }
+            await user.update({ passwordChangeRequired: true });
+            // Existing sessions end now; the next login must set a new password
+            await this.revokeAllTokens(user, 'password_rotation');
+            return {
+                success: true,
+                message: 'User must choose a new password at next login',
+                user: {
+                    id: user.id,
+                    username: user.username,
+                    passwordChangeRequired: true
+                }
+            };
+        }
+        catch (error) {
+            console.error('❌ Error forcing password rotation:', error);
+            throw new Error(`Failed to force password rotation: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Hash and store a new password, remembering it in the password history
+     * @param user - User object
+     * @param newPassword - New password (already checked against the policy)
+     * @param extraFields - Additional columns to update with the password
+     */
+    async setPassword(user, newPassword, extraFields = {}) {
+        const hashedPassword = await bcrypt.hash(newPassword, this.saltRounds);
+        await sequelize.transaction(async (transaction) => {
+            await user.update({
+                ...extraFields,
+                password: hashedPassword,
+                passwordChangedAt: new Date(),
+                passwordChangeRequired: false,
+                failedLoginAttempts: 0,
+                lockUntil: null
+            }, { transaction });
+            await passwordPolicyService.recordPassword(user.id, hashedPassword, { transaction });
+        });
+    }
     /**
      * Verify JWT token
      * @param token - JWT token
@@ -386,18 +899,30 @@ class AuthService {
     async verifyToken(token) {
         try {
             const decoded = jwt.verify(token, config.jwtSecret);
+            // Purpose tokens (e.g., 2FA login challenges) are not access tokens
+            if (decoded.purpose) {
+                throw new Error('Invalid token type');
+            }
             const user = await User.findByPk(decoded.id);
             if (!user) {
                 throw new Error('User not found');
             }
+            // Password changes and logout-all bump the version, revoking older access tokens
+            if ((decoded.tokenVersion || 0) !== (user.tokenVersion || 0)) {
+                throw new Error('Token has been revoked');
+            }
+            // Tokens issued before session tracking carry no sid and simply expire
+            if (decoded.sid) {
+                const session = await sessionService.findActiveSession(decoded.sid);
+                if (!session || session.userId !== user.id) {
+                    throw new Error('Session has been revoked');
+                }
+            }
             return {
                 success: true,
                 user: {
-                    id: user.id,
-                    username: user.username,
-                    email: user.email,
-                    walletAddress: user.walletAddress,
-                    isVerified: user.isVerified
+                    ...(await this.buildRequestUser(user)),
+                    sessionId: decoded.sid || null
                 }
             };
         }
@@ -405,28 +930,226 @@ class AuthService {
             throw new Error(`Token verification failed: ${error instanceof Error ? error.message : String(error)}`);
         }
     }
+    /**
+     * Build the user object attached to authenticated requests (req.user)
+     * @param user - User object
+     * @returns Request user
+     */
+    async buildRequestUser(user) {
+        const linkedWallets = await UserWallet.findAll({
+            where: { userId: user.id },
+            attributes: ['address']
+        });
+        const wallets = linkedWallets.map((wallet) => wallet.address);
+        const primaryWallet = this.getVerifiedWalletAddress(user);
+        if (primaryWallet && !wallets.includes(primaryWallet)) {
+            wallets.unshift(primaryWallet);
+        }
+        return {
+            id: user.id,
+            username: user.username,
+            email: user.email,
+            // Only wallets proven with a signature are trusted for on-chain actions
+            walletAddress: primaryWallet,
+            wallets,
+            role: user.role,
+            permissions: getRolePermissions(user.role),
+            isVerified: user.isVerified
+        };
+    }
     /**
      * Generate JWT tokens
      * @param user - User object
+     * @param familyId - Refresh token family to rotate within (new family when omitted)
+     * @param context - Request context (ipAddress, userAgent) for session tracking
      * @returns JWT tokens
      */
-    generateTokens(user) {
+    async generateTokens(user, familyId, context = {}) {
+        // Each refresh token family is one session; rotation keeps it alive
+        const session = familyId
+            ? await sessionService.touchSession(user, familyId, context)
+            : await sessionService.createSession(user, crypto.randomUUID(), context);
         const payload = {
             id: user.id,
             username: user.username,
             email: user.email,
-            walletAddress: user.walletAddress
+            walletAddress: this.getVerifiedWalletAddress(user),
+            role: user.role,
+            permissions: getRolePermissions(user.role),
+            tokenVersion: user.tokenVersion || 0,
+            sid: session.sessionHash
         };
         const accessToken = jwt.sign(payload, config.jwtSecret, {
             expiresIn: this.jwtExpiry
         });
-        const refreshToken = jwt.sign({ id: user.id }, config.jwtSecret, { expiresIn: this.refreshTokenExpiry });
+        const jti = crypto.randomBytes(32).toString('hex');
+        const refreshToken = jwt.sign({
+            id: user.id,
+            jti,
+            tokenVersion: user.tokenVersion || 0
+        }, config.jwtRefreshSecret, { expiresIn: this.refreshTokenExpiry });
+        await RefreshToken.create({
+            userId: user.id,
+            familyId: session.familyId,
+            tokenHash: sha256(jti),
+            expiresAt: new Date(jwt.decode(refreshToken).exp * 1000)
+        });
         return {
             accessToken,
             refreshToken,
             expiresIn: this.jwtExpiry
         };
     }
+    /**
+     * Create the short-lived challenge returned when a second factor is required
+     * @param user - User object
+     * @returns Challenge result
+     */
+    createTwoFactorChallenge(user) {
+        const challengeToken = jwt.sign({ id: user.id, purpose: '2fa_login' }, config.jwtSecret, {
+            expiresIn: this.twoFactorChallengeExpiry
+        });
+        console.log(`🔐 Second factor required for user: ${user.username}`);
+        return {
+            success: true,
+            twoFactorRequired: true,
+            challengeToken,
+            expiresIn: this.twoFactorChallengeExpiry
+        };
+    }
+    /**
+     * Create the challenge returned when the user must choose a new password before signing in
+     * @param user - User object
+     * @returns Challenge result
+     */
+    createPasswordRotationChallenge(user) {
+        const challengeToken = jwt.sign({ id: user.id, purpose: 'password_rotation' }, config.jwtSecret, {
+            expiresIn: this.passwordRotationChallengeExpiry
+        });
+        console.log(`🔑 Password rotation required for user: ${user.username}`);
+        return {
+            success: true,
+            passwordChangeRequired: true,
+            challengeToken,
+            expiresIn: this.passwordRotationChallengeExpiry
+        };
+    }
+    /**
+     * Revoke every refresh token in a family
+     * @param familyId - Refresh token family
+     * @param reason - Revocation reason
+     */
+    async revokeTokenFamily(familyId, reason) {
+        await RefreshToken.update({ revokedAt: new Date(), revokedReason: reason }, { where: { familyId, revokedAt: null } });
+        await sessionService.revokeSessionByFamily(familyId, reason);
+    }
+    /**
+     * Revoke all refresh tokens of a user and invalidate outstanding access tokens
+     * @param user - User object
+     * @param reason - Revocation reason
+     */
+    async revokeAllTokens(user, reason) {
+        await RefreshToken.update({ revokedAt: new Date(), revokedReason: reason }, { where: { userId: user.id, revokedAt: null } });
+        await sessionService.revokeUserSessions(user.id, reason);
+        await user.increment('tokenVersion');
+        await user.reload();
+    }
+    /**
+     * Validate a signed SIWE message and consume its nonce
+     * @param message - Signed SIWE message
+     * @param signature - Wallet signature of the message
+     * @param purpose - Purpose the nonce must have been issued for
+     * @returns Checksummed address that produced the signature
+     */
+    async consumeSiweSignature(message, signature, purpose) {
+        if (!message || !signature) {
+            throw new Error('Message and signature are required');
+        }
+        const fields = parseSiweMessage(message);
+        if (fields.domain !== config.siweDomain) {
+            throw new Error('SIWE message domain mismatch');
+        }
+        if (fields.uri !== config.siweUri) {
+            throw new Error('SIWE message URI mismatch');
+        }
+        if (fields.chainId !== config.siweChainId) {
+            throw new Error('SIWE message chain ID mismatch');
+        }
+        const now = new Date();
+        if (fields.expirationTime && new Date(fields.expirationTime) <= now) {
+            throw new Error('SIWE message has expired');
+        }
+        if (fields.notBefore && new Date(fields.notBefore) > now) {
+            throw new Error('SIWE message is not yet valid');
+        }
+        const walletAddress = this.normalizeWalletAddress(fields.address);
+        const nonceRecord = await WalletNonce.findOne({
+            where: { nonce: fields.nonce, walletAddress, purpose }
+        });
+        if (!nonceRecord || nonceRecord.consumedAt || nonceRecord.expiresAt <= now) {
+            throw new Error('Invalid or expired nonce');
+        }
+        if (nonceRecord.message !== message) {
+            throw new Error('SIWE message does not match the issued message');
+        }
+        let recoveredAddress;
+        try {
+            recoveredAddress = ethers.verifyMessage(message, signature);
+        }
+        catch (error) {
+            throw new Error('Malformed signature');
+        }
+        if (recoveredAddress !== walletAddress) {
+            throw new Error('Signature does not match wallet address');
+        }
+        // Mark the nonce as used; the conditional update guards against concurrent replays
+        const [consumed] = await WalletNonce.update({ consumedAt: now }, { where: { id: nonceRecord.id, consumedAt: null } });
+        if (consumed !== 1) {
+            throw new Error('Invalid or expired nonce');
+        }
+        return walletAddress;
+    }
+    /**
+     * Normalize a wallet address to its checksummed form
+     * @param walletAddress - Wallet address
+     * @returns Checksummed wallet address
+     */
+    normalizeWalletAddress(walletAddress) {
+        if (!walletAddress || typeof walletAddress !== 'string') {
+            throw new Error('Wallet address is required');
+        }
+        try {
+            return ethers.getAddress(walletAddress.toLowerCase());
+        }
+        catch (error) {
+            throw new Error('Invalid wallet address format');
+        }
+    }
+    /**
+     * Queue the email verification message
+     * Failures are logged rather than thrown so sign-up is not blocked; the user can request a resend.
+     * @param user - User object
+     * @param verificationToken - Verification token
+     */
+    async sendVerificationEmail(user, verificationToken) {
+        try {
+            await mailerService.queueEmail('verification', user.email, {
+                username: user.username,
+                verificationUrl: `${config.appUrl}/verify-email?token=${encodeURIComponent(verificationToken)}`
+            });
+        }
+        catch (error) {
+            console.error(`❌ Error queueing verification email for user ${user.username}:`, error);
+        }
+    }
+    /**
+     * Get the wallet address only if its ownership has been proven
+     * @param user - User object
+     * @returns Proven wallet address or null
+     */
+    getVerifiedWalletAddress(user) {
+        return user.walletVerifiedAt ? user.walletAddress : null;
+    }
     /**
      * Generate verification token
      * @returns Verification token
@@ -458,6 +1181,44 @@ class AuthService {
             console.warn(`🚨 Account locked for user: ${user.username} due to too many failed attempts`);
         }
     }
+    /**
+     * Change a user's role
+     * Issued tokens are revoked so the new role is embedded in the next JWT.
+     * @param actorId - ID of the user performing the change
+     * @param userId - ID of the user to update
+     * @param role - New role
+     * @returns Updated user summary
+     */
+    async setUserRole(actorId, userId, role) {
+        try {
+            console.log(`🛡️ Changing role of user ${userId} to ${role} (by ${actorId})`);
+            if (!isValidRole(role)) {
+                throw new Error('Invalid role');
+            }
+            if (Number(actorId) === Number(userId)) {
+                throw new Error('Cannot change your own role');
+            }
+            const user = await User.findByPk(userId);
+            if (!user) {
+                throw new Error('User not found');
+            }
+            await user.update({ role });
+            await this.revokeAllTokens(user, 'role_changed');
+            return {
+                success: true,
+                user: {
+                    id: user.id,
+                    username: user.username,
+                    role: user.role,
+                    permissions: getRolePermissions(user.role)
+                }
+            };
+        }
+        catch (error) {
+            console.error('❌ Error changing user role:', error);
+            throw new Error(`Failed to change user role: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
     /**
      * Get user statistics
      * @returns User statistics
@@ -471,15 +1232,21 @@ class AuthService {
             const lockedUsers = await User.count({
                 where: {
                     lockUntil: {
-                        [require('sequelize').Op.gt]: new Date()
+                        [Op.gt]: new Date()
                     }
                 }
             });
+            const roleCounts = await User.count({ group: ['role'] });
+            const usersByRole = {};
+            for (const { role, count } of roleCounts) {
+                usersByRole[role] = Number(count);
+            }
             return {
                 totalUsers,
                 verifiedUsers,
                 lockedUsers,
-                unverifiedUsers: totalUsers - verifiedUsers
+                unverifiedUsers: totalUsers - verifiedUsers,
+                usersByRole
             };
         }
         catch (error) {
@@ -0,0 +1,69 @@
+/**
+ * Registration Certificate Utility Functions
+ * Canonical certificate content, its platform signature and the printable PDF
+ */
+type CertificatePayload = {
+    version: number;
+    certificateId: string;
+    assetId: number;
+    title: string;
+    ipType: string;
+    owner: {
+        type: 'user' | 'organization';
+        id: number;
+        name: string | null;
+        walletAddress: string | null;
+    };
+    registeredAt: string;
+    blockchainId: string;
+    transactionHash: string | null;
+    ipfsHash: string;
+    contentHash: string | null;
+    status: string;
+    issuedAt: string;
+};
+declare const CERTIFICATE_VERSION = 1;
+/**
+ * Serialize a value as JSON with object keys sorted at every level
+ * @param value - Value to serialize
+ * @returns Canonical JSON string
+ */
+declare const canonicalize: (value: any) => string;
+/**
+ * Hash certificate content
+ * @param payload - Certificate content
+ * @returns SHA-256 of the canonical JSON
+ */
+declare const hashCertificatePayload: (payload: CertificatePayload) => string;
+/**
+ * Sign a certificate hash with the platform key (EIP-191 personal message)
+ * @param certificateHash - SHA-256 of the certificate content
+ * @param privateKey - Platform signing key
+ * @returns Signature and the address that verifies it
+ */
+declare const signCertificateHash: (certificateHash: string, privateKey: string) => Promise<{
+    signature: string;
+    signerAddress: string;
+}>;
+/**
+ * Recover the address that signed a certificate hash
+ * @param certificateHash - SHA-256 of the certificate content
+ * @param signature - Signature from signCertificateHash
+ * @returns Signer address, or null for a malformed signature
+ */
+declare const recoverCertificateSigner: (certificateHash: string, signature: string) => string | null;
+/**
+ * Render a certificate as a PDF
+ * @param certificate - certificateId, payload, certificateHash, signature, signerAddress and verifyUrl
+ * @param appName - Platform name for the heading
+ * @returns PDF bytes
+ */
+declare const renderCertificatePdf: (certificate: {
+    certificateId: string;
+    payload: CertificatePayload;
+    certificateHash: string;
+    signature: string;
+    signerAddress: string;
+    verifyUrl: string;
+}, appName?: string) => Promise<Buffer>;
+//# sourceMappingURL=certificate.d.ts.map
\ No newline at end of file
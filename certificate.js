@@ -0,0 +1,134 @@
+"use strict";
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const { ethers } = require('ethers');
+const { sha256 } = require('./hash');
+/**
+ * Registration Certificate Utility Functions
+ * Canonical certificate content, its platform signature and the printable PDF
+ */
+const CERTIFICATE_VERSION = 1;
+/**
+ * Serialize a value as JSON with object keys sorted at every level
+ * @param value - Value to serialize
+ * @returns Canonical JSON string
+ */
+const canonicalize = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map((item) => canonicalize(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+};
+/**
+ * Hash certificate content
+ * @param payload - Certificate content
+ * @returns SHA-256 of the canonical JSON
+ */
+const hashCertificatePayload = (payload) => {
+    return sha256(canonicalize(payload));
+};
+/**
+ * Sign a certificate hash with the platform key (EIP-191 personal message)
+ * @param certificateHash - SHA-256 of the certificate content
+ * @param privateKey - Platform signing key
+ * @returns Signature and the address that verifies it
+ */
+const signCertificateHash = async (certificateHash, privateKey) => {
+    const signer = new ethers.Wallet(privateKey);
+    return {
+        signature: await signer.signMessage(certificateHash),
+        signerAddress: signer.address
+    };
+};
+/**
+ * Recover the address that signed a certificate hash
+ * @param certificateHash - SHA-256 of the certificate content
+ * @param signature - Signature from signCertificateHash
+ * @returns Signer address, or null for a malformed signature
+ */
+const recoverCertificateSigner = (certificateHash, signature) => {
+    try {
+        return ethers.verifyMessage(certificateHash, signature);
+    }
+    catch (error) {
+        return null;
+    }
+};
+/**
+ * Render a certificate as a PDF
+ * @param certificate - certificateId, payload, certificateHash, signature, signerAddress and verifyUrl
+ * @param appName - Platform name for the heading
+ * @returns PDF bytes
+ */
+const renderCertificatePdf = async (certificate, appName = 'IP Registry') => {
+    const { payload } = certificate;
+    const qrCode = await QRCode.toBuffer(certificate.verifyUrl, { type: 'png', margin: 1, width: 160 });
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        info: {
+            Title: `Certificate of Registration: ${payload.title}`,
+            Author: appName,
+            Subject: `IP asset #${payload.assetId}`,
+            Keywords: `certificate:${certificate.certificateId} sha256:${certificate.certificateHash}`
+        }
+    });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+    doc.font('Helvetica-Bold').fontSize(22).text('Certificate of Registration', { align: 'center' });
+    doc.moveDown(0.3);
+    doc.font('Helvetica').fontSize(11).fillColor('#555555').text(appName, { align: 'center' });
+    doc.moveDown(1.5);
+    doc.fillColor('#000000').font('Helvetica').fontSize(11)
+        .text('This certifies that the intellectual property described below was registered on the blockchain and its content fingerprint recorded as follows.');
+    doc.moveDown(1);
+    const fields = [
+        ['Title', payload.title],
+        ['IP type', payload.ipType],
+        ['Owner', payload.owner.name],
+        ['Owner wallet', payload.owner.walletAddress],
+        ['Registered at', payload.registeredAt],
+        ['Blockchain ID', payload.blockchainId],
+        ['Transaction hash', payload.transactionHash],
+        ['IPFS CID', payload.ipfsHash],
+        ['Content SHA-256', payload.contentHash],
+        ['Status at issue', payload.status],
+        ['Issued at', payload.issuedAt]
+    ];
+    for (const [label, value] of fields) {
+        doc.font('Helvetica-Bold').fontSize(10).text(label, { continued: true }).font('Helvetica').text(`:  ${value ?? 'n/a'}`);
+        doc.moveDown(0.3);
+    }
+    doc.moveDown(1);
+    const qrTop = doc.y;
+    doc.image(qrCode, doc.page.margins.left, qrTop, { width: 120 });
+    doc.font('Helvetica-Bold').fontSize(10).text('Verify this certificate', doc.page.margins.left + 140, qrTop);
+    doc.font('Helvetica').fontSize(9).text(certificate.verifyUrl, { link: certificate.verifyUrl, underline: true });
+    doc.moveDown(0.5);
+    doc.text(`Certificate ID: ${certificate.certificateId}`);
+    doc.text(`Certificate hash (SHA-256): ${certificate.certificateHash}`);
+    doc.text(`Platform signer: ${certificate.signerAddress}`);
+    doc.text(`Signature: ${certificate.signature}`);
+    doc.moveDown(0.5);
+    doc.fillColor('#555555').fontSize(8)
+        .text('The certificate hash is the SHA-256 of the certificate content; the signature is an Ethereum personal-message signature of that hash by the platform signer.');
+    doc.end();
+    return finished;
+};
+// Export all functions
+module.exports = {
+    CERTIFICATE_VERSION,
+    canonicalize,
+    hashCertificatePayload,
+    signCertificateHash,
+    recoverCertificateSigner,
+    renderCertificatePdf
+};
+//# sourceMappingURL=certificate.js.map
\ No newline at end of file
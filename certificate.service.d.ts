@@ -0,0 +1,82 @@
+declare const crypto: any;
+declare const ethers: any;
+declare const IPAsset: any;
+declare const IPAssetCertificate: any;
+declare const User: any;
+declare const Organization: any;
+declare const AssetStateError: any;
+declare const CERTIFICATE_VERSION: any, hashCertificatePayload: any, signCertificateHash: any, recoverCertificateSigner: any, renderCertificatePdf: any;
+declare const ipAssetService: any;
+declare const auditService: any;
+declare const config: any;
+/**
+ * Certificate Service
+ * Issues signed registration certificates for IP assets and verifies them later
+ */
+declare class CertificateService {
+    private readonly uncertifiableStates;
+    private readonly currentFields;
+    constructor();
+    /**
+     * Get the registration certificate of an asset
+     * The latest certificate is returned again while it still describes the asset and is signed with the
+     * current key; a new one is issued only when there is none, it is stale, or a reissue is asked for.
+     * @param asset - Registered IP asset
+     * @param issuedBy - User requesting the certificate
+     * @param options - reissue to always issue a new certificate
+     * @returns Certificate record, the rendered PDF and whether it was newly issued
+     */
+    getCertificate(asset: any, issuedBy: number, options?: {
+        reissue?: boolean;
+    }): Promise<{
+        certificate: any;
+        pdf: Buffer;
+        issued: boolean;
+    }>;
+    /**
+     * Check whether a certificate still describes an asset
+     * @param certificate - Certificate record
+     * @param asset - IP asset
+     * @returns True when the owner, on-chain record and content are unchanged and the signer is the current key
+     */
+    private isCurrent;
+    /**
+     * Issue a signed registration certificate
+     * @param asset - Registered IP asset
+     * @param issuedBy - User requesting the certificate
+     * @returns Certificate record and the rendered PDF
+     */
+    issueCertificate(asset: any, issuedBy: number): Promise<{
+        certificate: any;
+        pdf: Buffer;
+    }>;
+    /**
+     * Verify a certificate by its ID
+     * Checks that the stored content still hashes to the certified hash, that the signature recovers
+     * to the signer, and that the signer is the platform's current signing key; also reports whether
+     * the asset has changed hands or content since the certificate was issued.
+     * @param certificateId - Certificate ID from the PDF or its QR code
+     * @returns Verification result with the certified content
+     */
+    verifyCertificate(certificateId: string): Promise<any>;
+    /**
+     * Render the PDF of a stored certificate
+     * @param certificate - Certificate record
+     * @returns PDF
+     */
+    private renderPdf;
+    /**
+     * Build the content a certificate certifies
+     * @param asset - IP asset
+     * @returns Certificate payload
+     */
+    private buildPayload;
+    /**
+     * Get the public verification URL of a certificate
+     * @param certificateId - Certificate ID
+     * @returns URL encoded in the QR code
+     */
+    getVerifyUrl(certificateId: string): string;
+}
+declare const certificateService: CertificateService;
+//# sourceMappingURL=certificate.service.d.ts.map
\ No newline at end of file
@@ -0,0 +1,228 @@
+"use strict";
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { IPAsset } = require('../db/models/ipAsset.model');
+const { IPAssetCertificate } = require('../db/models/ipAssetCertificate.model');
+const { User } = require('../db/models/user.model');
+const { Organization } = require('../db/models/organization.model');
+const { AssetStateError } = require('../utils/assetLifecycle');
+const { CERTIFICATE_VERSION, hashCertificatePayload, signCertificateHash, recoverCertificateSigner, renderCertificatePdf } = require('../utils/certificate');
+const { ipAssetService } = require('./ipAsset.service');
+const { auditService } = require('./audit.service');
+const config = require('../config');
+/**
+ * Certificate Service
+ * Issues signed registration certificates for IP assets and verifies them later
+ */
+class CertificateService {
+    constructor() {
+        this.uncertifiableStates = ['draft', 'pending_chain'];
+        // Payload fields that must still match the asset for a certificate to be reused
+        this.currentFields = ['title', 'ipType', 'blockchainId', 'transactionHash', 'ipfsHash', 'contentHash', 'status'];
+    }
+    /**
+     * Get the registration certificate of an asset
+     * The latest certificate is returned again while it still describes the asset and is signed with the
+     * current key; a new one is issued only when there is none, it is stale, or a reissue is asked for.
+     * @param asset - Registered IP asset
+     * @param issuedBy - User requesting the certificate
+     * @param options - reissue to always issue a new certificate
+     * @returns Certificate record, the rendered PDF and whether it was newly issued
+     */
+    async getCertificate(asset, issuedBy, options = {}) {
+        const { reissue = false } = options;
+        if (!reissue) {
+            try {
+                const latest = await IPAssetCertificate.findOne({
+                    where: { assetId: asset.id },
+                    order: [['id', 'DESC']]
+                });
+                if (latest && this.isCurrent(latest, asset)) {
+                    return { certificate: latest, pdf: await this.renderPdf(latest), issued: false };
+                }
+            }
+            catch (error) {
+                console.error('❌ Error getting certificate:', error);
+                throw new Error(`Failed to get certificate: ${error instanceof Error ? error.message : String(error)}`);
+            }
+        }
+        return { ...(await this.issueCertificate(asset, issuedBy)), issued: true };
+    }
+    /**
+     * Check whether a certificate still describes an asset
+     * @param certificate - Certificate record
+     * @param asset - IP asset
+     * @returns True when the owner, on-chain record and content are unchanged and the signer is the current key
+     */
+    isCurrent(certificate, asset) {
+        const { payload } = certificate;
+        if (this.uncertifiableStates.includes(asset.status) || payload.version !== CERTIFICATE_VERSION) {
+            return false;
+        }
+        if (!config.certificateSigningKey || new ethers.Wallet(config.certificateSigningKey).address !== certificate.signerAddress) {
+            return false;
+        }
+        if (payload.owner.type !== asset.ownerType || payload.owner.id !== asset.owner || payload.owner.walletAddress !== asset.walletAddress) {
+            return false;
+        }
+        return this.currentFields.every((field) => {
+            const value = asset[field] === undefined || asset[field] === null ? null : asset[field];
+            return payload[field] === (field === 'blockchainId' && value !== null ? String(value) : value);
+        });
+    }
+    /**
+     * Issue a signed registration certificate
+     * @param asset - Registered IP asset
+     * @param issuedBy - User requesting the certificate
+     * @returns Certificate record and the rendered PDF
+     */
+    async issueCertificate(asset, issuedBy) {
+        try {
+            if (this.uncertifiableStates.includes(asset.status) || !asset.blockchainId) {
+                throw new AssetStateError(`Cannot certify an IP asset that is ${asset.status.replace('_', ' ')}`, asset.status);
+            }
+            if (!config.certificateSigningKey) {
+                throw new Error('Certificate signing key is not configured');
+            }
+            const payload = await this.buildPayload(asset);
+            const certificateHash = hashCertificatePayload(payload);
+            const { signature, signerAddress } = await signCertificateHash(certificateHash, config.certificateSigningKey);
+            const certificate = await IPAssetCertificate.create({
+                certificateId: payload.certificateId,
+                assetId: asset.id,
+                payload,
+                certificateHash,
+                signature,
+                signerAddress,
+                issuedBy
+            });
+            await auditService.record({
+                actorId: issuedBy,
+                action: 'ip_asset.certificate_issued',
+                entityType: 'ip_asset',
+                entityId: asset.id,
+                organizationId: asset.ownerType === 'organization' ? asset.owner : null,
+                metadata: { certificateId: certificate.certificateId, certificateHash }
+            });
+            const pdf = await this.renderPdf(certificate);
+            console.log(`📜 Certificate ${certificate.certificateId} issued for IP asset ${asset.id}`);
+            return { certificate, pdf };
+        }
+        catch (error) {
+            console.error('❌ Error issuing certificate:', error);
+            if (error instanceof AssetStateError) {
+                throw error;
+            }
+            throw new Error(`Failed to issue certificate: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Verify a certificate by its ID
+     * Checks that the stored content still hashes to the certified hash, that the signature recovers
+     * to the signer, and that the signer is the platform's current signing key; also reports whether
+     * the asset has changed hands or content since the certificate was issued.
+     * @param certificateId - Certificate ID from the PDF or its QR code
+     * @returns Verification result with the certified content
+     */
+    async verifyCertificate(certificateId) {
+        try {
+            const certificate = await IPAssetCertificate.findOne({ where: { certificateId } });
+            if (!certificate) {
+                throw new Error('Certificate not found');
+            }
+            const hashMatches = hashCertificatePayload(certificate.payload) === certificate.certificateHash;
+            const recoveredSigner = recoverCertificateSigner(certificate.certificateHash, certificate.signature);
+            const signatureValid = Boolean(recoveredSigner) && recoveredSigner === certificate.signerAddress;
+            const signerTrusted = Boolean(config.certificateSigningKey)
+                && new ethers.Wallet(config.certificateSigningKey).address === certificate.signerAddress;
+            const asset = await IPAsset.findByPk(certificate.assetId);
+            const { payload } = certificate;
+            return {
+                success: true,
+                valid: hashMatches && signatureValid && signerTrusted,
+                checks: { hashMatches, signatureValid, signerTrusted },
+                certificate: {
+                    certificateId: certificate.certificateId,
+                    certificateHash: certificate.certificateHash,
+                    signature: certificate.signature,
+                    signerAddress: certificate.signerAddress,
+                    payload
+                },
+                currentState: asset ? {
+                    status: asset.status,
+                    ownerChanged: asset.owner !== payload.owner.id || asset.ownerType !== payload.owner.type,
+                    contentChanged: (asset.contentHash || null) !== payload.contentHash || asset.ipfsHash !== payload.ipfsHash
+                } : null
+            };
+        }
+        catch (error) {
+            console.error('❌ Error verifying certificate:', error);
+            throw new Error(`Failed to verify certificate: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Render the PDF of a stored certificate
+     * @param certificate - Certificate record
+     * @returns PDF
+     */
+    async renderPdf(certificate) {
+        return renderCertificatePdf({
+            certificateId: certificate.certificateId,
+            payload: certificate.payload,
+            certificateHash: certificate.certificateHash,
+            signature: certificate.signature,
+            signerAddress: certificate.signerAddress,
+            verifyUrl: this.getVerifyUrl(certificate.certificateId)
+        }, config.emailFromName);
+    }
+    /**
+     * Build the content a certificate certifies
+     * @param asset - IP asset
+     * @returns Certificate payload
+     */
+    async buildPayload(asset) {
+        const [registeredAt, ownerRecord] = await Promise.all([
+            ipAssetService.getRegistrationTime(asset),
+            asset.ownerType === 'organization'
+                ? Organization.findByPk(asset.owner, { attributes: ['id', 'name'] })
+                : User.findByPk(asset.owner, { attributes: ['id', 'username'] })
+        ]);
+        return {
+            version: CERTIFICATE_VERSION,
+            certificateId: crypto.randomUUID(),
+            assetId: asset.id,
+            title: asset.title,
+            ipType: asset.ipType,
+            owner: {
+                type: asset.ownerType,
+                id: asset.owner,
+                name: ownerRecord ? (ownerRecord.name || ownerRecord.username) : null,
+                walletAddress: asset.walletAddress
+            },
+            registeredAt: registeredAt.toISOString(),
+            blockchainId: String(asset.blockchainId),
+            transactionHash: asset.transactionHash || null,
+            ipfsHash: asset.ipfsHash,
+            contentHash: asset.contentHash || null,
+            status: asset.status,
+            issuedAt: new Date().toISOString()
+        };
+    }
+    /**
+     * Get the public verification URL of a certificate
+     * @param certificateId - Certificate ID
+     * @returns URL encoded in the QR code
+     */
+    getVerifyUrl(certificateId) {
+        const base = config.certificateVerifyUrl || `${config.appUrl}/api/public/certificates`;
+        return `${base.replace(/\/+$/, '')}/${certificateId}`;
+    }
+}
+// Create singleton instance
+const certificateService = new CertificateService();
+// Export the service instance and class
+module.exports = {
+    certificateService,
+    CertificateService
+};
+//# sourceMappingURL=certificate.service.js.map
\ No newline at end of file
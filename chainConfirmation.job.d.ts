@@ -0,0 +1,33 @@
+declare const ipAssetService: any;
+declare const MIN_PENDING_MS: number;
+/**
+ * Chain Confirmation Job
+ * Periodically settles assets left in pending_chain: registers those whose transaction was confirmed
+ * and returns those whose transaction failed or never reached the chain to draft.
+ */
+declare class ChainConfirmationJob {
+    private isRunning;
+    private intervalId;
+    /**
+     * Start the chain confirmation job with specified interval
+     * @param intervalMs - Interval in milliseconds (default: 5 minutes)
+     */
+    start(intervalMs?: number): void;
+    /**
+     * Stop the chain confirmation job
+     */
+    stop(): void;
+    /**
+     * Run the chain confirmation job once
+     */
+    runChainConfirmationJob(): Promise<void>;
+    /**
+     * Get chain confirmation job status
+     */
+    getStatus(): {
+        isRunning: boolean;
+        intervalId: string;
+    };
+}
+declare const chainConfirmationJob: ChainConfirmationJob;
+//# sourceMappingURL=chainConfirmation.job.d.ts.map
\ No newline at end of file
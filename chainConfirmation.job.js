@@ -0,0 +1,93 @@
+"use strict";
+const { ipAssetService } = require('../services/ipAsset.service');
+// Assets pending for less than this are left to the request that submitted them
+const MIN_PENDING_MS = 10 * 60 * 1000;
+/**
+ * Chain Confirmation Job
+ * Periodically settles assets left in pending_chain: registers those whose transaction was confirmed
+ * and returns those whose transaction failed or never reached the chain to draft.
+ */
+class ChainConfirmationJob {
+    constructor() {
+        this.isRunning = false;
+        this.intervalId = null;
+    }
+    /**
+     * Start the chain confirmation job with specified interval
+     * @param intervalMs - Interval in milliseconds (default: 5 minutes)
+     */
+    start(intervalMs = 5 * 60 * 1000) {
+        if (this.isRunning) {
+            console.log('⚠️ Chain confirmation job is already running');
+            return;
+        }
+        console.log(`🚀 Starting chain confirmation job (interval: ${intervalMs / 1000}s)`);
+        this.isRunning = true;
+        // Run immediately on start
+        this.runChainConfirmationJob();
+        // Schedule recurring runs
+        this.intervalId = setInterval(() => {
+            this.runChainConfirmationJob();
+        }, intervalMs);
+    }
+    /**
+     * Stop the chain confirmation job
+     */
+    stop() {
+        if (!this.isRunning) {
+            console.log('⚠️ Chain confirmation job is not running');
+            return;
+        }
+        console.log('🛑 Stopping chain confirmation job');
+        this.isRunning = false;
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+    }
+    /**
+     * Run the chain confirmation job once
+     */
+    async runChainConfirmationJob() {
+        try {
+            const { registered, draft, pending } = await ipAssetService.confirmPendingRegistrations(MIN_PENDING_MS);
+            console.log(`⛓️ Chain confirmation job: ${registered} assets registered, ${draft} returned to draft, ${pending} still pending`);
+        }
+        catch (error) {
+            console.error('❌ Error in chain confirmation job:', error);
+        }
+    }
+    /**
+     * Get chain confirmation job status
+     */
+    getStatus() {
+        return {
+            isRunning: this.isRunning,
+            intervalId: this.intervalId ? 'active' : 'inactive'
+        };
+    }
+}
+// Create singleton instance
+const chainConfirmationJob = new ChainConfirmationJob();
+// Export the job instance and class
+module.exports = {
+    chainConfirmationJob,
+    ChainConfirmationJob
+};
+// Auto-start the job if this file is run directly
+if (require.main === module) {
+    console.log('🚀 Starting chain confirmation job...');
+    chainConfirmationJob.start();
+    // Graceful shutdown
+    process.on('SIGINT', () => {
+        console.log('\n🛑 Received SIGINT, stopping chain confirmation job...');
+        chainConfirmationJob.stop();
+        process.exit(0);
+    });
+    process.on('SIGTERM', () => {
+        console.log('\n🛑 Received SIGTERM, stopping chain confirmation job...');
+        chainConfirmationJob.stop();
+        process.exit(0);
+    });
+}
+//# sourceMappingURL=chainConfirmation.job.js.map
\ No newline at end of file
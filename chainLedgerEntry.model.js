@@ -0,0 +1,58 @@
+"use strict";
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+// Simulated on-chain state until the contract is deployed: an append-only log of register, transfer
+// and update transactions per blockchain ID, replayed by Web3Service
+class ChainLedgerEntry extends Model {
+}
+ChainLedgerEntry.init({
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+    },
+    blockchainId: {
+        type: DataTypes.STRING(66),
+        allowNull: false,
+    },
+    event: {
+        type: DataTypes.ENUM('register', 'transfer', 'update'),
+        allowNull: false,
+    },
+    owner: {
+        type: DataTypes.STRING(42),
+        allowNull: true,
+        comment: 'Owner wallet after a register or transfer event (null for updates)',
+    },
+    title: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+    },
+    ipType: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+    },
+    description: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+    },
+    ipfsHash: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+    },
+    transactionHash: {
+        type: DataTypes.STRING(66),
+        allowNull: false,
+    },
+}, {
+    sequelize,
+    modelName: 'ChainLedgerEntry',
+    tableName: 'chain_ledger_entries',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+        { fields: ['blockchainId', 'id'] },
+    ],
+});
+module.exports = { ChainLedgerEntry };
+//# sourceMappingURL=chainLedgerEntry.model.js.map
\ No newline at end of file
@@ -0,0 +1,71 @@
+/**
+ * Co-ownership Utility Functions
+ * Share validation, approval rules and apportionment of proceeds between co-owners.
+ * Shares are kept in basis points (1/100 of a percent) so they always sum to exactly 10000.
+ */
+type ApprovalRule = 'unanimous' | 'majority';
+type ApprovalDecision = 'approved' | 'rejected' | 'pending';
+type CoOwnerShare = {
+    userId: number;
+    shareBasisPoints: number;
+    walletAddress: string | null;
+};
+declare const TOTAL_SHARE_BASIS_POINTS = 10000;
+declare const APPROVAL_RULES: {
+    transfer: ApprovalRule;
+    abandon: ApprovalRule;
+    co_owners: ApprovalRule;
+    update: ApprovalRule;
+};
+/**
+ * Error raised when co-owner shares or approvals are invalid
+ */
+declare class CoOwnershipError extends Error {
+    readonly statusCode: number;
+    constructor(message: string, statusCode?: number);
+}
+/**
+ * Convert a percentage share into basis points
+ * @param sharePercent - Share in percent, at most two decimals (e.g. 33.33)
+ * @returns Basis points
+ */
+declare const toBasisPoints: (sharePercent: number | string) => number;
+/**
+ * Validate a set of co-owner shares
+ * @param coOwners - Co-owners with userId and sharePercent
+ * @returns Co-owners with shareBasisPoints
+ */
+declare const validateShares: (coOwners: Array<{
+    userId: number | string;
+    sharePercent: number | string;
+    walletAddress?: string;
+}>) => CoOwnerShare[];
+/**
+ * Decide the outcome of an approval request from the votes cast so far
+ * Unanimous: every co-owner must approve and any rejection fails the request.
+ * Majority: approvals must hold more than half of the shares; rejections holding half or more fail it.
+ * @param rule - 'unanimous' or 'majority'
+ * @param coOwners - Co-owners with userId and shareBasisPoints
+ * @param votes - Votes with userId and decision ('approve' or 'reject')
+ * @returns 'approved', 'rejected' or 'pending'
+ */
+declare const evaluateApproval: (rule: ApprovalRule, coOwners: Array<{
+    userId: number;
+    shareBasisPoints: number;
+}>, votes: Array<{
+    userId: number;
+    decision: 'approve' | 'reject';
+}>) => ApprovalDecision;
+/**
+ * Split an amount between co-owners by share
+ * Uses the largest-remainder method so the parts always add up to the amount.
+ * @param amount - Amount in the smallest unit (wei), as a bigint or integer string
+ * @param coOwners - Co-owners with shareBasisPoints (other fields are passed through)
+ * @returns Co-owners with their amount as an integer string
+ */
+declare const apportionAmount: <T extends {
+    shareBasisPoints: number;
+}>(amount: bigint | string, coOwners: T[]) => Array<T & {
+    amount: string;
+}>;
+//# sourceMappingURL=coOwnership.d.ts.map
\ No newline at end of file
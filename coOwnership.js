@@ -0,0 +1,129 @@
+"use strict";
+/**
+ * Co-ownership Utility Functions
+ * Share validation, approval rules and apportionment of proceeds between co-owners.
+ * Shares are kept in basis points (1/100 of a percent) so they always sum to exactly 10000.
+ */
+const TOTAL_SHARE_BASIS_POINTS = 10000;
+// Approval needed from co-owners before an action runs on a co-owned asset
+const APPROVAL_RULES = {
+    transfer: 'unanimous',
+    abandon: 'unanimous',
+    co_owners: 'unanimous',
+    update: 'majority'
+};
+/**
+ * Error raised when co-owner shares or approvals are invalid
+ */
+class CoOwnershipError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'CoOwnershipError';
+        this.statusCode = statusCode;
+    }
+}
+/**
+ * Convert a percentage share into basis points
+ * @param sharePercent - Share in percent, at most two decimals (e.g. 33.33)
+ * @returns Basis points
+ */
+const toBasisPoints = (sharePercent) => {
+    const value = Number(sharePercent);
+    const basisPoints = Math.round(value * 100);
+    if (!Number.isFinite(value) || Math.abs(value * 100 - basisPoints) > 1e-6) {
+        throw new CoOwnershipError('Shares must be numbers with at most two decimals');
+    }
+    return basisPoints;
+};
+/**
+ * Validate a set of co-owner shares
+ * @param coOwners - Co-owners with userId and sharePercent
+ * @returns Co-owners with shareBasisPoints
+ */
+const validateShares = (coOwners) => {
+    if (!Array.isArray(coOwners) || coOwners.length < 2) {
+        throw new CoOwnershipError('At least two co-owners are required');
+    }
+    const seen = new Set();
+    const normalized = coOwners.map((coOwner) => {
+        const userId = Number(coOwner?.userId);
+        if (!Number.isInteger(userId) || userId <= 0) {
+            throw new CoOwnershipError('Each co-owner needs a valid userId');
+        }
+        if (seen.has(userId)) {
+            throw new CoOwnershipError(`User ${userId} is listed more than once`);
+        }
+        seen.add(userId);
+        const shareBasisPoints = toBasisPoints(coOwner.sharePercent);
+        if (shareBasisPoints <= 0) {
+            throw new CoOwnershipError('Each share must be greater than 0');
+        }
+        return { userId, shareBasisPoints, walletAddress: coOwner.walletAddress || null };
+    });
+    const total = normalized.reduce((sum, coOwner) => sum + coOwner.shareBasisPoints, 0);
+    if (total !== TOTAL_SHARE_BASIS_POINTS) {
+        throw new CoOwnershipError(`Shares must sum to 100 (got ${total / 100})`);
+    }
+    return normalized;
+};
+/**
+ * Decide the outcome of an approval request from the votes cast so far
+ * Unanimous: every co-owner must approve and any rejection fails the request.
+ * Majority: approvals must hold more than half of the shares; rejections holding half or more fail it.
+ * @param rule - 'unanimous' or 'majority'
+ * @param coOwners - Co-owners with userId and shareBasisPoints
+ * @param votes - Votes with userId and decision ('approve' or 'reject')
+ * @returns 'approved', 'rejected' or 'pending'
+ */
+const evaluateApproval = (rule, coOwners, votes) => {
+    const decisions = new Map(votes.map((vote) => [vote.userId, vote.decision]));
+    const weight = (decision) => coOwners
+        .filter((coOwner) => decisions.get(coOwner.userId) === decision)
+        .reduce((sum, coOwner) => sum + coOwner.shareBasisPoints, 0);
+    if (rule === 'unanimous') {
+        if (coOwners.some((coOwner) => decisions.get(coOwner.userId) === 'reject')) {
+            return 'rejected';
+        }
+        return coOwners.every((coOwner) => decisions.get(coOwner.userId) === 'approve') ? 'approved' : 'pending';
+    }
+    if (weight('approve') * 2 > TOTAL_SHARE_BASIS_POINTS) {
+        return 'approved';
+    }
+    return weight('reject') * 2 >= TOTAL_SHARE_BASIS_POINTS ? 'rejected' : 'pending';
+};
+/**
+ * Split an amount between co-owners by share
+ * Uses the largest-remainder method so the parts always add up to the amount.
+ * @param amount - Amount in the smallest unit (wei), as a bigint or integer string
+ * @param coOwners - Co-owners with shareBasisPoints (other fields are passed through)
+ * @returns Co-owners with their amount as an integer string
+ */
+const apportionAmount = (amount, coOwners) => {
+    const total = BigInt(amount);
+    const total10k = BigInt(TOTAL_SHARE_BASIS_POINTS);
+    const parts = coOwners.map((coOwner, index) => {
+        const exact = total * BigInt(coOwner.shareBasisPoints);
+        return { index, amount: exact / total10k, remainder: exact % total10k };
+    });
+    let leftover = total - parts.reduce((sum, part) => sum + part.amount, 0n);
+    const byRemainder = [...parts].sort((a, b) => (b.remainder > a.remainder ? 1 : b.remainder < a.remainder ? -1 : a.index - b.index));
+    for (const part of byRemainder) {
+        if (leftover === 0n) {
+            break;
+        }
+        part.amount += 1n;
+        leftover -= 1n;
+    }
+    return coOwners.map((coOwner, index) => ({ ...coOwner, amount: parts[index].amount.toString() }));
+};
+// Export all functions
+module.exports = {
+    TOTAL_SHARE_BASIS_POINTS,
+    APPROVAL_RULES,
+    CoOwnershipError,
+    toBasisPoints,
+    validateShares,
+    evaluateApproval,
+    apportionAmount
+};
+//# sourceMappingURL=coOwnership.js.map
\ No newline at end of file
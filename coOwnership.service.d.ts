@@ -0,0 +1,180 @@
+declare const Op: any;
+declare const ethers: any;
+declare const IPAsset: any;
+declare const IPAssetCoOwner: any;
+declare const IPAssetApproval: any;
+declare const IPAssetApprovalVote: any;
+declare const IPAssetPayout: any;
+declare const User: any;
+declare const UserWallet: any;
+declare const APPROVAL_RULES: any, TOTAL_SHARE_BASIS_POINTS: any, CoOwnershipError: any, validateShares: any, evaluateApproval: any, apportionAmount: any;
+declare const assertOperationAllowed: any, AssetStateError: any;
+declare const ipAssetService: any;
+declare const transferOfferService: any;
+declare const organizationService: any;
+declare const auditService: any;
+declare const sequelize: any;
+declare const config: any;
+/**
+ * Co-ownership Service
+ * Co-owner shares, approval requests for actions on co-owned assets and apportionment of proceeds
+ */
+declare class CoOwnershipService {
+    /**
+     * Get the co-owners of an asset, largest share first
+     * @param assetId - Asset ID
+     * @returns Co-owner records (empty when the asset has a single owner)
+     */
+    getCoOwners(assetId: number): Promise<any[]>;
+    /**
+     * Check whether an asset has co-owners
+     * @param assetId - Asset ID
+     * @returns True if the asset is co-owned
+     */
+    isCoOwned(assetId: number): Promise<boolean>;
+    /**
+     * List the co-owners of an asset with their shares
+     * @param assetId - Asset ID
+     * @returns Co-owners and the approval rule of each action
+     */
+    listCoOwners(assetId: number): Promise<any>;
+    /**
+     * Set the co-owners of an asset
+     * The owner of a single-owner asset sets them directly; once an asset is co-owned,
+     * changing the shares needs the approval of every co-owner.
+     * @param user - Request user
+     * @param assetId - Asset ID
+     * @param coOwners - Co-owners with userId, sharePercent and an optional payout walletAddress
+     * @returns Applied co-owners, or the approval request created
+     */
+    setCoOwners(user: any, assetId: number, coOwners: Array<{
+        userId: number;
+        sharePercent: number;
+        walletAddress?: string;
+    }>): Promise<any>;
+    /**
+     * Open an approval request for an action on a co-owned asset
+     * The requester's approval is recorded straight away, so a request that needs no other
+     * votes (e.g. a majority holder updating metadata) runs immediately.
+     * @param user - Request user (must be a co-owner)
+     * @param asset - Co-owned asset
+     * @param action - transfer, update, abandon or co_owners
+     * @param payload - Parameters the action runs with
+     * @returns Approval request, and the action outcome if it ran
+     */
+    requestApproval(user: any, asset: any, action: 'transfer' | 'update' | 'abandon' | 'co_owners', payload: any): Promise<any>;
+    /**
+     * Cast a co-owner's vote on an approval request
+     * @param user - Request user (must be a co-owner)
+     * @param assetId - Asset ID
+     * @param approvalId - Approval request ID
+     * @param decision - 'approve' or 'reject'
+     * @param comment - Optional comment
+     * @returns Approval request, and the action outcome if it ran
+     */
+    vote(user: any, assetId: number, approvalId: number, decision: 'approve' | 'reject', comment?: string): Promise<any>;
+    /**
+     * Cancel a pending approval request (requester only)
+     * @param user - Request user
+     * @param assetId - Asset ID
+     * @param approvalId - Approval request ID
+     * @returns Cancelled request
+     */
+    cancelApproval(user: any, assetId: number, approvalId: number): Promise<any>;
+    /**
+     * List the approval requests of an asset, newest first
+     * @param assetId - Asset ID
+     * @param status - Optional status filter
+     * @returns Approval requests with their votes
+     */
+    listApprovals(assetId: number, status?: string): Promise<any>;
+    /**
+     * Split proceeds received for an asset between its owners by share and record each part
+     * Recording is idempotent per source and reference.
+     * @param assetId - Asset ID
+     * @param grossAmount - Amount received, in wei
+     * @param options - source ('marketplace_sale' or 'license_royalty') and reference (e.g. transaction hash)
+     * @returns Recorded payouts
+     */
+    apportionProceeds(assetId: number, grossAmount: string, options: {
+        source: 'marketplace_sale' | 'license_royalty';
+        reference: string;
+    }): Promise<any[]>;
+    /**
+     * Record a license royalty received for an asset and apportion it by share
+     * @param user - Request user (an owner of the asset)
+     * @param assetId - Asset ID
+     * @param amount - Amount in ETH
+     * @param reference - Payment reference (e.g. transaction hash or invoice number)
+     * @returns Recorded payouts
+     */
+    recordRoyalty(user: any, assetId: number, amount: string | number, reference: string): Promise<any>;
+    /**
+     * List the recorded payouts of an asset, newest first
+     * @param assetId - Asset ID
+     * @returns Payouts
+     */
+    listPayouts(assetId: number): Promise<any>;
+    /**
+     * Check whether a user may act for the owners of an asset (a co-owner, or the owner of a single-owner asset)
+     * @param user - Request user
+     * @param asset - IP asset
+     * @param permission - Organization permission needed for single-owner organization assets
+     * @returns True if the user is an owner
+     */
+    canActAsOwner(user: any, asset: any, permission?: string): Promise<boolean>;
+    /**
+     * Replace the co-owners of an asset
+     * @param asset - IP asset
+     * @param coOwners - Validated co-owners with userId, shareBasisPoints and walletAddress
+     * @param actorId - User making the change
+     */
+    private replaceCoOwners;
+    /**
+     * Resolve an approval request once its votes decide it, running the action when approved
+     * @param approval - Pending approval request
+     * @param asset - IP asset
+     * @param coOwners - Current co-owners
+     * @returns Approval request, and the action outcome if it ran
+     */
+    private settle;
+    /**
+     * Run an approved action
+     * @param approval - Approval request
+     * @param asset - IP asset
+     * @returns Action outcome
+     */
+    private execute;
+    /**
+     * Get a pending approval request of an asset
+     * @param assetId - Asset ID
+     * @param approvalId - Approval request ID
+     * @returns Approval request
+     */
+    private getPendingApproval;
+    /**
+     * Mark an asset's pending requests past their expiry as expired
+     * @param assetId - Asset ID
+     */
+    private expireStaleApprovals;
+    /**
+     * Throw unless a user is one of the co-owners
+     * @param coOwners - Co-owners
+     * @param userId - User ID
+     */
+    private requireCoOwner;
+    /**
+     * Format an approval request for API responses
+     * @param approval - Approval request
+     * @returns Approval summary with votes
+     */
+    private formatApproval;
+    /**
+     * Format a payout for API responses
+     * @param payout - Payout record or apportioned part
+     * @returns Payout summary
+     */
+    private formatPayout;
+}
+declare const coOwnershipService: CoOwnershipService;
+//# sourceMappingURL=coOwnership.service.d.ts.map
\ No newline at end of file
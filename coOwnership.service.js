@@ -0,0 +1,551 @@
+"use strict";
+const { Op } = require('sequelize');
+const { ethers } = require('ethers');
+const { IPAsset } = require('../db/models/ipAsset.model');
+const { IPAssetCoOwner } = require('../db/models/ipAssetCoOwner.model');
+const { IPAssetApproval } = require('../db/models/ipAssetApproval.model');
+const { IPAssetApprovalVote } = require('../db/models/ipAssetApprovalVote.model');
+const { IPAssetPayout } = require('../db/models/ipAssetPayout.model');
+const { User } = require('../db/models/user.model');
+const { UserWallet } = require('../db/models/userWallet.model');
+const { APPROVAL_RULES, TOTAL_SHARE_BASIS_POINTS, CoOwnershipError, validateShares, evaluateApproval, apportionAmount } = require('../utils/coOwnership');
+const { assertOperationAllowed, AssetStateError } = require('../utils/assetLifecycle');
+const { ipAssetService } = require('./ipAsset.service');
+const { transferOfferService } = require('./transferOffer.service');
+const { organizationService } = require('./organization.service');
+const { auditService } = require('./audit.service');
+const sequelize = require('../db/index');
+const config = require('../config');
+/**
+ * Co-ownership Service
+ * Co-owner shares, approval requests for actions on co-owned assets and apportionment of proceeds
+ */
+class CoOwnershipService {
+    /**
+     * Get the co-owners of an asset, largest share first
+     * @param assetId - Asset ID
+     * @returns Co-owner records (empty when the asset has a single owner)
+     */
+    async getCoOwners(assetId) {
+        return IPAssetCoOwner.findAll({
+            where: { assetId },
+            order: [['shareBasisPoints', 'DESC'], ['userId', 'ASC']]
+        });
+    }
+    /**
+     * Check whether an asset has co-owners
+     * @param assetId - Asset ID
+     * @returns True if the asset is co-owned
+     */
+    async isCoOwned(assetId) {
+        return (await IPAssetCoOwner.count({ where: { assetId } })) > 0;
+    }
+    /**
+     * List the co-owners of an asset with their shares
+     * @param assetId - Asset ID
+     * @returns Co-owners and the approval rule of each action
+     */
+    async listCoOwners(assetId) {
+        try {
+            const asset = await IPAsset.findByPk(assetId, { attributes: ['id'] });
+            if (!asset) {
+                throw new Error('IP asset not found');
+            }
+            const coOwners = await this.getCoOwners(asset.id);
+            const users = await User.findAll({ where: { id: coOwners.map((coOwner) => coOwner.userId) }, attributes: ['id', 'username'] });
+            const usernames = new Map(users.map((user) => [user.id, user.username]));
+            return {
+                success: true,
+                coOwned: coOwners.length > 0,
+                coOwners: coOwners.map((coOwner) => ({
+                    userId: coOwner.userId,
+                    username: usernames.get(coOwner.userId) || null,
+                    sharePercent: coOwner.shareBasisPoints / 100,
+                    walletAddress: coOwner.walletAddress
+                })),
+                approvalRules: APPROVAL_RULES
+            };
+        }
+        catch (error) {
+            console.error('❌ Error listing co-owners:', error);
+            throw new Error(`Failed to list co-owners: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Set the co-owners of an asset
+     * The owner of a single-owner asset sets them directly; once an asset is co-owned,
+     * changing the shares needs the approval of every co-owner.
+     * @param user - Request user
+     * @param assetId - Asset ID
+     * @param coOwners - Co-owners with userId, sharePercent and an optional payout walletAddress
+     * @returns Applied co-owners, or the approval request created
+     */
+    async setCoOwners(user, assetId, coOwners) {
+        try {
+            const asset = await IPAsset.findByPk(assetId);
+            if (!asset) {
+                throw new Error('IP asset not found');
+            }
+            if (asset.ownerType === 'organization') {
+                throw new CoOwnershipError('Organization assets are shared through organization membership');
+            }
+            assertOperationAllowed(asset, 'update');
+            const normalized = validateShares(coOwners);
+            // The registered owner keeps the on-chain wallet; handing that over is a transfer
+            if (!normalized.some((coOwner) => coOwner.userId === asset.owner)) {
+                throw new CoOwnershipError('The registered owner must remain a co-owner');
+            }
+            const users = await User.findAll({ where: { id: normalized.map((coOwner) => coOwner.userId) }, attributes: ['id'] });
+            if (users.length !== normalized.length) {
+                throw new CoOwnershipError('Every co-owner must be a registered user');
+            }
+            for (const coOwner of normalized.filter((entry) => entry.walletAddress)) {
+                const wallet = await UserWallet.findOne({
+                    where: { userId: coOwner.userId, address: { [Op.iLike]: coOwner.walletAddress } }
+                });
+                if (!wallet) {
+                    throw new CoOwnershipError(`Wallet ${coOwner.walletAddress} is not a verified wallet of user ${coOwner.userId}`);
+                }
+                coOwner.walletAddress = wallet.address;
+            }
+            if (!(await this.isCoOwned(asset.id))) {
+                if (asset.owner !== user.id) {
+                    throw new CoOwnershipError('Only the owner can add co-owners', 403);
+                }
+                await this.replaceCoOwners(asset, normalized, user.id);
+                return { success: true, executed: true, coOwners: (await this.listCoOwners(asset.id)).coOwners };
+            }
+            return await this.requestApproval(user, asset, 'co_owners', { coOwners: normalized });
+        }
+        catch (error) {
+            console.error('❌ Error setting co-owners:', error);
+            if (error instanceof CoOwnershipError || error instanceof AssetStateError) {
+                throw error;
+            }
+            throw new Error(`Failed to set co-owners: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Open an approval request for an action on a co-owned asset
+     * The requester's approval is recorded straight away, so a request that needs no other
+     * votes (e.g. a majority holder updating metadata) runs immediately.
+     * @param user - Request user (must be a co-owner)
+     * @param asset - Co-owned asset
+     * @param action - transfer, update, abandon or co_owners
+     * @param payload - Parameters the action runs with
+     * @returns Approval request, and the action outcome if it ran
+     */
+    async requestApproval(user, asset, action, payload) {
+        const rule = APPROVAL_RULES[action];
+        if (!rule) {
+            throw new CoOwnershipError(`Unknown action: ${action}`);
+        }
+        const coOwners = await this.getCoOwners(asset.id);
+        this.requireCoOwner(coOwners, user.id);
+        await this.expireStaleApprovals(asset.id);
+        // One request at a time, so two approved actions never run against the same state
+        const pending = await IPAssetApproval.findOne({ where: { assetId: asset.id, status: 'pending' } });
+        if (pending) {
+            throw new CoOwnershipError(`Approval request ${pending.id} (${pending.action}) is still pending for this asset`, 409);
+        }
+        const approval = await IPAssetApproval.create({
+            assetId: asset.id,
+            action,
+            rule,
+            payload,
+            requestedBy: user.id,
+            expiresAt: new Date(Date.now() + config.coOwnerApprovalTtl)
+        });
+        await IPAssetApprovalVote.create({ approvalId: approval.id, userId: user.id, decision: 'approve' });
+        console.log(`🗳️ Approval request ${approval.id} (${action}, ${rule}) opened on IP asset ${asset.id} by user ${user.id}`);
+        return this.settle(approval, asset, coOwners);
+    }
+    /**
+     * Cast a co-owner's vote on an approval request
+     * @param user - Request user (must be a co-owner)
+     * @param assetId - Asset ID
+     * @param approvalId - Approval request ID
+     * @param decision - 'approve' or 'reject'
+     * @param comment - Optional comment
+     * @returns Approval request, and the action outcome if it ran
+     */
+    async vote(user, assetId, approvalId, decision, comment) {
+        try {
+            if (decision !== 'approve' && decision !== 'reject') {
+                throw new CoOwnershipError('decision must be approve or reject');
+            }
+            const approval = await this.getPendingApproval(assetId, approvalId);
+            const asset = await IPAsset.findByPk(approval.assetId);
+            const coOwners = await this.getCoOwners(approval.assetId);
+            this.requireCoOwner(coOwners, user.id);
+            const [, created] = await IPAssetApprovalVote.findOrCreate({
+                where: { approvalId: approval.id, userId: user.id },
+                defaults: { decision, comment: comment || null }
+            });
+            if (!created) {
+                throw new CoOwnershipError('You have already voted on this request', 409);
+            }
+            return await this.settle(approval, asset, coOwners);
+        }
+        catch (error) {
+            console.error('❌ Error voting on approval request:', error);
+            if (error instanceof CoOwnershipError) {
+                throw error;
+            }
+            throw new Error(`Failed to vote: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Cancel a pending approval request (requester only)
+     * @param user - Request user
+     * @param assetId - Asset ID
+     * @param approvalId - Approval request ID
+     * @returns Cancelled request
+     */
+    async cancelApproval(user, assetId, approvalId) {
+        try {
+            const approval = await this.getPendingApproval(assetId, approvalId);
+            if (approval.requestedBy !== user.id) {
+                throw new CoOwnershipError('Only the requester can cancel this request', 403);
+            }
+            await approval.update({ status: 'cancelled', resolvedAt: new Date() });
+            return { success: true, approval: await this.formatApproval(approval) };
+        }
+        catch (error) {
+            console.error('❌ Error cancelling approval request:', error);
+            if (error instanceof CoOwnershipError) {
+                throw error;
+            }
+            throw new Error(`Failed to cancel approval request: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * List the approval requests of an asset, newest first
+     * @param assetId - Asset ID
+     * @param status - Optional status filter
+     * @returns Approval requests with their votes
+     */
+    async listApprovals(assetId, status) {
+        try {
+            await this.expireStaleApprovals(assetId);
+            const where = { assetId };
+            if (status) {
+                where.status = status;
+            }
+            const approvals = await IPAssetApproval.findAll({ where, order: [['createdAt', 'DESC'], ['id', 'DESC']], limit: 100 });
+            return {
+                success: true,
+                approvals: await Promise.all(approvals.map((approval) => this.formatApproval(approval)))
+            };
+        }
+        catch (error) {
+            console.error('❌ Error listing approval requests:', error);
+            throw new Error(`Failed to list approval requests: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Split proceeds received for an asset between its owners by share and record each part
+     * Recording is idempotent per source and reference.
+     * @param assetId - Asset ID
+     * @param grossAmount - Amount received, in wei
+     * @param options - source ('marketplace_sale' or 'license_royalty') and reference (e.g. transaction hash)
+     * @returns Recorded payouts
+     */
+    async apportionProceeds(assetId, grossAmount, options) {
+        try {
+            const asset = await IPAsset.findByPk(assetId);
+            if (!asset) {
+                throw new Error('IP asset not found');
+            }
+            const coOwners = await this.getCoOwners(asset.id);
+            let payees;
+            if (coOwners.length > 0) {
+                const users = await User.findAll({ where: { id: coOwners.map((coOwner) => coOwner.userId) }, attributes: ['id', 'walletAddress'] });
+                const primaryWallets = new Map(users.map((user) => [user.id, user.walletAddress]));
+                payees = coOwners.map((coOwner) => ({
+                    payeeType: 'user',
+                    payeeId: coOwner.userId,
+                    walletAddress: coOwner.walletAddress || primaryWallets.get(coOwner.userId) || null,
+                    shareBasisPoints: coOwner.shareBasisPoints
+                }));
+            }
+            else {
+                payees = [{ payeeType: asset.ownerType, payeeId: asset.owner, walletAddress: asset.walletAddress, shareBasisPoints: TOTAL_SHARE_BASIS_POINTS }];
+            }
+            const parts = apportionAmount(grossAmount, payees);
+            await IPAssetPayout.bulkCreate(parts.map((part) => ({
+                assetId: asset.id,
+                payeeType: part.payeeType,
+                payeeId: part.payeeId,
+                walletAddress: part.walletAddress,
+                source: options.source,
+                reference: options.reference,
+                grossAmount: String(grossAmount),
+                shareBasisPoints: part.shareBasisPoints,
+                amount: part.amount
+            })), { ignoreDuplicates: true });
+            console.log(`💸 Apportioned ${grossAmount} wei (${options.source}) for IP asset ${asset.id} across ${parts.length} payee(s)`);
+            return parts.map((part) => this.formatPayout({ ...part, source: options.source, reference: options.reference, grossAmount: String(grossAmount) }));
+        }
+        catch (error) {
+            console.error('❌ Error apportioning proceeds:', error);
+            throw new Error(`Failed to apportion proceeds: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Record a license royalty received for an asset and apportion it by share
+     * @param user - Request user (an owner of the asset)
+     * @param assetId - Asset ID
+     * @param amount - Amount in ETH
+     * @param reference - Payment reference (e.g. transaction hash or invoice number)
+     * @returns Recorded payouts
+     */
+    async recordRoyalty(user, assetId, amount, reference) {
+        try {
+            const asset = await IPAsset.findByPk(assetId);
+            if (!asset) {
+                throw new Error('IP asset not found');
+            }
+            if (!(await this.canActAsOwner(user, asset))) {
+                throw new CoOwnershipError('Only an owner can record royalties for this IP asset', 403);
+            }
+            if (!reference || typeof reference !== 'string') {
+                throw new CoOwnershipError('A payment reference is required');
+            }
+            let grossAmount = 0n;
+            try {
+                grossAmount = ethers.parseEther(String(amount));
+            }
+            catch (parseError) {
+                // Reported below together with non-positive amounts
+            }
+            if (grossAmount <= 0n) {
+                throw new CoOwnershipError('amount must be a positive ETH amount');
+            }
+            const payouts = await this.apportionProceeds(asset.id, grossAmount.toString(), { source: 'license_royalty', reference });
+            await auditService.record({
+                actorId: user.id,
+                action: 'ip_asset.royalty_recorded',
+                entityType: 'ip_asset',
+                entityId: asset.id,
+                metadata: { amount: String(amount), reference }
+            });
+            return { success: true, payouts };
+        }
+        catch (error) {
+            console.error('❌ Error recording royalty:', error);
+            if (error instanceof CoOwnershipError) {
+                throw error;
+            }
+            throw new Error(`Failed to record royalty: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * List the recorded payouts of an asset, newest first
+     * @param assetId - Asset ID
+     * @returns Payouts
+     */
+    async listPayouts(assetId) {
+        try {
+            const payouts = await IPAssetPayout.findAll({ where: { assetId }, order: [['createdAt', 'DESC'], ['id', 'DESC']], limit: 500 });
+            return { success: true, payouts: payouts.map((payout) => this.formatPayout(payout)) };
+        }
+        catch (error) {
+            console.error('❌ Error listing payouts:', error);
+            throw new Error(`Failed to list payouts: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Check whether a user may act for the owners of an asset (a co-owner, or the owner of a single-owner asset)
+     * @param user - Request user
+     * @param asset - IP asset
+     * @param permission - Organization permission needed for single-owner organization assets
+     * @returns True if the user is an owner
+     */
+    async canActAsOwner(user, asset, permission = 'assets:update') {
+        const coOwners = await this.getCoOwners(asset.id);
+        if (coOwners.length > 0) {
+            return coOwners.some((coOwner) => coOwner.userId === user?.id);
+        }
+        return organizationService.canActOnAsset(user, asset, permission);
+    }
+    /**
+     * Replace the co-owners of an asset
+     * @param asset - IP asset
+     * @param coOwners - Validated co-owners with userId, shareBasisPoints and walletAddress
+     * @param actorId - User making the change
+     */
+    async replaceCoOwners(asset, coOwners, actorId) {
+        await sequelize.transaction(async (transaction) => {
+            await IPAssetCoOwner.destroy({ where: { assetId: asset.id }, transaction });
+            await IPAssetCoOwner.bulkCreate(coOwners.map((coOwner) => ({
+                assetId: asset.id,
+                userId: coOwner.userId,
+                shareBasisPoints: coOwner.shareBasisPoints,
+                walletAddress: coOwner.walletAddress || null,
+                addedBy: actorId
+            })), { transaction });
+        });
+        await auditService.record({
+            actorId,
+            action: 'ip_asset.co_owners_changed',
+            entityType: 'ip_asset',
+            entityId: asset.id,
+            metadata: { coOwners: coOwners.map((coOwner) => ({ userId: coOwner.userId, sharePercent: coOwner.shareBasisPoints / 100 })) }
+        });
+    }
+    /**
+     * Resolve an approval request once its votes decide it, running the action when approved
+     * @param approval - Pending approval request
+     * @param asset - IP asset
+     * @param coOwners - Current co-owners
+     * @returns Approval request, and the action outcome if it ran
+     */
+    async settle(approval, asset, coOwners) {
+        const votes = await IPAssetApprovalVote.findAll({ where: { approvalId: approval.id } });
+        const decision = evaluateApproval(approval.rule, coOwners, votes);
+        if (decision === 'pending') {
+            return { success: true, executed: false, approval: await this.formatApproval(approval) };
+        }
+        if (decision === 'rejected') {
+            await approval.update({ status: 'rejected', resolvedAt: new Date() });
+            return { success: true, executed: false, approval: await this.formatApproval(approval) };
+        }
+        // Claim the request so concurrent final votes cannot run the action twice
+        const [claimed] = await IPAssetApproval.update({ status: 'executed', resolvedAt: new Date() }, {
+            where: { id: approval.id, status: 'pending' }
+        });
+        if (claimed !== 1) {
+            throw new CoOwnershipError('Approval request was resolved concurrently', 409);
+        }
+        let outcome;
+        try {
+            outcome = await this.execute(approval, asset);
+            await IPAssetApproval.update({ result: outcome }, { where: { id: approval.id } });
+        }
+        catch (error) {
+            const errorMsg = error instanceof Error ? error.message : String(error);
+            await IPAssetApproval.update({ status: 'failed', error: errorMsg.slice(0, 500) }, { where: { id: approval.id } });
+            console.error(`❌ Approved ${approval.action} on IP asset ${asset.id} failed: ${errorMsg}`);
+            await approval.reload();
+            return { success: false, executed: false, approval: await this.formatApproval(approval), error: errorMsg };
+        }
+        await approval.reload();
+        console.log(`✅ Approval request ${approval.id} approved; ${approval.action} ran on IP asset ${asset.id}`);
+        return { success: true, executed: true, approval: await this.formatApproval(approval), outcome };
+    }
+    /**
+     * Run an approved action
+     * @param approval - Approval request
+     * @param asset - IP asset
+     * @returns Action outcome
+     */
+    async execute(approval, asset) {
+        const { payload } = approval;
+        switch (approval.action) {
+            case 'update': {
+                const { blockchainResult, version } = await ipAssetService.updateMetadata(asset, payload, approval.requestedBy);
+                return { transactionHash: blockchainResult?.transactionHash || null, version: version.version };
+            }
+            case 'transfer': {
+                // Approval sends the offer; ownership changes once the recipient accepts it
+                const offer = await transferOfferService.createOffer(asset, payload.newOwnerAddress, approval.requestedBy, { note: payload.note });
+                return { offerId: offer.id, toAddress: offer.toAddress, expiresAt: offer.expiresAt };
+            }
+            case 'abandon':
+                await ipAssetService.markAbandoned(asset, approval.requestedBy, payload.reason);
+                return { status: asset.status };
+            case 'co_owners':
+                await this.replaceCoOwners(asset, payload.coOwners, approval.requestedBy);
+                return { coOwners: payload.coOwners.length };
+            default:
+                throw new Error(`Unknown action: ${approval.action}`);
+        }
+    }
+    /**
+     * Get a pending approval request of an asset
+     * @param assetId - Asset ID
+     * @param approvalId - Approval request ID
+     * @returns Approval request
+     */
+    async getPendingApproval(assetId, approvalId) {
+        await this.expireStaleApprovals(assetId);
+        const approval = await IPAssetApproval.findOne({ where: { id: approvalId, assetId } });
+        if (!approval) {
+            throw new CoOwnershipError('Approval request not found', 404);
+        }
+        if (approval.status !== 'pending') {
+            throw new CoOwnershipError(`Approval request is ${approval.status}`, 409);
+        }
+        return approval;
+    }
+    /**
+     * Mark an asset's pending requests past their expiry as expired
+     * @param assetId - Asset ID
+     */
+    async expireStaleApprovals(assetId) {
+        await IPAssetApproval.update({ status: 'expired', resolvedAt: new Date() }, {
+            where: { assetId, status: 'pending', expiresAt: { [Op.lt]: new Date() } }
+        });
+    }
+    /**
+     * Throw unless a user is one of the co-owners
+     * @param coOwners - Co-owners
+     * @param userId - User ID
+     */
+    requireCoOwner(coOwners, userId) {
+        if (!coOwners.some((coOwner) => coOwner.userId === userId)) {
+            throw new CoOwnershipError('Only co-owners can request or vote on actions for this IP asset', 403);
+        }
+    }
+    /**
+     * Format an approval request for API responses
+     * @param approval - Approval request
+     * @returns Approval summary with votes
+     */
+    async formatApproval(approval) {
+        const votes = await IPAssetApprovalVote.findAll({ where: { approvalId: approval.id }, order: [['createdAt', 'ASC']] });
+        return {
+            id: approval.id,
+            assetId: approval.assetId,
+            action: approval.action,
+            rule: approval.rule,
+            payload: approval.payload,
+            requestedBy: approval.requestedBy,
+            status: approval.status,
+            expiresAt: approval.expiresAt,
+            resolvedAt: approval.resolvedAt,
+            result: approval.result,
+            error: approval.error,
+            votes: votes.map((vote) => ({ userId: vote.userId, decision: vote.decision, comment: vote.comment, votedAt: vote.createdAt })),
+            createdAt: approval.createdAt
+        };
+    }
+    /**
+     * Format a payout for API responses
+     * @param payout - Payout record or apportioned part
+     * @returns Payout summary
+     */
+    formatPayout(payout) {
+        return {
+            payeeType: payout.payeeType,
+            payeeId: payout.payeeId,
+            walletAddress: payout.walletAddress,
+            source: payout.source,
+            reference: payout.reference,
+            grossAmount: payout.grossAmount,
+            sharePercent: payout.shareBasisPoints / 100,
+            amount: payout.amount,
+            amountEth: ethers.formatEther(payout.amount),
+            createdAt: payout.createdAt
+        };
+    }
+}
+// Create singleton instance
+const coOwnershipService = new CoOwnershipService();
+// Export the service instance and class
+module.exports = {
+    coOwnershipService,
+    CoOwnershipService
+};
+//# sourceMappingURL=coOwnership.service.js.map
\ No newline at end of file
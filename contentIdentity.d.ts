@@ -0,0 +1,39 @@
+/**
+ * Content Identity Utility Functions
+ * Exact and normalized hashes used to spot assets that were already registered
+ */
+type ContentIdentity = {
+    contentHash: string | null;
+    contentFingerprint: string | null;
+    ipfsHash?: string | null;
+};
+/**
+ * Error raised when content matches an earlier registration
+ */
+declare class DuplicateAssetError extends Error {
+    readonly statusCode: number;
+    readonly priorRegistration: any;
+    constructor(message: string, priorRegistration: any);
+}
+/**
+ * Check whether uploaded content can be read as text
+ * @param mimeType - MIME type of the upload
+ * @returns True for text/* and JSON content
+ */
+declare const isTextContent: (mimeType?: string) => boolean;
+/**
+ * Compute the identity of an asset's content
+ * The content hash matches byte-identical files; the fingerprint also matches text that only
+ * differs in case, whitespace or punctuation. Binary files and text too short to identify anything
+ * have no fingerprint. An asset registered without a file has no content hash (the hash stands for
+ * a file's bytes, e.g. in public verification) and is identified by its IPFS CID and description.
+ * @param content - File buffer and MIME type, or the IPFS CID and text of an asset registered without a file
+ * @returns Content hash, fingerprint and, without a file, the IPFS CID
+ */
+declare const computeContentIdentity: (content: {
+    buffer?: Buffer;
+    mimeType?: string;
+    text?: string;
+    ipfsHash?: string;
+}) => ContentIdentity;
+//# sourceMappingURL=contentIdentity.d.ts.map
\ No newline at end of file
@@ -0,0 +1,64 @@
+"use strict";
+const { generateContentHash, generateContentFingerprint, normalizeFingerprintContent } = require('./hash');
+/**
+ * Content Identity Utility Functions
+ * Exact and normalized hashes used to spot assets that were already registered
+ */
+/**
+ * Error raised when content matches an earlier registration
+ */
+class DuplicateAssetError extends Error {
+    constructor(message, priorRegistration) {
+        super(message);
+        this.name = 'DuplicateAssetError';
+        this.statusCode = 409;
+        this.priorRegistration = priorRegistration;
+    }
+}
+// Normalized text shorter than this (in characters) is too generic to fingerprint
+const MIN_FINGERPRINT_LENGTH = 20;
+/**
+ * Fingerprint text that is long enough to identify content
+ * @param text - Text content
+ * @returns Fingerprint, or null when the normalized text is too short
+ */
+const fingerprintText = (text) => {
+    return normalizeFingerprintContent(text).length >= MIN_FINGERPRINT_LENGTH ? generateContentFingerprint(text) : null;
+};
+/**
+ * Check whether uploaded content can be read as text
+ * @param mimeType - MIME type of the upload
+ * @returns True for text/* and JSON content
+ */
+const isTextContent = (mimeType) => {
+    return typeof mimeType === 'string' && (mimeType.startsWith('text/') || mimeType === 'application/json');
+};
+/**
+ * Compute the identity of an asset's content
+ * The content hash matches byte-identical files; the fingerprint also matches text that only
+ * differs in case, whitespace or punctuation. Binary files and text too short to identify anything
+ * have no fingerprint. An asset registered without a file has no content hash (the hash stands for
+ * a file's bytes, e.g. in public verification) and is identified by its IPFS CID and description.
+ * @param content - File buffer and MIME type, or the IPFS CID and text of an asset registered without a file
+ * @returns Content hash, fingerprint and, without a file, the IPFS CID
+ */
+const computeContentIdentity = (content) => {
+    if (content.buffer) {
+        return {
+            contentHash: generateContentHash(content.buffer),
+            contentFingerprint: isTextContent(content.mimeType) ? fingerprintText(content.buffer.toString('utf8')) : null
+        };
+    }
+    return {
+        contentHash: null,
+        contentFingerprint: fingerprintText(String(content.text ?? '')),
+        ipfsHash: content.ipfsHash ? String(content.ipfsHash).trim() : null
+    };
+};
+// Export all functions
+module.exports = {
+    DuplicateAssetError,
+    isTextContent,
+    computeContentIdentity
+};
+//# sourceMappingURL=contentIdentity.js.map
\ No newline at end of file
@@ -0,0 +1,32 @@
+declare const deadlineService: any;
+/**
+ * Deadline Job
+ * Periodically syncs the deadlines of patents and trademarks in force, reminds owners of upcoming
+ * deadlines and expires assets whose protection has ended.
+ */
+declare class DeadlineJob {
+    private isRunning;
+    private intervalId;
+    /**
+     * Start the deadline job with specified interval
+     * @param intervalMs - Interval in milliseconds (default: 6 hours)
+     */
+    start(intervalMs?: number): void;
+    /**
+     * Stop the deadline job
+     */
+    stop(): void;
+    /**
+     * Run the deadline job once
+     */
+    runDeadlineJob(): Promise<void>;
+    /**
+     * Get deadline job status
+     */
+    getStatus(): {
+        isRunning: boolean;
+        intervalId: string;
+    };
+}
+declare const deadlineJob: DeadlineJob;
+//# sourceMappingURL=deadline.job.d.ts.map
\ No newline at end of file
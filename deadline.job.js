@@ -0,0 +1,91 @@
+"use strict";
+const { deadlineService } = require('../services/deadline.service');
+/**
+ * Deadline Job
+ * Periodically syncs the deadlines of patents and trademarks in force, reminds owners of upcoming
+ * deadlines and expires assets whose protection has ended.
+ */
+class DeadlineJob {
+    constructor() {
+        this.isRunning = false;
+        this.intervalId = null;
+    }
+    /**
+     * Start the deadline job with specified interval
+     * @param intervalMs - Interval in milliseconds (default: 6 hours)
+     */
+    start(intervalMs = 6 * 60 * 60 * 1000) {
+        if (this.isRunning) {
+            console.log('⚠️ Deadline job is already running');
+            return;
+        }
+        console.log(`🚀 Starting deadline job (interval: ${intervalMs / 1000}s)`);
+        this.isRunning = true;
+        // Run immediately on start
+        this.runDeadlineJob();
+        // Schedule recurring runs
+        this.intervalId = setInterval(() => {
+            this.runDeadlineJob();
+        }, intervalMs);
+    }
+    /**
+     * Stop the deadline job
+     */
+    stop() {
+        if (!this.isRunning) {
+            console.log('⚠️ Deadline job is not running');
+            return;
+        }
+        console.log('🛑 Stopping deadline job');
+        this.isRunning = false;
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+    }
+    /**
+     * Run the deadline job once
+     */
+    async runDeadlineJob() {
+        try {
+            const { assets, reminders, lapsed, expired } = await deadlineService.processDeadlines();
+            console.log(`📅 Deadline job: ${assets} assets checked, ${reminders} reminders sent, ${lapsed} deadlines lapsed, ${expired} assets expired`);
+        }
+        catch (error) {
+            console.error('❌ Error in deadline job:', error);
+        }
+    }
+    /**
+     * Get deadline job status
+     */
+    getStatus() {
+        return {
+            isRunning: this.isRunning,
+            intervalId: this.intervalId ? 'active' : 'inactive'
+        };
+    }
+}
+// Create singleton instance
+const deadlineJob = new DeadlineJob();
+// Export the job instance and class
+module.exports = {
+    deadlineJob,
+    DeadlineJob
+};
+// Auto-start the job if this file is run directly
+if (require.main === module) {
+    console.log('🚀 Starting deadline job...');
+    deadlineJob.start();
+    // Graceful shutdown
+    process.on('SIGINT', () => {
+        console.log('\n🛑 Received SIGINT, stopping deadline job...');
+        deadlineJob.stop();
+        process.exit(0);
+    });
+    process.on('SIGTERM', () => {
+        console.log('\n🛑 Received SIGTERM, stopping deadline job...');
+        deadlineJob.stop();
+        process.exit(0);
+    });
+}
+//# sourceMappingURL=deadline.job.js.map
\ No newline at end of file
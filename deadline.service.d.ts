@@ -0,0 +1,167 @@
+declare const Op: any;
+declare const IPAsset: any;
+declare const IPAssetDeadline: any;
+declare const IPAssetCoOwner: any;
+declare const OrganizationMember: any;
+declare const User: any;
+declare const DEADLINE_TYPES: any, addMonths: any, toDay: any, daysBetween: any, getDeadlineRules: any, computeDeadlines: any, getDueReminders: any;
+declare const buildCalendar: any;
+declare const ipAssetService: any;
+declare const patentService: any;
+declare const organizationService: any;
+declare const mailerService: any;
+declare const auditService: any;
+declare const config: any;
+/**
+ * Error raised when a deadline cannot be listed or completed
+ */
+declare class DeadlineError extends Error {
+    statusCode: number;
+    constructor(message: string, statusCode?: number);
+}
+/**
+ * Deadline Service
+ * Tracks the expiry, renewal and maintenance deadlines of patents and trademarks per jurisdiction,
+ * reminds owners ahead of them and expires assets whose protection has ended everywhere
+ */
+declare class DeadlineService {
+    private readonly trackedTypes;
+    private readonly activeStates;
+    private readonly horizonMonths;
+    private readonly batchSize;
+    private readonly maxCalendarMonths;
+    constructor();
+    /**
+     * Get the jurisdictions an asset is protected in
+     * @param asset - IP asset
+     * @returns Jurisdiction codes (the first configured jurisdiction when none were given)
+     */
+    getJurisdictions(asset: any): string[];
+    /**
+     * Bring the stored deadlines of an asset in line with the rules
+     * New deadlines are added; open ones that no longer apply (a jurisdiction was removed) are dropped.
+     * Patent terms run from the priority date when one is recorded, otherwise from registration. Fees whose
+     * grace period ended before they were first tracked are assumed paid; a term that has ended is always recorded.
+     * @param asset - IP asset
+     * @returns All deadlines of the asset, by due date
+     */
+    syncDeadlines(asset: any): Promise<any[]>;
+    /**
+     * Get the deadlines of an asset
+     * @param asset - IP asset
+     * @returns Deadlines and the jurisdictions they cover
+     */
+    getAssetDeadlines(asset: any): Promise<{
+        success: boolean;
+        jurisdictions: string[];
+        untracked: string[];
+        deadlines: any[];
+    }>;
+    /**
+     * List the deadlines of the assets a user owns or co-owns, or of an organization's assets
+     * @param user - Request user
+     * @param query - organizationId, from and to (YYYY-MM-DD; today to a year ahead by default), jurisdiction,
+     * type and status (open by default; "all" for every status)
+     * @returns Deadlines with their asset, by due date
+     */
+    listDeadlines(user: any, query?: {
+        organizationId?: number | string;
+        from?: string;
+        to?: string;
+        jurisdiction?: string;
+        type?: string;
+        status?: string;
+    }): Promise<{
+        success: boolean;
+        range: {
+            from: string;
+            to: string;
+        };
+        deadlines: any[];
+    }>;
+    /**
+     * Render listed deadlines as an iCalendar document
+     * Each deadline carries an alert for every reminder lead time.
+     * @param deadlines - Deadlines from listDeadlines
+     * @returns Calendar text
+     */
+    buildDeadlineCalendar(deadlines: any[]): string;
+    /**
+     * Record that a renewal, maintenance fee or declaration was filed or paid
+     * A missed deadline can still be completed (e.g. after a late restoration), but not an expiry.
+     * @param user - Request user (an owner)
+     * @param asset - IP asset
+     * @param deadlineId - Deadline ID
+     * @param reference - Optional office receipt or filing reference
+     * @returns Completed deadline
+     */
+    completeDeadline(user: any, asset: any, deadlineId: number | string, reference?: string): Promise<{
+        success: boolean;
+        deadline: any;
+    }>;
+    /**
+     * Change the jurisdictions an asset is protected in and recompute its deadlines
+     * @param user - Request user (an owner)
+     * @param asset - IP asset
+     * @param jurisdictions - Validated jurisdiction codes
+     * @returns Deadlines in the new jurisdictions
+     */
+    setJurisdictions(user: any, asset: any, jurisdictions: string[]): Promise<any>;
+    /**
+     * Sync the deadlines of every asset in force, send due reminders and expire lapsed assets
+     * Run by the deadline job.
+     * @returns Counts of assets processed, reminders sent, deadlines lapsed and assets expired
+     */
+    processDeadlines(): Promise<{
+        assets: number;
+        reminders: number;
+        lapsed: number;
+        expired: number;
+    }>;
+    /**
+     * Process the deadlines of one asset
+     * An open deadline lapses once its grace period is over (an expiry on its due date); until then the
+     * owners get one reminder per configured lead time and one more when it enters its grace period.
+     * @param asset - IP asset in force
+     * @param today - Current day as YYYY-MM-DD
+     * @returns Reminders sent, deadlines lapsed and whether the asset expired
+     */
+    private processAsset;
+    /**
+     * Expire an asset once its protection has ended in every tracked jurisdiction
+     * @param asset - IP asset
+     * @param deadlines - Its deadlines with current statuses
+     * @returns True if the asset was expired
+     */
+    private expireIfLapsed;
+    /**
+     * Email the owners of an asset about a deadline (best effort)
+     * Co-owners are reminded when there are any; otherwise the owner, or the organization members who may
+     * update assets.
+     * @param asset - IP asset
+     * @param deadline - Deadline
+     * @param today - Current day as YYYY-MM-DD
+     */
+    private sendReminder;
+    /**
+     * Identify a deadline by where and when it falls
+     * @param deadline - Computed or stored deadline
+     * @returns Key of jurisdiction, rule and due date
+     */
+    private getDeadlineKey;
+    /**
+     * Parse a calendar-day parameter
+     * @param value - Date as YYYY-MM-DD
+     * @param name - Parameter name (for the error message)
+     * @returns The date
+     */
+    private parseDay;
+    /**
+     * Format a deadline for API responses
+     * @param deadline - Deadline record
+     * @returns Deadline summary
+     */
+    private formatDeadline;
+}
+declare const deadlineService: DeadlineService;
+//# sourceMappingURL=deadline.service.d.ts.map
\ No newline at end of file
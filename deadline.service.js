@@ -0,0 +1,468 @@
+"use strict";
+const { Op } = require('sequelize');
+const { IPAsset } = require('../db/models/ipAsset.model');
+const { IPAssetDeadline } = require('../db/models/ipAssetDeadline.model');
+const { IPAssetCoOwner } = require('../db/models/ipAssetCoOwner.model');
+const { OrganizationMember } = require('../db/models/organizationMember.model');
+const { User } = require('../db/models/user.model');
+const { DEADLINE_TYPES, addMonths, toDay, daysBetween, getDeadlineRules, computeDeadlines, getDueReminders } = require('../utils/deadlineRules');
+const { buildCalendar } = require('../utils/icalendar');
+const { ipAssetService } = require('./ipAsset.service');
+const { patentService } = require('./patent.service');
+const { organizationService } = require('./organization.service');
+const { mailerService } = require('./mailer.service');
+const { auditService } = require('./audit.service');
+const config = require('../config');
+/**
+ * Error raised when a deadline cannot be listed or completed
+ */
+class DeadlineError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'DeadlineError';
+        this.statusCode = statusCode;
+    }
+}
+/**
+ * Deadline Service
+ * Tracks the expiry, renewal and maintenance deadlines of patents and trademarks per jurisdiction,
+ * reminds owners ahead of them and expires assets whose protection has ended everywhere
+ */
+class DeadlineService {
+    constructor() {
+        this.trackedTypes = ['patent', 'trademark'];
+        // States in which an asset is in force; drafts have no deadlines and ended assets keep their history
+        this.activeStates = ['registered', 'disputed', 'transferred'];
+        // Repeating deadlines are computed this far ahead (one trademark renewal period)
+        this.horizonMonths = 120;
+        this.batchSize = 100;
+        this.maxCalendarMonths = 120;
+    }
+    /**
+     * Get the jurisdictions an asset is protected in
+     * @param asset - IP asset
+     * @returns Jurisdiction codes (the first configured jurisdiction when none were given)
+     */
+    getJurisdictions(asset) {
+        return Array.isArray(asset.jurisdictions) && asset.jurisdictions.length > 0
+            ? asset.jurisdictions
+            : config.legalJurisdictions.slice(0, 1);
+    }
+    /**
+     * Bring the stored deadlines of an asset in line with the rules
+     * New deadlines are added; open ones that no longer apply (a jurisdiction was removed) are dropped.
+     * Patent terms run from the priority date when one is recorded, otherwise from registration. Fees whose
+     * grace period ended before they were first tracked are assumed paid; a term that has ended is always recorded.
+     * @param asset - IP asset
+     * @returns All deadlines of the asset, by due date
+     */
+    async syncDeadlines(asset) {
+        const ipType = String(asset.ipType).toLowerCase();
+        if (this.trackedTypes.includes(ipType) && this.activeStates.includes(asset.status)) {
+            const grantDate = toDay(await ipAssetService.getRegistrationTime(asset));
+            const patent = ipType === 'patent' ? await patentService.getMetadata(asset.id) : null;
+            const dates = { grantDate, filingDate: (patent && patent.priorityDate) || grantDate };
+            const today = toDay(new Date());
+            const until = addMonths(today, this.horizonMonths);
+            const computed = this.getJurisdictions(asset).flatMap((jurisdiction) => computeDeadlines(ipType, jurisdiction, dates, until)
+                .map((deadline) => ({ ...deadline, assetId: asset.id, jurisdiction })));
+            await IPAssetDeadline.bulkCreate(computed.filter((deadline) => deadline.type === 'expiry' || deadline.graceEndsOn >= today), { ignoreDuplicates: true });
+            const keys = new Set(computed.map((deadline) => this.getDeadlineKey(deadline)));
+            const open = await IPAssetDeadline.findAll({ where: { assetId: asset.id, status: 'open' } });
+            const stale = open.filter((deadline) => !keys.has(this.getDeadlineKey(deadline)));
+            if (stale.length > 0) {
+                await IPAssetDeadline.destroy({ where: { id: stale.map((deadline) => deadline.id) } });
+            }
+        }
+        return IPAssetDeadline.findAll({
+            where: { assetId: asset.id },
+            order: [['dueDate', 'ASC'], ['id', 'ASC']]
+        });
+    }
+    /**
+     * Get the deadlines of an asset
+     * @param asset - IP asset
+     * @returns Deadlines and the jurisdictions they cover
+     */
+    async getAssetDeadlines(asset) {
+        try {
+            const deadlines = await this.syncDeadlines(asset);
+            const jurisdictions = this.getJurisdictions(asset);
+            return {
+                success: true,
+                jurisdictions,
+                // Jurisdictions the rules engine has no rules for are listed so owners know they are not tracked
+                untracked: jurisdictions.filter((jurisdiction) => !getDeadlineRules(jurisdiction, asset.ipType)),
+                deadlines: deadlines.map((deadline) => this.formatDeadline(deadline))
+            };
+        }
+        catch (error) {
+            console.error('❌ Error getting deadlines:', error);
+            throw new Error(`Failed to get deadlines: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * List the deadlines of the assets a user owns or co-owns, or of an organization's assets
+     * @param user - Request user
+     * @param query - organizationId, from and to (YYYY-MM-DD; today to a year ahead by default), jurisdiction,
+     * type and status (open by default; "all" for every status)
+     * @returns Deadlines with their asset, by due date
+     */
+    async listDeadlines(user, query = {}) {
+        try {
+            const assetWhere = { status: { [Op.notIn]: ['draft', 'pending_chain'] } };
+            if (query.organizationId) {
+                if (!(await organizationService.getMembership(query.organizationId, user.id))) {
+                    throw new DeadlineError('Organization not found or you are not a member', 404);
+                }
+                assetWhere.ownerType = 'organization';
+                assetWhere.owner = Number(query.organizationId);
+            }
+            else {
+                const coOwned = await IPAssetCoOwner.findAll({ where: { userId: user.id }, attributes: ['assetId'] });
+                assetWhere[Op.or] = [
+                    { ownerType: 'user', owner: user.id },
+                    { id: coOwned.map((coOwner) => coOwner.assetId) }
+                ];
+            }
+            const assets = await IPAsset.findAll({ where: assetWhere, attributes: ['id', 'title', 'ipType', 'status'] });
+            const assetsById = new Map(assets.map((asset) => [asset.id, asset]));
+            const from = query.from ? this.parseDay(query.from, 'from') : toDay(new Date());
+            const to = query.to ? this.parseDay(query.to, 'to') : addMonths(from, 12);
+            if (to < from) {
+                throw new DeadlineError('to must not be before from');
+            }
+            if (to > addMonths(from, this.maxCalendarMonths)) {
+                throw new DeadlineError(`The date range cannot exceed ${this.maxCalendarMonths / 12} years`);
+            }
+            const where = {
+                assetId: [...assetsById.keys()],
+                dueDate: { [Op.gte]: from, [Op.lte]: to }
+            };
+            if (query.jurisdiction) {
+                where.jurisdiction = String(query.jurisdiction).split(',').map((code) => code.trim().toUpperCase());
+            }
+            if (query.type) {
+                const types = String(query.type).split(',').map((type) => type.trim());
+                const unknown = types.filter((type) => !DEADLINE_TYPES.includes(type));
+                if (unknown.length > 0) {
+                    throw new DeadlineError(`type must be one of: ${DEADLINE_TYPES.join(', ')}`);
+                }
+                where.type = types;
+            }
+            if (query.status !== 'all') {
+                where.status = query.status ? String(query.status).split(',').map((status) => status.trim()) : 'open';
+            }
+            const deadlines = await IPAssetDeadline.findAll({ where, order: [['dueDate', 'ASC'], ['id', 'ASC']] });
+            return {
+                success: true,
+                range: { from, to },
+                deadlines: deadlines.map((deadline) => {
+                    const asset = assetsById.get(deadline.assetId);
+                    return {
+                        ...this.formatDeadline(deadline),
+                        asset: { id: asset.id, title: asset.title, ipType: asset.ipType, status: asset.status }
+                    };
+                })
+            };
+        }
+        catch (error) {
+            console.error('❌ Error listing deadlines:', error);
+            if (error instanceof DeadlineError) {
+                throw error;
+            }
+            throw new Error(`Failed to list deadlines: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Render listed deadlines as an iCalendar document
+     * Each deadline carries an alert for every reminder lead time.
+     * @param deadlines - Deadlines from listDeadlines
+     * @returns Calendar text
+     */
+    buildDeadlineCalendar(deadlines) {
+        const host = new URL(config.appUrl).hostname;
+        return buildCalendar({
+            name: `${config.emailFromName} deadlines`,
+            events: deadlines.map((deadline) => ({
+                uid: `deadline-${deadline.id}@${host}`,
+                date: deadline.dueDate,
+                summary: `${deadline.label} (${deadline.jurisdiction}): ${deadline.asset.title}`,
+                description: deadline.type === 'expiry'
+                    ? `The protection term of IP asset #${deadline.asset.id} ends in ${deadline.jurisdiction}.`
+                    : `Due for IP asset #${deadline.asset.id} in ${deadline.jurisdiction}. Grace period ends ${deadline.graceEndsOn}. Status: ${deadline.status}.`,
+                url: `${config.appUrl}/ip-assets/${deadline.asset.id}`,
+                categories: [deadline.jurisdiction, deadline.type],
+                alarmDays: deadline.status === 'open' ? config.deadlineReminderLeadDays : []
+            }))
+        });
+    }
+    /**
+     * Record that a renewal, maintenance fee or declaration was filed or paid
+     * A missed deadline can still be completed (e.g. after a late restoration), but not an expiry.
+     * @param user - Request user (an owner)
+     * @param asset - IP asset
+     * @param deadlineId - Deadline ID
+     * @param reference - Optional office receipt or filing reference
+     * @returns Completed deadline
+     */
+    async completeDeadline(user, asset, deadlineId, reference) {
+        try {
+            const deadline = await IPAssetDeadline.findOne({ where: { id: deadlineId, assetId: asset.id } });
+            if (!deadline) {
+                throw new DeadlineError('Deadline not found', 404);
+            }
+            if (deadline.type === 'expiry') {
+                throw new DeadlineError('The end of a term cannot be completed', 409);
+            }
+            if (deadline.status === 'completed') {
+                throw new DeadlineError('Deadline is already completed', 409);
+            }
+            deadline.status = 'completed';
+            deadline.completedBy = user.id;
+            deadline.completedAt = new Date();
+            deadline.reference = reference ? String(reference).slice(0, 255) : null;
+            await deadline.save();
+            await auditService.record({
+                actorId: user.id,
+                action: 'ip_asset.deadline_completed',
+                entityType: 'ip_asset',
+                entityId: asset.id,
+                organizationId: asset.ownerType === 'organization' ? asset.owner : null,
+                metadata: {
+                    deadlineId: deadline.id,
+                    jurisdiction: deadline.jurisdiction,
+                    type: deadline.type,
+                    dueDate: deadline.dueDate,
+                    reference: deadline.reference
+                }
+            });
+            return { success: true, deadline: this.formatDeadline(deadline) };
+        }
+        catch (error) {
+            console.error('❌ Error completing deadline:', error);
+            if (error instanceof DeadlineError) {
+                throw error;
+            }
+            throw new Error(`Failed to complete deadline: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Change the jurisdictions an asset is protected in and recompute its deadlines
+     * @param user - Request user (an owner)
+     * @param asset - IP asset
+     * @param jurisdictions - Validated jurisdiction codes
+     * @returns Deadlines in the new jurisdictions
+     */
+    async setJurisdictions(user, asset, jurisdictions) {
+        try {
+            const previous = this.getJurisdictions(asset);
+            await asset.update({ jurisdictions });
+            await auditService.record({
+                actorId: user.id,
+                action: 'ip_asset.jurisdictions_changed',
+                entityType: 'ip_asset',
+                entityId: asset.id,
+                organizationId: asset.ownerType === 'organization' ? asset.owner : null,
+                metadata: { from: previous, to: jurisdictions }
+            });
+            return this.getAssetDeadlines(asset);
+        }
+        catch (error) {
+            console.error('❌ Error setting jurisdictions:', error);
+            throw new Error(`Failed to set jurisdictions: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Sync the deadlines of every asset in force, send due reminders and expire lapsed assets
+     * Run by the deadline job.
+     * @returns Counts of assets processed, reminders sent, deadlines lapsed and assets expired
+     */
+    async processDeadlines() {
+        const today = toDay(new Date());
+        const summary = { assets: 0, reminders: 0, lapsed: 0, expired: 0 };
+        let lastId = 0;
+        for (;;) {
+            const assets = await IPAsset.findAll({
+                where: {
+                    id: { [Op.gt]: lastId },
+                    status: this.activeStates,
+                    [Op.or]: this.trackedTypes.map((ipType) => ({ ipType: { [Op.iLike]: ipType } }))
+                },
+                order: [['id', 'ASC']],
+                limit: this.batchSize
+            });
+            if (assets.length === 0) {
+                break;
+            }
+            for (const asset of assets) {
+                try {
+                    const result = await this.processAsset(asset, today);
+                    summary.assets++;
+                    summary.reminders += result.reminders;
+                    summary.lapsed += result.lapsed;
+                    summary.expired += result.expired ? 1 : 0;
+                }
+                catch (error) {
+                    console.error(`❌ Error processing deadlines of IP asset ${asset.id}:`, error);
+                }
+            }
+            lastId = assets[assets.length - 1].id;
+        }
+        return summary;
+    }
+    /**
+     * Process the deadlines of one asset
+     * An open deadline lapses once its grace period is over (an expiry on its due date); until then the
+     * owners get one reminder per configured lead time and one more when it enters its grace period.
+     * @param asset - IP asset in force
+     * @param today - Current day as YYYY-MM-DD
+     * @returns Reminders sent, deadlines lapsed and whether the asset expired
+     */
+    async processAsset(asset, today) {
+        const deadlines = await this.syncDeadlines(asset);
+        let reminders = 0;
+        let lapsed = 0;
+        for (const deadline of deadlines.filter((item) => item.status === 'open')) {
+            if (deadline.type === 'expiry' ? today >= deadline.dueDate : today > deadline.graceEndsOn) {
+                deadline.status = deadline.type === 'expiry' ? 'passed' : 'missed';
+                await deadline.save();
+                lapsed++;
+                continue;
+            }
+            const sent = deadline.remindersSent || [];
+            // Lead time 0 marks the reminder sent when a deadline enters its grace period
+            const dueLeads = today > deadline.dueDate
+                ? (sent.includes(0) ? [] : [0])
+                : getDueReminders(daysBetween(today, deadline.dueDate), config.deadlineReminderLeadDays, sent);
+            if (dueLeads.length > 0) {
+                await this.sendReminder(asset, deadline, today);
+                deadline.remindersSent = [...sent, ...dueLeads];
+                await deadline.save();
+                reminders++;
+            }
+        }
+        const expired = await this.expireIfLapsed(asset, deadlines);
+        return { reminders, lapsed, expired };
+    }
+    /**
+     * Expire an asset once its protection has ended in every tracked jurisdiction
+     * @param asset - IP asset
+     * @param deadlines - Its deadlines with current statuses
+     * @returns True if the asset was expired
+     */
+    async expireIfLapsed(asset, deadlines) {
+        const tracked = this.getJurisdictions(asset).filter((jurisdiction) => getDeadlineRules(jurisdiction, asset.ipType));
+        const lapses = tracked.map((jurisdiction) => deadlines.find((deadline) => deadline.jurisdiction === jurisdiction
+            && (deadline.status === 'missed' || deadline.status === 'passed')));
+        if (tracked.length === 0 || lapses.some((lapse) => !lapse)) {
+            return false;
+        }
+        await ipAssetService.transitionStatus(asset, 'expired', {
+            reason: 'Protection ended in every jurisdiction',
+            metadata: {
+                lapses: lapses.map((lapse) => ({
+                    jurisdiction: lapse.jurisdiction,
+                    deadlineId: lapse.id,
+                    type: lapse.type,
+                    status: lapse.status,
+                    dueDate: lapse.dueDate
+                }))
+            }
+        });
+        console.log(`⌛ IP asset ${asset.id} expired (${lapses.map((lapse) => `${lapse.jurisdiction}: ${lapse.label}`).join(', ')})`);
+        return true;
+    }
+    /**
+     * Email the owners of an asset about a deadline (best effort)
+     * Co-owners are reminded when there are any; otherwise the owner, or the organization members who may
+     * update assets.
+     * @param asset - IP asset
+     * @param deadline - Deadline
+     * @param today - Current day as YYYY-MM-DD
+     */
+    async sendReminder(asset, deadline, today) {
+        try {
+            const coOwners = await IPAssetCoOwner.findAll({ where: { assetId: asset.id }, attributes: ['userId'] });
+            let userIds = coOwners.map((coOwner) => coOwner.userId);
+            if (userIds.length === 0 && asset.ownerType === 'organization') {
+                const members = await OrganizationMember.findAll({ where: { organizationId: asset.owner } });
+                userIds = members
+                    .filter((member) => organizationService.roleHasPermission(member.role, 'assets:update'))
+                    .map((member) => member.userId);
+            }
+            else if (userIds.length === 0) {
+                userIds = [asset.owner];
+            }
+            const recipients = await User.findAll({ where: { id: userIds } });
+            for (const recipient of recipients) {
+                await mailerService.queueEmail('deadlineReminder', recipient.email, {
+                    username: recipient.username,
+                    title: asset.title,
+                    assetId: asset.id,
+                    jurisdiction: deadline.jurisdiction,
+                    label: deadline.label,
+                    type: deadline.type,
+                    dueDate: deadline.dueDate,
+                    graceEndsOn: deadline.graceEndsOn,
+                    daysLeft: daysBetween(today, deadline.dueDate),
+                    overdue: today > deadline.dueDate,
+                    deadlinesUrl: `${config.appUrl}/ip-assets/${asset.id}/deadlines`
+                });
+            }
+        }
+        catch (error) {
+            console.error('❌ Error sending deadline reminder:', error);
+        }
+    }
+    /**
+     * Identify a deadline by where and when it falls
+     * @param deadline - Computed or stored deadline
+     * @returns Key of jurisdiction, rule and due date
+     */
+    getDeadlineKey(deadline) {
+        return `${deadline.jurisdiction}:${deadline.ruleKey}:${deadline.dueDate}`;
+    }
+    /**
+     * Parse a calendar-day parameter
+     * @param value - Date as YYYY-MM-DD
+     * @param name - Parameter name (for the error message)
+     * @returns The date
+     */
+    parseDay(value, name) {
+        const day = String(value);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || Number.isNaN(new Date(`${day}T00:00:00Z`).getTime())) {
+            throw new DeadlineError(`${name} must be a date in YYYY-MM-DD format`);
+        }
+        return day;
+    }
+    /**
+     * Format a deadline for API responses
+     * @param deadline - Deadline record
+     * @returns Deadline summary
+     */
+    formatDeadline(deadline) {
+        return {
+            id: deadline.id,
+            assetId: deadline.assetId,
+            jurisdiction: deadline.jurisdiction,
+            type: deadline.type,
+            label: deadline.label,
+            dueDate: deadline.dueDate,
+            graceEndsOn: deadline.graceEndsOn,
+            status: deadline.status,
+            completedBy: deadline.completedBy,
+            completedAt: deadline.completedAt,
+            reference: deadline.reference
+        };
+    }
+}
+// Create singleton instance
+const deadlineService = new DeadlineService();
+// Export the service instance and class
+module.exports = {
+    deadlineService,
+    DeadlineService,
+    DeadlineError
+};
+//# sourceMappingURL=deadline.service.js.map
\ No newline at end of file
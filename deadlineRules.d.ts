@@ -0,0 +1,90 @@
+/**
+ * Deadline Rules Utility Functions
+ * Statutory terms, renewals and maintenance fees of patents and trademarks per jurisdiction,
+ * and the calendar arithmetic to turn them into dated deadlines
+ */
+type DeadlineType = 'expiry' | 'renewal' | 'maintenance_fee' | 'declaration_of_use';
+type DeadlineEvent = {
+    key: string;
+    type: DeadlineType;
+    label: string;
+    from: 'filing' | 'grant';
+    atMonths?: number;
+    firstMonths?: number;
+    everyMonths?: number;
+    graceMonths?: number;
+};
+type DeadlineRuleSet = {
+    termYears?: number;
+    events: DeadlineEvent[];
+};
+type ComputedDeadline = {
+    ruleKey: string;
+    type: DeadlineType;
+    label: string;
+    dueDate: string;
+    graceEndsOn: string;
+};
+declare const DEADLINE_TYPES: DeadlineType[];
+declare const DEADLINE_RULES: Record<string, Record<string, DeadlineRuleSet>>;
+/**
+ * Add calendar months to a date, keeping the day of the month where it exists
+ * @param date - Date as YYYY-MM-DD
+ * @param months - Months to add
+ * @returns Date as YYYY-MM-DD (the last day of the month when the day does not exist, e.g. 31 Feb)
+ */
+declare const addMonths: (date: string, months: number) => string;
+/**
+ * Convert a Date to a calendar day in UTC
+ * @param date - Date or YYYY-MM-DD string
+ * @returns Date as YYYY-MM-DD
+ */
+declare const toDay: (date: Date | string) => string;
+/**
+ * Whole days from one calendar day to another
+ * @param from - Date as YYYY-MM-DD
+ * @param to - Date as YYYY-MM-DD
+ * @returns Days (negative when "to" is earlier)
+ */
+declare const daysBetween: (from: string, to: string) => number;
+/**
+ * Get the rules of a jurisdiction for an IP type
+ * @param jurisdiction - Jurisdiction code (e.g. US)
+ * @param ipType - IP type
+ * @returns Rules, or null when none are defined
+ */
+declare const getDeadlineRules: (jurisdiction: string, ipType: string) => DeadlineRuleSet | null;
+/**
+ * Parse a list of jurisdiction codes
+ * @param value - Codes as an array or a comma-separated string
+ * @param allowed - Jurisdictions the platform operates in (config.legalJurisdictions)
+ * @returns Upper-case, de-duplicated codes and the codes that are not allowed
+ */
+declare const parseJurisdictions: (value: string | string[], allowed: string[]) => {
+    jurisdictions: string[];
+    invalid: string[];
+};
+/**
+ * Compute the deadlines of an asset in one jurisdiction
+ * Deadlines falling before the grant are left out: they were met (or not) before the asset was registered here.
+ * @param ipType - IP type
+ * @param jurisdiction - Jurisdiction code
+ * @param dates - filingDate and grantDate as YYYY-MM-DD (filing defaults to grant)
+ * @param until - Last due date to compute repeating deadlines up to, as YYYY-MM-DD
+ * @returns Deadlines with ruleKey, type, label, dueDate and graceEndsOn, by due date
+ */
+declare const computeDeadlines: (ipType: string, jurisdiction: string, dates: {
+    filingDate?: string | null;
+    grantDate: string;
+}, until: string) => ComputedDeadline[];
+/**
+ * Get the reminder lead times a deadline has reached but not been reminded of
+ * Only the first (shortest) is sent; the others are marked sent with it, so a deadline first seen
+ * close to its due date gets one reminder rather than one for every lead time it is already inside of.
+ * @param daysLeft - Days until the due date
+ * @param leadDays - Configured lead times in days
+ * @param sent - Lead times already sent
+ * @returns Reached lead times, shortest first (empty when no reminder is due)
+ */
+declare const getDueReminders: (daysLeft: number, leadDays: number[], sent: number[]) => number[];
+//# sourceMappingURL=deadlineRules.d.ts.map
\ No newline at end of file
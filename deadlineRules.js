@@ -0,0 +1,189 @@
+"use strict";
+/**
+ * Deadline Rules Utility Functions
+ * Statutory terms, renewals and maintenance fees of patents and trademarks per jurisdiction,
+ * and the calendar arithmetic to turn them into dated deadlines
+ */
+const DEADLINE_TYPES = ['expiry', 'renewal', 'maintenance_fee', 'declaration_of_use'];
+// Rules per jurisdiction and IP type. Offsets are in months from the filing or grant date:
+// - termYears: the right ends this many years after filing and cannot be renewed (patents)
+// - events: deadlines due once (atMonths) or repeatedly (firstMonths, then everyMonths), each with a
+//   grace period in which it can still be met, usually for a surcharge
+const DEADLINE_RULES = {
+    US: {
+        patent: {
+            termYears: 20,
+            events: [
+                { key: 'maintenance_fee_3_5', type: 'maintenance_fee', label: 'Maintenance fee (3.5 years)', from: 'grant', atMonths: 42, graceMonths: 6 },
+                { key: 'maintenance_fee_7_5', type: 'maintenance_fee', label: 'Maintenance fee (7.5 years)', from: 'grant', atMonths: 90, graceMonths: 6 },
+                { key: 'maintenance_fee_11_5', type: 'maintenance_fee', label: 'Maintenance fee (11.5 years)', from: 'grant', atMonths: 138, graceMonths: 6 }
+            ]
+        },
+        trademark: {
+            events: [
+                { key: 'declaration_of_use', type: 'declaration_of_use', label: 'Section 8 declaration of use', from: 'grant', atMonths: 72, graceMonths: 6 },
+                { key: 'renewal', type: 'renewal', label: 'Renewal (Sections 8 and 9)', from: 'grant', firstMonths: 120, everyMonths: 120, graceMonths: 6 }
+            ]
+        }
+    },
+    EU: {
+        patent: {
+            termYears: 20,
+            events: [
+                // Renewal fees are due for the third and each later year, counted from filing
+                { key: 'renewal_fee', type: 'maintenance_fee', label: 'Annual renewal fee', from: 'filing', firstMonths: 24, everyMonths: 12, graceMonths: 6 }
+            ]
+        },
+        trademark: {
+            events: [
+                { key: 'renewal', type: 'renewal', label: 'EU trade mark renewal', from: 'filing', firstMonths: 120, everyMonths: 120, graceMonths: 6 }
+            ]
+        }
+    },
+    IN: {
+        patent: {
+            termYears: 20,
+            events: [
+                { key: 'renewal_fee', type: 'maintenance_fee', label: 'Annual renewal fee', from: 'filing', firstMonths: 24, everyMonths: 12, graceMonths: 6 }
+            ]
+        },
+        trademark: {
+            events: [
+                { key: 'renewal', type: 'renewal', label: 'Trade mark renewal', from: 'filing', firstMonths: 120, everyMonths: 120, graceMonths: 6 }
+            ]
+        }
+    }
+};
+/**
+ * Add calendar months to a date, keeping the day of the month where it exists
+ * @param date - Date as YYYY-MM-DD
+ * @param months - Months to add
+ * @returns Date as YYYY-MM-DD (the last day of the month when the day does not exist, e.g. 31 Feb)
+ */
+const addMonths = (date, months) => {
+    const [year, month, day] = date.split('-').map(Number);
+    const target = new Date(Date.UTC(year, month - 1 + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(day, lastDay));
+    return target.toISOString().slice(0, 10);
+};
+/**
+ * Convert a Date to a calendar day in UTC
+ * @param date - Date or YYYY-MM-DD string
+ * @returns Date as YYYY-MM-DD
+ */
+const toDay = (date) => {
+    return typeof date === 'string' ? date.slice(0, 10) : date.toISOString().slice(0, 10);
+};
+/**
+ * Whole days from one calendar day to another
+ * @param from - Date as YYYY-MM-DD
+ * @param to - Date as YYYY-MM-DD
+ * @returns Days (negative when "to" is earlier)
+ */
+const daysBetween = (from, to) => {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+};
+/**
+ * Get the rules of a jurisdiction for an IP type
+ * @param jurisdiction - Jurisdiction code (e.g. US)
+ * @param ipType - IP type
+ * @returns Rules, or null when none are defined
+ */
+const getDeadlineRules = (jurisdiction, ipType) => {
+    const rules = DEADLINE_RULES[String(jurisdiction).toUpperCase()];
+    return (rules && rules[String(ipType).toLowerCase()]) || null;
+};
+/**
+ * Parse a list of jurisdiction codes
+ * @param value - Codes as an array or a comma-separated string
+ * @param allowed - Jurisdictions the platform operates in (config.legalJurisdictions)
+ * @returns Upper-case, de-duplicated codes and the codes that are not allowed
+ */
+const parseJurisdictions = (value, allowed) => {
+    const codes = Array.isArray(value) ? value : String(value ?? '').split(',');
+    const jurisdictions = [...new Set(codes.map((code) => String(code).trim().toUpperCase()).filter(Boolean))];
+    const permitted = allowed.map((code) => code.toUpperCase());
+    return {
+        jurisdictions,
+        invalid: jurisdictions.filter((code) => !permitted.includes(code))
+    };
+};
+/**
+ * Compute the deadlines of an asset in one jurisdiction
+ * Deadlines falling before the grant are left out: they were met (or not) before the asset was registered here.
+ * @param ipType - IP type
+ * @param jurisdiction - Jurisdiction code
+ * @param dates - filingDate and grantDate as YYYY-MM-DD (filing defaults to grant)
+ * @param until - Last due date to compute repeating deadlines up to, as YYYY-MM-DD
+ * @returns Deadlines with ruleKey, type, label, dueDate and graceEndsOn, by due date
+ */
+const computeDeadlines = (ipType, jurisdiction, dates, until) => {
+    const rules = getDeadlineRules(jurisdiction, ipType);
+    if (!rules) {
+        return [];
+    }
+    const grantDate = dates.grantDate;
+    const filingDate = dates.filingDate || grantDate;
+    const termEnd = rules.termYears ? addMonths(filingDate, rules.termYears * 12) : null;
+    const lastDue = termEnd && termEnd < until ? termEnd : until;
+    const deadlines = [];
+    for (const event of rules.events) {
+        const anchor = event.from === 'filing' ? filingDate : grantDate;
+        const offsets = [];
+        if (event.atMonths !== undefined) {
+            offsets.push(event.atMonths);
+        }
+        else {
+            for (let months = event.firstMonths; addMonths(anchor, months) <= lastDue; months += event.everyMonths) {
+                offsets.push(months);
+            }
+        }
+        for (const months of offsets) {
+            const dueDate = addMonths(anchor, months);
+            // Fees due on or after the end of the term are never owed
+            if (dueDate < grantDate || (termEnd && dueDate >= termEnd)) {
+                continue;
+            }
+            deadlines.push({
+                ruleKey: event.key,
+                type: event.type,
+                label: event.label,
+                dueDate,
+                graceEndsOn: addMonths(dueDate, event.graceMonths || 0)
+            });
+        }
+    }
+    if (termEnd) {
+        deadlines.push({ ruleKey: 'expiry', type: 'expiry', label: `End of the ${rules.termYears}-year term`, dueDate: termEnd, graceEndsOn: termEnd });
+    }
+    return deadlines.sort((a, b) => a.dueDate.localeCompare(b.dueDate) || a.ruleKey.localeCompare(b.ruleKey));
+};
+/**
+ * Get the reminder lead times a deadline has reached but not been reminded of
+ * Only the first (shortest) is sent; the others are marked sent with it, so a deadline first seen
+ * close to its due date gets one reminder rather than one for every lead time it is already inside of.
+ * @param daysLeft - Days until the due date
+ * @param leadDays - Configured lead times in days
+ * @param sent - Lead times already sent
+ * @returns Reached lead times, shortest first (empty when no reminder is due)
+ */
+const getDueReminders = (daysLeft, leadDays, sent) => {
+    if (daysLeft < 0) {
+        return [];
+    }
+    return leadDays.filter((lead) => daysLeft <= lead && !sent.includes(lead)).sort((a, b) => a - b);
+};
+// Export all functions
+module.exports = {
+    DEADLINE_TYPES,
+    DEADLINE_RULES,
+    addMonths,
+    toDay,
+    daysBetween,
+    getDeadlineRules,
+    parseJurisdictions,
+    computeDeadlines,
+    getDueReminders
+};
+//# sourceMappingURL=deadlineRules.js.map
\ No newline at end of file
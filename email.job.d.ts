@@ -0,0 +1,31 @@
+declare const mailerService: any;
+/**
+ * Email Delivery Job
+ * Periodically delivers queued emails and retries failed attempts with backoff.
+ */
+declare class EmailJob {
+    private isRunning;
+    private intervalId;
+    /**
+     * Start the email job with specified interval
+     * @param intervalMs - Interval in milliseconds (default: 30 seconds)
+     */
+    start(intervalMs?: number): void;
+    /**
+     * Stop the email job
+     */
+    stop(): void;
+    /**
+     * Run the email job once
+     */
+    runEmailJob(): Promise<void>;
+    /**
+     * Get email job status
+     */
+    getStatus(): {
+        isRunning: boolean;
+        intervalId: string;
+    };
+}
+declare const emailJob: EmailJob;
+//# sourceMappingURL=email.job.d.ts.map
\ No newline at end of file
@@ -0,0 +1,92 @@
+"use strict";
+const { mailerService } = require('../services/mailer.service');
+/**
+ * Email Delivery Job
+ * Periodically delivers queued emails and retries failed attempts with backoff.
+ */
+class EmailJob {
+    constructor() {
+        this.isRunning = false;
+        this.intervalId = null;
+    }
+    /**
+     * Start the email job with specified interval
+     * @param intervalMs - Interval in milliseconds (default: 30 seconds)
+     */
+    start(intervalMs = 30 * 1000) {
+        if (this.isRunning) {
+            console.log('⚠️ Email job is already running');
+            return;
+        }
+        console.log(`🚀 Starting email delivery job (interval: ${intervalMs / 1000}s)`);
+        this.isRunning = true;
+        // Run immediately on start
+        this.runEmailJob();
+        // Schedule recurring runs
+        this.intervalId = setInterval(() => {
+            this.runEmailJob();
+        }, intervalMs);
+    }
+    /**
+     * Stop the email job
+     */
+    stop() {
+        if (!this.isRunning) {
+            console.log('⚠️ Email job is not running');
+            return;
+        }
+        console.log('🛑 Stopping email delivery job');
+        this.isRunning = false;
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+    }
+    /**
+     * Run the email job once
+     */
+    async runEmailJob() {
+        try {
+            const { sent, failed } = await mailerService.processQueue();
+            if (sent > 0 || failed > 0) {
+                console.log(`📧 Email job: ${sent} sent, ${failed} failed`);
+            }
+        }
+        catch (error) {
+            console.error('❌ Error in email job:', error);
+        }
+    }
+    /**
+     * Get email job status
+     */
+    getStatus() {
+        return {
+            isRunning: this.isRunning,
+            intervalId: this.intervalId ? 'active' : 'inactive'
+        };
+    }
+}
+// Create singleton instance
+const emailJob = new EmailJob();
+// Export the job instance and class
+module.exports = {
+    emailJob,
+    EmailJob
+};
+// Auto-start the job if this file is run directly
+if (require.main === module) {
+    console.log('🚀 Starting email delivery job...');
+    emailJob.start();
+    // Graceful shutdown
+    process.on('SIGINT', () => {
+        console.log('\n🛑 Received SIGINT, stopping email job...');
+        emailJob.stop();
+        process.exit(0);
+    });
+    process.on('SIGTERM', () => {
+        console.log('\n🛑 Received SIGTERM, stopping email job...');
+        emailJob.stop();
+        process.exit(0);
+    });
+}
+//# sourceMappingURL=email.job.js.map
\ No newline at end of file
@@ -0,0 +1,71 @@
+"use strict";
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+class EmailMessage extends Model {
+}
+EmailMessage.init({
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+    },
+    to: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    template: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        comment: 'Template the message was rendered from',
+    },
+    subject: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+    },
+    html: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+    },
+    text: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+    },
+    status: {
+        type: DataTypes.ENUM('pending', 'sending', 'sent', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending',
+    },
+    attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+    },
+    nextAttemptAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: 'Earliest time of the next delivery attempt (exponential backoff)',
+    },
+    lastError: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+    },
+    messageId: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Transport message ID once sent',
+    },
+    sentAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+}, {
+    sequelize,
+    modelName: 'EmailMessage',
+    tableName: 'email_messages',
+    timestamps: true,
+    indexes: [
+        { fields: ['status', 'nextAttemptAt'] },
+    ],
+});
+module.exports = { EmailMessage };
+//# sourceMappingURL=emailMessage.model.js.map
\ No newline at end of file
@@ -0,0 +1,52 @@
+/**
+ * Email Template Functions
+ * Renders the subject, HTML and plain-text bodies of transactional emails
+ */
+/**
+ * Escape a value for safe inclusion in HTML
+ * @param value - Value to escape
+ * @returns Escaped string
+ */
+declare const escapeHtml: (value: any) => string;
+/**
+ * Wrap HTML content in the shared email layout
+ * @param title - Heading shown at the top of the email
+ * @param body - Inner HTML
+ * @param appName - Application name shown in the footer
+ * @returns Complete HTML document
+ */
+declare const renderLayout: (title: string, body: string, appName: string) => string;
+/**
+ * Render an action button
+ * @param url - Link target
+ * @param label - Button label
+ * @returns Button HTML
+ */
+declare const renderButton: (url: string, label: string) => string;
+/**
+ * Template definitions: each returns { subject, title, html, text }
+ */
+declare const templates: Record<string, (data: any) => {
+    subject: string;
+    title: string;
+    html: string;
+    text: string;
+}>;
+/**
+ * Render a named email template
+ * @param name - Template name
+ * @param data - Template variables
+ * @param appName - Application name for the layout (default: "IP Registry")
+ * @returns Rendered subject, HTML and text
+ */
+declare const renderEmailTemplate: (name: string, data: any, appName?: string) => {
+    subject: string;
+    html: string;
+    text: string;
+};
+/**
+ * List available template names
+ * @returns Template names
+ */
+declare const getEmailTemplateNames: () => string[];
+//# sourceMappingURL=emailTemplates.d.ts.map
\ No newline at end of file
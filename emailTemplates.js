@@ -0,0 +1,164 @@
+"use strict";
+/**
+ * Email Template Functions
+ * Renders the subject, HTML and plain-text bodies of transactional emails
+ */
+/**
+ * Escape a value for safe inclusion in HTML
+ * @param value - Value to escape
+ * @returns Escaped string
+ */
+const escapeHtml = (value) => {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+};
+/**
+ * Wrap HTML content in the shared email layout
+ * @param title - Heading shown at the top of the email
+ * @param body - Inner HTML
+ * @param appName - Application name shown in the footer
+ * @returns Complete HTML document
+ */
+const renderLayout = (title, body, appName) => {
+    return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body style="font-family: Arial, sans-serif; color: #222; max-width: 600px; margin: 0 auto; padding: 24px;">
+<h2 style="color: #1a4d8f;">${escapeHtml(title)}</h2>
+${body}
+<hr style="border: none; border-top: 1px solid #ddd; margin-top: 32px;">
+<p style="font-size: 12px; color: #888;">${escapeHtml(appName)} &middot; This is an automated message, please do not reply.</p>
+</body>
+</html>`;
+};
+/**
+ * Render an action button
+ * @param url - Link target
+ * @param label - Button label
+ * @returns Button HTML
+ */
+const renderButton = (url, label) => {
+    return `<p><a href="${escapeHtml(url)}" style="display: inline-block; background: #1a4d8f; color: #fff; padding: 10px 18px; border-radius: 4px; text-decoration: none;">${escapeHtml(label)}</a></p>`;
+};
+/**
+ * Template definitions: each returns { subject, title, html, text }
+ */
+const templates = {
+    verification: (data) => ({
+        subject: 'Verify your email address',
+        title: 'Confirm your email',
+        html: `<p>Hi ${escapeHtml(data.username)},</p>
+<p>Please confirm your email address to finish setting up your account.</p>
+${renderButton(data.verificationUrl, 'Verify email')}
+<p>If you did not create an account, you can ignore this email.</p>`,
+        text: `Hi ${data.username},\n\nPlease confirm your email address to finish setting up your account:\n${data.verificationUrl}\n\nIf you did not create an account, you can ignore this email.`
+    }),
+    passwordReset: (data) => ({
+        subject: 'Reset your password',
+        title: 'Password reset requested',
+        html: `<p>Hi ${escapeHtml(data.username)},</p>
+<p>We received a request to reset your password. The link expires in ${escapeHtml(data.expiresInMinutes)} minutes.</p>
+${renderButton(data.resetUrl, 'Reset password')}
+<p>If you did not request a reset, your password has not been changed.</p>`,
+        text: `Hi ${data.username},\n\nWe received a request to reset your password. The link expires in ${data.expiresInMinutes} minutes:\n${data.resetUrl}\n\nIf you did not request a reset, your password has not been changed.`
+    }),
+    saleNotification: (data) => ({
+        subject: `Your work "${data.title}" was sold`,
+        title: 'You made a sale',
+        html: `<p>Hi ${escapeHtml(data.username)},</p>
+<p>Your work <strong>${escapeHtml(data.title)}</strong> (marketplace #${escapeHtml(data.workId)}) was acquired for <strong>${escapeHtml(data.price)} ETH</strong>.</p>
+<p>Buyer: <code>${escapeHtml(data.buyer)}</code><br>Transaction: <code>${escapeHtml(data.transactionHash)}</code></p>`,
+        text: `Hi ${data.username},\n\nYour work "${data.title}" (marketplace #${data.workId}) was acquired for ${data.price} ETH.\nBuyer: ${data.buyer}\nTransaction: ${data.transactionHash}`
+    }),
+    transferReceipt: (data) => ({
+        subject: `Transfer receipt: ${data.title}`,
+        title: 'IP asset transfer receipt',
+        html: `<p>Hi ${escapeHtml(data.username)},</p>
+<p>Ownership of <strong>${escapeHtml(data.title)}</strong> (asset #${escapeHtml(data.assetId)}) was transferred.</p>
+<p>From: <code>${escapeHtml(data.fromAddress)}</code><br>To: <code>${escapeHtml(data.toAddress)}</code><br>Transaction: <code>${escapeHtml(data.transactionHash)}</code><br>Date: ${escapeHtml(data.transferredAt)}</p>`,
+        text: `Hi ${data.username},\n\nOwnership of "${data.title}" (asset #${data.assetId}) was transferred.\nFrom: ${data.fromAddress}\nTo: ${data.toAddress}\nTransaction: ${data.transactionHash}\nDate: ${data.transferredAt}`
+    }),
+    transferOffer: (data) => ({
+        subject: `Transfer offer: ${data.title}`,
+        title: 'IP asset transfer offer',
+        html: `<p>Hi ${escapeHtml(data.username)},</p>
+<p>${escapeHtml(data.proposerName)} offered to transfer <strong>${escapeHtml(data.title)}</strong> (asset #${escapeHtml(data.assetId)}) to your wallet <code>${escapeHtml(data.toAddress)}</code>.</p>
+${data.note ? `<p>Note: ${escapeHtml(data.note)}</p>\n` : ''}${renderButton(data.offerUrl, 'Review offer')}
+<p>The offer expires on ${escapeHtml(data.expiresAt)}. Ownership only changes if you accept.</p>`,
+        text: `Hi ${data.username},\n\n${data.proposerName} offered to transfer "${data.title}" (asset #${data.assetId}) to your wallet ${data.toAddress}.\n${data.note ? `Note: ${data.note}\n` : ''}\nReview the offer:\n${data.offerUrl}\n\nThe offer expires on ${data.expiresAt}. Ownership only changes if you accept.`
+    }),
+    newDeviceLogin: (data) => ({
+        subject: 'New sign-in to your account',
+        title: 'New device sign-in',
+        html: `<p>Hi ${escapeHtml(data.username)},</p>
+<p>Your account was just signed in to from a device we haven't seen before.</p>
+<p>Device: ${escapeHtml(data.deviceName)}<br>IP address: ${escapeHtml(data.ipAddress)}<br>Time: ${escapeHtml(data.signedInAt)}</p>
+<p>If this was you, no action is needed. Otherwise, revoke the session and change your password.</p>
+${renderButton(data.sessionsUrl, 'Review sessions')}`,
+        text: `Hi ${data.username},\n\nYour account was just signed in to from a device we haven't seen before.\nDevice: ${data.deviceName}\nIP address: ${data.ipAddress}\nTime: ${data.signedInAt}\n\nIf this was you, no action is needed. Otherwise, revoke the session and change your password:\n${data.sessionsUrl}`
+    }),
+    organizationInvitation: (data) => ({
+        subject: `You're invited to join ${data.organizationName}`,
+        title: 'Organization invitation',
+        html: `<p>${escapeHtml(data.inviterName)} invited you to join <strong>${escapeHtml(data.organizationName)}</strong> as ${escapeHtml(data.role)}.</p>
+${renderButton(data.acceptUrl, 'Accept invitation')}
+<p>The invitation expires on ${escapeHtml(data.expiresAt)}.</p>`,
+        text: `${data.inviterName} invited you to join ${data.organizationName} as ${data.role}.\n\nAccept the invitation:\n${data.acceptUrl}\n\nThe invitation expires on ${data.expiresAt}.`
+    }),
+    deadlineReminder: (data) => ({
+        subject: data.overdue
+            ? `Overdue: ${data.label} for ${data.title} (${data.jurisdiction})`
+            : `Due ${data.dueDate}: ${data.label} for ${data.title} (${data.jurisdiction})`,
+        title: data.overdue ? 'IP deadline overdue' : 'Upcoming IP deadline',
+        html: `<p>Hi ${escapeHtml(data.username)},</p>
+<p><strong>${escapeHtml(data.label)}</strong> for <strong>${escapeHtml(data.title)}</strong> (asset #${escapeHtml(data.assetId)}) in ${escapeHtml(data.jurisdiction)} ${data.overdue ? 'was' : 'is'} due on ${escapeHtml(data.dueDate)}${data.overdue ? '' : ` (in ${escapeHtml(data.daysLeft)} days)`}.</p>
+<p>${data.overdue
+            ? `It can still be met until the grace period ends on ${escapeHtml(data.graceEndsOn)}, usually for a surcharge. After that, protection in ${escapeHtml(data.jurisdiction)} lapses.`
+            : data.type === 'expiry'
+                ? 'The term cannot be renewed; protection ends on that date.'
+                : `The grace period ends on ${escapeHtml(data.graceEndsOn)}. Once it is filed or paid, mark the deadline as completed.`}</p>
+${renderButton(data.deadlinesUrl, 'View deadlines')}`,
+        text: `Hi ${data.username},\n\n${data.label} for "${data.title}" (asset #${data.assetId}) in ${data.jurisdiction} ${data.overdue ? 'was' : 'is'} due on ${data.dueDate}${data.overdue ? '' : ` (in ${data.daysLeft} days)`}.\n${data.overdue
+            ? `It can still be met until the grace period ends on ${data.graceEndsOn}, usually for a surcharge. After that, protection in ${data.jurisdiction} lapses.`
+            : data.type === 'expiry'
+                ? 'The term cannot be renewed; protection ends on that date.'
+                : `The grace period ends on ${data.graceEndsOn}. Once it is filed or paid, mark the deadline as completed.`}\n\nView deadlines:\n${data.deadlinesUrl}`
+    })
+};
+/**
+ * Render a named email template
+ * @param name - Template name
+ * @param data - Template variables
+ * @param appName - Application name for the layout (default: "IP Registry")
+ * @returns Rendered subject, HTML and text
+ */
+const renderEmailTemplate = (name, data, appName = 'IP Registry') => {
+    const template = templates[name];
+    if (!template) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+    const rendered = template(data || {});
+    return {
+        subject: rendered.subject,
+        html: renderLayout(rendered.title, rendered.html, appName),
+        text: `${rendered.text}\n\n-- \n${appName}`
+    };
+};
+/**
+ * List available template names
+ * @returns Template names
+ */
+const getEmailTemplateNames = () => {
+    return Object.keys(templates);
+};
+// Export all functions
+module.exports = {
+    escapeHtml,
+    renderEmailTemplate,
+    getEmailTemplateNames
+};
+//# sourceMappingURL=emailTemplates.js.map
\ No newline at end of file
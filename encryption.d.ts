@@ -0,0 +1,29 @@
+declare const crypto: any;
+declare const config: any;
+/**
+ * Encryption Utility Functions
+ * Symmetric encryption for secrets stored at rest (e.g., 2FA secrets)
+ */
+declare const ALGORITHM = "aes-256-gcm";
+declare const IV_LENGTH = 12;
+/**
+ * Derive a 256-bit key from the configured encryption key
+ * @param secret - Key material (default: config.encryptionKey)
+ * @returns 32-byte key
+ */
+declare const deriveKey: (secret?: string) => Buffer;
+/**
+ * Encrypt a string with AES-256-GCM
+ * @param plaintext - Text to encrypt
+ * @param secret - Optional key material (default: config.encryptionKey)
+ * @returns Encoded payload "iv:authTag:ciphertext" (hex)
+ */
+declare const encrypt: (plaintext: string, secret?: string) => string;
+/**
+ * Decrypt a payload produced by encrypt()
+ * @param payload - Encoded payload "iv:authTag:ciphertext"
+ * @param secret - Optional key material (default: config.encryptionKey)
+ * @returns Decrypted text
+ */
+declare const decrypt: (payload: string, secret?: string) => string;
+//# sourceMappingURL=encryption.d.ts.map
\ No newline at end of file
@@ -0,0 +1,51 @@
+"use strict";
+const crypto = require('crypto');
+const config = require('../config');
+/**
+ * Encryption Utility Functions
+ * Symmetric encryption for secrets stored at rest (e.g., 2FA secrets)
+ */
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+/**
+ * Derive a 256-bit key from the configured encryption key
+ * @param secret - Key material (default: config.encryptionKey)
+ * @returns 32-byte key
+ */
+const deriveKey = (secret = config.encryptionKey) => {
+    return crypto.createHash('sha256').update(String(secret)).digest();
+};
+/**
+ * Encrypt a string with AES-256-GCM
+ * @param plaintext - Text to encrypt
+ * @param secret - Optional key material (default: config.encryptionKey)
+ * @returns Encoded payload "iv:authTag:ciphertext" (hex)
+ */
+const encrypt = (plaintext, secret) => {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, deriveKey(secret), iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    const authTag = cipher.getAuthTag();
+    return `${iv.toString('hex')}:${authTag.toString('hex')}:${ciphertext.toString('hex')}`;
+};
+/**
+ * Decrypt a payload produced by encrypt()
+ * @param payload - Encoded payload "iv:authTag:ciphertext"
+ * @param secret - Optional key material (default: config.encryptionKey)
+ * @returns Decrypted text
+ */
+const decrypt = (payload, secret) => {
+    const [ivHex, authTagHex, ciphertextHex] = String(payload).split(':');
+    if (!ivHex || !authTagHex || ciphertextHex === undefined) {
+        throw new Error('Invalid encrypted payload');
+    }
+    const decipher = crypto.createDecipheriv(ALGORITHM, deriveKey(secret), Buffer.from(ivHex, 'hex'));
+    decipher.setAuthTag(Buffer.from(authTagHex, 'hex'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertextHex, 'hex')), decipher.final()]).toString('utf8');
+};
+// Export all functions
+module.exports = {
+    encrypt,
+    decrypt
+};
+//# sourceMappingURL=encryption.js.map
\ No newline at end of file
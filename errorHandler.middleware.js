@@ -16,6 +16,11 @@ const errorHandler = (error, req, res, next) => {
         message = 'Validation failed';
         details = error.message;
     }
+    else if (error.name === 'PasswordPolicyError') {
+        statusCode = 400;
+        message = 'Password does not meet the password policy';
+        details = error.message;
+    }
     else if (error.name === 'UnauthorizedError') {
         statusCode = 401;
         message = 'Unauthorized';
@@ -78,6 +83,10 @@ const errorHandler = (error, req, res, next) => {
         path: req.path,
         method: req.method
     };
+    // Per-rule password violations are always safe to return
+    if (error.name === 'PasswordPolicyError') {
+        errorResponse.errors = error.violations;
+    }
     // Include details in development mode
     if (config.logLevel === 'debug' && details) {
         errorResponse.details = details;
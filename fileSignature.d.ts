@@ -0,0 +1,30 @@
+/**
+ * File Signature Utility Functions
+ * Checks that an upload's bytes match the type the client declared, since the MIME type is only
+ * a header the client chooses
+ */
+declare const SIGNATURES: Record<string, Array<Array<number | null> | Buffer>>;
+/**
+ * Check whether a buffer starts with a signature
+ * @param buffer - File contents
+ * @param signature - Expected leading bytes
+ * @returns True when every byte matches
+ */
+declare const startsWith: (buffer: Buffer, signature: Array<number | null> | Buffer) => boolean;
+/**
+ * Check whether a buffer is UTF-8 text
+ * Control characters other than whitespace mark it as binary.
+ * @param buffer - File contents
+ * @returns True for valid UTF-8 without binary control characters
+ */
+declare const isUtf8Text: (buffer: Buffer) => boolean;
+/**
+ * Check whether a file's contents match its declared MIME type
+ * Text types must be UTF-8 text and binary types must start with their signature. Types without
+ * a known signature are rejected.
+ * @param buffer - File contents
+ * @param mimeType - MIME type declared by the client
+ * @returns True when the contents match the type
+ */
+declare const matchesFileSignature: (buffer: Buffer, mimeType?: string) => boolean;
+//# sourceMappingURL=fileSignature.d.ts.map
\ No newline at end of file
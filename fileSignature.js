@@ -0,0 +1,71 @@
+"use strict";
+/**
+ * File Signature Utility Functions
+ * Checks that an upload's bytes match the type the client declared, since the MIME type is only
+ * a header the client chooses
+ */
+// Leading bytes of each binary type; null entries match any byte
+const SIGNATURES = {
+    'image/jpeg': [[0xff, 0xd8, 0xff]],
+    'image/png': [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+    'image/gif': [Buffer.from('GIF87a'), Buffer.from('GIF89a')],
+    'image/webp': [[0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50]],
+    'application/pdf': [Buffer.from('%PDF-')],
+    'application/zip': [[0x50, 0x4b, 0x03, 0x04]]
+};
+/**
+ * Check whether a buffer starts with a signature
+ * @param buffer - File contents
+ * @param signature - Expected leading bytes
+ * @returns True when every byte matches
+ */
+const startsWith = (buffer, signature) => {
+    if (buffer.length < signature.length) {
+        return false;
+    }
+    for (let i = 0; i < signature.length; i++) {
+        if (signature[i] !== null && buffer[i] !== signature[i]) {
+            return false;
+        }
+    }
+    return true;
+};
+/**
+ * Check whether a buffer is UTF-8 text
+ * Control characters other than whitespace mark it as binary.
+ * @param buffer - File contents
+ * @returns True for valid UTF-8 without binary control characters
+ */
+const isUtf8Text = (buffer) => {
+    let text;
+    try {
+        text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    }
+    catch (error) {
+        return false;
+    }
+    return !/[\u0000-\u0008\u000b\u000e-\u001f]/.test(text);
+};
+/**
+ * Check whether a file's contents match its declared MIME type
+ * Text types must be UTF-8 text and binary types must start with their signature. Types without
+ * a known signature are rejected.
+ * @param buffer - File contents
+ * @param mimeType - MIME type declared by the client
+ * @returns True when the contents match the type
+ */
+const matchesFileSignature = (buffer, mimeType) => {
+    if (!Buffer.isBuffer(buffer) || typeof mimeType !== 'string') {
+        return false;
+    }
+    if (mimeType.startsWith('text/') || mimeType === 'application/json') {
+        return isUtf8Text(buffer);
+    }
+    const signatures = SIGNATURES[mimeType];
+    return Boolean(signatures) && signatures.some((signature) => startsWith(buffer, signature));
+};
+// Export all functions
+module.exports = {
+    matchesFileSignature
+};
+//# sourceMappingURL=fileSignature.js.map
\ No newline at end of file
@@ -125,6 +125,13 @@ declare const hashEmail: (email: string, salt?: string) => string;
  * @returns Hashed IP address
  */
 declare const hashIPAddress: (ipAddress: string, salt?: string) => string;
+/**
+ * Normalize text for fingerprinting
+ * Letters (with their combining marks) and digits of every script are kept; case, punctuation and spacing are dropped.
+ * @param content - Content to normalize
+ * @returns Normalized content
+ */
+declare const normalizeFingerprintContent: (content: string) => string;
 /**
  * Generate a hash for anti-piracy detection
  * @param content - Content to analyze
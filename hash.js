@@ -179,6 +179,20 @@ const hashIPAddress = (ipAddress, salt) => {
     const input = salt ? `${ipAddress}:${salt}` : ipAddress;
     return sha256(input);
 };
+/**
+ * Normalize text for fingerprinting
+ * Letters (with their combining marks) and digits of every script are kept; case, punctuation and spacing are dropped.
+ * @param content - Content to normalize
+ * @returns Normalized content
+ */
+const normalizeFingerprintContent = (content) => {
+    return String(content ?? '')
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{M}\p{N}\s]/gu, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+};
 /**
  * Generate a hash for anti-piracy detection
  * @param content - Content to analyze
@@ -187,11 +201,7 @@ const hashIPAddress = (ipAddress, salt) => {
  */
 const generateContentFingerprint = (content, algorithm = 'sha256') => {
     // Normalize content for consistent hashing
-    const normalizedContent = content
-        .toLowerCase()
-        .replace(/\s+/g, ' ')
-        .replace(/[^\w\s]/g, '')
-        .trim();
+    const normalizedContent = normalizeFingerprintContent(content);
     return crypto.createHash(algorithm).update(normalizedContent).digest('hex');
 };
 /**
@@ -289,6 +299,7 @@ module.exports = {
     hashWalletAddress,
     hashEmail,
     hashIPAddress,
+    normalizeFingerprintContent,
     generateContentFingerprint,
     generateComplianceHash,
     generateAuditHash,
@@ -0,0 +1,31 @@
+/**
+ * iCalendar Utility Functions
+ * Serializes all-day events as an RFC 5545 calendar that calendar applications can import or subscribe to
+ */
+type CalendarEvent = {
+    uid: string;
+    date: string;
+    summary: string;
+    description?: string;
+    url?: string;
+    categories?: string[];
+    alarmDays?: number[];
+};
+/**
+ * Escape a text value
+ * @param value - Text
+ * @returns Text with backslashes, semicolons, commas and newlines escaped
+ */
+declare const escapeText: (value: any) => string;
+/**
+ * Build an iCalendar document of all-day events
+ * @param calendar - name, productId and events (uid, date as YYYY-MM-DD, summary, description, url,
+ * categories, alarmDays: days before the event to alert)
+ * @returns Calendar text with CRLF line endings
+ */
+declare const buildCalendar: (calendar: {
+    name: string;
+    productId?: string;
+    events: CalendarEvent[];
+}) => string;
+//# sourceMappingURL=icalendar.d.ts.map
\ No newline at end of file
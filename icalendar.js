@@ -0,0 +1,96 @@
+"use strict";
+/**
+ * iCalendar Utility Functions
+ * Serializes all-day events as an RFC 5545 calendar that calendar applications can import or subscribe to
+ */
+/**
+ * Escape a text value
+ * @param value - Text
+ * @returns Text with backslashes, semicolons, commas and newlines escaped
+ */
+const escapeText = (value) => {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+};
+/**
+ * Fold a content line to at most 75 octets per line
+ * @param line - Content line
+ * @returns Folded line (continuation lines start with a space)
+ */
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char, 'utf8') > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+/**
+ * Format a calendar day as an iCalendar DATE
+ * @param day - Date as YYYY-MM-DD
+ * @returns Date as YYYYMMDD
+ */
+const formatDate = (day) => {
+    return day.replace(/-/g, '');
+};
+/**
+ * Format an instant as an iCalendar UTC DATE-TIME
+ * @param date - Date
+ * @returns Date-time as YYYYMMDDTHHMMSSZ
+ */
+const formatDateTime = (date) => {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+/**
+ * Build an iCalendar document of all-day events
+ * @param calendar - name, productId and events (uid, date as YYYY-MM-DD, summary, description, url,
+ * categories, alarmDays: days before the event to alert)
+ * @returns Calendar text with CRLF line endings
+ */
+const buildCalendar = (calendar) => {
+    const stamp = formatDateTime(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${calendar.productId || '-//IP Registry//Deadlines//EN'}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(calendar.name)}`
+    ];
+    for (const event of calendar.events) {
+        const [year, month, day] = event.date.split('-').map(Number);
+        const nextDay = new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+        lines.push('BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${stamp}`, `DTSTART;VALUE=DATE:${formatDate(event.date)}`, `DTEND;VALUE=DATE:${formatDate(nextDay)}`, `SUMMARY:${escapeText(event.summary)}`);
+        if (event.description) {
+            lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        }
+        if (event.url) {
+            lines.push(`URL:${event.url}`);
+        }
+        if (event.categories && event.categories.length > 0) {
+            lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+        }
+        lines.push('TRANSP:TRANSPARENT');
+        for (const days of event.alarmDays || []) {
+            lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${escapeText(event.summary)}`, `TRIGGER:-P${days}D`, 'END:VALARM');
+        }
+        lines.push('END:VEVENT');
+    }
+    lines.push('END:VCALENDAR');
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+// Export all functions
+module.exports = {
+    escapeText,
+    buildCalendar
+};
+//# sourceMappingURL=icalendar.js.map
\ No newline at end of file
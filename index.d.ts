@@ -4,6 +4,12 @@ declare const config: {
     nodeEnv: string;
     databaseUrl: string;
     jwtSecret: string;
+    jwtRefreshSecret: string;
+    siweDomain: string;
+    siweUri: string;
+    siweStatement: string;
+    siweChainId: number;
+    siweNonceTtl: number;
     ipfsApiUrl: string;
     ipfsGateway: string;
     web3ProviderUrl: string;
@@ -13,8 +19,17 @@ declare const config: {
     confirmationsRequired: number;
     marketplaceContractAddress: string;
     enableAntiPiracy: boolean;
+    similarityFlagThreshold: number;
+    similarityMinScore: number;
+    imageMatchMaxDistance: number;
+    trademarkConflictThreshold: number;
+    coOwnerApprovalTtl: number;
+    transferOfferTtl: number;
+    certificateSigningKey: string;
+    certificateVerifyUrl: string;
     supportedChains: string[];
     legalJurisdictions: string[];
+    deadlineReminderLeadDays: number[];
     complianceContact: string;
     logLevel: string;
     enableFeatureX: boolean;
@@ -29,6 +44,11 @@ declare const config: {
     };
     emailFrom: string;
     emailFromName: string;
+    emailTransport: string;
+    emailOutboxDir: string;
+    emailMaxAttempts: number;
+    emailRetryBaseDelay: number;
+    appUrl: string;
     maxFileSize: number;
     allowedFileTypes: string[];
     uploadDir: string;
@@ -44,9 +64,23 @@ declare const config: {
     trustProxy: boolean;
     sessionSecret: string;
     encryptionKey: string;
+    twoFactorIssuer: string;
+    adminEmails: string[];
+    passwordMinLength: number;
+    passwordMaxLength: number;
+    passwordRequireUppercase: boolean;
+    passwordRequireLowercase: boolean;
+    passwordRequireDigit: boolean;
+    passwordRequireSymbol: boolean;
+    passwordMinScore: number;
+    passwordHistorySize: number;
+    passwordBreachedListPath: string;
     apiVersion: string;
     apiPrefix: string;
     apiRateLimitEnabled: boolean;
+    apiKeyRateLimit: number;
+    apiKeyRateLimitWindow: number;
+    apiKeyMaxPerUser: number;
     enableMarketplace: boolean;
     enableTrading: boolean;
     enableNft: boolean;
@@ -18,6 +18,15 @@ const config = {
     // ==================== JWT CONFIGURATION ====================
     // JWT secret for authentication
     jwtSecret: process.env.JWT_SECRET || "your_jwt_secret",
+    // Separate secret for refresh tokens so they can never pass as access tokens
+    jwtRefreshSecret: process.env.JWT_REFRESH_SECRET || "your_jwt_refresh_secret",
+    // ==================== SIGN-IN WITH ETHEREUM ====================
+    // EIP-4361 message settings; domain and URI must match what the wallet shows the user
+    siweDomain: process.env.SIWE_DOMAIN || "localhost:3000",
+    siweUri: process.env.SIWE_URI || "http://localhost:3000",
+    siweStatement: process.env.SIWE_STATEMENT || "Sign in to the IP Registry.",
+    siweChainId: Number(process.env.SIWE_CHAIN_ID) || 1,
+    siweNonceTtl: Number(process.env.SIWE_NONCE_TTL) || 600, // seconds
     // ==================== IPFS CONFIGURATION ====================
     // IPFS API endpoint for decentralized storage
     ipfsApiUrl: process.env.IPFS_API_URL || "",
@@ -35,6 +44,22 @@ const config = {
     // ==================== ANTI-PIRACY & IP PROTECTION ====================
     // Anti-piracy and IP protection settings
     enableAntiPiracy: process.env.ENABLE_ANTI_PIRACY === "true",
+    // New registrations at least this similar (0-1) to an earlier asset are flagged
+    similarityFlagThreshold: Number(process.env.SIMILARITY_FLAG_THRESHOLD) || 0.8,
+    // Minimum similarity for GET /api/ip-assets/:id/similar results
+    similarityMinScore: Number(process.env.SIMILARITY_MIN_SCORE) || 0.3,
+    // Largest pHash Hamming distance (of 64 bits) at which an image counts as a likely copy
+    imageMatchMaxDistance: Number(process.env.IMAGE_MATCH_MAX_DISTANCE) || 10,
+    // New word marks at least this similar (0-1) to a mark in the same Nice class get a conflict warning
+    trademarkConflictThreshold: Number(process.env.TRADEMARK_CONFLICT_THRESHOLD) || 0.8,
+    // Co-owner approval requests expire if not decided within this time
+    coOwnerApprovalTtl: Number(process.env.CO_OWNER_APPROVAL_TTL) || 7 * 24 * 60 * 60 * 1000, // 7 days
+    // Transfer offers expire if the recipient does not accept within this time
+    transferOfferTtl: Number(process.env.TRANSFER_OFFER_TTL) || 7 * 24 * 60 * 60 * 1000, // 7 days
+    // Key that signs registration certificates (defaults to the platform wallet key)
+    certificateSigningKey: process.env.CERTIFICATE_SIGNING_KEY || process.env.PRIVATE_KEY || "",
+    // Public page certificate QR codes link to (certificate ID is appended; defaults to the public API)
+    certificateVerifyUrl: process.env.CERTIFICATE_VERIFY_URL || "",
     supportedChains: (process.env.SUPPORTED_CHAINS || "ethereum,polygon")
         .split(",")
         .map(chain => chain.trim())
@@ -42,6 +67,10 @@ const config = {
     // ==================== LEGAL COMPLIANCE ====================
     // Scalability and interoperability options
     legalJurisdictions: (process.env.LEGAL_JURISDICTIONS || "US,EU,IN").split(",").map(jurisdiction => jurisdiction.trim()),
+    // Days before a renewal, maintenance fee or expiry deadline that owners are reminded
+    deadlineReminderLeadDays: (process.env.DEADLINE_REMINDER_LEAD_DAYS || "90,30,7").split(",")
+        .map(days => Number(days.trim()))
+        .filter(days => Number.isInteger(days) && days > 0),
     // Legal compliance settings
     complianceContact: process.env.COMPLIANCE_CONTACT || "support@yourdomain.com",
     // ==================== LOGGING & MONITORING ====================
@@ -66,6 +95,11 @@ const config = {
     },
     emailFrom: process.env.EMAIL_FROM || "noreply@yourdomain.com",
     emailFromName: process.env.EMAIL_FROM_NAME || "IP Registry",
+    emailTransport: process.env.EMAIL_TRANSPORT || "outbox", // smtp | outbox
+    emailOutboxDir: process.env.EMAIL_OUTBOX_DIR || "outbox",
+    emailMaxAttempts: Number(process.env.EMAIL_MAX_ATTEMPTS) || 5,
+    emailRetryBaseDelay: Number(process.env.EMAIL_RETRY_BASE_DELAY) || 60000, // ms, doubled per attempt
+    appUrl: process.env.APP_URL || "http://localhost:3000",
     // ==================== FILE UPLOAD CONFIGURATION ====================
     // File upload settings
     maxFileSize: Number(process.env.MAX_FILE_SIZE) || 10485760, // 10MB
@@ -97,11 +131,30 @@ const config = {
     // Security settings
     sessionSecret: process.env.SESSION_SECRET || "your_session_secret",
     encryptionKey: process.env.ENCRYPTION_KEY || "your_encryption_key_32_characters_long",
+    twoFactorIssuer: process.env.TWO_FACTOR_ISSUER || "IP Registry",
+    // Users with these emails get the admin role once they verify the address
+    adminEmails: (process.env.ADMIN_EMAILS || "")
+        .split(",")
+        .map(email => email.trim().toLowerCase())
+        .filter(Boolean),
+    // Password policy
+    passwordMinLength: Number(process.env.PASSWORD_MIN_LENGTH) || 8,
+    passwordMaxLength: Number(process.env.PASSWORD_MAX_LENGTH) || 72, // bytes; bcrypt ignores anything longer
+    passwordRequireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== "false",
+    passwordRequireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== "false",
+    passwordRequireDigit: process.env.PASSWORD_REQUIRE_DIGIT !== "false",
+    passwordRequireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === "true",
+    passwordMinScore: Number(process.env.PASSWORD_MIN_SCORE ?? 3), // 0-4 strength score
+    passwordHistorySize: Number(process.env.PASSWORD_HISTORY_SIZE ?? 5), // 0 disables reuse checks
+    passwordBreachedListPath: process.env.PASSWORD_BREACHED_LIST_PATH || "", // defaults to the bundled list
     // ==================== API CONFIGURATION ====================
     // API settings
     apiVersion: process.env.API_VERSION || "v1",
     apiPrefix: process.env.API_PREFIX || "/api",
     apiRateLimitEnabled: process.env.API_RATE_LIMIT_ENABLED !== "false",
+    apiKeyRateLimit: Number(process.env.API_KEY_RATE_LIMIT) || 1000, // requests per window, per key
+    apiKeyRateLimitWindow: Number(process.env.API_KEY_RATE_LIMIT_WINDOW) || 3600000, // ms
+    apiKeyMaxPerUser: Number(process.env.API_KEY_MAX_PER_USER) || 10,
     // ==================== FEATURE FLAGS ====================
     // Feature flags
     enableMarketplace: process.env.ENABLE_MARKETPLACE !== "false",
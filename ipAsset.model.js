@@ -40,9 +40,15 @@ IPAsset.init({
     owner: {
         type: DataTypes.INTEGER,
         allowNull: false,
-        comment: 'User ID of the owner',
+        comment: 'ID of the owning user or organization (see ownerType)',
         index: true,
     },
+    ownerType: {
+        type: DataTypes.ENUM('user', 'organization'),
+        allowNull: false,
+        defaultValue: 'user',
+        comment: 'Whether owner references a user or an organization',
+    },
     walletAddress: {
         type: DataTypes.STRING(100),
         allowNull: false,
@@ -51,20 +57,65 @@ IPAsset.init({
     },
     blockchainId: {
         type: DataTypes.STRING(255),
-        allowNull: false,
+        allowNull: true,
         unique: true,
-        comment: 'Blockchain asset ID or transaction hash',
+        comment: 'Blockchain asset ID (null until the chain registration succeeds)',
         index: true,
     },
+    transactionHash: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Registration transaction hash',
+    },
+    contentHash: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        comment: 'SHA-256 of the uploaded file (null when registered without a file), for duplicate detection and public verification',
+    },
+    contentFingerprint: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        comment: 'Hash of the case-, whitespace- and punctuation-normalized text (null for binary files)',
+    },
+    aHash: {
+        type: DataTypes.STRING(16),
+        allowNull: true,
+        comment: 'Average perceptual hash of an image file (hex)',
+    },
+    dHash: {
+        type: DataTypes.STRING(16),
+        allowNull: true,
+        comment: 'Difference perceptual hash of an image file (hex)',
+    },
+    pHash: {
+        type: DataTypes.STRING(16),
+        allowNull: true,
+        comment: 'DCT perceptual hash of an image file (hex)',
+    },
+    jurisdictions: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'Jurisdictions protection is held in (codes from config.legalJurisdictions; null means the first one); deadlines are tracked per jurisdiction',
+    },
+    status: {
+        type: DataTypes.ENUM('draft', 'pending_chain', 'registered', 'disputed', 'transferred', 'abandoned', 'expired'),
+        allowNull: false,
+        defaultValue: 'draft',
+        comment: 'Lifecycle state; transitions are defined in utils/assetLifecycle',
+    },
 }, {
     sequelize,
     modelName: 'IPAsset',
     tableName: 'ip_assets',
     timestamps: true,
     indexes: [
-        { fields: ['owner'] },
+        { fields: ['ownerType', 'owner'] },
         { fields: ['walletAddress'] },
         { fields: ['blockchainId'] },
+        { fields: ['status'] },
+        { fields: ['contentHash'] },
+        { fields: ['ipfsHash'] },
+        { fields: ['contentFingerprint'] },
     ],
 });
 module.exports = { IPAsset };
@@ -0,0 +1,346 @@
+declare const Op: any;
+declare const IPAsset: any;
+declare const IPAssetStatusHistory: any;
+declare const IPAssetVersion: any;
+declare const IPAssetCoOwner: any;
+declare const assertTransition: any, assertOperationAllowed: any, AssetStateError: any;
+declare const diffText: any, summarizeDiff: any;
+declare const hashFile: any;
+declare const DuplicateAssetError: any, isTextContent: any;
+declare const web3Service: any;
+declare const ipfsService: any;
+declare const similarityService: any;
+declare const organizationService: any;
+declare const patentService: any;
+declare const trademarkService: any;
+declare const auditService: any;
+declare const sequelize: any;
+/**
+ * IP Asset Service
+ * Listing and lifecycle operations on registered IP assets
+ */
+declare class IPAssetService {
+    private readonly defaultPageSize;
+    private readonly maxPageSize;
+    private readonly sortableFields;
+    private readonly selectableFields;
+    private readonly expandableFields;
+    private readonly reviewableStates;
+    private readonly versionedFields;
+    constructor();
+    /**
+     * Create an asset in the draft state
+     * @param data - Asset columns (title, ipType, description, ipfsHash, owner, ownerType, walletAddress),
+     * and the validated metadata of patents (patent) and trademarks (trademark)
+     * @param actorId - User creating the asset
+     * @param transaction - Optional transaction to create the asset in
+     * @returns Created asset
+     */
+    createAsset(data: any, actorId: number, transaction?: any): Promise<any>;
+    /**
+     * Pin a metadata document carrying the type-specific fields of an asset next to client-supplied content
+     * Uploads through uploadAndRegister put the fields into the asset's own metadata instead.
+     * @param data - title, ipType, description, ipfsHash and walletAddress of the new asset
+     * @param fields - Validated type-specific metadata, e.g. { patent } or { trademark }
+     * @returns IPFS CID of the metadata document
+     */
+    pinTypeMetadata(data: {
+        title: string;
+        ipType: string;
+        description: string;
+        ipfsHash: string;
+        walletAddress: string;
+    }, fields: Record<string, any>): Promise<string>;
+    /**
+     * Find the earliest registration of the same content
+     * Abandoned assets no longer claim their content and are ignored. The same file or IPFS CID always
+     * matches; with a title (an asset registered without a file) a matching fingerprint only counts for
+     * registrations with the same title, ignoring case.
+     * @param identity - contentHash, contentFingerprint, and ipfsHash and title of content registered without a file
+     * @returns Prior registration, or null if the content is new
+     */
+    findPriorRegistration(identity: {
+        contentHash?: string | null;
+        contentFingerprint?: string | null;
+        ipfsHash?: string | null;
+        title?: string;
+    }): Promise<any>;
+    /**
+     * Refuse content that was already registered, unless an admin overrides the check
+     * @param identity - contentHash, contentFingerprint, and ipfsHash and title of content registered without a file
+     * @param override - Whether the caller may and wants to register a duplicate
+     * @returns Prior registration that was overridden, or null if the content is new
+     */
+    assertOriginalContent(identity: {
+        contentHash?: string | null;
+        contentFingerprint?: string | null;
+        ipfsHash?: string | null;
+        title?: string;
+    }, override?: boolean): Promise<any>;
+    /**
+     * Audit the registration of a duplicate through the admin override
+     * @param asset - Newly created asset
+     * @param prior - Prior registration returned by assertOriginalContent
+     * @param actorId - Admin who overrode the check
+     * @param reason - Reason for the override
+     * @param ipAddress - Requesting IP address (audit)
+     */
+    recordDuplicateOverride(asset: any, prior: any, actorId: number, reason: string, ipAddress?: string): Promise<void>;
+    /**
+     * Register a draft asset on the blockchain
+     * The asset is pending_chain while the transaction is outstanding and returns to draft if it fails;
+     * a transaction that is not confirmed right away is settled later by confirmRegistration.
+     * @param asset - Draft asset
+     * @param actorId - User requesting the registration
+     * @param transaction - Optional transaction for the database changes
+     * @returns Blockchain registration result
+     */
+    registerOnChain(asset: any, actorId: number, transaction?: any): Promise<any>;
+    /**
+     * Settle an asset left in pending_chain by checking its registration transaction
+     * A confirmed transaction registers the asset; a failed or unknown one returns it to draft so it can
+     * be registered again. A transaction still pending leaves it as it is.
+     * @param asset - Asset in pending_chain
+     * @param actorId - User asking (null for the confirmation job)
+     * @returns Transaction status
+     */
+    confirmRegistration(asset: any, actorId?: number | null): Promise<string>;
+    /**
+     * Settle every asset that has been pending_chain for a while
+     * Run by the chain confirmation job; recent assets are skipped so an in-flight registration is not raced.
+     * @param minAgeMs - How long an asset must have been pending
+     * @returns Counts of assets registered, returned to draft and still pending
+     */
+    confirmPendingRegistrations(minAgeMs: number): Promise<{
+        registered: number;
+        draft: number;
+        pending: number;
+    }>;
+    /**
+     * Upload a file and its metadata to IPFS and register the asset in one step
+     * The database work runs in one transaction; if any step fails it is rolled back and
+     * everything already pinned is unpinned, so a failed upload leaves nothing behind.
+     * The chain registration runs after the commit, so the chain never holds an asset the database
+     * lost. If it fails the asset is kept as a draft with its pins, blockchainError says why and the
+     * caller must not report success; the draft can be registered again with registerOnChain.
+     * @param file - Uploaded file (buffer, originalname, mimetype, size)
+     * @param data - Asset columns (title, ipType, description, owner, ownerType, walletAddress),
+     * and the validated patent or trademark metadata, which is also written into the IPFS metadata;
+     * a figurative mark without a markImage takes the uploaded image
+     * @param actorId - User uploading the asset
+     * @returns Registered asset, blockchain result (null when it failed) and IPFS details
+     */
+    uploadAndRegister(file: {
+        buffer: Buffer;
+        originalname: string;
+        mimetype: string;
+        size: number;
+    }, data: any, actorId: number): Promise<any>;
+    /**
+     * Move an asset to another lifecycle state and record who did it and why
+     * This is the only place asset status changes.
+     * @param asset - IP asset
+     * @param toStatus - Target state
+     * @param options - actorId, reason, metadata and an optional transaction
+     * @returns Updated asset
+     */
+    transitionStatus(asset: any, toStatus: string, options?: {
+        actorId?: number | null;
+        reason?: string | null;
+        metadata?: any;
+        transaction?: any;
+    }): Promise<any>;
+    /**
+     * Set an asset's state as a reviewer (open or resolve a dispute, mark expired)
+     * @param user - Request user with assets:review
+     * @param assetId - Asset ID
+     * @param toStatus - Target state
+     * @param reason - Reason for the change
+     * @returns Updated status
+     */
+    changeStatus(user: any, assetId: number, toStatus: string, reason: string): Promise<any>;
+    /**
+     * Get the status history of an asset, oldest first
+     * @param assetId - Asset ID
+     * @returns Status changes
+     */
+    getStatusHistory(assetId: number): Promise<any>;
+    /**
+     * Get when an asset was registered on-chain
+     * @param asset - IP asset
+     * @returns Time of the first move to registered (creation time for assets registered before status history was kept)
+     */
+    getRegistrationTime(asset: any): Promise<Date>;
+    /**
+     * Find the on-chain registrations of content by its SHA-256 (proof of existence)
+     * @param contentHash - SHA-256 of the file, hex
+     * @returns Registrations, earliest first, with their on-chain ownership history
+     */
+    findRegistrationsByHash(contentHash: string): Promise<any[]>;
+    /**
+     * Save new metadata for an asset and record it as a new version
+     * @param asset - IP asset
+     * @param changes - New description and IPFS hash
+     * @param options - authorId and the transactionHash of the on-chain update (null for drafts)
+     * @returns Updated asset and the version created
+     */
+    applyUpdate(asset: any, changes: {
+        description: string;
+        ipfsHash: string;
+    }, options?: {
+        authorId?: number | null;
+        transactionHash?: string | null;
+    }): Promise<{
+        asset: any;
+        version: any;
+    }>;
+    /**
+     * Update an asset's metadata on-chain (drafts are not on-chain yet) and store it as a new version
+     * @param asset - IP asset
+     * @param changes - New description and IPFS hash
+     * @param actorId - User making the update
+     * @returns Blockchain result (null for drafts) and the version created
+     */
+    updateMetadata(asset: any, changes: {
+        description: string;
+        ipfsHash: string;
+    }, actorId: number): Promise<{
+        blockchainResult: any;
+        version: any;
+    }>;
+    /**
+     * Transfer an asset on-chain and hand the database record to the account or organization of the new wallet
+     * Runs when the recipient accepts a transfer offer.
+     * Co-owner records are removed: the recipient owns the whole asset.
+     * @param asset - IP asset
+     * @param newOwnerAddress - Receiving wallet address
+     * @param actorId - User making the transfer
+     * @param fromAddress - Wallet holding the asset (defaults to the on-chain owner, then the asset wallet)
+     * @returns Blockchain result, recipient owner reference, sending wallet and previous owner
+     */
+    transferAsset(asset: any, newOwnerAddress: string, actorId: number, fromAddress?: string): Promise<{
+        blockchainResult: any;
+        recipient: any;
+        fromAddress: string;
+        previousOwner: any;
+    }>;
+    /**
+     * List the metadata versions of an asset, oldest first
+     * @param assetId - Asset ID
+     * @returns Versions with author, timestamp, IPFS hash and transaction hash
+     */
+    listVersions(assetId: number): Promise<any>;
+    /**
+     * Compare two versions of an asset
+     * @param assetId - Asset ID
+     * @param from - Earlier version number (defaults to the one before "to")
+     * @param to - Later version number (defaults to the latest)
+     * @returns Both versions and the changes per field; description changes are a word diff
+     */
+    diffVersions(assetId: number, from?: number | string, to?: number | string): Promise<any>;
+    /**
+     * List the assets of a user, or of an organization the user belongs to, one page at a time
+     * Pages are keyset-based: the cursor carries the sort value and ID of the last row returned.
+     * @param user - Request user
+     * @param query - organizationId, ipType, status, walletAddress, createdFrom, createdTo, the patent and
+     * trademark filters of PatentService.findAssetIds and TrademarkService.findAssetIds, sort, order, fields, limit, cursor
+     * @returns Assets and page info
+     */
+    listAssets(user: any, query?: {
+        organizationId?: number | string;
+        ipType?: string;
+        status?: string;
+        walletAddress?: string;
+        createdFrom?: string;
+        createdTo?: string;
+        inventor?: string;
+        assignee?: string;
+        ipc?: string;
+        cpc?: string;
+        applicationNumber?: string;
+        publicationNumber?: string;
+        priorityFrom?: string;
+        priorityTo?: string;
+        niceClass?: string;
+        markType?: 'word' | 'figurative';
+        mark?: string;
+        sort?: 'createdAt' | 'updatedAt' | 'title';
+        order?: 'asc' | 'desc';
+        fields?: string;
+        limit?: number | string;
+        cursor?: string;
+    }): Promise<any>;
+    /**
+     * Abandon an asset
+     * Registrations cannot be removed from the chain, so the record is kept and marked abandoned.
+     * @param user - Request user
+     * @param assetId - Asset ID
+     * @param reason - Optional reason
+     * @param ipAddress - Requesting IP address (audit)
+     * @returns Abandon result
+     */
+    abandonAsset(user: any, assetId: number, reason?: string, ipAddress?: string): Promise<any>;
+    /**
+     * Move an asset to abandoned and audit it
+     * @param asset - IP asset
+     * @param actorId - User abandoning the asset
+     * @param reason - Optional reason
+     * @param ipAddress - Requesting IP address (audit)
+     */
+    markAbandoned(asset: any, actorId: number, reason?: string, ipAddress?: string): Promise<void>;
+    /**
+     * Record the current metadata of an asset as its next version
+     * @param asset - IP asset
+     * @param options - authorId, transactionHash and an optional transaction
+     * @returns Created version
+     */
+    private createVersion;
+    /**
+     * Store the current metadata as version 1 if the asset has no versions yet
+     * @param asset - IP asset
+     * @param transaction - Optional transaction
+     */
+    private ensureInitialVersion;
+    /**
+     * Format a version for API responses
+     * @param version - Version record
+     * @returns Version summary
+     */
+    private formatVersion;
+    /**
+     * Parse a version number parameter
+     * @param value - Raw value
+     * @param name - Parameter name (for the error message)
+     * @returns Version number
+     */
+    private parseVersionNumber;
+    /**
+     * Parse the requested field list
+     * @param fields - Comma-separated field names (all columns when omitted; expandable fields only when named)
+     * @returns Field names
+     */
+    private parseFields;
+    /**
+     * Parse a date filter
+     * @param value - Date string
+     * @param name - Parameter name (for the error message)
+     * @returns Date
+     */
+    private parseDate;
+    /**
+     * Encode the position after an asset as an opaque cursor
+     * @param asset - Last asset of the page
+     * @param sort - Sort field
+     * @returns Cursor string
+     */
+    private encodeCursor;
+    /**
+     * Decode a cursor produced by encodeCursor
+     * @param cursor - Cursor string
+     * @param sort - Sort field of the current request
+     * @returns Sort value and ID
+     */
+    private decodeCursor;
+}
+declare const ipAssetService: IPAssetService;
+//# sourceMappingURL=ipAsset.service.d.ts.map
\ No newline at end of file
@@ -0,0 +1,973 @@
+"use strict";
+const { Op } = require('sequelize');
+const { IPAsset } = require('../db/models/ipAsset.model');
+const { IPAssetStatusHistory } = require('../db/models/ipAssetStatusHistory.model');
+const { IPAssetVersion } = require('../db/models/ipAssetVersion.model');
+const { IPAssetCoOwner } = require('../db/models/ipAssetCoOwner.model');
+const { assertTransition, assertOperationAllowed, AssetStateError } = require('../utils/assetLifecycle');
+const { diffText, summarizeDiff } = require('../utils/textDiff');
+const { hashFile } = require('../utils/hash');
+const { DuplicateAssetError, isTextContent } = require('../utils/contentIdentity');
+const { web3Service } = require('./web3.service');
+const { ipfsService } = require('./ipfs.service');
+const { similarityService } = require('./similarity.service');
+const { organizationService } = require('./organization.service');
+const { patentService } = require('./patent.service');
+const { trademarkService } = require('./trademark.service');
+const { auditService } = require('./audit.service');
+const sequelize = require('../db/index');
+/**
+ * IP Asset Service
+ * Listing and lifecycle operations on registered IP assets
+ */
+class IPAssetService {
+    constructor() {
+        this.defaultPageSize = 20;
+        this.maxPageSize = 100;
+        this.sortableFields = ['createdAt', 'updatedAt', 'title'];
+        this.selectableFields = [
+            'id', 'title', 'ipType', 'description', 'ipfsHash', 'owner', 'ownerType',
+            'walletAddress', 'blockchainId', 'transactionHash', 'status', 'contentHash', 'contentFingerprint',
+            'aHash', 'dHash', 'pHash', 'jurisdictions', 'createdAt', 'updatedAt'
+        ];
+        // Fields kept in their own tables; only returned when asked for by name
+        this.expandableFields = ['patent', 'trademark'];
+        // States reviewers may set by hand; the others follow from registration, transfer and abandonment
+        this.reviewableStates = ['disputed', 'registered', 'expired'];
+        // Metadata fields captured in every version
+        this.versionedFields = ['title', 'description', 'ipfsHash'];
+    }
+    /**
+     * Create an asset in the draft state
+     * @param data - Asset columns (title, ipType, description, ipfsHash, owner, ownerType, walletAddress),
+     * and the validated metadata of patents (patent) and trademarks (trademark)
+     * @param actorId - User creating the asset
+     * @param transaction - Optional transaction to create the asset in
+     * @returns Created asset
+     */
+    async createAsset(data, actorId, transaction) {
+        const { patent, trademark, ...columns } = data;
+        const create = async (transaction) => {
+            const asset = await IPAsset.create({ ...columns, status: 'draft' }, { transaction });
+            if (patent) {
+                await patentService.saveMetadata(asset, patent, transaction);
+            }
+            if (trademark) {
+                await trademarkService.saveMetadata(asset, trademark, transaction);
+            }
+            await IPAssetStatusHistory.create({
+                assetId: asset.id,
+                fromStatus: null,
+                toStatus: 'draft',
+                changedBy: actorId
+            }, { transaction });
+            await this.createVersion(asset, { authorId: actorId, transaction });
+            await similarityService.indexText(asset.id, 'description', asset.description, transaction);
+            return asset;
+        };
+        return transaction ? create(transaction) : sequelize.transaction(create);
+    }
+    /**
+     * Pin a metadata document carrying the type-specific fields of an asset next to client-supplied content
+     * Uploads through uploadAndRegister put the fields into the asset's own metadata instead.
+     * @param data - title, ipType, description, ipfsHash and walletAddress of the new asset
+     * @param fields - Validated type-specific metadata, e.g. { patent } or { trademark }
+     * @returns IPFS CID of the metadata document
+     */
+    async pinTypeMetadata(data, fields) {
+        try {
+            return await ipfsService.uploadMetadata({
+                name: data.title,
+                description: data.description,
+                ipType: data.ipType,
+                content: {
+                    cid: data.ipfsHash,
+                    url: ipfsService.getGatewayUrl(data.ipfsHash)
+                },
+                ...fields,
+                owner: data.walletAddress,
+                createdAt: new Date().toISOString()
+            });
+        }
+        catch (error) {
+            console.error('❌ Error pinning IP asset metadata:', error);
+            throw new Error(`Failed to pin IP asset metadata: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Find the earliest registration of the same content
+     * Abandoned assets no longer claim their content and are ignored. The same file or IPFS CID always
+     * matches; with a title (an asset registered without a file) a matching fingerprint only counts for
+     * registrations with the same title, ignoring case.
+     * @param identity - contentHash, contentFingerprint, and ipfsHash and title of content registered without a file
+     * @returns Prior registration, or null if the content is new
+     */
+    async findPriorRegistration(identity) {
+        const matches = [];
+        if (identity.contentHash) {
+            matches.push({ contentHash: identity.contentHash });
+        }
+        if (identity.ipfsHash) {
+            matches.push({ ipfsHash: identity.ipfsHash });
+        }
+        if (identity.contentFingerprint) {
+            matches.push(identity.title
+                ? { contentFingerprint: identity.contentFingerprint, title: { [Op.iLike]: identity.title.trim().replace(/[\\%_]/g, '\\$&') } }
+                : { contentFingerprint: identity.contentFingerprint });
+        }
+        if (matches.length === 0) {
+            return null;
+        }
+        const prior = await IPAsset.findOne({
+            where: { [Op.or]: matches, status: { [Op.ne]: 'abandoned' } },
+            order: [['createdAt', 'ASC'], ['id', 'ASC']]
+        });
+        if (!prior) {
+            return null;
+        }
+        return {
+            id: prior.id,
+            title: prior.title,
+            owner: prior.owner,
+            ownerType: prior.ownerType,
+            walletAddress: prior.walletAddress,
+            blockchainId: prior.blockchainId,
+            transactionHash: prior.transactionHash,
+            status: prior.status,
+            registeredAt: prior.createdAt,
+            matchedOn: identity.contentHash && prior.contentHash === identity.contentHash ? 'contentHash'
+                : identity.ipfsHash && prior.ipfsHash === identity.ipfsHash ? 'ipfsHash' : 'contentFingerprint'
+        };
+    }
+    /**
+     * Refuse content that was already registered, unless an admin overrides the check
+     * @param identity - contentHash, contentFingerprint, and ipfsHash and title of content registered without a file
+     * @param override - Whether the caller may and wants to register a duplicate
+     * @returns Prior registration that was overridden, or null if the content is new
+     */
+    async assertOriginalContent(identity, override = false) {
+        const prior = await this.findPriorRegistration(identity);
+        if (prior && !override) {
+            throw new DuplicateAssetError(`This content was already registered as IP asset ${prior.id} on ${prior.registeredAt.toISOString()}`, prior);
+        }
+        return prior;
+    }
+    /**
+     * Audit the registration of a duplicate through the admin override
+     * @param asset - Newly created asset
+     * @param prior - Prior registration returned by assertOriginalContent
+     * @param actorId - Admin who overrode the check
+     * @param reason - Reason for the override
+     * @param ipAddress - Requesting IP address (audit)
+     */
+    async recordDuplicateOverride(asset, prior, actorId, reason, ipAddress) {
+        await auditService.record({
+            actorId,
+            action: 'ip_asset.duplicate_override',
+            entityType: 'ip_asset',
+            entityId: asset.id,
+            organizationId: asset.ownerType === 'organization' ? asset.owner : null,
+            metadata: { duplicateOf: prior.id, matchedOn: prior.matchedOn, reason },
+            ipAddress
+        });
+        console.warn(`⚠️ IP asset ${asset.id} registered as a duplicate of ${prior.id} by admin override (user ${actorId})`);
+    }
+    /**
+     * Register a draft asset on the blockchain
+     * The asset is pending_chain while the transaction is outstanding and returns to draft if it fails;
+     * a transaction that is not confirmed right away is settled later by confirmRegistration.
+     * @param asset - Draft asset
+     * @param actorId - User requesting the registration
+     * @param transaction - Optional transaction for the database changes
+     * @returns Blockchain registration result
+     */
+    async registerOnChain(asset, actorId, transaction) {
+        assertOperationAllowed(asset, 'register');
+        await this.transitionStatus(asset, 'pending_chain', { actorId, transaction });
+        let blockchainResult;
+        try {
+            blockchainResult = await web3Service.registerIP({
+                title: asset.title,
+                ipType: asset.ipType,
+                description: asset.description,
+                ipfsHash: asset.ipfsHash,
+                ownerAddress: asset.walletAddress
+            });
+        }
+        catch (error) {
+            const errorMsg = error instanceof Error ? error.message : String(error);
+            await this.transitionStatus(asset, 'draft', { actorId, reason: `Blockchain registration failed: ${errorMsg}`, transaction });
+            throw error;
+        }
+        await asset.update({
+            blockchainId: blockchainResult.id,
+            transactionHash: blockchainResult.transactionHash
+        }, { transaction });
+        await this.ensureInitialVersion(asset, transaction);
+        await IPAssetVersion.update({ transactionHash: blockchainResult.transactionHash }, {
+            where: { assetId: asset.id, version: 1, transactionHash: null },
+            transaction
+        });
+        if (blockchainResult.status === 'confirmed') {
+            await this.transitionStatus(asset, 'registered', {
+                actorId,
+                metadata: { transactionHash: blockchainResult.transactionHash, blockNumber: blockchainResult.blockNumber },
+                transaction
+            });
+        }
+        return blockchainResult;
+    }
+    /**
+     * Settle an asset left in pending_chain by checking its registration transaction
+     * A confirmed transaction registers the asset; a failed or unknown one returns it to draft so it can
+     * be registered again. A transaction still pending leaves it as it is.
+     * @param asset - Asset in pending_chain
+     * @param actorId - User asking (null for the confirmation job)
+     * @returns Transaction status
+     */
+    async confirmRegistration(asset, actorId = null) {
+        if (asset.status !== 'pending_chain') {
+            throw new AssetStateError(`Only pending_chain assets await confirmation; this one is ${asset.status}`, asset.status);
+        }
+        const chainStatus = asset.transactionHash ? await web3Service.getTransactionStatus(asset.transactionHash) : 'not_found';
+        if (chainStatus === 'confirmed') {
+            await this.transitionStatus(asset, 'registered', {
+                actorId,
+                metadata: { transactionHash: asset.transactionHash, confirmedLate: true }
+            });
+        }
+        else if (chainStatus !== 'pending') {
+            const transactionHash = asset.transactionHash;
+            await sequelize.transaction(async (transaction) => {
+                await asset.update({ blockchainId: null, transactionHash: null }, { transaction });
+                if (transactionHash) {
+                    await IPAssetVersion.update({ transactionHash: null }, { where: { assetId: asset.id, transactionHash }, transaction });
+                }
+                await this.transitionStatus(asset, 'draft', {
+                    actorId,
+                    reason: transactionHash ? `Blockchain registration ${chainStatus === 'failed' ? 'failed' : 'was not found on chain'}` : 'Blockchain registration was never submitted',
+                    metadata: { transactionHash },
+                    transaction
+                });
+            });
+        }
+        return chainStatus;
+    }
+    /**
+     * Settle every asset that has been pending_chain for a while
+     * Run by the chain confirmation job; recent assets are skipped so an in-flight registration is not raced.
+     * @param minAgeMs - How long an asset must have been pending
+     * @returns Counts of assets registered, returned to draft and still pending
+     */
+    async confirmPendingRegistrations(minAgeMs) {
+        const assets = await IPAsset.findAll({
+            where: { status: 'pending_chain', updatedAt: { [Op.lt]: new Date(Date.now() - minAgeMs) } },
+            order: [['id', 'ASC']],
+            limit: 100
+        });
+        const summary = { registered: 0, draft: 0, pending: 0 };
+        for (const asset of assets) {
+            try {
+                const chainStatus = await this.confirmRegistration(asset);
+                summary[chainStatus === 'confirmed' ? 'registered' : chainStatus === 'pending' ? 'pending' : 'draft']++;
+            }
+            catch (error) {
+                console.error(`❌ Error confirming registration of IP asset ${asset.id}:`, error);
+            }
+        }
+        return summary;
+    }
+    /**
+     * Upload a file and its metadata to IPFS and register the asset in one step
+     * The database work runs in one transaction; if any step fails it is rolled back and
+     * everything already pinned is unpinned, so a failed upload leaves nothing behind.
+     * The chain registration runs after the commit, so the chain never holds an asset the database
+     * lost. If it fails the asset is kept as a draft with its pins, blockchainError says why and the
+     * caller must not report success; the draft can be registered again with registerOnChain.
+     * @param file - Uploaded file (buffer, originalname, mimetype, size)
+     * @param data - Asset columns (title, ipType, description, owner, ownerType, walletAddress),
+     * and the validated patent or trademark metadata, which is also written into the IPFS metadata;
+     * a figurative mark without a markImage takes the uploaded image
+     * @param actorId - User uploading the asset
+     * @returns Registered asset, blockchain result (null when it failed) and IPFS details
+     */
+    async uploadAndRegister(file, data, actorId) {
+        const pinned = [];
+        let asset;
+        let fileCid;
+        let metadataCid;
+        let contentHash;
+        try {
+            contentHash = hashFile(file.buffer);
+            fileCid = await ipfsService.uploadFile(file.buffer, file.originalname);
+            pinned.push(fileCid);
+            const trademark = data.trademark && data.trademark.markType === 'figurative' && !data.trademark.markImage
+                && file.mimetype.startsWith('image/')
+                ? { ...data.trademark, markImage: fileCid }
+                : data.trademark;
+            metadataCid = await ipfsService.uploadMetadata({
+                name: data.title,
+                description: data.description,
+                ipType: data.ipType,
+                file: {
+                    name: file.originalname,
+                    mimeType: file.mimetype,
+                    size: file.size,
+                    sha256: contentHash,
+                    cid: fileCid,
+                    url: ipfsService.getGatewayUrl(fileCid)
+                },
+                ...(data.patent ? { patent: data.patent } : {}),
+                ...(trademark ? { trademark } : {}),
+                owner: data.walletAddress,
+                createdAt: new Date().toISOString()
+            });
+            pinned.push(metadataCid);
+            asset = await sequelize.transaction(async (transaction) => {
+                const created = await this.createAsset({
+                    ...data,
+                    ipfsHash: metadataCid,
+                    patent: data.patent ? { ...data.patent, metadataHash: metadataCid } : undefined,
+                    trademark: trademark ? { ...trademark, metadataHash: metadataCid } : undefined
+                }, actorId, transaction);
+                if (isTextContent(file.mimetype)) {
+                    await similarityService.indexText(created.id, 'document', file.buffer.toString('utf8'), transaction);
+                }
+                return created;
+            });
+        }
+        catch (error) {
+            console.error('❌ Error uploading IP asset:', error);
+            for (const hash of pinned.reverse()) {
+                await ipfsService.unpinContent(hash);
+            }
+            throw new Error(`Failed to upload IP asset: ${error instanceof Error ? error.message : String(error)}`);
+        }
+        // The asset and its pins are kept from here on; a failed registration leaves a draft to retry
+        let blockchainResult = null;
+        let blockchainError = null;
+        try {
+            blockchainResult = await this.registerOnChain(asset, actorId);
+            console.log(`📦 IP asset ${asset.id} uploaded and registered (file ${fileCid}, metadata ${metadataCid})`);
+        }
+        catch (error) {
+            blockchainError = error instanceof Error ? error.message : String(error);
+            console.error(`❌ IP asset ${asset.id} uploaded but not registered on chain:`, error);
+        }
+        return {
+            asset,
+            blockchain: blockchainResult,
+            blockchainError,
+            ipfs: {
+                fileHash: fileCid,
+                metadataHash: metadataCid,
+                contentHash,
+                fileUrl: ipfsService.getGatewayUrl(fileCid),
+                metadataUrl: ipfsService.getGatewayUrl(metadataCid)
+            }
+        };
+    }
+    /**
+     * Move an asset to another lifecycle state and record who did it and why
+     * This is the only place asset status changes.
+     * @param asset - IP asset
+     * @param toStatus - Target state
+     * @param options - actorId, reason, metadata and an optional transaction
+     * @returns Updated asset
+     */
+    async transitionStatus(asset, toStatus, options = {}) {
+        const { actorId = null, reason = null, metadata = null } = options;
+        const fromStatus = asset.status;
+        assertTransition(fromStatus, toStatus);
+        const apply = async (transaction) => {
+            // Conditional update so two concurrent transitions cannot both succeed
+            const [updated] = await IPAsset.update({ status: toStatus }, {
+                where: { id: asset.id, status: fromStatus },
+                transaction
+            });
+            if (updated !== 1) {
+                throw new AssetStateError('IP asset state changed concurrently; reload and retry', fromStatus);
+            }
+            await IPAssetStatusHistory.create({
+                assetId: asset.id,
+                fromStatus,
+                toStatus,
+                changedBy: actorId,
+                reason,
+                metadata
+            }, { transaction });
+        };
+        if (options.transaction) {
+            await apply(options.transaction);
+        }
+        else {
+            await sequelize.transaction(apply);
+        }
+        asset.status = toStatus;
+        console.log(`🔁 IP asset ${asset.id}: ${fromStatus} -> ${toStatus}${actorId ? ` (by user ${actorId})` : ''}`);
+        return asset;
+    }
+    /**
+     * Set an asset's state as a reviewer (open or resolve a dispute, mark expired)
+     * @param user - Request user with assets:review
+     * @param assetId - Asset ID
+     * @param toStatus - Target state
+     * @param reason - Reason for the change
+     * @returns Updated status
+     */
+    async changeStatus(user, assetId, toStatus, reason) {
+        try {
+            if (!this.reviewableStates.includes(toStatus)) {
+                throw new AssetStateError(`Status can only be set to: ${this.reviewableStates.join(', ')}`);
+            }
+            if (!reason) {
+                throw new Error('A reason is required');
+            }
+            const asset = await IPAsset.findByPk(assetId);
+            if (!asset) {
+                throw new Error('IP asset not found');
+            }
+            await this.transitionStatus(asset, toStatus, { actorId: user.id, reason });
+            return {
+                success: true,
+                asset: { id: asset.id, status: asset.status }
+            };
+        }
+        catch (error) {
+            console.error('❌ Error changing IP asset status:', error);
+            if (error instanceof AssetStateError) {
+                throw error;
+            }
+            throw new Error(`Failed to change IP asset status: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Get the status history of an asset, oldest first
+     * @param assetId - Asset ID
+     * @returns Status changes
+     */
+    async getStatusHistory(assetId) {
+        try {
+            const asset = await IPAsset.findByPk(assetId, { attributes: ['id', 'status'] });
+            if (!asset) {
+                throw new Error('IP asset not found');
+            }
+            const history = await IPAssetStatusHistory.findAll({
+                where: { assetId },
+                order: [['createdAt', 'ASC'], ['id', 'ASC']]
+            });
+            return {
+                success: true,
+                status: asset.status,
+                history: history.map((entry) => ({
+                    fromStatus: entry.fromStatus,
+                    toStatus: entry.toStatus,
+                    changedBy: entry.changedBy,
+                    reason: entry.reason,
+                    metadata: entry.metadata,
+                    changedAt: entry.createdAt
+                }))
+            };
+        }
+        catch (error) {
+            console.error('❌ Error getting IP asset status history:', error);
+            throw new Error(`Failed to get status history: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Get when an asset was registered on-chain
+     * @param asset - IP asset
+     * @returns Time of the first move to registered (creation time for assets registered before status history was kept)
+     */
+    async getRegistrationTime(asset) {
+        const registration = await IPAssetStatusHistory.findOne({
+            where: { assetId: asset.id, toStatus: 'registered' },
+            order: [['createdAt', 'ASC']]
+        });
+        return registration ? registration.createdAt : asset.createdAt;
+    }
+    /**
+     * Find the on-chain registrations of content by its SHA-256 (proof of existence)
+     * @param contentHash - SHA-256 of the file, hex
+     * @returns Registrations, earliest first, with their on-chain ownership history
+     */
+    async findRegistrationsByHash(contentHash) {
+        try {
+            const assets = await IPAsset.findAll({
+                where: { contentHash, status: { [Op.notIn]: ['draft', 'pending_chain'] } },
+                order: [['createdAt', 'ASC'], ['id', 'ASC']],
+                limit: 20
+            });
+            return await Promise.all(assets.map(async (asset) => ({
+                assetId: asset.id,
+                title: asset.title,
+                ipType: asset.ipType,
+                status: asset.status,
+                ownerWallet: asset.walletAddress,
+                registeredAt: await this.getRegistrationTime(asset),
+                blockchainId: asset.blockchainId,
+                transactionHash: asset.transactionHash,
+                ipfsHash: asset.ipfsHash,
+                ownershipHistory: await web3Service.getOwnershipHistory(asset.blockchainId)
+            })));
+        }
+        catch (error) {
+            console.error('❌ Error finding registrations by hash:', error);
+            throw new Error(`Failed to find registrations: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Save new metadata for an asset and record it as a new version
+     * @param asset - IP asset
+     * @param changes - New description and IPFS hash
+     * @param options - authorId and the transactionHash of the on-chain update (null for drafts)
+     * @returns Updated asset and the version created
+     */
+    async applyUpdate(asset, changes, options = {}) {
+        const { authorId = null, transactionHash = null } = options;
+        return sequelize.transaction(async (transaction) => {
+            // Assets created before versioning get their original metadata stored as version 1 first
+            await this.ensureInitialVersion(asset, transaction);
+            asset.description = changes.description;
+            asset.ipfsHash = changes.ipfsHash;
+            await asset.save({ transaction });
+            const version = await this.createVersion(asset, { authorId, transactionHash, transaction });
+            await similarityService.indexText(asset.id, 'description', asset.description, transaction);
+            return { asset, version };
+        });
+    }
+    /**
+     * Update an asset's metadata on-chain (drafts are not on-chain yet) and store it as a new version
+     * @param asset - IP asset
+     * @param changes - New description and IPFS hash
+     * @param actorId - User making the update
+     * @returns Blockchain result (null for drafts) and the version created
+     */
+    async updateMetadata(asset, changes, actorId) {
+        assertOperationAllowed(asset, 'update');
+        const blockchainResult = asset.status === 'draft'
+            ? null
+            : await web3Service.updateDescription(asset.blockchainId, changes.description, changes.ipfsHash);
+        const { version } = await this.applyUpdate(asset, changes, {
+            authorId: actorId,
+            transactionHash: blockchainResult?.transactionHash || null
+        });
+        return { blockchainResult, version };
+    }
+    /**
+     * Transfer an asset on-chain and hand the database record to the account or organization of the new wallet
+     * Runs when the recipient accepts a transfer offer.
+     * Co-owner records are removed: the recipient owns the whole asset.
+     * @param asset - IP asset
+     * @param newOwnerAddress - Receiving wallet address
+     * @param actorId - User making the transfer
+     * @param fromAddress - Wallet holding the asset (defaults to the on-chain owner, then the asset wallet)
+     * @returns Blockchain result, recipient owner reference, sending wallet and previous owner
+     */
+    async transferAsset(asset, newOwnerAddress, actorId, fromAddress) {
+        assertOperationAllowed(asset, 'transfer');
+        // The DB owner must be the account or organization the receiving wallet is linked to
+        const recipient = await organizationService.findWalletOwner(newOwnerAddress);
+        if (!recipient) {
+            throw new Error('New owner wallet is not linked to a registered account or organization');
+        }
+        const sender = fromAddress || (await web3Service.getOwner(asset.blockchainId)) || asset.walletAddress;
+        const blockchainResult = await web3Service.transferOwnership(asset.blockchainId, sender, recipient.address);
+        const previousOwner = { owner: asset.owner, ownerType: asset.ownerType, walletAddress: asset.walletAddress };
+        await sequelize.transaction(async (transaction) => {
+            asset.owner = recipient.owner;
+            asset.ownerType = recipient.ownerType;
+            asset.walletAddress = recipient.address;
+            await asset.save({ transaction });
+            await IPAssetCoOwner.destroy({ where: { assetId: asset.id }, transaction });
+            await this.transitionStatus(asset, 'transferred', {
+                actorId,
+                reason: `Transferred to ${recipient.address}`,
+                metadata: { previousOwner, transactionHash: blockchainResult.transactionHash },
+                transaction
+            });
+        });
+        return { blockchainResult, recipient, fromAddress: sender, previousOwner };
+    }
+    /**
+     * List the metadata versions of an asset, oldest first
+     * @param assetId - Asset ID
+     * @returns Versions with author, timestamp, IPFS hash and transaction hash
+     */
+    async listVersions(assetId) {
+        try {
+            const asset = await IPAsset.findByPk(assetId);
+            if (!asset) {
+                throw new Error('IP asset not found');
+            }
+            await this.ensureInitialVersion(asset);
+            const versions = await IPAssetVersion.findAll({
+                where: { assetId: asset.id },
+                order: [['version', 'ASC']]
+            });
+            return {
+                success: true,
+                currentVersion: versions[versions.length - 1].version,
+                versions: versions.map((version) => this.formatVersion(version))
+            };
+        }
+        catch (error) {
+            console.error('❌ Error listing IP asset versions:', error);
+            throw new Error(`Failed to list versions: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Compare two versions of an asset
+     * @param assetId - Asset ID
+     * @param from - Earlier version number (defaults to the one before "to")
+     * @param to - Later version number (defaults to the latest)
+     * @returns Both versions and the changes per field; description changes are a word diff
+     */
+    async diffVersions(assetId, from, to) {
+        try {
+            const asset = await IPAsset.findByPk(assetId);
+            if (!asset) {
+                throw new Error('IP asset not found');
+            }
+            await this.ensureInitialVersion(asset);
+            const latest = await IPAssetVersion.max('version', { where: { assetId: asset.id } });
+            const toVersion = to === undefined || to === null || to === '' ? latest : this.parseVersionNumber(to, 'to');
+            const fromVersion = from === undefined || from === null || from === '' ? Math.max(toVersion - 1, 1) : this.parseVersionNumber(from, 'from');
+            const versions = await IPAssetVersion.findAll({
+                where: { assetId: asset.id, version: [fromVersion, toVersion] }
+            });
+            const before = versions.find((version) => version.version === fromVersion);
+            const after = versions.find((version) => version.version === toVersion);
+            if (!before || !after) {
+                throw new Error(`Version ${!before ? fromVersion : toVersion} not found`);
+            }
+            const changes = {};
+            for (const field of this.versionedFields) {
+                const changed = before[field] !== after[field];
+                if (field === 'description') {
+                    const operations = changed ? diffText(before.description, after.description) : [];
+                    changes.description = { changed, operations, summary: summarizeDiff(operations) };
+                }
+                else {
+                    changes[field] = { changed, before: before[field], after: after[field] };
+                }
+            }
+            return {
+                success: true,
+                from: this.formatVersion(before),
+                to: this.formatVersion(after),
+                changes
+            };
+        }
+        catch (error) {
+            console.error('❌ Error diffing IP asset versions:', error);
+            throw new Error(`Failed to diff versions: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * List the assets of a user, or of an organization the user belongs to, one page at a time
+     * Pages are keyset-based: the cursor carries the sort value and ID of the last row returned.
+     * @param user - Request user
+     * @param query - organizationId, ipType, status, walletAddress, createdFrom, createdTo, the patent and
+     * trademark filters of PatentService.findAssetIds and TrademarkService.findAssetIds, sort, order, fields, limit, cursor
+     * @returns Assets and page info
+     */
+    async listAssets(user, query = {}) {
+        try {
+            const where = { ownerType: 'user', owner: user.id };
+            if (query.organizationId) {
+                await organizationService.requireMembership(query.organizationId, user.id);
+                where.ownerType = 'organization';
+                where.owner = Number(query.organizationId);
+            }
+            // Types and wallet addresses are stored as entered, so both match regardless of case
+            if (query.ipType) {
+                where[Op.or] = String(query.ipType).split(',')
+                    .map((ipType) => ({ ipType: { [Op.iLike]: ipType.trim().replace(/[\\%_]/g, '\\$&') } }));
+            }
+            // Abandoned assets stay on-chain but are hidden unless asked for
+            where.status = query.status
+                ? String(query.status).split(',').map((status) => status.trim())
+                : { [Op.ne]: 'abandoned' };
+            if (query.walletAddress) {
+                where.walletAddress = { [Op.iLike]: String(query.walletAddress).trim().replace(/[\\%_]/g, '\\$&') };
+            }
+            if (query.createdFrom || query.createdTo) {
+                where.createdAt = {};
+                if (query.createdFrom) {
+                    where.createdAt[Op.gte] = this.parseDate(query.createdFrom, 'createdFrom');
+                }
+                if (query.createdTo) {
+                    where.createdAt[Op.lte] = this.parseDate(query.createdTo, 'createdTo');
+                }
+            }
+            // Type-specific filters resolve to asset IDs; an asset must match all of them
+            const matchingIds = [];
+            if (patentService.hasFilters(query)) {
+                matchingIds.push(await patentService.findAssetIds(query));
+            }
+            if (trademarkService.hasFilters(query)) {
+                matchingIds.push(await trademarkService.findAssetIds(query));
+            }
+            if (matchingIds.length > 0) {
+                where.id = matchingIds.reduce((ids, next) => ids.filter((id) => next.includes(id)));
+            }
+            const sort = query.sort || 'createdAt';
+            if (!this.sortableFields.includes(sort)) {
+                throw new Error(`sort must be one of: ${this.sortableFields.join(', ')}`);
+            }
+            const order = String(query.order || 'desc').toLowerCase();
+            if (order !== 'asc' && order !== 'desc') {
+                throw new Error('order must be asc or desc');
+            }
+            const limit = Math.min(Math.max(Number(query.limit) || this.defaultPageSize, 1), this.maxPageSize);
+            const fields = this.parseFields(query.fields);
+            if (query.cursor) {
+                const cursor = this.decodeCursor(query.cursor, sort);
+                const comparison = order === 'asc' ? Op.gt : Op.lt;
+                where[Op.and] = [{
+                        [Op.or]: [
+                            { [sort]: { [comparison]: cursor.value } },
+                            { [sort]: cursor.value, id: { [comparison]: cursor.id } }
+                        ]
+                    }];
+            }
+            const columns = fields.filter((field) => !this.expandableFields.includes(field));
+            // The ID and sort column are always read so the next cursor can be built
+            const rows = await IPAsset.findAll({
+                where,
+                attributes: [...new Set([...columns, 'id', sort])],
+                order: [[sort, order.toUpperCase()], ['id', order.toUpperCase()]],
+                limit: limit + 1
+            });
+            const hasMore = rows.length > limit;
+            const page = rows.slice(0, limit);
+            const last = page[page.length - 1];
+            const pageIds = page.map((asset) => asset.id);
+            const [patents, trademarks] = await Promise.all([
+                fields.includes('patent') ? patentService.getMetadataByAsset(pageIds) : new Map(),
+                fields.includes('trademark') ? trademarkService.getMetadataByAsset(pageIds) : new Map()
+            ]);
+            return {
+                success: true,
+                assets: page.map((asset) => {
+                    const data = {
+                        ...asset.get({ plain: true }),
+                        patent: patents.get(asset.id) || null,
+                        trademark: trademarks.get(asset.id) || null
+                    };
+                    return Object.fromEntries(fields.map((field) => [field, data[field]]));
+                }),
+                pageInfo: {
+                    limit,
+                    hasMore,
+                    nextCursor: hasMore && last ? this.encodeCursor(last, sort) : null
+                }
+            };
+        }
+        catch (error) {
+            console.error('❌ Error listing IP assets:', error);
+            throw new Error(`Failed to list IP assets: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Abandon an asset
+     * Registrations cannot be removed from the chain, so the record is kept and marked abandoned.
+     * @param user - Request user
+     * @param assetId - Asset ID
+     * @param reason - Optional reason
+     * @param ipAddress - Requesting IP address (audit)
+     * @returns Abandon result
+     */
+    async abandonAsset(user, assetId, reason, ipAddress) {
+        try {
+            console.log(`🗑️ Abandoning IP asset ${assetId} (by user ${user.id})`);
+            const asset = await IPAsset.findByPk(assetId);
+            if (!asset) {
+                throw new Error('IP asset not found');
+            }
+            if (!(await organizationService.canActOnAsset(user, asset, 'assets:delete'))) {
+                throw new Error('Only the owner can abandon this IP asset');
+            }
+            if (await IPAssetCoOwner.count({ where: { assetId: asset.id } })) {
+                throw new Error('Co-owned IP assets are abandoned through an approval request');
+            }
+            await this.markAbandoned(asset, user.id, reason, ipAddress);
+            return {
+                success: true,
+                message: 'IP asset abandoned. The on-chain registration is permanent and still references the owner wallet.',
+                asset: {
+                    id: asset.id,
+                    status: asset.status,
+                    blockchainId: asset.blockchainId
+                }
+            };
+        }
+        catch (error) {
+            console.error('❌ Error abandoning IP asset:', error);
+            if (error instanceof AssetStateError) {
+                throw error;
+            }
+            throw new Error(`Failed to abandon IP asset: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Move an asset to abandoned and audit it
+     * @param asset - IP asset
+     * @param actorId - User abandoning the asset
+     * @param reason - Optional reason
+     * @param ipAddress - Requesting IP address (audit)
+     */
+    async markAbandoned(asset, actorId, reason, ipAddress) {
+        assertOperationAllowed(asset, 'abandon');
+        await this.transitionStatus(asset, 'abandoned', { actorId, reason: reason || null });
+        await auditService.record({
+            actorId,
+            action: 'ip_asset.abandoned',
+            entityType: 'ip_asset',
+            entityId: asset.id,
+            organizationId: asset.ownerType === 'organization' ? asset.owner : null,
+            metadata: { reason: reason || null, blockchainId: asset.blockchainId },
+            ipAddress
+        });
+    }
+    /**
+     * Record the current metadata of an asset as its next version
+     * @param asset - IP asset
+     * @param options - authorId, transactionHash and an optional transaction
+     * @returns Created version
+     */
+    async createVersion(asset, options = {}) {
+        const { authorId = null, transactionHash = null, transaction } = options;
+        const latest = await IPAssetVersion.max('version', { where: { assetId: asset.id }, transaction });
+        // The unique (assetId, version) index rejects a concurrent update that picked the same number
+        return IPAssetVersion.create({
+            assetId: asset.id,
+            version: (latest || 0) + 1,
+            title: asset.title,
+            description: asset.description,
+            ipfsHash: asset.ipfsHash,
+            authorId,
+            transactionHash
+        }, { transaction });
+    }
+    /**
+     * Store the current metadata as version 1 if the asset has no versions yet
+     * @param asset - IP asset
+     * @param transaction - Optional transaction
+     */
+    async ensureInitialVersion(asset, transaction) {
+        const count = await IPAssetVersion.count({ where: { assetId: asset.id }, transaction });
+        if (count === 0) {
+            await IPAssetVersion.create({
+                assetId: asset.id,
+                version: 1,
+                title: asset.title,
+                description: asset.description,
+                ipfsHash: asset.ipfsHash,
+                authorId: null,
+                transactionHash: asset.transactionHash || null
+            }, { transaction });
+        }
+    }
+    /**
+     * Format a version for API responses
+     * @param version - Version record
+     * @returns Version summary
+     */
+    formatVersion(version) {
+        return {
+            version: version.version,
+            title: version.title,
+            description: version.description,
+            ipfsHash: version.ipfsHash,
+            authorId: version.authorId,
+            transactionHash: version.transactionHash,
+            createdAt: version.createdAt
+        };
+    }
+    /**
+     * Parse a version number parameter
+     * @param value - Raw value
+     * @param name - Parameter name (for the error message)
+     * @returns Version number
+     */
+    parseVersionNumber(value, name) {
+        const version = Number(value);
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(`${name} must be a positive version number`);
+        }
+        return version;
+    }
+    /**
+     * Parse the requested field list
+     * @param fields - Comma-separated field names (all columns when omitted; expandable fields only when named)
+     * @returns Field names
+     */
+    parseFields(fields) {
+        if (!fields) {
+            return this.selectableFields;
+        }
+        const requested = String(fields).split(',').map((field) => field.trim()).filter(Boolean);
+        const unknown = requested.filter((field) => !this.selectableFields.includes(field) && !this.expandableFields.includes(field));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown fields: ${unknown.join(', ')}`);
+        }
+        return requested;
+    }
+    /**
+     * Parse a date filter
+     * @param value - Date string
+     * @param name - Parameter name (for the error message)
+     * @returns Date
+     */
+    parseDate(value, name) {
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+            throw new Error(`${name} must be a valid date`);
+        }
+        return date;
+    }
+    /**
+     * Encode the position after an asset as an opaque cursor
+     * @param asset - Last asset of the page
+     * @param sort - Sort field
+     * @returns Cursor string
+     */
+    encodeCursor(asset, sort) {
+        const value = asset.get(sort);
+        return Buffer.from(JSON.stringify({
+            sort,
+            value: value instanceof Date ? value.toISOString() : value,
+            id: asset.id
+        })).toString('base64url');
+    }
+    /**
+     * Decode a cursor produced by encodeCursor
+     * @param cursor - Cursor string
+     * @param sort - Sort field of the current request
+     * @returns Sort value and ID
+     */
+    decodeCursor(cursor, sort) {
+        let decoded;
+        try {
+            decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        }
+        catch (error) {
+            throw new Error('Invalid cursor');
+        }
+        if (!decoded || decoded.sort !== sort || !Number.isInteger(decoded.id)) {
+            throw new Error('Invalid cursor');
+        }
+        const value = sort === 'title' ? String(decoded.value) : this.parseDate(decoded.value, 'cursor');
+        return { value, id: decoded.id };
+    }
+}
+// Create singleton instance
+const ipAssetService = new IPAssetService();
+// Export the service instance and class
+module.exports = {
+    ipAssetService,
+    IPAssetService
+};
+//# sourceMappingURL=ipAsset.service.js.map
\ No newline at end of file
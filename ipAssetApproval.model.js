@@ -0,0 +1,66 @@
+"use strict";
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+class IPAssetApproval extends Model {
+}
+IPAssetApproval.init({
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+    },
+    assetId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    action: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        comment: 'Action awaiting approval (transfer, update, abandon, co_owners)',
+    },
+    rule: {
+        type: DataTypes.ENUM('unanimous', 'majority'),
+        allowNull: false,
+    },
+    payload: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        comment: 'Parameters the action runs with once approved',
+    },
+    requestedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    status: {
+        type: DataTypes.ENUM('pending', 'executed', 'rejected', 'failed', 'expired', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'pending',
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+    },
+    resolvedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    result: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'Outcome of the executed action (e.g. transaction hash)',
+    },
+    error: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+    },
+}, {
+    sequelize,
+    modelName: 'IPAssetApproval',
+    tableName: 'ip_asset_approvals',
+    timestamps: true,
+    indexes: [
+        { fields: ['assetId', 'status'] },
+    ],
+});
+module.exports = { IPAssetApproval };
+//# sourceMappingURL=ipAssetApproval.model.js.map
\ No newline at end of file
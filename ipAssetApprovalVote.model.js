@@ -0,0 +1,39 @@
+"use strict";
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+class IPAssetApprovalVote extends Model {
+}
+IPAssetApprovalVote.init({
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+    },
+    approvalId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    decision: {
+        type: DataTypes.ENUM('approve', 'reject'),
+        allowNull: false,
+    },
+    comment: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+    },
+}, {
+    sequelize,
+    modelName: 'IPAssetApprovalVote',
+    tableName: 'ip_asset_approval_votes',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+        { unique: true, fields: ['approvalId', 'userId'] },
+    ],
+});
+module.exports = { IPAssetApprovalVote };
+//# sourceMappingURL=ipAssetApprovalVote.model.js.map
\ No newline at end of file
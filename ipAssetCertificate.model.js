@@ -0,0 +1,55 @@
+"use strict";
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+class IPAssetCertificate extends Model {
+}
+IPAssetCertificate.init({
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+    },
+    certificateId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        unique: true,
+        comment: 'Public identifier printed on the certificate and encoded in its QR code',
+    },
+    assetId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    payload: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        comment: 'Certified content exactly as hashed and signed',
+    },
+    certificateHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        comment: 'SHA-256 of the canonical payload',
+    },
+    signature: {
+        type: DataTypes.STRING(200),
+        allowNull: false,
+    },
+    signerAddress: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+    },
+    issuedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+}, {
+    sequelize,
+    modelName: 'IPAssetCertificate',
+    tableName: 'ip_asset_certificates',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+        { fields: ['assetId'] },
+    ],
+});
+module.exports = { IPAssetCertificate };
+//# sourceMappingURL=ipAssetCertificate.model.js.map
\ No newline at end of file
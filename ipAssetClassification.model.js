@@ -0,0 +1,36 @@
+"use strict";
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+class IPAssetClassification extends Model {
+}
+IPAssetClassification.init({
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+    },
+    assetId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    scheme: {
+        type: DataTypes.ENUM('ipc', 'cpc', 'nice'),
+        allowNull: false,
+    },
+    code: {
+        type: DataTypes.STRING(32),
+        allowNull: false,
+        comment: 'Normalized code, e.g. "G06F 16/903" (searched by prefix) or Nice class "09"',
+    },
+}, {
+    sequelize,
+    modelName: 'IPAssetClassification',
+    tableName: 'ip_asset_classifications',
+    timestamps: false,
+    indexes: [
+        { unique: true, fields: ['assetId', 'scheme', 'code'] },
+        { fields: ['scheme', 'code'] },
+    ],
+});
+module.exports = { IPAssetClassification };
+//# sourceMappingURL=ipAssetClassification.model.js.map
\ No newline at end of file
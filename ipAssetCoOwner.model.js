@@ -0,0 +1,49 @@
+"use strict";
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+class IPAssetCoOwner extends Model {
+}
+IPAssetCoOwner.init({
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+    },
+    assetId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    shareBasisPoints: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+            min: 1,
+            max: 10000,
+        },
+        comment: 'Share in basis points (10000 = 100%); the shares of an asset sum to 10000',
+    },
+    walletAddress: {
+        type: DataTypes.STRING(42),
+        allowNull: true,
+        comment: 'Payout wallet (the co-owner\'s primary wallet when null)',
+    },
+    addedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+    },
+}, {
+    sequelize,
+    modelName: 'IPAssetCoOwner',
+    tableName: 'ip_asset_co_owners',
+    timestamps: true,
+    indexes: [
+        { unique: true, fields: ['assetId', 'userId'] },
+        { fields: ['userId'] },
+    ],
+});
+module.exports = { IPAssetCoOwner };
+//# sourceMappingURL=ipAssetCoOwner.model.js.map
\ No newline at end of file
@@ -0,0 +1,78 @@
+"use strict";
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+class IPAssetDeadline extends Model {
+}
+IPAssetDeadline.init({
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+    },
+    assetId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    jurisdiction: {
+        type: DataTypes.STRING(8),
+        allowNull: false,
+    },
+    ruleKey: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        comment: 'Rule the deadline comes from (utils/deadlineRules)',
+    },
+    type: {
+        type: DataTypes.ENUM('expiry', 'renewal', 'maintenance_fee', 'declaration_of_use'),
+        allowNull: false,
+    },
+    label: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+    },
+    dueDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+    },
+    graceEndsOn: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+        comment: 'Last day the deadline can still be met; equals dueDate for expiry',
+    },
+    status: {
+        type: DataTypes.ENUM('open', 'completed', 'missed', 'passed'),
+        allowNull: false,
+        defaultValue: 'open',
+        comment: 'missed: grace period ended without completion; passed: the term ended (expiry)',
+    },
+    remindersSent: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'Reminder lead times (days) already sent',
+    },
+    completedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+    },
+    completedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    reference: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Office receipt or filing reference recorded on completion',
+    },
+}, {
+    sequelize,
+    modelName: 'IPAssetDeadline',
+    tableName: 'ip_asset_deadlines',
+    timestamps: true,
+    indexes: [
+        { unique: true, fields: ['assetId', 'jurisdiction', 'ruleKey', 'dueDate'] },
+        { fields: ['status', 'dueDate'] },
+    ],
+});
+module.exports = { IPAssetDeadline };
+//# sourceMappingURL=ipAssetDeadline.model.js.map
\ No newline at end of file
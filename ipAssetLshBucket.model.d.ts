@@ -0,0 +1,5 @@
+declare const DataTypes: any, Model: any;
+declare const sequelize: any;
+declare class IPAssetLshBucket extends Model {
+}
+//# sourceMappingURL=ipAssetLshBucket.model.d.ts.map
\ No newline at end of file
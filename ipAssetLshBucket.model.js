@@ -0,0 +1,36 @@
+"use strict";
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+class IPAssetLshBucket extends Model {
+}
+IPAssetLshBucket.init({
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+    },
+    signatureId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    assetId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    bucket: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        comment: 'LSH band and hash of its rows, e.g. "7:1a2b3c4d"',
+    },
+}, {
+    sequelize,
+    modelName: 'IPAssetLshBucket',
+    tableName: 'ip_asset_lsh_buckets',
+    timestamps: false,
+    indexes: [
+        { fields: ['bucket'] },
+        { fields: ['signatureId'] },
+    ],
+});
+module.exports = { IPAssetLshBucket };
+//# sourceMappingURL=ipAssetLshBucket.model.js.map
\ No newline at end of file
@@ -0,0 +1,44 @@
+"use strict";
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+class IPAssetParty extends Model {
+}
+IPAssetParty.init({
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+    },
+    assetId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    role: {
+        type: DataTypes.ENUM('inventor', 'assignee'),
+        allowNull: false,
+    },
+    name: {
+        type: DataTypes.STRING(200),
+        allowNull: false,
+    },
+    normalizedName: {
+        type: DataTypes.STRING(200),
+        allowNull: false,
+        comment: 'Lower-case name used for search',
+    },
+    country: {
+        type: DataTypes.STRING(2),
+        allowNull: true,
+    },
+}, {
+    sequelize,
+    modelName: 'IPAssetParty',
+    tableName: 'ip_asset_parties',
+    timestamps: false,
+    indexes: [
+        { fields: ['assetId'] },
+        { fields: ['role', 'normalizedName'] },
+    ],
+});
+module.exports = { IPAssetParty };
+//# sourceMappingURL=ipAssetParty.model.js.map
\ No newline at end of file
@@ -0,0 +1,72 @@
+"use strict";
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+class IPAssetPatent extends Model {
+}
+IPAssetPatent.init({
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+    },
+    assetId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        unique: true,
+    },
+    inventors: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        comment: 'Inventors as { name, country }',
+    },
+    assignees: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'Assignees as { name, country }',
+    },
+    claims: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        comment: 'Claims as { number, type, text, dependsOn }',
+    },
+    ipcCodes: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+    },
+    cpcCodes: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+    },
+    priorityDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+    },
+    applicationNumber: {
+        type: DataTypes.STRING(40),
+        allowNull: true,
+    },
+    publicationNumber: {
+        type: DataTypes.STRING(40),
+        allowNull: true,
+    },
+    metadataHash: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'IPFS CID of the metadata document carrying these fields',
+    },
+}, {
+    sequelize,
+    modelName: 'IPAssetPatent',
+    tableName: 'ip_asset_patents',
+    timestamps: true,
+    indexes: [
+        { fields: ['applicationNumber'] },
+        { fields: ['publicationNumber'] },
+        { fields: ['priorityDate'] },
+    ],
+});
+module.exports = { IPAssetPatent };
+//# sourceMappingURL=ipAssetPatent.model.js.map
\ No newline at end of file
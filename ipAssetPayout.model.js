@@ -0,0 +1,64 @@
+"use strict";
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+class IPAssetPayout extends Model {
+}
+IPAssetPayout.init({
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+    },
+    assetId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    payeeType: {
+        type: DataTypes.ENUM('user', 'organization'),
+        allowNull: false,
+    },
+    payeeId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    walletAddress: {
+        type: DataTypes.STRING(42),
+        allowNull: true,
+    },
+    source: {
+        type: DataTypes.ENUM('marketplace_sale', 'license_royalty'),
+        allowNull: false,
+    },
+    reference: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'Sale transaction hash or royalty reference',
+    },
+    grossAmount: {
+        type: DataTypes.STRING(78),
+        allowNull: false,
+        comment: 'Total received, in wei',
+    },
+    shareBasisPoints: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    amount: {
+        type: DataTypes.STRING(78),
+        allowNull: false,
+        comment: 'This payee\'s part, in wei',
+    },
+}, {
+    sequelize,
+    modelName: 'IPAssetPayout',
+    tableName: 'ip_asset_payouts',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+        { fields: ['assetId', 'createdAt'] },
+        { fields: ['payeeType', 'payeeId'] },
+        { unique: true, fields: ['source', 'reference', 'payeeType', 'payeeId'] },
+    ],
+});
+module.exports = { IPAssetPayout };
+//# sourceMappingURL=ipAssetPayout.model.js.map
\ No newline at end of file
@@ -0,0 +1,40 @@
+"use strict";
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+class IPAssetSignature extends Model {
+}
+IPAssetSignature.init({
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+    },
+    assetId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    source: {
+        type: DataTypes.ENUM('description', 'document'),
+        allowNull: false,
+        comment: 'Text the signature was computed from',
+    },
+    signature: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        comment: 'MinHash signature (see utils/textSimilarity)',
+    },
+    shingleCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+}, {
+    sequelize,
+    modelName: 'IPAssetSignature',
+    tableName: 'ip_asset_signatures',
+    timestamps: true,
+    indexes: [
+        { unique: true, fields: ['assetId', 'source'] },
+    ],
+});
+module.exports = { IPAssetSignature };
+//# sourceMappingURL=ipAssetSignature.model.js.map
\ No newline at end of file
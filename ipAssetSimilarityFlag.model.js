@@ -0,0 +1,44 @@
+"use strict";
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+class IPAssetSimilarityFlag extends Model {
+}
+IPAssetSimilarityFlag.init({
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+    },
+    assetId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Newly registered asset',
+    },
+    matchedAssetId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Earlier asset it resembles',
+    },
+    similarity: {
+        type: DataTypes.FLOAT,
+        allowNull: false,
+        comment: 'Estimated Jaccard similarity (0-1)',
+    },
+    sources: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        comment: 'Compared texts, e.g. "description~document"',
+    },
+}, {
+    sequelize,
+    modelName: 'IPAssetSimilarityFlag',
+    tableName: 'ip_asset_similarity_flags',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+        { unique: true, fields: ['assetId', 'matchedAssetId'] },
+        { fields: ['matchedAssetId'] },
+    ],
+});
+module.exports = { IPAssetSimilarityFlag };
+//# sourceMappingURL=ipAssetSimilarityFlag.model.js.map
\ No newline at end of file
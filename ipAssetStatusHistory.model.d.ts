@@ -0,0 +1,5 @@
+declare const DataTypes: any, Model: any;
+declare const sequelize: any;
+declare class IPAssetStatusHistory extends Model {
+}
+//# sourceMappingURL=ipAssetStatusHistory.model.d.ts.map
\ No newline at end of file
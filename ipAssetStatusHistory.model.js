@@ -0,0 +1,50 @@
+"use strict";
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+class IPAssetStatusHistory extends Model {
+}
+IPAssetStatusHistory.init({
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+    },
+    assetId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    fromStatus: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        comment: 'Previous state (null when the asset was created)',
+    },
+    toStatus: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+    },
+    changedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'User who made the change (null for scheduled jobs)',
+    },
+    reason: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+    },
+    metadata: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'Context such as transaction hashes or previous owner',
+    },
+}, {
+    sequelize,
+    modelName: 'IPAssetStatusHistory',
+    tableName: 'ip_asset_status_history',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+        { fields: ['assetId', 'createdAt'] },
+    ],
+});
+module.exports = { IPAssetStatusHistory };
+//# sourceMappingURL=ipAssetStatusHistory.model.js.map
\ No newline at end of file
@@ -0,0 +1,57 @@
+"use strict";
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+class IPAssetTrademark extends Model {
+}
+IPAssetTrademark.init({
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+    },
+    assetId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        unique: true,
+    },
+    markType: {
+        type: DataTypes.ENUM('word', 'figurative'),
+        allowNull: false,
+    },
+    wordElement: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Text of the mark (required for word marks)',
+    },
+    normalizedWordElement: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Word element reduced by normalizeMark, used for search and conflict checks',
+    },
+    markImage: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'IPFS CID of the mark image (figurative marks)',
+    },
+    classes: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        comment: 'Nice classes as { classNumber, goodsServices, firstUseDate, firstUseInCommerceDate }',
+    },
+    metadataHash: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'IPFS CID of the metadata document carrying these fields',
+    },
+}, {
+    sequelize,
+    modelName: 'IPAssetTrademark',
+    tableName: 'ip_asset_trademarks',
+    timestamps: true,
+    indexes: [
+        { fields: ['normalizedWordElement'] },
+        { fields: ['markType'] },
+    ],
+});
+module.exports = { IPAssetTrademark };
+//# sourceMappingURL=ipAssetTrademark.model.js.map
\ No newline at end of file
@@ -0,0 +1,91 @@
+"use strict";
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+class IPAssetTransferOffer extends Model {
+}
+IPAssetTransferOffer.init({
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+    },
+    assetId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    fromOwner: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Owner when the offer was made; the offer lapses if ownership changes',
+    },
+    fromOwnerType: {
+        type: DataTypes.ENUM('user', 'organization'),
+        allowNull: false,
+    },
+    fromAddress: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Wallet the asset is sent from',
+    },
+    toAddress: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'Checksummed receiving wallet address',
+    },
+    recipientType: {
+        type: DataTypes.ENUM('user', 'organization', 'wallet'),
+        allowNull: false,
+        comment: 'wallet: the address is not linked to an account and is claimed with a signature',
+    },
+    recipientId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'User or organization ID of the recipient (null for unlinked wallets)',
+    },
+    note: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+    },
+    proposedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    status: {
+        type: DataTypes.ENUM('pending', 'accepted', 'rejected', 'cancelled', 'expired', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending',
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+    },
+    respondedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'User who accepted, rejected or cancelled the offer',
+    },
+    respondedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    transactionHash: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+    },
+    error: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+    },
+}, {
+    sequelize,
+    modelName: 'IPAssetTransferOffer',
+    tableName: 'ip_asset_transfer_offers',
+    timestamps: true,
+    indexes: [
+        { fields: ['assetId', 'status'] },
+        { fields: ['toAddress', 'status'] },
+        { fields: ['recipientType', 'recipientId', 'status'] },
+    ],
+});
+module.exports = { IPAssetTransferOffer };
+//# sourceMappingURL=ipAssetTransferOffer.model.js.map
\ No newline at end of file
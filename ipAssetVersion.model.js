@@ -0,0 +1,55 @@
+"use strict";
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+class IPAssetVersion extends Model {
+}
+IPAssetVersion.init({
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+    },
+    assetId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    version: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Revision number, starting at 1 for the original registration',
+    },
+    title: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+    },
+    description: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+    },
+    ipfsHash: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        comment: 'IPFS CID of the metadata at this revision',
+    },
+    authorId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'User who made the revision (null when backfilled)',
+    },
+    transactionHash: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Registration or IPUpdated transaction hash (null for draft revisions)',
+    },
+}, {
+    sequelize,
+    modelName: 'IPAssetVersion',
+    tableName: 'ip_asset_versions',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+        { unique: true, fields: ['assetId', 'version'] },
+    ],
+});
+module.exports = { IPAssetVersion };
+//# sourceMappingURL=ipAssetVersion.model.js.map
\ No newline at end of file
@@ -2,13 +2,194 @@
 Object.defineProperty(exports, "__esModule", { value: true });
 // Import your IP asset model and web3/contract service as needed
 const { IPAsset } = require('../db/models/ipAsset.model');
-const web3Service = require('../services/web3.service');
-const ipfsService = require('../services/ipfs.service');
-exports.createIPAsset = async (req, res) => {
+const { web3Service } = require('../services/web3.service');
+const { ipfsService } = require('../services/ipfs.service');
+const { twoFactorService } = require('../services/twoFactor.service');
+const { organizationService } = require('../services/organization.service');
+const { mailerService } = require('../services/mailer.service');
+const { ipAssetService } = require('../services/ipAsset.service');
+const { similarityService } = require('../services/similarity.service');
+const { coOwnershipService } = require('../services/coOwnership.service');
+const { transferOfferService, TransferOfferError } = require('../services/transferOffer.service');
+const { certificateService } = require('../services/certificate.service');
+const { patentService } = require('../services/patent.service');
+const { trademarkService } = require('../services/trademark.service');
+const { deadlineService, DeadlineError } = require('../services/deadline.service');
+const { User } = require('../db/models/user.model');
+const { hasPermission } = require('../utils/permissions');
+const { requirePermission } = require('../middlewares/permission.middleware');
+const { assertOperationAllowed, AssetStateError } = require('../utils/assetLifecycle');
+const { computeContentIdentity, DuplicateAssetError } = require('../utils/contentIdentity');
+const { computeImageHashes, isHashableImage } = require('../utils/perceptualHash');
+const { CoOwnershipError } = require('../utils/coOwnership');
+const { validatePatentMetadata } = require('../utils/patentMetadata');
+const { validateTrademarkMetadata } = require('../utils/trademarkMetadata');
+const { parseJurisdictions } = require('../utils/deadlineRules');
+const config = require('../config');
+/**
+ * Email transfer receipts to the sender and, for user recipients, the new owner (best effort)
+ * @param asset - Transferred asset
+ * @param sender - User who offered the transfer
+ * @param recipient - Owner reference of the receiving wallet
+ * @param fromAddress - Sending wallet address
+ * @param blockchainResult - Transfer transaction result
+ */
+const sendTransferReceipts = async (asset, sender, recipient, fromAddress, blockchainResult) => {
     try {
-        const { title, ipType, description, ipfsHash } = req.body;
-        const owner = req.user?.id;
-        const walletAddress = req.user?.walletAddress;
+        const recipientUser = recipient.ownerType === 'user' && recipient.owner !== sender.id
+            ? await User.findByPk(recipient.owner)
+            : null;
+        const receiptData = {
+            title: asset.title,
+            assetId: asset.id,
+            fromAddress,
+            toAddress: recipient.address,
+            transactionHash: blockchainResult.transactionHash,
+            transferredAt: new Date().toISOString()
+        };
+        for (const user of [sender, recipientUser].filter(Boolean)) {
+            await mailerService.queueEmail('transferReceipt', user.email, { ...receiptData, username: user.username });
+        }
+    }
+    catch (err) {
+        console.error("Failed to send transfer receipts:", err);
+    }
+};
+/**
+ * Respond with the state of a co-owner approval request
+ * @param res - Response
+ * @param result - Result of requestApproval or vote
+ * @param executedMessage - Message when the action ran
+ * @returns Response (200 when the action ran, 202 while votes are outstanding, 502 if the approved action failed)
+ */
+const sendApprovalResult = (res, result, executedMessage) => {
+    if (!result.success) {
+        return res.status(502).json({ message: "The approved action failed.", ...result });
+    }
+    if (result.executed) {
+        return res.status(200).json({ message: executedMessage, ...result });
+    }
+    const status = result.approval.status;
+    return res.status(status === 'pending' ? 202 : 200).json({
+        message: status === 'pending' ? "Waiting for co-owner approval." : `Approval request ${status}.`,
+        ...result
+    });
+};
+/**
+ * Respond with a transfer offer error
+ * @param res - Response
+ * @param err - Error thrown by the transfer offer service
+ * @param message - Message for unexpected errors
+ * @returns Response
+ */
+const sendTransferOfferError = (res, err, message) => {
+    if (err instanceof TransferOfferError) {
+        return res.status(err.statusCode).json({ message: err.message });
+    }
+    if (err instanceof AssetStateError) {
+        return res.status(409).json({ message: err.message, status: err.status });
+    }
+    const errorMsg = err instanceof Error ? err.message : "Unknown error";
+    return res.status(500).json({ message, error: errorMsg });
+};
+/**
+ * Work out who owns a new asset and which wallet it is registered to
+ * @param user - Request user
+ * @param organizationId - Organization to register for (optional)
+ * @returns Owner reference and wallet, or null if the user cannot register assets for the organization
+ */
+const resolveNewAssetOwner = async (user, organizationId) => {
+    if (!organizationId) {
+        // Assets are always registered to the user's verified primary wallet
+        return { owner: user?.id, ownerType: 'user', walletAddress: user?.walletAddress };
+    }
+    // Organization assets are owned by the organization and registered to its primary wallet
+    const membership = await organizationService.getMembership(organizationId, user?.id);
+    if (!membership || !organizationService.roleHasPermission(membership.role, 'assets:create')) {
+        return null;
+    }
+    return {
+        owner: Number(organizationId),
+        ownerType: 'organization',
+        walletAddress: await organizationService.getPrimaryWalletAddress(organizationId)
+    };
+};
+/**
+ * Read the admin override of duplicate detection from the request body
+ * @param req - Request with allowDuplicate and duplicateReason in the body
+ * @returns Whether duplicates are allowed and the reason, or the error response to send
+ */
+const getDuplicateOverride = (req) => {
+    const { allowDuplicate, duplicateReason } = req.body;
+    if (allowDuplicate !== true && allowDuplicate !== 'true') {
+        return { override: false };
+    }
+    if (!hasPermission(req.user, 'assets:override_duplicates')) {
+        return { error: { status: 403, body: { message: "Only admins can register content that is already registered.", required: ['assets:override_duplicates'] } } };
+    }
+    if (!duplicateReason || typeof duplicateReason !== 'string') {
+        return { error: { status: 400, body: { message: "duplicateReason is required when overriding duplicate detection." } } };
+    }
+    return { override: true, reason: duplicateReason };
+};
+/**
+ * Read the structured metadata of a patent or trademark from the request body
+ * validateIPAsset already normalizes it; it is checked again for routes that skip the middleware (uploads).
+ * @param req - Request with patent or trademark in the body (an object, or a JSON string in multipart forms)
+ * @param ipType - IP type of the new asset
+ * @param options - imageUploaded when the uploaded file can serve as a figurative mark's image
+ * @returns The normalized metadata by field ({ patent }, { trademark } or none), or the error response to send
+ */
+const getTypeMetadata = (req, ipType, options = {}) => {
+    const type = ipType.toLowerCase();
+    for (const field of ['patent', 'trademark']) {
+        if (field !== type && req.body[field] !== undefined) {
+            return { error: { status: 400, body: { message: `${field === 'patent' ? "Patent" : "Trademark"} metadata is only accepted for ${field} assets.` } } };
+        }
+    }
+    if (type === 'patent') {
+        const patentCheck = validatePatentMetadata(req.body.patent);
+        if (patentCheck.errors.length > 0) {
+            return { error: { status: 400, body: { message: "Invalid patent metadata.", errors: patentCheck.errors } } };
+        }
+        return { fields: { patent: patentCheck.patent } };
+    }
+    if (type === 'trademark') {
+        const trademarkCheck = validateTrademarkMetadata(req.body.trademark, options);
+        if (trademarkCheck.errors.length > 0) {
+            return { error: { status: 400, body: { message: "Invalid trademark metadata.", errors: trademarkCheck.errors } } };
+        }
+        return { fields: { trademark: trademarkCheck.trademark } };
+    }
+    return { fields: {} };
+};
+/**
+ * Read the jurisdictions protection is held in from the request body
+ * @param value - Jurisdiction codes as an array or a comma-separated string (multipart forms)
+ * @param required - Whether at least one jurisdiction must be given
+ * @returns { jurisdictions } (undefined when omitted and not required), or the error response to send
+ */
+const getJurisdictionsField = (value, required = false) => {
+    if (!required && (value === undefined || value === null || value === '')) {
+        return { jurisdictions: undefined };
+    }
+    const { jurisdictions, invalid } = parseJurisdictions(value, config.legalJurisdictions);
+    if (invalid.length > 0) {
+        return { error: { status: 400, body: { message: `Unknown jurisdictions: ${invalid.join(', ')}. Supported: ${config.legalJurisdictions.join(', ')}.` } } };
+    }
+    if (jurisdictions.length === 0) {
+        return { error: { status: 400, body: { message: "At least one jurisdiction is required." } } };
+    }
+    return { jurisdictions };
+};
+exports.createIPAsset = [requirePermission('assets:create'), async (req, res) => {
+    try {
+        const { title, ipType, description, ipfsHash, organizationId, draft } = req.body;
+        const assetOwner = await resolveNewAssetOwner(req.user, organizationId);
+        if (!assetOwner) {
+            return res.status(403).json({ message: "You cannot register assets for this organization." });
+        }
+        const { owner, ownerType, walletAddress } = assetOwner;
         // Input validation
         if (!title || typeof title !== 'string' || title.length < 3) {
             return res.status(400).json({ message: "Title is required and must be at least 3 characters." });
@@ -22,34 +203,184 @@ exports.createIPAsset = async (req, res) => {
         if (!ipfsHash || typeof ipfsHash !== 'string') {
             return res.status(400).json({ message: "IPFS hash is required." });
         }
+        const typeMetadata = getTypeMetadata(req, ipType);
+        if (typeMetadata.error) {
+            return res.status(typeMetadata.error.status).json(typeMetadata.error.body);
+        }
+        const { jurisdictions, error: jurisdictionsError } = getJurisdictionsField(req.body.jurisdictions);
+        if (jurisdictionsError) {
+            return res.status(jurisdictionsError.status).json(jurisdictionsError.body);
+        }
         if (!walletAddress) {
-            return res.status(400).json({ message: "Wallet address is required." });
+            return res.status(400).json({ message: ownerType === 'organization' ? "The organization needs a primary wallet." : "A verified primary wallet is required." });
+        }
+        const duplicateOverride = getDuplicateOverride(req);
+        if (duplicateOverride.error) {
+            return res.status(duplicateOverride.error.status).json(duplicateOverride.error.body);
         }
+        // Without a file the IPFS CID and the description are checked for prior registrations; a shared
+        // description only counts as a duplicate under the same title
+        const identity = computeContentIdentity({ text: description, ipfsHash });
+        const prior = await ipAssetService.assertOriginalContent({ ...identity, title }, duplicateOverride.override);
         // Optionally: Store metadata on IPFS and get hash
         // const ipfsHash = await ipfsService.uploadMetadata({ title, ipType, description });
-        // Register on blockchain (returns tx hash or asset ID)
-        const blockchainResult = await web3Service.registerIP({
-            title,
-            ipType,
-            description,
-            ipfsHash,
-            ownerAddress: walletAddress
-        });
-        // Save to DB (if using a DB)
-        const { IPAsset } = require('../db/models/ipAsset.model');
-        const asset = await IPAsset.create({ title, ipType, description, ipfsHash, owner, walletAddress, blockchainId: blockchainResult.id });
-        console.log(`IP asset created: ${asset.id} by user ${owner}`);
+        // Patent and trademark fields are pinned in a metadata document of their own so they travel with the content
+        let typeFields = typeMetadata.fields;
+        const [typeField] = Object.keys(typeFields);
+        if (typeField) {
+            const metadataHash = await ipAssetService.pinTypeMetadata({ title, ipType, description, ipfsHash, walletAddress }, typeFields);
+            typeFields = { [typeField]: { ...typeFields[typeField], metadataHash } };
+        }
+        // Save as a draft first so a failed chain registration leaves a retryable record
+        let asset;
+        try {
+            asset = await ipAssetService.createAsset({ title, ipType, description, ipfsHash, owner, ownerType, walletAddress, jurisdictions, ...identity, ...typeFields }, req.user?.id);
+        }
+        catch (createErr) {
+            if (typeField) {
+                await ipfsService.unpinContent(typeFields[typeField].metadataHash);
+            }
+            throw createErr;
+        }
+        if (prior) {
+            await ipAssetService.recordDuplicateOverride(asset, prior, req.user?.id, duplicateOverride.reason, req.ip);
+        }
+        console.log(`IP asset created: ${asset.id} by user ${req.user?.id}${ownerType === 'organization' ? ` for organization ${owner}` : ''}`);
+        const similarityFlags = await similarityService.flagSimilarRegistrations(asset);
+        // Close matches are warnings for the applicant; they do not block the registration
+        const trademarkConflicts = typeFields.trademark ? await trademarkService.flagConflictingMarks(asset, typeFields.trademark) : [];
+        if (draft === true || draft === 'true') {
+            return res.status(201).json({
+                message: "IP asset saved as a draft.",
+                similarityFlags,
+                trademarkConflicts,
+                asset,
+            });
+        }
+        let blockchainResult;
+        try {
+            // Register on blockchain (returns tx hash or asset ID)
+            blockchainResult = await ipAssetService.registerOnChain(asset, req.user?.id);
+        }
+        catch (chainErr) {
+            const errorMsg = chainErr instanceof Error ? chainErr.message : "Unknown error";
+            return res.status(502).json({ message: "Blockchain registration failed; the asset was kept as a draft.", error: errorMsg, similarityFlags, trademarkConflicts, asset });
+        }
         return res.status(201).json({
-            message: "IP asset registered successfully.",
+            message: asset.status === 'registered' ? "IP asset registered successfully." : "IP asset submitted; waiting for blockchain confirmation.",
             blockchain: blockchainResult,
+            similarityFlags,
+            trademarkConflicts,
             asset,
         });
     }
     catch (err) {
+        if (err instanceof DuplicateAssetError) {
+            return res.status(409).json({ message: err.message, priorRegistration: err.priorRegistration });
+        }
         console.error("Failed to register IP asset:", err);
         const errorMsg = err instanceof Error ? err.message : "Unknown error";
         return res.status(500).json({ message: "Failed to register IP asset.", error: errorMsg });
     }
+}];
+exports.uploadIPAsset = [requirePermission('assets:create'), async (req, res) => {
+    try {
+        const { title, ipType, description, organizationId } = req.body;
+        const assetOwner = await resolveNewAssetOwner(req.user, organizationId);
+        if (!assetOwner) {
+            return res.status(403).json({ message: "You cannot register assets for this organization." });
+        }
+        const { owner, ownerType, walletAddress } = assetOwner;
+        // Input validation (type and size are enforced by the upload middleware)
+        if (!req.file || !req.file.buffer || req.file.size === 0) {
+            return res.status(400).json({ message: "A non-empty file is required." });
+        }
+        if (!title || typeof title !== 'string' || title.length < 3) {
+            return res.status(400).json({ message: "Title is required and must be at least 3 characters." });
+        }
+        if (!ipType || typeof ipType !== 'string') {
+            return res.status(400).json({ message: "IP type is required." });
+        }
+        if (!description || typeof description !== 'string' || description.length < 10) {
+            return res.status(400).json({ message: "Description is required and must be at least 10 characters." });
+        }
+        const typeMetadata = getTypeMetadata(req, ipType, { imageUploaded: req.file.mimetype.startsWith('image/') });
+        if (typeMetadata.error) {
+            return res.status(typeMetadata.error.status).json(typeMetadata.error.body);
+        }
+        const { jurisdictions, error: jurisdictionsError } = getJurisdictionsField(req.body.jurisdictions);
+        if (jurisdictionsError) {
+            return res.status(jurisdictionsError.status).json(jurisdictionsError.body);
+        }
+        if (!walletAddress) {
+            return res.status(400).json({ message: ownerType === 'organization' ? "The organization needs a primary wallet." : "A verified primary wallet is required." });
+        }
+        const duplicateOverride = getDuplicateOverride(req);
+        if (duplicateOverride.error) {
+            return res.status(duplicateOverride.error.status).json(duplicateOverride.error.body);
+        }
+        // Checked before anything is uploaded so a duplicate never reaches IPFS
+        const identity = computeContentIdentity({ buffer: req.file.buffer, mimeType: req.file.mimetype });
+        const prior = await ipAssetService.assertOriginalContent(identity, duplicateOverride.override);
+        // Perceptual hashes survive resizing and recompression, unlike the content hash
+        let imageHashes = {};
+        if (isHashableImage(req.file.mimetype)) {
+            try {
+                imageHashes = await computeImageHashes(req.file.buffer);
+            }
+            catch (imageErr) {
+                return res.status(400).json({ message: "The image could not be decoded.", error: imageErr instanceof Error ? imageErr.message : "Unknown error" });
+            }
+        }
+        const result = await ipAssetService.uploadAndRegister(req.file, { title, ipType, description, owner, ownerType, walletAddress, jurisdictions, ...identity, ...imageHashes, ...typeMetadata.fields }, req.user?.id);
+        if (prior) {
+            await ipAssetService.recordDuplicateOverride(result.asset, prior, req.user?.id, duplicateOverride.reason, req.ip);
+        }
+        console.log(`IP asset uploaded: ${result.asset.id} by user ${req.user?.id}${ownerType === 'organization' ? ` for organization ${owner}` : ''}`);
+        const similarityFlags = await similarityService.flagSimilarRegistrations(result.asset);
+        const trademarkConflicts = typeMetadata.fields.trademark
+            ? await trademarkService.flagConflictingMarks(result.asset, typeMetadata.fields.trademark)
+            : [];
+        if (result.blockchainError) {
+            return res.status(502).json({
+                message: "Blockchain registration failed; the upload was kept as a draft that can be registered again.",
+                error: result.blockchainError,
+                ipfs: result.ipfs,
+                similarityFlags,
+                trademarkConflicts,
+                asset: result.asset,
+            });
+        }
+        return res.status(201).json({
+            message: result.asset.status === 'registered' ? "IP asset uploaded and registered successfully." : "IP asset uploaded; waiting for blockchain confirmation.",
+            blockchain: result.blockchain,
+            ipfs: result.ipfs,
+            similarityFlags,
+            trademarkConflicts,
+            asset: result.asset,
+        });
+    }
+    catch (err) {
+        if (err instanceof DuplicateAssetError) {
+            return res.status(409).json({ message: err.message, priorRegistration: err.priorRegistration });
+        }
+        console.error("Failed to upload IP asset:", err);
+        const errorMsg = err instanceof Error ? err.message : "Unknown error";
+        return res.status(502).json({ message: "Failed to upload IP asset; nothing was registered.", error: errorMsg });
+    }
+}];
+exports.listIPAssets = async (req, res) => {
+    try {
+        if (!req.user?.id)
+            return res.status(401).json({ message: "Unauthorized." });
+        const result = await ipAssetService.listAssets(req.user, req.query);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        console.error("Failed to list IP assets:", err);
+        const errorMsg = err instanceof Error ? err.message : "Unknown error";
+        return res.status(400).json({ message: "Failed to list IP assets.", error: errorMsg });
+    }
 };
 exports.getIPAsset = async (req, res) => {
     try {
@@ -58,10 +389,16 @@ exports.getIPAsset = async (req, res) => {
         const asset = await IPAsset.findByPk(id);
         if (!asset)
             return res.status(404).json({ message: "IP asset not found." });
-        // Optionally: Fetch from blockchain
-        const blockchainData = await web3Service.getIP(id);
+        // Optionally: Fetch from blockchain (drafts are not on-chain yet)
+        const blockchainData = asset.blockchainId ? await web3Service.getIP(asset.blockchainId) : null;
+        const [patent, trademark] = await Promise.all([
+            patentService.getMetadata(asset.id),
+            trademarkService.getMetadata(asset.id)
+        ]);
         return res.status(200).json({
             asset,
+            patent,
+            trademark,
             blockchain: blockchainData,
         });
     }
@@ -71,7 +408,7 @@ exports.getIPAsset = async (req, res) => {
         return res.status(500).json({ message: "Failed to fetch IP asset.", error: errorMsg });
     }
 };
-exports.updateIPAsset = async (req, res) => {
+exports.updateIPAsset = [requirePermission('assets:update'), async (req, res) => {
     try {
         const { id } = req.params;
         const { description, ipfsHash } = req.body;
@@ -79,15 +416,11 @@ exports.updateIPAsset = async (req, res) => {
         const asset = await IPAsset.findByPk(id);
         if (!asset)
             return res.status(404).json({ message: "IP asset not found." });
-        // Authorization check: Only owner can update
-        if (asset.owner !== req.user?.id) {
+        // Authorization check: Only owner (an organization member with the right role, or a co-owner) can update
+        if (!(await coOwnershipService.canActAsOwner(req.user, asset, 'assets:update'))) {
             return res.status(403).json({ message: "Only the owner can update this IP asset." });
         }
-        // Optionally: Check on blockchain as well
-        const blockchainOwner = await web3Service.getOwner(id);
-        if (blockchainOwner !== req.user?.walletAddress) {
-            return res.status(403).json({ message: "Only the owner can update this IP asset (blockchain check)." });
-        }
+        assertOperationAllowed(asset, 'update');
         // Input validation
         if (!description || typeof description !== 'string' || description.length < 10) {
             return res.status(400).json({ message: "Description is required and must be at least 10 characters." });
@@ -95,65 +428,420 @@ exports.updateIPAsset = async (req, res) => {
         if (!ipfsHash || typeof ipfsHash !== 'string') {
             return res.status(400).json({ message: "IPFS hash is required." });
         }
-        // Update on blockchain
-        const blockchainResult = await web3Service.updateDescription(id, description, ipfsHash);
-        // Update in DB if needed
-        asset.description = description;
-        asset.ipfsHash = ipfsHash;
-        await asset.save();
-        console.log(`IP asset updated: ${asset.id} by user ${req.user?.id}`);
+        // Co-owned assets change once co-owners holding a majority of the shares approve
+        if (await coOwnershipService.isCoOwned(asset.id)) {
+            const result = await coOwnershipService.requestApproval(req.user, asset, 'update', { description, ipfsHash });
+            return sendApprovalResult(res, result, "IP asset updated successfully.");
+        }
+        // Drafts are not on-chain yet; only the DB record changes
+        if (asset.status !== 'draft') {
+            // Optionally: Check on blockchain as well (any verified wallet of the owner may hold it)
+            const blockchainOwner = await web3Service.getOwner(asset.blockchainId);
+            // Fail closed: without a known on-chain owner the check cannot pass
+            if (!blockchainOwner) {
+                return res.status(503).json({ message: "The on-chain owner of this IP asset could not be determined; try again later." });
+            }
+            if (!(await organizationService.ownsAssetWallet(req.user, asset, blockchainOwner))) {
+                return res.status(403).json({ message: "Only the owner can update this IP asset (blockchain check)." });
+            }
+        }
+        // Update on blockchain and in DB, keeping the previous metadata as a version
+        const { blockchainResult, version } = await ipAssetService.updateMetadata(asset, { description, ipfsHash }, req.user?.id);
+        console.log(`IP asset updated: ${asset.id} (version ${version.version}) by user ${req.user?.id}`);
         return res.status(200).json({
             message: "IP asset updated successfully.",
             blockchain: blockchainResult,
+            version: version.version,
             asset,
         });
     }
     catch (err) {
         console.error("Failed to update IP asset:", err);
+        if (err instanceof AssetStateError) {
+            return res.status(409).json({ message: err.message, status: err.status });
+        }
+        if (err instanceof CoOwnershipError) {
+            return res.status(err.statusCode).json({ message: err.message });
+        }
         const errorMsg = err instanceof Error ? err.message : "Unknown error";
         return res.status(500).json({ message: "Failed to update IP asset.", error: errorMsg });
     }
-};
-exports.transferIPAsset = async (req, res) => {
+}];
+exports.transferIPAsset = [requirePermission('assets:transfer'), async (req, res) => {
     try {
         const { id } = req.params;
-        const { newOwnerAddress } = req.body;
+        const { newOwnerAddress, note } = req.body;
         const { IPAsset } = require('../db/models/ipAsset.model');
         const asset = await IPAsset.findByPk(id);
         if (!asset)
             return res.status(404).json({ message: "IP asset not found." });
-        // Authorization check: Only owner can transfer
-        if (asset.owner !== req.user?.id) {
+        // Authorization check: Only owner (an organization member with the right role, or a co-owner) can transfer
+        if (!(await coOwnershipService.canActAsOwner(req.user, asset, 'assets:transfer'))) {
             return res.status(403).json({ message: "Only the owner can transfer this IP asset." });
         }
-        // Optionally: Check on blockchain as well
-        const blockchainOwner = await web3Service.getOwner(id);
-        if (blockchainOwner !== req.user?.walletAddress) {
+        assertOperationAllowed(asset, 'transfer');
+        if (!newOwnerAddress || !/^0x[a-fA-F0-9]{40}$/.test(newOwnerAddress)) {
+            return res.status(400).json({ message: "A valid new owner wallet address is required." });
+        }
+        // Transfers require a fresh second factor when 2FA is enabled
+        const proof = await twoFactorService.checkFreshProof(req.user?.id, req.headers['x-2fa-code'] || req.body.twoFactorCode);
+        if (!proof.verified) {
+            return res.status(403).json({
+                message: proof.locked ? "Account is locked after too many failed attempts. Try again later." : "Valid two-factor code is required.",
+                twoFactorRequired: true
+            });
+        }
+        // Co-owned assets are offered only once every co-owner approves
+        if (await coOwnershipService.isCoOwned(asset.id)) {
+            const result = await coOwnershipService.requestApproval(req.user, asset, 'transfer', { newOwnerAddress, note: note || null });
+            return sendApprovalResult(res, result, "Transfer offer sent; ownership changes when the recipient accepts.");
+        }
+        // Optionally: Check on blockchain as well (any verified wallet of the owner may hold it)
+        const blockchainOwner = await web3Service.getOwner(asset.blockchainId);
+        // Fail closed: without a known on-chain owner the check cannot pass
+        if (!blockchainOwner) {
+            return res.status(503).json({ message: "The on-chain owner of this IP asset could not be determined; try again later." });
+        }
+        if (!(await organizationService.ownsAssetWallet(req.user, asset, blockchainOwner))) {
             return res.status(403).json({ message: "Only the owner can transfer this IP asset (blockchain check)." });
         }
-        // Transfer on blockchain
-        const blockchainResult = await web3Service.transferOwnership(id, newOwnerAddress);
-        // Update in DB if needed
-        asset.owner = newOwnerAddress; // or map to user ID if needed
-        await asset.save();
-        console.log(`IP asset transferred: ${asset.id} by user ${req.user?.id} to ${newOwnerAddress}`);
+        // Send from the wallet that holds the asset
+        const fromAddress = blockchainOwner;
+        // Nothing moves yet: the recipient accepts or rejects the offer
+        const offer = await transferOfferService.createOffer(asset, newOwnerAddress, req.user?.id, { fromAddress, note });
+        console.log(`IP asset transfer offered: ${asset.id} by user ${req.user?.id} to ${offer.toAddress}`);
+        return res.status(201).json({
+            message: "Transfer offer sent; ownership changes when the recipient accepts.",
+            offer,
+        });
+    }
+    catch (err) {
+        console.error("Failed to transfer IP asset:", err);
+        if (err instanceof AssetStateError) {
+            return res.status(409).json({ message: err.message, status: err.status });
+        }
+        if (err instanceof CoOwnershipError || err instanceof TransferOfferError) {
+            return res.status(err.statusCode).json({ message: err.message });
+        }
+        const errorMsg = err instanceof Error ? err.message : "Unknown error";
+        return res.status(500).json({ message: "Failed to transfer IP asset.", error: errorMsg });
+    }
+}];
+exports.deleteIPAsset = [requirePermission('assets:delete'), async (req, res) => {
+    try {
+        if (!req.user?.id)
+            return res.status(401).json({ message: "Unauthorized." });
+        // Co-owned assets are abandoned only once every co-owner approves
+        if (await coOwnershipService.isCoOwned(req.params.id)) {
+            const asset = await IPAsset.findByPk(req.params.id);
+            assertOperationAllowed(asset, 'abandon');
+            const result = await coOwnershipService.requestApproval(req.user, asset, 'abandon', { reason: req.body?.reason || null });
+            return sendApprovalResult(res, result, "IP asset abandoned.");
+        }
+        const result = await ipAssetService.abandonAsset(req.user, req.params.id, req.body?.reason, req.ip);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        console.error("Failed to abandon IP asset:", err);
+        const errorMsg = err instanceof Error ? err.message : "Unknown error";
+        if (err instanceof AssetStateError) {
+            return res.status(409).json({ message: err.message, status: err.status });
+        }
+        if (err instanceof CoOwnershipError) {
+            return res.status(err.statusCode).json({ message: err.message });
+        }
+        const status = errorMsg.includes('not found') ? 404 : errorMsg.includes('Only the owner') ? 403 : 400;
+        return res.status(status).json({ message: "Failed to abandon IP asset.", error: errorMsg });
+    }
+}];
+exports.registerIPAsset = [requirePermission('assets:create'), async (req, res) => {
+    try {
+        const asset = await IPAsset.findByPk(req.params.id);
+        if (!asset)
+            return res.status(404).json({ message: "IP asset not found." });
+        if (!(await organizationService.canActOnAsset(req.user, asset, 'assets:create'))) {
+            return res.status(403).json({ message: "Only the owner can register this IP asset." });
+        }
+        // A submitted registration is settled from its transaction rather than submitted again
+        if (asset.status === 'pending_chain') {
+            const chainStatus = await ipAssetService.confirmRegistration(asset, req.user?.id);
+            return res.status(200).json({
+                message: chainStatus === 'confirmed' ? "IP asset registered successfully."
+                    : chainStatus === 'pending' ? "IP asset submitted; waiting for blockchain confirmation."
+                        : "Blockchain registration did not go through; the asset is a draft again.",
+                chainStatus,
+                asset,
+            });
+        }
+        const blockchainResult = await ipAssetService.registerOnChain(asset, req.user?.id);
         return res.status(200).json({
-            message: "IP asset ownership transferred successfully.",
+            message: asset.status === 'registered' ? "IP asset registered successfully." : "IP asset submitted; waiting for blockchain confirmation.",
             blockchain: blockchainResult,
             asset,
         });
     }
     catch (err) {
-        console.error("Failed to transfer IP asset:", err);
+        console.error("Failed to register IP asset:", err);
+        if (err instanceof AssetStateError) {
+            return res.status(409).json({ message: err.message, status: err.status });
+        }
         const errorMsg = err instanceof Error ? err.message : "Unknown error";
-        return res.status(500).json({ message: "Failed to transfer IP asset.", error: errorMsg });
+        return res.status(502).json({ message: "Blockchain registration failed; the asset was kept as a draft.", error: errorMsg });
+    }
+}];
+exports.updateIPAssetStatus = async (req, res) => {
+    try {
+        if (!hasPermission(req.user, 'assets:review')) {
+            return res.status(403).json({ message: "Insufficient permissions.", required: ['assets:review'] });
+        }
+        const { status, reason } = req.body;
+        if (!status) {
+            return res.status(400).json({ message: "Status is required." });
+        }
+        const result = await ipAssetService.changeStatus(req.user, req.params.id, status, reason);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        if (err instanceof AssetStateError) {
+            return res.status(409).json({ message: err.message, status: err.status });
+        }
+        const errorMsg = err instanceof Error ? err.message : "Unknown error";
+        return res.status(errorMsg.includes('not found') ? 404 : 400).json({ message: "Failed to change IP asset status.", error: errorMsg });
+    }
+};
+exports.getStatusHistory = async (req, res) => {
+    try {
+        const asset = await IPAsset.findByPk(req.params.id);
+        if (!asset)
+            return res.status(404).json({ message: "IP asset not found." });
+        if (!hasPermission(req.user, 'audit:read') && !(await coOwnershipService.canActAsOwner(req.user, asset))) {
+            return res.status(403).json({ message: "Only the owner can view the status history of this IP asset." });
+        }
+        const result = await ipAssetService.getStatusHistory(asset.id);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : "Unknown error";
+        return res.status(errorMsg.includes('not found') ? 404 : 500).json({ message: "Failed to fetch status history.", error: errorMsg });
+    }
+};
+exports.getVersions = async (req, res) => {
+    try {
+        const asset = await IPAsset.findByPk(req.params.id);
+        if (!asset)
+            return res.status(404).json({ message: "IP asset not found." });
+        if (!hasPermission(req.user, 'audit:read') && !(await coOwnershipService.canActAsOwner(req.user, asset))) {
+            return res.status(403).json({ message: "Only the owner can view the versions of this IP asset." });
+        }
+        const result = await ipAssetService.listVersions(asset.id);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : "Unknown error";
+        return res.status(errorMsg.includes('not found') ? 404 : 500).json({ message: "Failed to fetch versions.", error: errorMsg });
+    }
+};
+exports.diffVersions = async (req, res) => {
+    try {
+        const asset = await IPAsset.findByPk(req.params.id);
+        if (!asset)
+            return res.status(404).json({ message: "IP asset not found." });
+        if (!hasPermission(req.user, 'audit:read') && !(await coOwnershipService.canActAsOwner(req.user, asset))) {
+            return res.status(403).json({ message: "Only the owner can view the versions of this IP asset." });
+        }
+        const { from, to } = req.query;
+        const result = await ipAssetService.diffVersions(asset.id, from, to);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : "Unknown error";
+        return res.status(errorMsg.includes('not found') ? 404 : 400).json({ message: "Failed to diff versions.", error: errorMsg });
+    }
+};
+exports.getSimilarAssets = async (req, res) => {
+    try {
+        const asset = await IPAsset.findByPk(req.params.id);
+        if (!asset)
+            return res.status(404).json({ message: "IP asset not found." });
+        const auditor = hasPermission(req.user, 'audit:read');
+        if (!auditor && !(await coOwnershipService.canActAsOwner(req.user, asset))) {
+            return res.status(403).json({ message: "Only the owner can search for assets similar to this IP asset." });
+        }
+        const { minScore, limit } = req.query;
+        // Other owners' drafts stay private; auditors see every match
+        const result = await similarityService.getSimilarAssets(asset.id, { minScore, limit, includeUnpublished: auditor });
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : "Unknown error";
+        return res.status(errorMsg.includes('not found') ? 404 : 400).json({ message: "Failed to find similar assets.", error: errorMsg });
     }
 };
+exports.getImageMatches = async (req, res) => {
+    try {
+        const asset = await IPAsset.findByPk(req.params.id);
+        if (!asset)
+            return res.status(404).json({ message: "IP asset not found." });
+        const auditor = hasPermission(req.user, 'audit:read');
+        if (!auditor && !(await coOwnershipService.canActAsOwner(req.user, asset))) {
+            return res.status(403).json({ message: "Only the owner can search for copies of this IP asset." });
+        }
+        const { maxDistance, limit } = req.query;
+        // Other owners' drafts stay private; auditors see every match
+        const result = await similarityService.getImageMatches(asset.id, { maxDistance, limit, includeUnpublished: auditor });
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : "Unknown error";
+        return res.status(errorMsg.includes('not found') ? 404 : 400).json({ message: "Failed to find image matches.", error: errorMsg });
+    }
+};
+exports.searchByImage = async (req, res) => {
+    try {
+        if (!req.file || !isHashableImage(req.file.mimetype)) {
+            return res.status(400).json({ message: "A jpeg, png or gif image is required." });
+        }
+        let hashes;
+        try {
+            hashes = await computeImageHashes(req.file.buffer);
+        }
+        catch (imageErr) {
+            return res.status(400).json({ message: "The image could not be decoded.", error: imageErr instanceof Error ? imageErr.message : "Unknown error" });
+        }
+        const { maxDistance, limit } = req.body;
+        const result = await similarityService.findImageMatches(hashes, { maxDistance, limit, includeUnpublished: hasPermission(req.user, 'audit:read') });
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : "Unknown error";
+        return res.status(400).json({ message: "Failed to search by image.", error: errorMsg });
+    }
+};
+exports.searchTrademarks = async (req, res) => {
+    try {
+        const result = await trademarkService.searchMarks(req.query);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : "Unknown error";
+        return res.status(400).json({ message: "Failed to search trademarks.", error: errorMsg });
+    }
+};
+exports.listDeadlines = async (req, res) => {
+    try {
+        if (!req.user?.id)
+            return res.status(401).json({ message: "Unauthorized." });
+        const result = await deadlineService.listDeadlines(req.user, req.query);
+        if (req.query.format === 'ics') {
+            res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+            res.setHeader('Content-Disposition', 'attachment; filename="ip-deadlines.ics"');
+            return res.status(200).send(deadlineService.buildDeadlineCalendar(result.deadlines));
+        }
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        if (err instanceof DeadlineError) {
+            return res.status(err.statusCode).json({ message: err.message });
+        }
+        const errorMsg = err instanceof Error ? err.message : "Unknown error";
+        return res.status(500).json({ message: "Failed to fetch deadlines.", error: errorMsg });
+    }
+};
+exports.getAssetDeadlines = async (req, res) => {
+    try {
+        const asset = await IPAsset.findByPk(req.params.id);
+        if (!asset)
+            return res.status(404).json({ message: "IP asset not found." });
+        if (!hasPermission(req.user, 'audit:read') && !(await coOwnershipService.canActAsOwner(req.user, asset))) {
+            return res.status(403).json({ message: "Only the owner can view deadlines of this IP asset." });
+        }
+        const result = await deadlineService.getAssetDeadlines(asset);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : "Unknown error";
+        return res.status(500).json({ message: "Failed to fetch deadlines.", error: errorMsg });
+    }
+};
+exports.completeDeadline = [requirePermission('assets:update'), async (req, res) => {
+    try {
+        const asset = await IPAsset.findByPk(req.params.id);
+        if (!asset)
+            return res.status(404).json({ message: "IP asset not found." });
+        if (!(await coOwnershipService.canActAsOwner(req.user, asset))) {
+            return res.status(403).json({ message: "Only the owner can complete deadlines of this IP asset." });
+        }
+        const result = await deadlineService.completeDeadline(req.user, asset, req.params.deadlineId, req.body.reference);
+        return res.status(200).json({ message: "Deadline marked as completed.", ...result });
+    }
+    catch (err) {
+        if (err instanceof DeadlineError) {
+            return res.status(err.statusCode).json({ message: err.message });
+        }
+        const errorMsg = err instanceof Error ? err.message : "Unknown error";
+        return res.status(500).json({ message: "Failed to complete deadline.", error: errorMsg });
+    }
+}];
+exports.setJurisdictions = [requirePermission('assets:update'), async (req, res) => {
+    try {
+        const asset = await IPAsset.findByPk(req.params.id);
+        if (!asset)
+            return res.status(404).json({ message: "IP asset not found." });
+        if (!(await coOwnershipService.canActAsOwner(req.user, asset))) {
+            return res.status(403).json({ message: "Only the owner can change the jurisdictions of this IP asset." });
+        }
+        const { jurisdictions, error } = getJurisdictionsField(req.body.jurisdictions, true);
+        if (error) {
+            return res.status(error.status).json(error.body);
+        }
+        const result = await deadlineService.setJurisdictions(req.user, asset, jurisdictions);
+        return res.status(200).json({ message: "Jurisdictions updated.", ...result });
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : "Unknown error";
+        return res.status(500).json({ message: "Failed to update jurisdictions.", error: errorMsg });
+    }
+}];
+/**
+ * Send an asset's registration certificate as a PDF download
+ * @param req - Request
+ * @param res - Response
+ * @param reissue - Always issue a new certificate instead of returning the current one
+ * @returns Response (201 when a certificate was issued, 200 when the current one was returned)
+ */
+const sendCertificate = async (req, res, reissue) => {
+    try {
+        const asset = await IPAsset.findByPk(req.params.id);
+        if (!asset)
+            return res.status(404).json({ message: "IP asset not found." });
+        if (!hasPermission(req.user, 'audit:read') && !(await coOwnershipService.canActAsOwner(req.user, asset))) {
+            return res.status(403).json({ message: "Only the owner can download the certificate of this IP asset." });
+        }
+        const { certificate, pdf, issued } = await certificateService.getCertificate(asset, req.user.id, { reissue });
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="certificate-${asset.id}-${certificate.certificateId}.pdf"`);
+        res.setHeader('X-Certificate-Id', certificate.certificateId);
+        res.setHeader('X-Certificate-Hash', certificate.certificateHash);
+        return res.status(issued ? 201 : 200).send(pdf);
+    }
+    catch (err) {
+        if (err instanceof AssetStateError) {
+            return res.status(409).json({ message: err.message, status: err.status });
+        }
+        const errorMsg = err instanceof Error ? err.message : "Unknown error";
+        return res.status(500).json({ message: "Failed to generate certificate.", error: errorMsg });
+    }
+};
+exports.getCertificate = (req, res) => sendCertificate(req, res, false);
+exports.reissueCertificate = [requirePermission('assets:read'), (req, res) => sendCertificate(req, res, true)];
 exports.getOwnershipHistory = async (req, res) => {
     try {
         const { id } = req.params;
+        const asset = await IPAsset.findByPk(id);
+        if (!asset)
+            return res.status(404).json({ message: "IP asset not found." });
         // Optionally: Fetch from blockchain
-        const history = await web3Service.getOwnershipHistory(id);
+        const history = await web3Service.getOwnershipHistory(asset.blockchainId);
         return res.status(200).json({ history });
     }
     catch (err) {
@@ -161,4 +849,226 @@ exports.getOwnershipHistory = async (req, res) => {
         return res.status(500).json({ message: "Failed to fetch ownership history.", error: errorMsg });
     }
 };
+exports.getCoOwners = async (req, res) => {
+    try {
+        const asset = await IPAsset.findByPk(req.params.id);
+        if (!asset)
+            return res.status(404).json({ message: "IP asset not found." });
+        if (!hasPermission(req.user, 'audit:read') && !(await coOwnershipService.canActAsOwner(req.user, asset))) {
+            return res.status(403).json({ message: "Only the owner can view the co-owners of this IP asset." });
+        }
+        const result = await coOwnershipService.listCoOwners(asset.id);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : "Unknown error";
+        return res.status(errorMsg.includes('not found') ? 404 : 500).json({ message: "Failed to fetch co-owners.", error: errorMsg });
+    }
+};
+exports.setCoOwners = [requirePermission('assets:update'), async (req, res) => {
+    try {
+        if (!req.user?.id)
+            return res.status(401).json({ message: "Unauthorized." });
+        const result = await coOwnershipService.setCoOwners(req.user, req.params.id, req.body?.coOwners);
+        if (result.approval) {
+            return sendApprovalResult(res, result, "Co-owners updated.");
+        }
+        return res.status(200).json({ message: "Co-owners updated.", ...result });
+    }
+    catch (err) {
+        if (err instanceof CoOwnershipError) {
+            return res.status(err.statusCode).json({ message: err.message });
+        }
+        if (err instanceof AssetStateError) {
+            return res.status(409).json({ message: err.message, status: err.status });
+        }
+        const errorMsg = err instanceof Error ? err.message : "Unknown error";
+        return res.status(errorMsg.includes('not found') ? 404 : 400).json({ message: "Failed to set co-owners.", error: errorMsg });
+    }
+}];
+exports.listApprovals = async (req, res) => {
+    try {
+        const asset = await IPAsset.findByPk(req.params.id);
+        if (!asset)
+            return res.status(404).json({ message: "IP asset not found." });
+        // Requests reveal transfer targets, proposed shares and reasons, so only the owners (and auditors) may see them
+        if (!hasPermission(req.user, 'audit:read') && !(await coOwnershipService.canActAsOwner(req.user, asset))) {
+            return res.status(403).json({ message: "Only an owner can view approval requests of this IP asset." });
+        }
+        const result = await coOwnershipService.listApprovals(asset.id, req.query.status);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : "Unknown error";
+        return res.status(500).json({ message: "Failed to fetch approval requests.", error: errorMsg });
+    }
+};
+exports.voteApproval = [requirePermission('assets:update'), async (req, res) => {
+    try {
+        if (!req.user?.id)
+            return res.status(401).json({ message: "Unauthorized." });
+        const { decision, comment } = req.body;
+        // A vote can send a transfer offer, so it needs the same fresh second factor
+        const proof = await twoFactorService.checkFreshProof(req.user.id, req.headers['x-2fa-code'] || req.body.twoFactorCode);
+        if (!proof.verified) {
+            return res.status(403).json({
+                message: proof.locked ? "Account is locked after too many failed attempts. Try again later." : "Valid two-factor code is required.",
+                twoFactorRequired: true
+            });
+        }
+        const result = await coOwnershipService.vote(req.user, req.params.id, req.params.approvalId, decision, comment);
+        return sendApprovalResult(res, result, result.approval.action === 'transfer'
+            ? "Transfer offer sent; ownership changes when the recipient accepts."
+            : `Approved ${result.approval.action} completed.`);
+    }
+    catch (err) {
+        if (err instanceof CoOwnershipError) {
+            return res.status(err.statusCode).json({ message: err.message });
+        }
+        const errorMsg = err instanceof Error ? err.message : "Unknown error";
+        return res.status(400).json({ message: "Failed to record vote.", error: errorMsg });
+    }
+}];
+exports.cancelApproval = [requirePermission('assets:update'), async (req, res) => {
+    try {
+        if (!req.user?.id)
+            return res.status(401).json({ message: "Unauthorized." });
+        const result = await coOwnershipService.cancelApproval(req.user, req.params.id, req.params.approvalId);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        if (err instanceof CoOwnershipError) {
+            return res.status(err.statusCode).json({ message: err.message });
+        }
+        const errorMsg = err instanceof Error ? err.message : "Unknown error";
+        return res.status(400).json({ message: "Failed to cancel approval request.", error: errorMsg });
+    }
+}];
+exports.recordRoyalty = [requirePermission('assets:update'), async (req, res) => {
+    try {
+        if (!req.user?.id)
+            return res.status(401).json({ message: "Unauthorized." });
+        const { amount, reference } = req.body;
+        const result = await coOwnershipService.recordRoyalty(req.user, req.params.id, amount, reference);
+        return res.status(201).json(result);
+    }
+    catch (err) {
+        if (err instanceof CoOwnershipError) {
+            return res.status(err.statusCode).json({ message: err.message });
+        }
+        const errorMsg = err instanceof Error ? err.message : "Unknown error";
+        return res.status(errorMsg.includes('not found') ? 404 : 400).json({ message: "Failed to record royalty.", error: errorMsg });
+    }
+}];
+exports.listPayouts = async (req, res) => {
+    try {
+        const asset = await IPAsset.findByPk(req.params.id);
+        if (!asset)
+            return res.status(404).json({ message: "IP asset not found." });
+        // Payouts reveal earnings, so only the owners (and auditors) may see them
+        if (!hasPermission(req.user, 'audit:read') && !(await coOwnershipService.canActAsOwner(req.user, asset))) {
+            return res.status(403).json({ message: "Only an owner can view payouts of this IP asset." });
+        }
+        const result = await coOwnershipService.listPayouts(asset.id);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : "Unknown error";
+        return res.status(500).json({ message: "Failed to fetch payouts.", error: errorMsg });
+    }
+};
+exports.listTransferOffers = async (req, res) => {
+    try {
+        if (!req.user?.id)
+            return res.status(401).json({ message: "Unauthorized." });
+        const result = await transferOfferService.listIncomingOffers(req.user.id, req.query.status);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        return sendTransferOfferError(res, err, "Failed to fetch transfer offers.");
+    }
+};
+exports.getTransferOffer = async (req, res) => {
+    try {
+        const offer = await transferOfferService.getOffer(req.params.offerId);
+        const asset = await IPAsset.findByPk(offer.assetId);
+        // Offers reveal wallets, recipients and notes: only the parties, the asset's owners and auditors may see them
+        const allowed = hasPermission(req.user, 'audit:read')
+            || await transferOfferService.isParty(req.user, offer)
+            || (asset && await coOwnershipService.canActAsOwner(req.user, asset, 'assets:transfer'));
+        if (!allowed) {
+            return res.status(404).json({ message: "Transfer offer not found." });
+        }
+        return res.status(200).json({
+            offer: transferOfferService.formatOffer(offer),
+            asset: asset ? { id: asset.id, title: asset.title, ipType: asset.ipType, status: asset.status } : null
+        });
+    }
+    catch (err) {
+        return sendTransferOfferError(res, err, "Failed to fetch transfer offer.");
+    }
+};
+exports.getAssetTransferOffers = async (req, res) => {
+    try {
+        const asset = await IPAsset.findByPk(req.params.id);
+        if (!asset)
+            return res.status(404).json({ message: "IP asset not found." });
+        if (!hasPermission(req.user, 'audit:read') && !(await coOwnershipService.canActAsOwner(req.user, asset, 'assets:transfer'))) {
+            return res.status(403).json({ message: "Only the owner can view transfer offers of this IP asset." });
+        }
+        const result = await transferOfferService.listAssetOffers(asset.id);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        return sendTransferOfferError(res, err, "Failed to fetch transfer offers.");
+    }
+};
+exports.acceptTransferOffer = [requirePermission('assets:transfer'), async (req, res) => {
+    try {
+        if (!req.user?.id)
+            return res.status(401).json({ message: "Unauthorized." });
+        const { message, signature } = req.body;
+        const result = await transferOfferService.acceptOffer(req.user, req.params.offerId, { message, signature });
+        if (result.proposer) {
+            await sendTransferReceipts(result.asset, result.proposer, result.recipient, result.fromAddress, result.blockchainResult);
+        }
+        console.log(`IP asset transferred: ${result.asset.id} to ${result.offer.toAddress} (offer ${result.offer.id} accepted by user ${req.user.id})`);
+        return res.status(200).json({
+            message: "Transfer offer accepted; IP asset ownership transferred.",
+            offer: result.offer,
+            blockchain: result.blockchainResult,
+            asset: result.asset,
+        });
+    }
+    catch (err) {
+        console.error("Failed to accept transfer offer:", err);
+        return sendTransferOfferError(res, err, "Failed to accept transfer offer.");
+    }
+}];
+exports.rejectTransferOffer = [requirePermission('assets:transfer'), async (req, res) => {
+    try {
+        if (!req.user?.id)
+            return res.status(401).json({ message: "Unauthorized." });
+        const { message, signature } = req.body;
+        const offer = await transferOfferService.rejectOffer(req.user, req.params.offerId, { message, signature });
+        return res.status(200).json({ message: "Transfer offer rejected.", offer });
+    }
+    catch (err) {
+        return sendTransferOfferError(res, err, "Failed to reject transfer offer.");
+    }
+}];
+exports.cancelTransferOffer = [requirePermission('assets:transfer'), async (req, res) => {
+    try {
+        const offer = await transferOfferService.getOffer(req.params.offerId);
+        const asset = await IPAsset.findByPk(offer.assetId);
+        if (!asset || !(await coOwnershipService.canActAsOwner(req.user, asset, 'assets:transfer'))) {
+            return res.status(403).json({ message: "Only the owner can withdraw this transfer offer." });
+        }
+        const result = await transferOfferService.cancelOffer(offer, req.user.id);
+        return res.status(200).json({ message: "Transfer offer withdrawn.", offer: result });
+    }
+    catch (err) {
+        return sendTransferOfferError(res, err, "Failed to withdraw transfer offer.");
+    }
+}];
 //# sourceMappingURL=ipAssets.controller.js.map
\ No newline at end of file
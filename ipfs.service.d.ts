@@ -18,6 +18,12 @@ declare class IPFSService {
      * @returns Success status
      */
     pinContent(hash: string): Promise<boolean>;
+    /**
+     * Unpin content from IPFS so the node may garbage-collect it
+     * @param hash - The IPFS hash to unpin
+     * @returns Success status
+     */
+    unpinContent(hash: string): Promise<boolean>;
     /**
      * Retrieve content from IPFS
      * @param hash - The IPFS hash
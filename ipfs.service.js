@@ -47,7 +47,10 @@ const initializeIPFS = async () => {
             // Create a mock IPFS client for development
             ipfs = {
                 add: async (data) => ({ cid: { toString: () => 'mock-hash-' + Date.now() } }),
-                pin: { add: async (hash) => ({ cid: { toString: () => hash } }) },
+                pin: {
+                    add: async (hash) => ({ cid: { toString: () => hash } }),
+                    rm: async (hash) => ({ cid: { toString: () => hash } })
+                },
                 cat: async (hash) => Buffer.from('mock-data'),
                 id: async () => ({ id: 'mock-peer-id' }),
                 version: async () => ({ version: '0.0.0' })
@@ -102,6 +105,24 @@ class IPFSService {
             return false;
         }
     }
+    /**
+     * Unpin content from IPFS so the node may garbage-collect it
+     * @param hash - The IPFS hash to unpin
+     * @returns Success status
+     */
+    async unpinContent(hash) {
+        try {
+            console.log(`🧹 Unpinning content from IPFS: ${hash}`);
+            const ipfsClient = await initializeIPFS();
+            await ipfsClient.pin.rm(hash);
+            console.log(`✅ Content unpinned from IPFS: ${hash}`);
+            return true;
+        }
+        catch (error) {
+            console.error(`❌ Error unpinning content from IPFS: ${error}`);
+            return false;
+        }
+    }
     /**
      * Retrieve content from IPFS
      * @param hash - The IPFS hash
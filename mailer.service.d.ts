@@ -0,0 +1,74 @@
+declare const Op: any;
+declare const fs: any;
+declare const path: any;
+declare const crypto: any;
+declare const nodemailer: any;
+declare const EmailMessage: any;
+declare const renderEmailTemplate: any;
+declare const config: any;
+/**
+ * Outbox transport
+ * Writes each message as a JSON file instead of delivering it (development and tests)
+ */
+declare class OutboxTransport {
+    private readonly directory;
+    constructor(directory: string);
+    /**
+     * Write a message to the outbox directory
+     * @param message - Message with from, to, subject, html and text
+     * @returns Send result with the generated message ID
+     */
+    sendMail(message: any): Promise<{
+        messageId: string;
+    }>;
+}
+/**
+ * Mailer Service
+ * Renders templated emails, queues them and delivers them through the configured transport
+ */
+declare class MailerService {
+    private transport;
+    private isProcessing;
+    private readonly staleClaimMs;
+    constructor();
+    /**
+     * Get (and lazily create) the configured transport
+     * @returns Transport with a sendMail(message) method
+     */
+    private getTransport;
+    /**
+     * Replace the transport (e.g., with a test double)
+     * @param transport - Transport with a sendMail(message) method
+     */
+    setTransport(transport: any): void;
+    /**
+     * Render a template and queue it for delivery
+     * @param template - Template name
+     * @param to - Recipient email address
+     * @param data - Template variables
+     * @returns Queued message
+     */
+    queueEmail(template: string, to: string, data: any): Promise<any>;
+    /**
+     * Deliver due messages from the queue
+     * @param batchSize - Maximum number of messages to process
+     * @returns Counts of sent and failed deliveries
+     */
+    processQueue(batchSize?: number): Promise<{
+        sent: number;
+        failed: number;
+    }>;
+    /**
+     * Attempt delivery of one queued message
+     * @param message - Queued message
+     * @returns True if the message was sent
+     */
+    private deliver;
+    /**
+     * Get queue statistics
+     * @returns Message counts by status
+     */
+    getQueueStats(): Promise<any>;
+}
+declare const mailerService: MailerService;
+//# sourceMappingURL=mailer.service.d.ts.map
\ No newline at end of file
@@ -0,0 +1,217 @@
+"use strict";
+const { Op } = require('sequelize');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { EmailMessage } = require('../db/models/emailMessage.model');
+const { renderEmailTemplate } = require('../utils/emailTemplates');
+const config = require('../config');
+/**
+ * Outbox transport
+ * Writes each message as a JSON file instead of delivering it (development and tests)
+ */
+class OutboxTransport {
+    constructor(directory) {
+        this.directory = directory;
+    }
+    /**
+     * Write a message to the outbox directory
+     * @param message - Message with from, to, subject, html and text
+     * @returns Send result with the generated message ID
+     */
+    async sendMail(message) {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        const messageId = `<${crypto.randomUUID()}@outbox.local>`;
+        const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+        await fs.promises.writeFile(path.join(this.directory, fileName), JSON.stringify({
+            messageId,
+            ...message,
+            createdAt: new Date().toISOString()
+        }, null, 2));
+        return { messageId };
+    }
+}
+/**
+ * Mailer Service
+ * Renders templated emails, queues them and delivers them through the configured transport
+ */
+class MailerService {
+    constructor() {
+        this.transport = null;
+        this.isProcessing = false;
+        this.staleClaimMs = 10 * 60 * 1000;
+    }
+    /**
+     * Get (and lazily create) the configured transport
+     * @returns Transport with a sendMail(message) method
+     */
+    getTransport() {
+        if (!this.transport) {
+            if (config.emailTransport === 'smtp') {
+                this.transport = nodemailer.createTransport({
+                    host: config.smtp.host,
+                    port: config.smtp.port,
+                    secure: config.smtp.secure,
+                    auth: config.smtp.user ? { user: config.smtp.user, pass: config.smtp.pass } : undefined
+                });
+            }
+            else {
+                this.transport = new OutboxTransport(path.resolve(config.emailOutboxDir));
+            }
+            console.log(`📧 Mailer using ${config.emailTransport === 'smtp' ? 'SMTP' : 'outbox'} transport`);
+        }
+        return this.transport;
+    }
+    /**
+     * Replace the transport (e.g., with a test double)
+     * @param transport - Transport with a sendMail(message) method
+     */
+    setTransport(transport) {
+        this.transport = transport;
+    }
+    /**
+     * Render a template and queue it for delivery
+     * @param template - Template name
+     * @param to - Recipient email address
+     * @param data - Template variables
+     * @returns Queued message
+     */
+    async queueEmail(template, to, data) {
+        try {
+            const rendered = renderEmailTemplate(template, data, config.emailFromName);
+            const message = await EmailMessage.create({
+                to,
+                template,
+                subject: rendered.subject,
+                html: rendered.html,
+                text: rendered.text,
+                nextAttemptAt: new Date()
+            });
+            console.log(`📧 Queued "${template}" email #${message.id}`);
+            // Deliver right away; failures are retried by the email job
+            setImmediate(() => {
+                this.deliver(message).catch((error) => console.error('❌ Error delivering queued email:', error));
+            });
+            return message;
+        }
+        catch (error) {
+            console.error('❌ Error queueing email:', error);
+            throw new Error(`Failed to queue email: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Deliver due messages from the queue
+     * @param batchSize - Maximum number of messages to process
+     * @returns Counts of sent and failed deliveries
+     */
+    async processQueue(batchSize = 50) {
+        if (this.isProcessing) {
+            return { sent: 0, failed: 0 };
+        }
+        this.isProcessing = true;
+        try {
+            // Release messages left claimed by a worker that stopped mid-send
+            await EmailMessage.update({ status: 'pending' }, {
+                where: {
+                    status: 'sending',
+                    updatedAt: { [Op.lt]: new Date(Date.now() - this.staleClaimMs) }
+                }
+            });
+            const dueMessages = await EmailMessage.findAll({
+                where: {
+                    status: 'pending',
+                    nextAttemptAt: { [Op.lte]: new Date() }
+                },
+                order: [['nextAttemptAt', 'ASC']],
+                limit: batchSize
+            });
+            let sent = 0;
+            let failed = 0;
+            for (const message of dueMessages) {
+                if (await this.deliver(message)) {
+                    sent++;
+                }
+                else {
+                    failed++;
+                }
+            }
+            return { sent, failed };
+        }
+        catch (error) {
+            console.error('❌ Error processing email queue:', error);
+            throw new Error(`Failed to process email queue: ${error instanceof Error ? error.message : String(error)}`);
+        }
+        finally {
+            this.isProcessing = false;
+        }
+    }
+    /**
+     * Attempt delivery of one queued message
+     * @param message - Queued message
+     * @returns True if the message was sent
+     */
+    async deliver(message) {
+        // Claim the message so concurrent workers never send it twice
+        const [claimed] = await EmailMessage.update({ status: 'sending' }, {
+            where: { id: message.id, status: 'pending' }
+        });
+        if (claimed !== 1) {
+            return false;
+        }
+        const attempts = message.attempts + 1;
+        try {
+            const result = await this.getTransport().sendMail({
+                from: `"${config.emailFromName}" <${config.emailFrom}>`,
+                to: message.to,
+                subject: message.subject,
+                html: message.html,
+                text: message.text
+            });
+            await EmailMessage.update({
+                status: 'sent',
+                attempts,
+                messageId: result.messageId || null,
+                sentAt: new Date(),
+                lastError: null
+            }, { where: { id: message.id } });
+            console.log(`✅ Email #${message.id} sent`);
+            return true;
+        }
+        catch (error) {
+            const errorMsg = error instanceof Error ? error.message : String(error);
+            const exhausted = attempts >= config.emailMaxAttempts;
+            // Exponential backoff: base, 2x base, 4x base, ...
+            const delay = config.emailRetryBaseDelay * 2 ** (attempts - 1);
+            await EmailMessage.update({
+                status: exhausted ? 'failed' : 'pending',
+                attempts,
+                lastError: errorMsg,
+                nextAttemptAt: new Date(Date.now() + delay)
+            }, { where: { id: message.id } });
+            console.error(`❌ Email #${message.id} attempt ${attempts} failed${exhausted ? ' (giving up)' : ''}: ${errorMsg}`);
+            return false;
+        }
+    }
+    /**
+     * Get queue statistics
+     * @returns Message counts by status
+     */
+    async getQueueStats() {
+        const counts = await EmailMessage.count({ group: ['status'] });
+        const stats = { pending: 0, sending: 0, sent: 0, failed: 0 };
+        for (const { status, count } of counts) {
+            stats[status] = Number(count);
+        }
+        return stats;
+    }
+}
+// Create singleton instance
+const mailerService = new MailerService();
+// Export the service instance and class
+module.exports = {
+    mailerService,
+    MailerService,
+    OutboxTransport
+};
+//# sourceMappingURL=mailer.service.js.map
\ No newline at end of file
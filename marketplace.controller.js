@@ -1,17 +1,74 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
+const { Op } = require('sequelize');
 const { marketplaceService } = require('../services/marketplace.service');
 const { ipfsService } = require('../services/ipfs.service');
+const { mailerService } = require('../services/mailer.service');
+const { coOwnershipService } = require('../services/coOwnership.service');
+const { IPAsset } = require('../db/models/ipAsset.model');
+const { MarketplaceListing } = require('../db/models/marketplaceListing.model');
+const { User } = require('../db/models/user.model');
+const { UserWallet } = require('../db/models/userWallet.model');
+const { hasPermission } = require('../utils/permissions');
+const { requirePermission } = require('../middlewares/permission.middleware');
 /**
  * Marketplace Controller
  * Handles marketplace-related API endpoints
  */
+/**
+ * Email the seller that their work was sold (best effort; never fails the sale)
+ * @param work - Work details read before the sale
+ * @param sale - Acquisition result
+ * @param buyerAddress - Buyer wallet address
+ * @param price - Sale price in ETH
+ */
+const notifySeller = async (work, sale, buyerAddress, price) => {
+    try {
+        const sellerWallet = await UserWallet.findOne({
+            where: { address: { [Op.iLike]: work.currentOwner } }
+        });
+        const seller = sellerWallet && await User.findByPk(sellerWallet.userId);
+        if (!seller) {
+            return;
+        }
+        await mailerService.queueEmail('saleNotification', seller.email, {
+            username: seller.username,
+            title: work.title,
+            workId: sale.workId,
+            price,
+            buyer: buyerAddress,
+            transactionHash: sale.transactionHash
+        });
+    }
+    catch (error) {
+        console.error('Error sending sale notification:', error);
+    }
+};
+/**
+ * Split the proceeds of a sale between the owners of the IP asset behind the work (best effort)
+ * @param sale - Acquisition result (price in wei)
+ */
+const apportionSaleProceeds = async (sale) => {
+    try {
+        const listing = await MarketplaceListing.findOne({ where: { workId: sale.workId } });
+        if (!listing) {
+            return;
+        }
+        await coOwnershipService.apportionProceeds(listing.assetId, sale.price, {
+            source: 'marketplace_sale',
+            reference: sale.transactionHash
+        });
+    }
+    catch (error) {
+        console.error('Error apportioning sale proceeds:', error);
+    }
+};
 /**
  * Publish a creative work to the marketplace
  */
-exports.publishWork = async (req, res) => {
+exports.publishWork = [requirePermission('marketplace:publish'), async (req, res) => {
     try {
-        const { title, summary, licenseAgreement, askingPrice, ipfsHash } = req.body;
+        const { title, summary, licenseAgreement, askingPrice, ipfsHash, assetId } = req.body;
         const creatorAddress = req.user?.walletAddress;
         // Validate required fields
         if (!title || !summary || !licenseAgreement || !askingPrice) {
@@ -33,6 +90,22 @@ exports.publishWork = async (req, res) => {
                 message: 'Asking price must be greater than 0'
             });
         }
+        // A work linked to an IP asset may only be published by its owners; sales are then split by share
+        if (assetId) {
+            const asset = await IPAsset.findByPk(assetId);
+            if (!asset) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'IP asset not found'
+                });
+            }
+            if (!(await coOwnershipService.canActAsOwner(req.user, asset))) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only an owner of the IP asset can publish it'
+                });
+            }
+        }
         // Prepare work data for blockchain
         const workData = {
             title,
@@ -46,6 +119,13 @@ exports.publishWork = async (req, res) => {
         if (ipfsHash) {
             await ipfsService.pinContent(ipfsHash);
         }
+        if (assetId) {
+            await MarketplaceListing.create({
+                workId: String(blockchainResult.workId),
+                assetId,
+                publishedBy: req.user.id
+            });
+        }
         res.status(201).json({
             success: true,
             message: 'Work published successfully',
@@ -56,7 +136,8 @@ exports.publishWork = async (req, res) => {
                 creator: creatorAddress,
                 title,
                 askingPrice,
-                ipfsHash: ipfsHash || null
+                ipfsHash: ipfsHash || null,
+                assetId: assetId || null
             }
         });
     }
@@ -68,11 +149,11 @@ exports.publishWork = async (req, res) => {
             error: error instanceof Error ? error.message : String(error)
         });
     }
-};
+}];
 /**
  * Acquire a creative work from the marketplace
  */
-exports.acquireWork = async (req, res) => {
+exports.acquireWork = [requirePermission('marketplace:acquire'), async (req, res) => {
     try {
         const { workId } = req.params;
         const { price } = req.body;
@@ -97,8 +178,12 @@ exports.acquireWork = async (req, res) => {
                 message: 'Invalid work ID'
             });
         }
+        // Read the seller before the sale changes the owner
+        const work = await marketplaceService.getWorkDetails(workIdNum);
         // Acquire work from blockchain
         const result = await marketplaceService.acquireWork(workIdNum, price);
+        await notifySeller(work, result, buyerAddress, price);
+        await apportionSaleProceeds(result);
         res.status(200).json({
             success: true,
             message: 'Work acquired successfully',
@@ -119,7 +204,7 @@ exports.acquireWork = async (req, res) => {
             error: error instanceof Error ? error.message : String(error)
         });
     }
-};
+}];
 /**
  * Get work details
  */
@@ -354,6 +439,14 @@ exports.getMarketplaceStats = async (req, res) => {
  */
 exports.getMarketplaceHealth = async (req, res) => {
     try {
+        // Admin-only: exposes contract details and connectivity
+        if (!hasPermission(req.user, 'system:health')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Insufficient permissions.',
+                required: ['system:health']
+            });
+        }
         const isConnected = await marketplaceService.testConnection();
         const stats = await marketplaceService.getMarketplaceStats();
         res.status(200).json({
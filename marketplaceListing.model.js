@@ -0,0 +1,37 @@
+"use strict";
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+class MarketplaceListing extends Model {
+}
+MarketplaceListing.init({
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+    },
+    workId: {
+        type: DataTypes.STRING(78),
+        allowNull: false,
+        unique: true,
+        comment: 'Marketplace contract work ID',
+    },
+    assetId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'IP asset whose owners receive the sale proceeds',
+    },
+    publishedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+}, {
+    sequelize,
+    modelName: 'MarketplaceListing',
+    tableName: 'marketplace_listings',
+    timestamps: true,
+    indexes: [
+        { fields: ['assetId'] },
+    ],
+});
+module.exports = { MarketplaceListing };
+//# sourceMappingURL=marketplaceListing.model.js.map
\ No newline at end of file
@@ -0,0 +1,42 @@
+"use strict";
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+class Organization extends Model {
+}
+Organization.init({
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+    },
+    name: {
+        type: DataTypes.STRING(150),
+        allowNull: false,
+        validate: {
+            len: [2, 150],
+        },
+        comment: 'Legal entity name',
+    },
+    slug: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        unique: true,
+        comment: 'URL-safe unique identifier',
+    },
+    description: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+    },
+    createdBy: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'User ID of the creator (first owner)',
+    },
+}, {
+    sequelize,
+    modelName: 'Organization',
+    tableName: 'organizations',
+    timestamps: true,
+});
+module.exports = { Organization };
+//# sourceMappingURL=organization.model.js.map
\ No newline at end of file
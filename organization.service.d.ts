@@ -0,0 +1,264 @@
+declare const Op: any;
+declare const User: any;
+declare const UserWallet: any;
+declare const Organization: any;
+declare const OrganizationMember: any;
+declare const OrganizationInvitation: any;
+declare const OrganizationWallet: any;
+declare const generateToken: any, sha256: any;
+declare const permissionMatches: any, hasPermission: any;
+declare const authService: any;
+declare const walletService: any;
+declare const auditService: any;
+declare const mailerService: any;
+declare const config: any;
+declare const sequelize: any;
+/**
+ * Organization roles, highest first. A member can never grant a role above their own.
+ */
+declare const ORGANIZATION_ROLES: string[];
+/**
+ * Permissions granted by each organization role (every member can read)
+ */
+declare const ORGANIZATION_ROLE_PERMISSIONS: Record<string, string[]>;
+/**
+ * Organization Service
+ * Manages organizations, their members, invitations and wallets, and organization-owned assets
+ */
+declare class OrganizationService {
+    private readonly invitationExpiryDays;
+    constructor();
+    /**
+     * Create an organization with the creator as owner
+     * @param userId - Creator user ID
+     * @param data - Name, optional slug and description
+     * @param ipAddress - Client IP address for the audit trail
+     * @returns Created organization
+     */
+    createOrganization(userId: number, data: {
+        name: string;
+        slug?: string;
+        description?: string;
+    }, ipAddress?: string): Promise<any>;
+    /**
+     * List the organizations a user belongs to
+     * @param userId - User ID
+     * @returns Organizations with the user's role
+     */
+    listUserOrganizations(userId: number): Promise<any>;
+    /**
+     * Get an organization visible to a member
+     * @param userId - Requesting user ID
+     * @param organizationId - Organization ID
+     * @returns Organization with member count and wallets
+     */
+    getOrganization(userId: number, organizationId: number): Promise<any>;
+    /**
+     * List organization members
+     * @param userId - Requesting user ID
+     * @param organizationId - Organization ID
+     * @returns Members with their roles
+     */
+    listMembers(userId: number, organizationId: number): Promise<any>;
+    /**
+     * Invite a user by email
+     * @param actorId - Inviting member user ID
+     * @param organizationId - Organization ID
+     * @param email - Invitee email
+     * @param role - Role granted on acceptance
+     * @param ipAddress - Client IP address for the audit trail
+     * @returns Invitation (the token is only sent by email)
+     */
+    inviteMember(actorId: number, organizationId: number, email: string, role: string, ipAddress?: string): Promise<any>;
+    /**
+     * List pending invitations
+     * @param actorId - Requesting member user ID
+     * @param organizationId - Organization ID
+     * @returns Pending invitations
+     */
+    listInvitations(actorId: number, organizationId: number): Promise<any>;
+    /**
+     * Revoke a pending invitation
+     * @param actorId - Revoking member user ID
+     * @param organizationId - Organization ID
+     * @param invitationId - Invitation ID
+     * @param ipAddress - Client IP address for the audit trail
+     * @returns Revocation result
+     */
+    revokeInvitation(actorId: number, organizationId: number, invitationId: number, ipAddress?: string): Promise<any>;
+    /**
+     * Accept an invitation with the account it was sent to
+     * @param userId - Accepting user ID
+     * @param token - Invitation token
+     * @param ipAddress - Client IP address for the audit trail
+     * @returns Joined organization
+     */
+    acceptInvitation(userId: number, token: string, ipAddress?: string): Promise<any>;
+    /**
+     * Change a member's role
+     * @param actorId - Acting member user ID
+     * @param organizationId - Organization ID
+     * @param memberUserId - User ID of the member to change
+     * @param role - New role
+     * @param ipAddress - Client IP address for the audit trail
+     * @returns Updated member
+     */
+    updateMemberRole(actorId: number, organizationId: number, memberUserId: number, role: string, ipAddress?: string): Promise<any>;
+    /**
+     * Remove a member (members may also remove themselves)
+     * @param actorId - Acting user ID
+     * @param organizationId - Organization ID
+     * @param memberUserId - User ID of the member to remove
+     * @param ipAddress - Client IP address for the audit trail
+     * @returns Removal result
+     */
+    removeMember(actorId: number, organizationId: number, memberUserId: number, ipAddress?: string): Promise<any>;
+    /**
+     * List organization wallets
+     * @param userId - Requesting user ID
+     * @param organizationId - Organization ID
+     * @returns Wallets, primary first
+     */
+    listWallets(userId: number, organizationId: number): Promise<any>;
+    /**
+     * Add a wallet to an organization after a signature challenge
+     * @param actorId - Acting member user ID
+     * @param organizationId - Organization ID
+     * @param message - SIWE message issued with purpose "org_wallet"
+     * @param signature - Wallet signature of the message
+     * @param label - Optional wallet label
+     * @param ipAddress - Client IP address for the audit trail
+     * @returns Added wallet
+     */
+    addWallet(actorId: number, organizationId: number, message: string, signature: string, label?: string, ipAddress?: string): Promise<any>;
+    /**
+     * Remove a wallet from an organization
+     * @param actorId - Acting member user ID
+     * @param organizationId - Organization ID
+     * @param walletAddress - Wallet address to remove
+     * @param ipAddress - Client IP address for the audit trail
+     * @returns Removal result
+     */
+    removeWallet(actorId: number, organizationId: number, walletAddress: string, ipAddress?: string): Promise<any>;
+    /**
+     * Make one of the organization's wallets the primary wallet
+     * @param actorId - Acting member user ID
+     * @param organizationId - Organization ID
+     * @param walletAddress - Wallet address to promote
+     * @param ipAddress - Client IP address for the audit trail
+     * @returns Primary wallet
+     */
+    setPrimaryWallet(actorId: number, organizationId: number, walletAddress: string, ipAddress?: string): Promise<any>;
+    /**
+     * Get the organization audit trail
+     * @param actorId - Requesting member user ID
+     * @param organizationId - Organization ID
+     * @param pagination - Limit and offset
+     * @returns Audit entries
+     */
+    getAuditLog(actorId: number, organizationId: number, pagination?: any): Promise<any>;
+    /**
+     * Check whether a user may perform an action on an asset
+     * The user's own role must grant the permission; user-owned assets then require the owner and
+     * organization-owned assets a member role with the permission.
+     * @param user - Request user
+     * @param asset - IP asset
+     * @param permission - Permission (e.g., assets:update)
+     * @returns True if allowed
+     */
+    canActOnAsset(user: any, asset: any, permission: string): Promise<boolean>;
+    /**
+     * Check whether a wallet belongs to the owner of an asset
+     * @param user - Request user
+     * @param asset - IP asset
+     * @param walletAddress - Wallet address to check
+     * @returns True if the wallet belongs to the asset owner
+     */
+    ownsAssetWallet(user: any, asset: any, walletAddress: string): Promise<boolean>;
+    /**
+     * Get an organization's primary wallet address
+     * @param organizationId - Organization ID
+     * @returns Primary wallet address or null
+     */
+    getPrimaryWalletAddress(organizationId: number): Promise<string | null>;
+    /**
+     * Resolve which account or organization a wallet belongs to
+     * @param walletAddress - Wallet address
+     * @returns Owner reference ({ ownerType, owner, address }) or null
+     */
+    findWalletOwner(walletAddress: string): Promise<any>;
+    /**
+     * Get a user's membership in an organization
+     * @param organizationId - Organization ID
+     * @param userId - User ID
+     * @returns Membership or null
+     */
+    getMembership(organizationId: number, userId: number): Promise<any>;
+    /**
+     * Require that a user is a member of an organization
+     * @param organizationId - Organization ID
+     * @param userId - User ID
+     * @returns Membership
+     */
+    requireMembership(organizationId: number, userId: number): Promise<any>;
+    /**
+     * Require that a member's role grants a permission
+     * @param organizationId - Organization ID
+     * @param userId - User ID
+     * @param permission - Organization permission
+     * @returns Membership
+     */
+    requireOrganizationPermission(organizationId: number, userId: number, permission: string): Promise<any>;
+    /**
+     * Check whether an organization role grants a permission
+     * @param role - Organization role
+     * @param permission - Organization permission
+     * @returns True if granted
+     */
+    roleHasPermission(role: string, permission: string): boolean;
+    /**
+     * Ensure an actor's role is at least as high as a role they grant or manage
+     * @param actorRole - Acting member role
+     * @param role - Role being granted or managed
+     */
+    private assertCanGrant;
+    /**
+     * Ensure an organization keeps at least one owner
+     * @param organizationId - Organization ID
+     * @param transaction - Sequelize transaction
+     */
+    private assertNotLastOwner;
+    /**
+     * Find organization wallets, primary first
+     * @param organizationId - Organization ID
+     * @returns Wallet records
+     */
+    private findWallets;
+    /**
+     * Build a URL-safe slug
+     * @param value - Requested slug or organization name
+     * @returns Slug
+     */
+    private normalizeSlug;
+    /**
+     * Format an organization for responses
+     * @param organization - Organization record
+     * @param role - Requesting user's role
+     * @returns Organization details
+     */
+    private formatOrganization;
+    /**
+     * Format an invitation for responses
+     * @param invitation - Invitation record
+     * @returns Invitation details
+     */
+    private formatInvitation;
+    /**
+     * Format a wallet for responses
+     * @param wallet - Organization wallet record
+     * @returns Wallet details
+     */
+    private formatWallet;
+}
+declare const organizationService: OrganizationService;
+//# sourceMappingURL=organization.service.d.ts.map
\ No newline at end of file
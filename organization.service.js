@@ -0,0 +1,832 @@
+"use strict";
+const { Op } = require('sequelize');
+const { User } = require('../db/models/user.model');
+const { UserWallet } = require('../db/models/userWallet.model');
+const { Organization } = require('../db/models/organization.model');
+const { OrganizationMember } = require('../db/models/organizationMember.model');
+const { OrganizationInvitation } = require('../db/models/organizationInvitation.model');
+const { OrganizationWallet } = require('../db/models/organizationWallet.model');
+const { generateToken, sha256 } = require('../utils/hash');
+const { permissionMatches, hasPermission } = require('../utils/permissions');
+const { authService } = require('./auth.service');
+const { walletService } = require('./wallet.service');
+const { auditService } = require('./audit.service');
+const { mailerService } = require('./mailer.service');
+const config = require('../config');
+const sequelize = require('../db/index');
+/**
+ * Organization roles, highest first. A member can never grant a role above their own.
+ */
+const ORGANIZATION_ROLES = ['owner', 'admin', 'manager', 'member', 'viewer'];
+/**
+ * Permissions granted by each organization role (every member can read)
+ */
+const ORGANIZATION_ROLE_PERMISSIONS = {
+    owner: ['*'],
+    admin: ['assets:create', 'assets:update', 'assets:transfer', 'members:manage', 'wallets:manage', 'audit:read'],
+    manager: ['assets:create', 'assets:update'],
+    member: ['assets:create'],
+    viewer: []
+};
+/**
+ * Organization Service
+ * Manages organizations, their members, invitations and wallets, and organization-owned assets
+ */
+class OrganizationService {
+    constructor() {
+        this.invitationExpiryDays = 7;
+    }
+    /**
+     * Create an organization with the creator as owner
+     * @param userId - Creator user ID
+     * @param data - Name, optional slug and description
+     * @param ipAddress - Client IP address for the audit trail
+     * @returns Created organization
+     */
+    async createOrganization(userId, data, ipAddress) {
+        try {
+            console.log(`🏢 Creating organization "${data.name}" for user: ${userId}`);
+            const slug = this.normalizeSlug(data.slug || data.name);
+            if (await Organization.findOne({ where: { slug } })) {
+                throw new Error('Organization slug is already taken');
+            }
+            const organization = await sequelize.transaction(async (transaction) => {
+                const created = await Organization.create({
+                    name: data.name,
+                    slug,
+                    description: data.description || null,
+                    createdBy: userId
+                }, { transaction });
+                await OrganizationMember.create({ organizationId: created.id, userId, role: 'owner' }, { transaction });
+                await auditService.record({
+                    actorId: userId,
+                    action: 'organization.created',
+                    entityType: 'organization',
+                    entityId: created.id,
+                    organizationId: created.id,
+                    metadata: { name: created.name, slug },
+                    ipAddress
+                }, { transaction });
+                return created;
+            });
+            console.log(`✅ Organization created: ${organization.slug}`);
+            return {
+                success: true,
+                organization: this.formatOrganization(organization, 'owner')
+            };
+        }
+        catch (error) {
+            console.error('❌ Error creating organization:', error);
+            throw new Error(`Failed to create organization: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * List the organizations a user belongs to
+     * @param userId - User ID
+     * @returns Organizations with the user's role
+     */
+    async listUserOrganizations(userId) {
+        try {
+            const memberships = await OrganizationMember.findAll({ where: { userId } });
+            const organizations = await Organization.findAll({
+                where: { id: memberships.map((membership) => membership.organizationId) },
+                order: [['name', 'ASC']]
+            });
+            const roles = new Map(memberships.map((membership) => [membership.organizationId, membership.role]));
+            return {
+                success: true,
+                organizations: organizations.map((organization) => this.formatOrganization(organization, roles.get(organization.id)))
+            };
+        }
+        catch (error) {
+            console.error('❌ Error listing organizations:', error);
+            throw new Error(`Failed to list organizations: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Get an organization visible to a member
+     * @param userId - Requesting user ID
+     * @param organizationId - Organization ID
+     * @returns Organization with member count and wallets
+     */
+    async getOrganization(userId, organizationId) {
+        try {
+            const membership = await this.requireMembership(organizationId, userId);
+            const organization = await Organization.findByPk(organizationId);
+            const memberCount = await OrganizationMember.count({ where: { organizationId } });
+            const wallets = await this.findWallets(organizationId);
+            return {
+                success: true,
+                organization: {
+                    ...this.formatOrganization(organization, membership.role),
+                    memberCount,
+                    wallets: wallets.map((wallet) => this.formatWallet(wallet))
+                }
+            };
+        }
+        catch (error) {
+            console.error('❌ Error getting organization:', error);
+            throw new Error(`Failed to get organization: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * List organization members
+     * @param userId - Requesting user ID
+     * @param organizationId - Organization ID
+     * @returns Members with their roles
+     */
+    async listMembers(userId, organizationId) {
+        try {
+            await this.requireMembership(organizationId, userId);
+            const members = await OrganizationMember.findAll({
+                where: { organizationId },
+                order: [['createdAt', 'ASC']]
+            });
+            const users = await User.findAll({
+                where: { id: members.map((member) => member.userId) },
+                attributes: ['id', 'username', 'email']
+            });
+            const usersById = new Map(users.map((user) => [user.id, user]));
+            return {
+                success: true,
+                members: members.map((member) => ({
+                    userId: member.userId,
+                    username: usersById.get(member.userId)?.username,
+                    email: usersById.get(member.userId)?.email,
+                    role: member.role,
+                    joinedAt: member.createdAt
+                }))
+            };
+        }
+        catch (error) {
+            console.error('❌ Error listing organization members:', error);
+            throw new Error(`Failed to list organization members: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Invite a user by email
+     * @param actorId - Inviting member user ID
+     * @param organizationId - Organization ID
+     * @param email - Invitee email
+     * @param role - Role granted on acceptance
+     * @param ipAddress - Client IP address for the audit trail
+     * @returns Invitation (the token is only sent by email)
+     */
+    async inviteMember(actorId, organizationId, email, role, ipAddress) {
+        try {
+            console.log(`✉️ Inviting ${email} to organization ${organizationId} as ${role}`);
+            const membership = await this.requireOrganizationPermission(organizationId, actorId, 'members:manage');
+            if (role === 'owner' || !ORGANIZATION_ROLES.includes(role)) {
+                throw new Error('Invalid invitation role');
+            }
+            this.assertCanGrant(membership.role, role);
+            const normalizedEmail = String(email).trim().toLowerCase();
+            const existingUser = await User.findOne({ where: { email: normalizedEmail } });
+            if (existingUser && await this.getMembership(organizationId, existingUser.id)) {
+                throw new Error('User is already a member');
+            }
+            const invitationToken = generateToken();
+            const invitation = await sequelize.transaction(async (transaction) => {
+                // A newer invitation replaces any pending one for the same email
+                await OrganizationInvitation.update({ revokedAt: new Date() }, {
+                    where: { organizationId, email: normalizedEmail, acceptedAt: null, revokedAt: null },
+                    transaction
+                });
+                const created = await OrganizationInvitation.create({
+                    organizationId,
+                    email: normalizedEmail,
+                    role,
+                    tokenHash: sha256(invitationToken),
+                    invitedBy: actorId,
+                    expiresAt: new Date(Date.now() + this.invitationExpiryDays * 24 * 60 * 60 * 1000)
+                }, { transaction });
+                await auditService.record({
+                    actorId,
+                    action: 'organization.member_invited',
+                    entityType: 'organization_invitation',
+                    entityId: created.id,
+                    organizationId,
+                    metadata: { email: normalizedEmail, role },
+                    ipAddress
+                }, { transaction });
+                return created;
+            });
+            const [organization, inviter] = await Promise.all([
+                Organization.findByPk(organizationId),
+                User.findByPk(actorId)
+            ]);
+            await mailerService.queueEmail('organizationInvitation', normalizedEmail, {
+                organizationName: organization.name,
+                inviterName: inviter ? inviter.username : 'A member',
+                role,
+                acceptUrl: `${config.appUrl}/organizations/invitations/accept?token=${encodeURIComponent(invitationToken)}`,
+                expiresAt: invitation.expiresAt.toISOString()
+            });
+            return {
+                success: true,
+                message: 'Invitation sent',
+                invitation: this.formatInvitation(invitation)
+            };
+        }
+        catch (error) {
+            console.error('❌ Error inviting organization member:', error);
+            throw new Error(`Failed to invite member: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * List pending invitations
+     * @param actorId - Requesting member user ID
+     * @param organizationId - Organization ID
+     * @returns Pending invitations
+     */
+    async listInvitations(actorId, organizationId) {
+        try {
+            await this.requireOrganizationPermission(organizationId, actorId, 'members:manage');
+            const invitations = await OrganizationInvitation.findAll({
+                where: {
+                    organizationId,
+                    acceptedAt: null,
+                    revokedAt: null,
+                    expiresAt: { [Op.gt]: new Date() }
+                },
+                order: [['createdAt', 'DESC']]
+            });
+            return {
+                success: true,
+                invitations: invitations.map((invitation) => this.formatInvitation(invitation))
+            };
+        }
+        catch (error) {
+            console.error('❌ Error listing invitations:', error);
+            throw new Error(`Failed to list invitations: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Revoke a pending invitation
+     * @param actorId - Revoking member user ID
+     * @param organizationId - Organization ID
+     * @param invitationId - Invitation ID
+     * @param ipAddress - Client IP address for the audit trail
+     * @returns Revocation result
+     */
+    async revokeInvitation(actorId, organizationId, invitationId, ipAddress) {
+        try {
+            await this.requireOrganizationPermission(organizationId, actorId, 'members:manage');
+            const invitation = await OrganizationInvitation.findOne({ where: { id: invitationId, organizationId } });
+            if (!invitation || invitation.acceptedAt || invitation.revokedAt) {
+                throw new Error('Pending invitation not found');
+            }
+            await sequelize.transaction(async (transaction) => {
+                await invitation.update({ revokedAt: new Date() }, { transaction });
+                await auditService.record({
+                    actorId,
+                    action: 'organization.invitation_revoked',
+                    entityType: 'organization_invitation',
+                    entityId: invitation.id,
+                    organizationId,
+                    metadata: { email: invitation.email },
+                    ipAddress
+                }, { transaction });
+            });
+            return {
+                success: true,
+                message: 'Invitation revoked'
+            };
+        }
+        catch (error) {
+            console.error('❌ Error revoking invitation:', error);
+            throw new Error(`Failed to revoke invitation: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Accept an invitation with the account it was sent to
+     * @param userId - Accepting user ID
+     * @param token - Invitation token
+     * @param ipAddress - Client IP address for the audit trail
+     * @returns Joined organization
+     */
+    async acceptInvitation(userId, token, ipAddress) {
+        try {
+            console.log(`✉️ User ${userId} accepting organization invitation`);
+            const invitation = await OrganizationInvitation.findOne({ where: { tokenHash: sha256(String(token)) } });
+            if (!invitation || invitation.acceptedAt || invitation.revokedAt || invitation.expiresAt < new Date()) {
+                throw new Error('Invalid or expired invitation');
+            }
+            const user = await User.findByPk(userId);
+            if (!user || user.email.toLowerCase() !== invitation.email) {
+                throw new Error('Invitation was sent to a different email address');
+            }
+            if (await this.getMembership(invitation.organizationId, userId)) {
+                throw new Error('You are already a member');
+            }
+            await sequelize.transaction(async (transaction) => {
+                // Conditional update so the same invitation cannot be accepted twice
+                const [accepted] = await OrganizationInvitation.update({ acceptedAt: new Date() }, {
+                    where: { id: invitation.id, acceptedAt: null, revokedAt: null },
+                    transaction
+                });
+                if (accepted !== 1) {
+                    throw new Error('Invalid or expired invitation');
+                }
+                await OrganizationMember.create({
+                    organizationId: invitation.organizationId,
+                    userId,
+                    role: invitation.role
+                }, { transaction });
+                await auditService.record({
+                    actorId: userId,
+                    action: 'organization.member_joined',
+                    entityType: 'organization_member',
+                    entityId: userId,
+                    organizationId: invitation.organizationId,
+                    metadata: { role: invitation.role, invitationId: invitation.id, invitedBy: invitation.invitedBy },
+                    ipAddress
+                }, { transaction });
+            });
+            const organization = await Organization.findByPk(invitation.organizationId);
+            console.log(`✅ User ${user.username} joined organization ${organization.slug}`);
+            return {
+                success: true,
+                organization: this.formatOrganization(organization, invitation.role)
+            };
+        }
+        catch (error) {
+            console.error('❌ Error accepting invitation:', error);
+            throw new Error(`Failed to accept invitation: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Change a member's role
+     * @param actorId - Acting member user ID
+     * @param organizationId - Organization ID
+     * @param memberUserId - User ID of the member to change
+     * @param role - New role
+     * @param ipAddress - Client IP address for the audit trail
+     * @returns Updated member
+     */
+    async updateMemberRole(actorId, organizationId, memberUserId, role, ipAddress) {
+        try {
+            console.log(`🏢 Changing role of member ${memberUserId} in organization ${organizationId} to ${role}`);
+            const actorMembership = await this.requireOrganizationPermission(organizationId, actorId, 'members:manage');
+            if (!ORGANIZATION_ROLES.includes(role)) {
+                throw new Error('Invalid organization role');
+            }
+            const member = await this.getMembership(organizationId, memberUserId);
+            if (!member) {
+                throw new Error('Member not found');
+            }
+            // Both the current and the new role must be within the actor's reach
+            this.assertCanGrant(actorMembership.role, member.role);
+            this.assertCanGrant(actorMembership.role, role);
+            const previousRole = member.role;
+            if (previousRole === role) {
+                return { success: true, member: { userId: member.userId, role } };
+            }
+            await sequelize.transaction(async (transaction) => {
+                if (previousRole === 'owner') {
+                    await this.assertNotLastOwner(organizationId, transaction);
+                }
+                await member.update({ role }, { transaction });
+                await auditService.record({
+                    actorId,
+                    action: 'organization.member_role_changed',
+                    entityType: 'organization_member',
+                    entityId: member.userId,
+                    organizationId,
+                    metadata: { previousRole, role },
+                    ipAddress
+                }, { transaction });
+            });
+            return {
+                success: true,
+                member: { userId: member.userId, role }
+            };
+        }
+        catch (error) {
+            console.error('❌ Error changing member role:', error);
+            throw new Error(`Failed to change member role: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Remove a member (members may also remove themselves)
+     * @param actorId - Acting user ID
+     * @param organizationId - Organization ID
+     * @param memberUserId - User ID of the member to remove
+     * @param ipAddress - Client IP address for the audit trail
+     * @returns Removal result
+     */
+    async removeMember(actorId, organizationId, memberUserId, ipAddress) {
+        try {
+            console.log(`🏢 Removing member ${memberUserId} from organization ${organizationId}`);
+            const isSelf = Number(actorId) === Number(memberUserId);
+            const actorMembership = isSelf
+                ? await this.requireMembership(organizationId, actorId)
+                : await this.requireOrganizationPermission(organizationId, actorId, 'members:manage');
+            const member = isSelf ? actorMembership : await this.getMembership(organizationId, memberUserId);
+            if (!member) {
+                throw new Error('Member not found');
+            }
+            if (!isSelf) {
+                this.assertCanGrant(actorMembership.role, member.role);
+            }
+            await sequelize.transaction(async (transaction) => {
+                if (member.role === 'owner') {
+                    await this.assertNotLastOwner(organizationId, transaction);
+                }
+                await member.destroy({ transaction });
+                await auditService.record({
+                    actorId,
+                    action: isSelf ? 'organization.member_left' : 'organization.member_removed',
+                    entityType: 'organization_member',
+                    entityId: member.userId,
+                    organizationId,
+                    metadata: { role: member.role },
+                    ipAddress
+                }, { transaction });
+            });
+            return {
+                success: true,
+                message: isSelf ? 'You left the organization' : 'Member removed'
+            };
+        }
+        catch (error) {
+            console.error('❌ Error removing member:', error);
+            throw new Error(`Failed to remove member: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * List organization wallets
+     * @param userId - Requesting user ID
+     * @param organizationId - Organization ID
+     * @returns Wallets, primary first
+     */
+    async listWallets(userId, organizationId) {
+        try {
+            await this.requireMembership(organizationId, userId);
+            const wallets = await this.findWallets(organizationId);
+            return {
+                success: true,
+                wallets: wallets.map((wallet) => this.formatWallet(wallet))
+            };
+        }
+        catch (error) {
+            console.error('❌ Error listing organization wallets:', error);
+            throw new Error(`Failed to list organization wallets: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Add a wallet to an organization after a signature challenge
+     * @param actorId - Acting member user ID
+     * @param organizationId - Organization ID
+     * @param message - SIWE message issued with purpose "org_wallet"
+     * @param signature - Wallet signature of the message
+     * @param label - Optional wallet label
+     * @param ipAddress - Client IP address for the audit trail
+     * @returns Added wallet
+     */
+    async addWallet(actorId, organizationId, message, signature, label, ipAddress) {
+        try {
+            console.log(`🔗 Adding wallet to organization: ${organizationId}`);
+            await this.requireOrganizationPermission(organizationId, actorId, 'wallets:manage');
+            const address = await authService.consumeSiweSignature(message, signature, 'org_wallet');
+            // A wallet belongs to exactly one account or organization
+            const [userWallet, organizationWallet] = await Promise.all([
+                UserWallet.findOne({ where: { address } }),
+                OrganizationWallet.findOne({ where: { address } })
+            ]);
+            if (userWallet || organizationWallet) {
+                throw new Error('Wallet address is already linked to an account or organization');
+            }
+            const wallet = await sequelize.transaction(async (transaction) => {
+                const walletCount = await OrganizationWallet.count({ where: { organizationId }, transaction });
+                const created = await OrganizationWallet.create({
+                    organizationId,
+                    address,
+                    label: label || null,
+                    isPrimary: walletCount === 0,
+                    addedBy: actorId,
+                    verifiedAt: new Date()
+                }, { transaction });
+                await auditService.record({
+                    actorId,
+                    action: 'organization.wallet_added',
+                    entityType: 'organization_wallet',
+                    entityId: address,
+                    organizationId,
+                    metadata: { label: created.label, isPrimary: created.isPrimary },
+                    ipAddress
+                }, { transaction });
+                return created;
+            });
+            console.log(`✅ Wallet ${address} added to organization: ${organizationId}`);
+            return {
+                success: true,
+                wallet: this.formatWallet(wallet)
+            };
+        }
+        catch (error) {
+            console.error('❌ Error adding organization wallet:', error);
+            throw new Error(`Failed to add organization wallet: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Remove a wallet from an organization
+     * @param actorId - Acting member user ID
+     * @param organizationId - Organization ID
+     * @param walletAddress - Wallet address to remove
+     * @param ipAddress - Client IP address for the audit trail
+     * @returns Removal result
+     */
+    async removeWallet(actorId, organizationId, walletAddress, ipAddress) {
+        try {
+            await this.requireOrganizationPermission(organizationId, actorId, 'wallets:manage');
+            const address = authService.normalizeWalletAddress(walletAddress);
+            const wallet = await OrganizationWallet.findOne({ where: { organizationId, address } });
+            if (!wallet) {
+                throw new Error('Wallet is not linked to this organization');
+            }
+            if (wallet.isPrimary && await OrganizationWallet.count({ where: { organizationId } }) > 1) {
+                throw new Error('Choose another primary wallet before removing this one');
+            }
+            await sequelize.transaction(async (transaction) => {
+                await wallet.destroy({ transaction });
+                await auditService.record({
+                    actorId,
+                    action: 'organization.wallet_removed',
+                    entityType: 'organization_wallet',
+                    entityId: address,
+                    organizationId,
+                    ipAddress
+                }, { transaction });
+            });
+            return {
+                success: true,
+                message: 'Wallet removed',
+                address
+            };
+        }
+        catch (error) {
+            console.error('❌ Error removing organization wallet:', error);
+            throw new Error(`Failed to remove organization wallet: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Make one of the organization's wallets the primary wallet
+     * @param actorId - Acting member user ID
+     * @param organizationId - Organization ID
+     * @param walletAddress - Wallet address to promote
+     * @param ipAddress - Client IP address for the audit trail
+     * @returns Primary wallet
+     */
+    async setPrimaryWallet(actorId, organizationId, walletAddress, ipAddress) {
+        try {
+            await this.requireOrganizationPermission(organizationId, actorId, 'wallets:manage');
+            const address = authService.normalizeWalletAddress(walletAddress);
+            const wallet = await OrganizationWallet.findOne({ where: { organizationId, address } });
+            if (!wallet) {
+                throw new Error('Wallet is not linked to this organization');
+            }
+            await sequelize.transaction(async (transaction) => {
+                await OrganizationWallet.update({ isPrimary: false }, { where: { organizationId }, transaction });
+                await wallet.update({ isPrimary: true }, { transaction });
+                await auditService.record({
+                    actorId,
+                    action: 'organization.wallet_primary_changed',
+                    entityType: 'organization_wallet',
+                    entityId: address,
+                    organizationId,
+                    ipAddress
+                }, { transaction });
+            });
+            return {
+                success: true,
+                wallet: this.formatWallet(wallet)
+            };
+        }
+        catch (error) {
+            console.error('❌ Error setting primary organization wallet:', error);
+            throw new Error(`Failed to set primary organization wallet: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Get the organization audit trail
+     * @param actorId - Requesting member user ID
+     * @param organizationId - Organization ID
+     * @param pagination - Limit and offset
+     * @returns Audit entries
+     */
+    async getAuditLog(actorId, organizationId, pagination) {
+        try {
+            await this.requireOrganizationPermission(organizationId, actorId, 'audit:read');
+            return await auditService.list({ organizationId }, pagination);
+        }
+        catch (error) {
+            console.error('❌ Error getting organization audit log:', error);
+            throw new Error(`Failed to get organization audit log: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Check whether a user may perform an action on an asset
+     * The user's own role must grant the permission; user-owned assets then require the owner and
+     * organization-owned assets a member role with the permission.
+     * @param user - Request user
+     * @param asset - IP asset
+     * @param permission - Permission (e.g., assets:update)
+     * @returns True if allowed
+     */
+    async canActOnAsset(user, asset, permission) {
+        if (!user || !hasPermission(user, permission)) {
+            return false;
+        }
+        if (asset.ownerType !== 'organization') {
+            return asset.owner === user.id;
+        }
+        const membership = await this.getMembership(asset.owner, user.id);
+        return Boolean(membership) && this.roleHasPermission(membership.role, permission);
+    }
+    /**
+     * Check whether a wallet belongs to the owner of an asset
+     * @param user - Request user
+     * @param asset - IP asset
+     * @param walletAddress - Wallet address to check
+     * @returns True if the wallet belongs to the asset owner
+     */
+    async ownsAssetWallet(user, asset, walletAddress) {
+        if (asset.ownerType !== 'organization') {
+            return walletService.ownsWallet(user, walletAddress);
+        }
+        const wallets = await this.findWallets(asset.owner);
+        return wallets.some((wallet) => wallet.address.toLowerCase() === String(walletAddress).toLowerCase());
+    }
+    /**
+     * Get an organization's primary wallet address
+     * @param organizationId - Organization ID
+     * @returns Primary wallet address or null
+     */
+    async getPrimaryWalletAddress(organizationId) {
+        const wallet = await OrganizationWallet.findOne({ where: { organizationId, isPrimary: true } });
+        return wallet ? wallet.address : null;
+    }
+    /**
+     * Resolve which account or organization a wallet belongs to
+     * @param walletAddress - Wallet address
+     * @returns Owner reference ({ ownerType, owner, address }) or null
+     */
+    async findWalletOwner(walletAddress) {
+        const userWallet = await UserWallet.findOne({ where: { address: { [Op.iLike]: walletAddress } } });
+        if (userWallet) {
+            return { ownerType: 'user', owner: userWallet.userId, address: userWallet.address };
+        }
+        const organizationWallet = await OrganizationWallet.findOne({ where: { address: { [Op.iLike]: walletAddress } } });
+        if (organizationWallet) {
+            return { ownerType: 'organization', owner: organizationWallet.organizationId, address: organizationWallet.address };
+        }
+        return null;
+    }
+    /**
+     * Get a user's membership in an organization
+     * @param organizationId - Organization ID
+     * @param userId - User ID
+     * @returns Membership or null
+     */
+    async getMembership(organizationId, userId) {
+        return OrganizationMember.findOne({ where: { organizationId, userId } });
+    }
+    /**
+     * Require that a user is a member of an organization
+     * @param organizationId - Organization ID
+     * @param userId - User ID
+     * @returns Membership
+     */
+    async requireMembership(organizationId, userId) {
+        const membership = await this.getMembership(organizationId, userId);
+        if (!membership) {
+            throw new Error('Organization not found or you are not a member');
+        }
+        return membership;
+    }
+    /**
+     * Require that a member's role grants a permission
+     * @param organizationId - Organization ID
+     * @param userId - User ID
+     * @param permission - Organization permission
+     * @returns Membership
+     */
+    async requireOrganizationPermission(organizationId, userId, permission) {
+        const membership = await this.requireMembership(organizationId, userId);
+        if (!this.roleHasPermission(membership.role, permission)) {
+            throw new Error('Insufficient organization permissions');
+        }
+        return membership;
+    }
+    /**
+     * Check whether an organization role grants a permission
+     * @param role - Organization role
+     * @param permission - Organization permission
+     * @returns True if granted
+     */
+    roleHasPermission(role, permission) {
+        return permissionMatches(ORGANIZATION_ROLE_PERMISSIONS[role] || [], permission);
+    }
+    /**
+     * Ensure an actor's role is at least as high as a role they grant or manage
+     * @param actorRole - Acting member role
+     * @param role - Role being granted or managed
+     */
+    assertCanGrant(actorRole, role) {
+        if (ORGANIZATION_ROLES.indexOf(role) < ORGANIZATION_ROLES.indexOf(actorRole)) {
+            throw new Error(`A ${actorRole} cannot manage the ${role} role`);
+        }
+    }
+    /**
+     * Ensure an organization keeps at least one owner
+     * @param organizationId - Organization ID
+     * @param transaction - Sequelize transaction
+     */
+    async assertNotLastOwner(organizationId, transaction) {
+        const owners = await OrganizationMember.count({ where: { organizationId, role: 'owner' }, transaction });
+        if (owners <= 1) {
+            throw new Error('An organization must keep at least one owner');
+        }
+    }
+    /**
+     * Find organization wallets, primary first
+     * @param organizationId - Organization ID
+     * @returns Wallet records
+     */
+    async findWallets(organizationId) {
+        return OrganizationWallet.findAll({
+            where: { organizationId },
+            order: [['isPrimary', 'DESC'], ['createdAt', 'ASC']]
+        });
+    }
+    /**
+     * Build a URL-safe slug
+     * @param value - Requested slug or organization name
+     * @returns Slug
+     */
+    normalizeSlug(value) {
+        const slug = String(value || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 100);
+        if (slug.length < 2) {
+            throw new Error('Organization slug must be at least 2 characters');
+        }
+        return slug;
+    }
+    /**
+     * Format an organization for responses
+     * @param organization - Organization record
+     * @param role - Requesting user's role
+     * @returns Organization details
+     */
+    formatOrganization(organization, role) {
+        return {
+            id: organization.id,
+            name: organization.name,
+            slug: organization.slug,
+            description: organization.description,
+            role,
+            createdAt: organization.createdAt
+        };
+    }
+    /**
+     * Format an invitation for responses
+     * @param invitation - Invitation record
+     * @returns Invitation details
+     */
+    formatInvitation(invitation) {
+        return {
+            id: invitation.id,
+            organizationId: invitation.organizationId,
+            email: invitation.email,
+            role: invitation.role,
+            invitedBy: invitation.invitedBy,
+            expiresAt: invitation.expiresAt
+        };
+    }
+    /**
+     * Format a wallet for responses
+     * @param wallet - Organization wallet record
+     * @returns Wallet details
+     */
+    formatWallet(wallet) {
+        return {
+            address: wallet.address,
+            label: wallet.label,
+            isPrimary: wallet.isPrimary,
+            verifiedAt: wallet.verifiedAt
+        };
+    }
+}
+// Create singleton instance
+const organizationService = new OrganizationService();
+// Export the service instance and class
+module.exports = {
+    organizationService,
+    OrganizationService,
+    ORGANIZATION_ROLES
+};
+//# sourceMappingURL=organization.service.js.map
\ No newline at end of file
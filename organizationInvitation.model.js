@@ -0,0 +1,59 @@
+"use strict";
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+class OrganizationInvitation extends Model {
+}
+OrganizationInvitation.init({
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+    },
+    organizationId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    email: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Invitee email (lowercased); must match the accepting account',
+    },
+    role: {
+        type: DataTypes.ENUM('admin', 'manager', 'member', 'viewer'),
+        allowNull: false,
+        defaultValue: 'member',
+    },
+    tokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+        comment: 'SHA-256 of the invitation token; the token itself is never stored',
+    },
+    invitedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+    },
+    acceptedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+}, {
+    sequelize,
+    modelName: 'OrganizationInvitation',
+    tableName: 'organization_invitations',
+    timestamps: true,
+    indexes: [
+        { fields: ['organizationId'] },
+        { fields: ['email'] },
+    ],
+});
+module.exports = { OrganizationInvitation };
+//# sourceMappingURL=organizationInvitation.model.js.map
\ No newline at end of file
@@ -0,0 +1,37 @@
+"use strict";
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+class OrganizationMember extends Model {
+}
+OrganizationMember.init({
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+    },
+    organizationId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    role: {
+        type: DataTypes.ENUM('owner', 'admin', 'manager', 'member', 'viewer'),
+        allowNull: false,
+        defaultValue: 'member',
+        comment: 'Organization role; permissions are resolved by the organization service',
+    },
+}, {
+    sequelize,
+    modelName: 'OrganizationMember',
+    tableName: 'organization_members',
+    timestamps: true,
+    indexes: [
+        { unique: true, fields: ['organizationId', 'userId'] },
+        { fields: ['userId'] },
+    ],
+});
+module.exports = { OrganizationMember };
+//# sourceMappingURL=organizationMember.model.js.map
\ No newline at end of file
@@ -0,0 +1,52 @@
+"use strict";
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+class OrganizationWallet extends Model {
+}
+OrganizationWallet.init({
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+    },
+    organizationId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    address: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        unique: true,
+        comment: 'Checksummed wallet address held by the organization',
+    },
+    label: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+    },
+    isPrimary: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Primary wallet used for organization registrations',
+    },
+    addedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Member who proved control of the wallet',
+    },
+    verifiedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: 'When control was proven with a SIWE signature',
+    },
+}, {
+    sequelize,
+    modelName: 'OrganizationWallet',
+    tableName: 'organization_wallets',
+    timestamps: true,
+    indexes: [
+        { fields: ['organizationId'] },
+    ],
+});
+module.exports = { OrganizationWallet };
+//# sourceMappingURL=organizationWallet.model.js.map
\ No newline at end of file
@@ -0,0 +1,2 @@
+export {};
+//# sourceMappingURL=organizations.controller.d.ts.map
\ No newline at end of file
@@ -0,0 +1,270 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const { organizationService } = require('../services/organization.service');
+/**
+ * Organizations Controller
+ * Handles organization, membership, invitation and organization wallet endpoints
+ */
+// Create organization
+exports.createOrganization = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        if (req.apiKey) {
+            return res.status(403).json({ message: 'Organizations cannot be managed with an API key.' });
+        }
+        const { name, slug, description } = req.body;
+        if (!name) {
+            return res.status(400).json({ message: 'Organization name is required.' });
+        }
+        const result = await organizationService.createOrganization(userId, { name, slug, description }, req.ip);
+        return res.status(201).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(400).json({ message: 'Failed to create organization.', error: errorMsg });
+    }
+};
+// List the user's organizations
+exports.listOrganizations = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        const result = await organizationService.listUserOrganizations(userId);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(500).json({ message: 'Failed to list organizations.', error: errorMsg });
+    }
+};
+// Get organization
+exports.getOrganization = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        const result = await organizationService.getOrganization(userId, req.params.id);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(404).json({ message: 'Failed to get organization.', error: errorMsg });
+    }
+};
+// List members
+exports.listMembers = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        const result = await organizationService.listMembers(userId, req.params.id);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(403).json({ message: 'Failed to list members.', error: errorMsg });
+    }
+};
+// Change member role
+exports.updateMemberRole = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        if (req.apiKey) {
+            return res.status(403).json({ message: 'Organizations cannot be managed with an API key.' });
+        }
+        const { role } = req.body;
+        if (!role) {
+            return res.status(400).json({ message: 'Role is required.' });
+        }
+        const result = await organizationService.updateMemberRole(userId, req.params.id, req.params.userId, role, req.ip);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(400).json({ message: 'Failed to change member role.', error: errorMsg });
+    }
+};
+// Remove member (or leave)
+exports.removeMember = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        if (req.apiKey) {
+            return res.status(403).json({ message: 'Organizations cannot be managed with an API key.' });
+        }
+        const result = await organizationService.removeMember(userId, req.params.id, req.params.userId, req.ip);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(400).json({ message: 'Failed to remove member.', error: errorMsg });
+    }
+};
+// Invite member
+exports.inviteMember = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        if (req.apiKey) {
+            return res.status(403).json({ message: 'Organizations cannot be managed with an API key.' });
+        }
+        const { email, role = 'member' } = req.body;
+        if (!email) {
+            return res.status(400).json({ message: 'Email is required.' });
+        }
+        const result = await organizationService.inviteMember(userId, req.params.id, email, role, req.ip);
+        return res.status(201).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(400).json({ message: 'Failed to invite member.', error: errorMsg });
+    }
+};
+// List pending invitations
+exports.listInvitations = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        const result = await organizationService.listInvitations(userId, req.params.id);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(403).json({ message: 'Failed to list invitations.', error: errorMsg });
+    }
+};
+// Revoke invitation
+exports.revokeInvitation = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        if (req.apiKey) {
+            return res.status(403).json({ message: 'Organizations cannot be managed with an API key.' });
+        }
+        const result = await organizationService.revokeInvitation(userId, req.params.id, req.params.invitationId, req.ip);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(400).json({ message: 'Failed to revoke invitation.', error: errorMsg });
+    }
+};
+// Accept invitation
+exports.acceptInvitation = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        if (req.apiKey) {
+            return res.status(403).json({ message: 'Organizations cannot be managed with an API key.' });
+        }
+        const { token } = req.body;
+        if (!token) {
+            return res.status(400).json({ message: 'Invitation token is required.' });
+        }
+        const result = await organizationService.acceptInvitation(userId, token, req.ip);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(400).json({ message: 'Failed to accept invitation.', error: errorMsg });
+    }
+};
+// List organization wallets
+exports.listWallets = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        const result = await organizationService.listWallets(userId, req.params.id);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(403).json({ message: 'Failed to list organization wallets.', error: errorMsg });
+    }
+};
+// Add organization wallet (signed challenge)
+exports.addWallet = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        if (req.apiKey) {
+            return res.status(403).json({ message: 'Organizations cannot be managed with an API key.' });
+        }
+        const { message, signature, label } = req.body;
+        if (!message || !signature) {
+            return res.status(400).json({ message: 'Message and signature are required.' });
+        }
+        const result = await organizationService.addWallet(userId, req.params.id, message, signature, label, req.ip);
+        return res.status(201).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(400).json({ message: 'Failed to add organization wallet.', error: errorMsg });
+    }
+};
+// Remove organization wallet
+exports.removeWallet = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        if (req.apiKey) {
+            return res.status(403).json({ message: 'Organizations cannot be managed with an API key.' });
+        }
+        const result = await organizationService.removeWallet(userId, req.params.id, req.params.address, req.ip);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(400).json({ message: 'Failed to remove organization wallet.', error: errorMsg });
+    }
+};
+// Set primary organization wallet
+exports.setPrimaryWallet = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        if (req.apiKey) {
+            return res.status(403).json({ message: 'Organizations cannot be managed with an API key.' });
+        }
+        const { walletAddress } = req.body;
+        if (!walletAddress) {
+            return res.status(400).json({ message: 'Wallet address is required.' });
+        }
+        const result = await organizationService.setPrimaryWallet(userId, req.params.id, walletAddress, req.ip);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(400).json({ message: 'Failed to set primary organization wallet.', error: errorMsg });
+    }
+};
+// Get organization audit trail
+exports.getAuditLog = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId)
+            return res.status(401).json({ message: 'Unauthorized.' });
+        const { limit, offset } = req.query;
+        const result = await organizationService.getAuditLog(userId, req.params.id, { limit, offset });
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(403).json({ message: 'Failed to get organization audit log.', error: errorMsg });
+    }
+};
+//# sourceMappingURL=organizations.controller.js.map
\ No newline at end of file
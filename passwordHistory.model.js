@@ -0,0 +1,32 @@
+"use strict";
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+class PasswordHistory extends Model {
+}
+PasswordHistory.init({
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+    },
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    passwordHash: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'bcrypt hash of a password the user has set',
+    },
+}, {
+    sequelize,
+    modelName: 'PasswordHistory',
+    tableName: 'password_history',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+        { fields: ['userId', 'createdAt'] },
+    ],
+});
+module.exports = { PasswordHistory };
+//# sourceMappingURL=passwordHistory.model.js.map
\ No newline at end of file
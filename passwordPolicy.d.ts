@@ -0,0 +1,104 @@
+declare const fs: any;
+declare const path: any;
+declare const config: any;
+/**
+ * Password Policy Utility Functions
+ * Rule checks, strength estimation (zxcvbn-style) and breached-password lookup
+ */
+declare const KEYBOARD_ROWS: string[];
+declare const LEET_SUBSTITUTIONS: Record<string, string>;
+declare const SCORE_THRESHOLDS: number[];
+declare const SCORE_LABELS: string[];
+interface PasswordViolation {
+    rule: 'required' | 'min_length' | 'max_length' | 'uppercase' | 'lowercase' | 'digit' | 'symbol' | 'user_info' | 'breached' | 'strength' | 'history';
+    message: string;
+    [detail: string]: any;
+}
+interface PasswordStrength {
+    score: number;
+    label: string;
+    guessesLog10: number;
+    patterns: string[];
+}
+/**
+ * Error carrying one entry per violated password rule
+ */
+declare class PasswordPolicyError extends Error {
+    readonly statusCode: number;
+    readonly violations: PasswordViolation[];
+    constructor(violations: PasswordViolation[]);
+}
+declare let breachedPasswords: Map<string, number> | null;
+/**
+ * Load the breached-password list (bundled list unless PASSWORD_BREACHED_LIST_PATH is set)
+ * @returns Map of lowercase password to its frequency rank
+ */
+declare const loadBreachedPasswords: () => Map<string, number>;
+/**
+ * Check whether a password appears in the breached-password list
+ * @param password - Password to check
+ * @returns True if the password is known to be breached
+ */
+declare const isBreachedPassword: (password: string) => boolean;
+/**
+ * Get the active password policy
+ * @returns Policy settings
+ */
+declare const getPasswordPolicy: () => {
+    minLength: number;
+    maxLength: number;
+    requireUppercase: boolean;
+    requireLowercase: boolean;
+    requireDigit: boolean;
+    requireSymbol: boolean;
+    minStrengthScore: number;
+    historySize: number;
+    rejectBreached: boolean;
+};
+/**
+ * Size of the character space a password draws from (brute-force cardinality)
+ * @param password - Password
+ * @returns Cardinality
+ */
+declare const getCharsetSize: (password: string) => number;
+/**
+ * Normalize user-supplied values (username, email) into dictionary words
+ * @param userInputs - Values tied to the account
+ * @returns Lowercase words of at least 3 characters
+ */
+declare const normalizeUserInputs: (userInputs: string[]) => string[];
+/**
+ * Find guessable patterns in a password
+ * @param password - Password
+ * @param userInputs - Values tied to the account (username, email)
+ * @returns Matches with start index, end index, estimated guesses and pattern name
+ */
+declare const findPatterns: (password: string, userInputs?: string[]) => Array<{
+    i: number;
+    j: number;
+    guesses: number;
+    pattern: string;
+}>;
+/**
+ * Estimate password strength the way zxcvbn does: the cheapest way to guess the whole
+ * password as a sequence of brute-forced characters and known patterns
+ * @param password - Password
+ * @param userInputs - Values tied to the account (username, email)
+ * @returns Score (0-4), label, log10 of estimated guesses and detected patterns
+ */
+declare const estimatePasswordStrength: (password: string, userInputs?: string[]) => PasswordStrength;
+/**
+ * Check a password against the policy rules that need no stored data
+ * @param password - Password
+ * @param options - userInputs (username, email) and policy overrides
+ * @returns Validity, strength and one violation per failed rule
+ */
+declare const validatePassword: (password: string, options?: {
+    userInputs?: string[];
+    policy?: Partial<ReturnType<typeof getPasswordPolicy>>;
+}) => {
+    valid: boolean;
+    strength: PasswordStrength | null;
+    violations: PasswordViolation[];
+};
+//# sourceMappingURL=passwordPolicy.d.ts.map
\ No newline at end of file
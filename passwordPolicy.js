@@ -0,0 +1,276 @@
+"use strict";
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+/**
+ * Password Policy Utility Functions
+ * Rule checks, strength estimation (zxcvbn-style) and breached-password lookup
+ */
+const KEYBOARD_ROWS = ['1234567890', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm', 'azertyuiop', 'qwertzuiop'];
+const LEET_SUBSTITUTIONS = { '4': 'a', '@': 'a', '8': 'b', '(': 'c', '3': 'e', '6': 'g', '1': 'i', '!': 'i', '0': 'o', '$': 's', '5': 's', '7': 't', '+': 't', '2': 'z' };
+// zxcvbn score boundaries: guesses below 10^3, 10^6, 10^8 and 10^10 map to scores 0-3
+const SCORE_THRESHOLDS = [3, 6, 8, 10];
+const SCORE_LABELS = ['very weak', 'weak', 'fair', 'strong', 'very strong'];
+/**
+ * Error carrying one entry per violated password rule
+ */
+class PasswordPolicyError extends Error {
+    constructor(violations) {
+        super(violations.map((violation) => violation.message).join('; '));
+        this.name = 'PasswordPolicyError';
+        this.statusCode = 400;
+        this.violations = violations;
+    }
+}
+let breachedPasswords = null;
+/**
+ * Load the breached-password list (bundled list unless PASSWORD_BREACHED_LIST_PATH is set)
+ * @returns Map of lowercase password to its frequency rank
+ */
+const loadBreachedPasswords = () => {
+    if (!breachedPasswords) {
+        const listPath = config.passwordBreachedListPath || path.join(__dirname, 'breachedPasswords.txt');
+        breachedPasswords = new Map();
+        for (const line of fs.readFileSync(listPath, 'utf8').split(/\r?\n/)) {
+            const entry = line.trim().toLowerCase();
+            if (entry && !entry.startsWith('#') && !breachedPasswords.has(entry)) {
+                breachedPasswords.set(entry, breachedPasswords.size + 1);
+            }
+        }
+    }
+    return breachedPasswords;
+};
+/**
+ * Check whether a password appears in the breached-password list
+ * @param password - Password to check
+ * @returns True if the password is known to be breached
+ */
+const isBreachedPassword = (password) => {
+    return loadBreachedPasswords().has(String(password).toLowerCase());
+};
+/**
+ * Get the active password policy
+ * @returns Policy settings
+ */
+const getPasswordPolicy = () => ({
+    minLength: config.passwordMinLength,
+    maxLength: config.passwordMaxLength,
+    requireUppercase: config.passwordRequireUppercase,
+    requireLowercase: config.passwordRequireLowercase,
+    requireDigit: config.passwordRequireDigit,
+    requireSymbol: config.passwordRequireSymbol,
+    minStrengthScore: config.passwordMinScore,
+    historySize: config.passwordHistorySize,
+    rejectBreached: true
+});
+/**
+ * Size of the character space a password draws from (brute-force cardinality)
+ * @param password - Password
+ * @returns Cardinality
+ */
+const getCharsetSize = (password) => {
+    let size = 0;
+    if (/[a-z]/.test(password))
+        size += 26;
+    if (/[A-Z]/.test(password))
+        size += 26;
+    if (/\d/.test(password))
+        size += 10;
+    if (/[^a-zA-Z\d]/.test(password))
+        size += 33;
+    return Math.max(size, 10);
+};
+/**
+ * Normalize user-supplied values (username, email) into dictionary words
+ * @param userInputs - Values tied to the account
+ * @returns Lowercase words of at least 3 characters
+ */
+const normalizeUserInputs = (userInputs) => {
+    const words = [];
+    for (const input of userInputs.filter(Boolean)) {
+        const value = String(input).toLowerCase();
+        words.push(value, ...value.split(/[@._\-+\s]+/));
+    }
+    return [...new Set(words)].filter((word) => word.length >= 3);
+};
+/**
+ * Find guessable patterns in a password
+ * @param password - Password
+ * @param userInputs - Values tied to the account (username, email)
+ * @returns Matches with start index, end index, estimated guesses and pattern name
+ */
+const findPatterns = (password, userInputs = []) => {
+    const matches = [];
+    const lower = password.toLowerCase();
+    const unleeted = [...lower].map((char) => LEET_SUBSTITUTIONS[char] || char).join('');
+    const dictionary = loadBreachedPasswords();
+    const personalWords = normalizeUserInputs(userInputs);
+    // Dictionary and personal-information matches, including l33t and capitalised variants
+    for (let i = 0; i < password.length; i++) {
+        for (let j = i + 2; j < password.length; j++) {
+            for (const candidate of new Set([lower.slice(i, j + 1), unleeted.slice(i, j + 1)])) {
+                const personal = personalWords.includes(candidate);
+                const rank = personal ? 1 : dictionary.get(candidate);
+                if (!rank) {
+                    continue;
+                }
+                const token = password.slice(i, j + 1);
+                let guesses = Math.max(rank, 10);
+                if (token !== token.toLowerCase()) {
+                    guesses *= 2;
+                }
+                if (candidate !== lower.slice(i, j + 1)) {
+                    guesses *= 2;
+                }
+                matches.push({ i, j, guesses, pattern: personal ? 'user_info' : 'dictionary' });
+            }
+        }
+    }
+    // Repeated characters (aaaa) and sequences (abcd, 4321)
+    for (let i = 0; i < password.length;) {
+        let j = i;
+        while (j + 1 < password.length && password[j + 1] === password[i]) {
+            j++;
+        }
+        if (j - i >= 2) {
+            matches.push({ i, j, guesses: getCharsetSize(password[i]) * (j - i + 1), pattern: 'repeat' });
+        }
+        i = j + 1;
+    }
+    for (let i = 0; i < password.length - 2;) {
+        const delta = password.charCodeAt(i + 1) - password.charCodeAt(i);
+        let j = i + 1;
+        if (delta === 1 || delta === -1) {
+            while (j + 1 < password.length && password.charCodeAt(j + 1) - password.charCodeAt(j) === delta) {
+                j++;
+            }
+        }
+        if (j - i >= 2) {
+            matches.push({ i, j, guesses: 4 * getCharsetSize(password[i]) * (j - i + 1), pattern: 'sequence' });
+            i = j;
+        }
+        else {
+            i++;
+        }
+    }
+    // Keyboard walks (qwerty, asdf)
+    for (const row of KEYBOARD_ROWS) {
+        for (let i = 0; i < lower.length - 3; i++) {
+            let j = i + 3;
+            if (!row.includes(lower.slice(i, j + 1))) {
+                continue;
+            }
+            while (j + 1 < lower.length && row.includes(lower.slice(i, j + 2))) {
+                j++;
+            }
+            matches.push({ i, j, guesses: 100 * (j - i + 1), pattern: 'keyboard' });
+        }
+    }
+    // Recent years (1990, 2024)
+    for (const match of password.matchAll(/(19|20)\d\d/g)) {
+        matches.push({ i: match.index, j: match.index + 3, guesses: 120, pattern: 'year' });
+    }
+    return matches;
+};
+/**
+ * Estimate password strength the way zxcvbn does: the cheapest way to guess the whole
+ * password as a sequence of brute-forced characters and known patterns
+ * @param password - Password
+ * @param userInputs - Values tied to the account (username, email)
+ * @returns Score (0-4), label, log10 of estimated guesses and detected patterns
+ */
+const estimatePasswordStrength = (password, userInputs = []) => {
+    const value = String(password || '');
+    const matches = findPatterns(value, userInputs);
+    const bruteforceCost = Math.log10(getCharsetSize(value));
+    // best[k] is the minimum log10(guesses) for the first k characters
+    const best = [0];
+    const via = [null];
+    for (let k = 1; k <= value.length; k++) {
+        best[k] = best[k - 1] + bruteforceCost;
+        via[k] = null;
+        for (const match of matches) {
+            if (match.j === k - 1 && best[match.i] + Math.log10(match.guesses) < best[k]) {
+                best[k] = best[match.i] + Math.log10(match.guesses);
+                via[k] = match;
+            }
+        }
+    }
+    const patterns = new Set();
+    for (let k = value.length; k > 0;) {
+        if (via[k]) {
+            patterns.add(via[k].pattern);
+            k = via[k].i;
+        }
+        else {
+            k--;
+        }
+    }
+    const guessesLog10 = best[value.length];
+    const score = SCORE_THRESHOLDS.filter((threshold) => guessesLog10 >= threshold).length;
+    return {
+        score,
+        label: SCORE_LABELS[score],
+        guessesLog10: Math.round(guessesLog10 * 100) / 100,
+        patterns: [...patterns]
+    };
+};
+/**
+ * Check a password against the policy rules that need no stored data
+ * @param password - Password
+ * @param options - userInputs (username, email) and policy overrides
+ * @returns Validity, strength and one violation per failed rule
+ */
+const validatePassword = (password, options = {}) => {
+    const policy = { ...getPasswordPolicy(), ...(options.policy || {}) };
+    const userInputs = options.userInputs || [];
+    const violations = [];
+    if (!password || typeof password !== 'string') {
+        violations.push({ rule: 'required', message: 'Password is required and must be a string' });
+        return { valid: false, strength: null, violations };
+    }
+    if (password.length < policy.minLength) {
+        violations.push({ rule: 'min_length', message: `Password must be at least ${policy.minLength} characters long`, minLength: policy.minLength });
+    }
+    if (Buffer.byteLength(password, 'utf8') > policy.maxLength) {
+        violations.push({ rule: 'max_length', message: `Password must be at most ${policy.maxLength} bytes long`, maxLength: policy.maxLength });
+    }
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+        violations.push({ rule: 'uppercase', message: 'Password must contain at least one uppercase letter' });
+    }
+    if (policy.requireLowercase && !/[a-z]/.test(password)) {
+        violations.push({ rule: 'lowercase', message: 'Password must contain at least one lowercase letter' });
+    }
+    if (policy.requireDigit && !/\d/.test(password)) {
+        violations.push({ rule: 'digit', message: 'Password must contain at least one number' });
+    }
+    if (policy.requireSymbol && !/[^a-zA-Z\d]/.test(password)) {
+        violations.push({ rule: 'symbol', message: 'Password must contain at least one symbol' });
+    }
+    const lower = password.toLowerCase();
+    if (normalizeUserInputs(userInputs).some((word) => word.length >= 4 && lower.includes(word))) {
+        violations.push({ rule: 'user_info', message: 'Password must not contain your username or email' });
+    }
+    if (policy.rejectBreached && isBreachedPassword(password)) {
+        violations.push({ rule: 'breached', message: 'Password has appeared in a data breach; choose a different one' });
+    }
+    const strength = estimatePasswordStrength(password, userInputs);
+    if (strength.score < policy.minStrengthScore) {
+        violations.push({
+            rule: 'strength',
+            message: `Password is too easy to guess (${strength.label}); use a longer password or a passphrase`,
+            score: strength.score,
+            minScore: policy.minStrengthScore
+        });
+    }
+    return { valid: violations.length === 0, strength, violations };
+};
+// Export all functions
+module.exports = {
+    PasswordPolicyError,
+    getPasswordPolicy,
+    isBreachedPassword,
+    estimatePasswordStrength,
+    validatePassword
+};
+//# sourceMappingURL=passwordPolicy.js.map
\ No newline at end of file
@@ -0,0 +1,47 @@
+declare const bcrypt: any;
+declare const PasswordHistory: any;
+declare const validatePassword: any, getPasswordPolicy: any, PasswordPolicyError: any;
+/**
+ * Password Policy Service
+ * Applies the password policy, including reuse checks against the user's password history
+ */
+declare class PasswordPolicyService {
+    /**
+     * Check a new password against every policy rule
+     * @param password - Candidate password
+     * @param options - user (for history and personal-info checks) and extra userInputs
+     * @returns Validity, strength and one violation per failed rule
+     */
+    checkPassword(password: string, options?: {
+        user?: any;
+        userInputs?: string[];
+    }): Promise<any>;
+    /**
+     * Check a new password and throw if any rule fails
+     * @param password - Candidate password
+     * @param options - user (for history and personal-info checks) and extra userInputs
+     * @returns Strength estimate of the accepted password
+     */
+    assertPasswordAllowed(password: string, options?: {
+        user?: any;
+        userInputs?: string[];
+    }): Promise<any>;
+    /**
+     * Check whether a password matches the current or one of the last N passwords
+     * @param user - User object
+     * @param password - Candidate password
+     * @returns True if the password was used recently
+     */
+    private isRecentlyUsed;
+    /**
+     * Remember a newly set password and prune entries beyond the history size
+     * @param userId - User ID
+     * @param passwordHash - bcrypt hash of the new password
+     * @param options - Optional Sequelize transaction
+     */
+    recordPassword(userId: number, passwordHash: string, options?: {
+        transaction?: any;
+    }): Promise<void>;
+}
+declare const passwordPolicyService: PasswordPolicyService;
+//# sourceMappingURL=passwordPolicy.service.d.ts.map
\ No newline at end of file
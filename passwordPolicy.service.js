@@ -0,0 +1,104 @@
+"use strict";
+const bcrypt = require('bcrypt');
+const { PasswordHistory } = require('../db/models/passwordHistory.model');
+const { validatePassword, getPasswordPolicy, PasswordPolicyError } = require('../utils/passwordPolicy');
+/**
+ * Password Policy Service
+ * Applies the password policy, including reuse checks against the user's password history
+ */
+class PasswordPolicyService {
+    /**
+     * Check a new password against every policy rule
+     * @param password - Candidate password
+     * @param options - user (for history and personal-info checks) and extra userInputs
+     * @returns Validity, strength and one violation per failed rule
+     */
+    async checkPassword(password, options = {}) {
+        const { user } = options;
+        const userInputs = [...(options.userInputs || [])];
+        if (user) {
+            userInputs.push(user.username, user.email);
+        }
+        const result = validatePassword(password, { userInputs });
+        if (user && typeof password === 'string' && await this.isRecentlyUsed(user, password)) {
+            const { historySize } = getPasswordPolicy();
+            result.violations.push({
+                rule: 'history',
+                message: `Password must differ from your last ${historySize} passwords`,
+                historySize
+            });
+            result.valid = false;
+        }
+        return result;
+    }
+    /**
+     * Check a new password and throw if any rule fails
+     * @param password - Candidate password
+     * @param options - user (for history and personal-info checks) and extra userInputs
+     * @returns Strength estimate of the accepted password
+     */
+    async assertPasswordAllowed(password, options = {}) {
+        const result = await this.checkPassword(password, options);
+        if (!result.valid) {
+            throw new PasswordPolicyError(result.violations);
+        }
+        return result.strength;
+    }
+    /**
+     * Check whether a password matches the current or one of the last N passwords
+     * @param user - User object
+     * @param password - Candidate password
+     * @returns True if the password was used recently
+     */
+    async isRecentlyUsed(user, password) {
+        const { historySize } = getPasswordPolicy();
+        if (historySize <= 0) {
+            return false;
+        }
+        const entries = await PasswordHistory.findAll({
+            where: { userId: user.id },
+            order: [['createdAt', 'DESC'], ['id', 'DESC']],
+            limit: historySize
+        });
+        const hashes = entries.map((entry) => entry.passwordHash);
+        // Accounts created before history was kept still have their current password
+        if (user.password && !hashes.includes(user.password)) {
+            hashes.unshift(user.password);
+        }
+        for (const hash of hashes.slice(0, historySize)) {
+            if (await bcrypt.compare(password, hash)) {
+                return true;
+            }
+        }
+        return false;
+    }
+    /**
+     * Remember a newly set password and prune entries beyond the history size
+     * @param userId - User ID
+     * @param passwordHash - bcrypt hash of the new password
+     * @param options - Optional Sequelize transaction
+     */
+    async recordPassword(userId, passwordHash, options = {}) {
+        const { transaction } = options;
+        const { historySize } = getPasswordPolicy();
+        await PasswordHistory.create({ userId, passwordHash }, { transaction });
+        const stale = await PasswordHistory.findAll({
+            where: { userId },
+            attributes: ['id'],
+            order: [['createdAt', 'DESC'], ['id', 'DESC']],
+            offset: Math.max(historySize, 1),
+            transaction
+        });
+        if (stale.length > 0) {
+            await PasswordHistory.destroy({ where: { id: stale.map((entry) => entry.id) }, transaction });
+        }
+    }
+}
+// Create singleton instance
+const passwordPolicyService = new PasswordPolicyService();
+// Export the service instance and class
+module.exports = {
+    passwordPolicyService,
+    PasswordPolicyService
+};
+//# sourceMappingURL=passwordPolicy.service.js.map
\ No newline at end of file
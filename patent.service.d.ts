@@ -0,0 +1,77 @@
+declare const Op: any;
+declare const IPAssetPatent: any;
+declare const IPAssetClassification: any;
+declare const IPAssetParty: any;
+declare const normalizeClassificationPrefix: any, normalizePatentNumber: any;
+/**
+ * Patent Service
+ * Stores the structured metadata of patent assets and finds assets by it
+ */
+declare class PatentService {
+    private readonly filterParams;
+    constructor();
+    /**
+     * Store the metadata of a patent asset with its searchable parties and classifications
+     * @param asset - Newly created asset
+     * @param patent - Metadata normalized by validatePatentMetadata, with the metadataHash it was pinned under
+     * @param transaction - Transaction the asset is created in
+     * @returns Patent record
+     */
+    saveMetadata(asset: any, patent: any, transaction?: any): Promise<any>;
+    /**
+     * Get the patent metadata of an asset
+     * @param assetId - Asset ID
+     * @returns Metadata, or null for assets without any
+     */
+    getMetadata(assetId: number): Promise<any>;
+    /**
+     * Get the patent metadata of several assets
+     * @param assetIds - Asset IDs
+     * @returns Metadata by asset ID
+     */
+    getMetadataByAsset(assetIds: number[]): Promise<Map<number, any>>;
+    /**
+     * Whether a list query filters on patent metadata
+     * @param query - List query parameters
+     * @returns True when any patent filter is set
+     */
+    hasFilters(query: Record<string, any>): boolean;
+    /**
+     * Find the assets matching the patent filters of a list query
+     * Names match case-insensitively anywhere in the name; classification codes match by prefix, and a
+     * comma-separated list matches any of its codes. All given filters must match.
+     * @param query - inventor, assignee, ipc, cpc, applicationNumber, publicationNumber, priorityFrom, priorityTo
+     * @returns Matching asset IDs
+     */
+    findAssetIds(query: {
+        inventor?: string;
+        assignee?: string;
+        ipc?: string;
+        cpc?: string;
+        applicationNumber?: string;
+        publicationNumber?: string;
+        priorityFrom?: string;
+        priorityTo?: string;
+    }): Promise<number[]>;
+    /**
+     * Shape a patent record for API responses
+     * @param record - Patent record
+     * @returns Metadata
+     */
+    private formatMetadata;
+    /**
+     * Parse a calendar-day filter
+     * @param value - Date as YYYY-MM-DD
+     * @param name - Parameter name (for the error message)
+     * @returns The date
+     */
+    private parseDay;
+    /**
+     * Escape the LIKE wildcards in a search term
+     * @param value - Search term
+     * @returns Term matching itself literally
+     */
+    private escapeLike;
+}
+declare const patentService: PatentService;
+//# sourceMappingURL=patent.service.d.ts.map
\ No newline at end of file
@@ -0,0 +1,195 @@
+"use strict";
+const { Op } = require('sequelize');
+const { IPAssetPatent } = require('../db/models/ipAssetPatent.model');
+const { IPAssetClassification } = require('../db/models/ipAssetClassification.model');
+const { IPAssetParty } = require('../db/models/ipAssetParty.model');
+const { normalizeClassificationPrefix, normalizePatentNumber } = require('../utils/patentMetadata');
+/**
+ * Patent Service
+ * Stores the structured metadata of patent assets and finds assets by it
+ */
+class PatentService {
+    constructor() {
+        // List query parameters handled here, see findAssetIds
+        this.filterParams = ['inventor', 'assignee', 'ipc', 'cpc', 'applicationNumber', 'publicationNumber', 'priorityFrom', 'priorityTo'];
+    }
+    /**
+     * Store the metadata of a patent asset with its searchable parties and classifications
+     * @param asset - Newly created asset
+     * @param patent - Metadata normalized by validatePatentMetadata, with the metadataHash it was pinned under
+     * @param transaction - Transaction the asset is created in
+     * @returns Patent record
+     */
+    async saveMetadata(asset, patent, transaction) {
+        const record = await IPAssetPatent.create({
+            assetId: asset.id,
+            inventors: patent.inventors,
+            assignees: patent.assignees,
+            claims: patent.claims,
+            ipcCodes: patent.ipcCodes,
+            cpcCodes: patent.cpcCodes,
+            priorityDate: patent.priorityDate,
+            applicationNumber: patent.applicationNumber,
+            publicationNumber: patent.publicationNumber,
+            metadataHash: patent.metadataHash || null
+        }, { transaction });
+        const parties = [
+            ...patent.inventors.map((party) => ({ ...party, role: 'inventor' })),
+            ...patent.assignees.map((party) => ({ ...party, role: 'assignee' }))
+        ];
+        await IPAssetParty.bulkCreate(parties.map((party) => ({
+            assetId: asset.id,
+            role: party.role,
+            name: party.name,
+            normalizedName: party.name.toLowerCase(),
+            country: party.country
+        })), { transaction });
+        await IPAssetClassification.bulkCreate([
+            ...patent.ipcCodes.map((code) => ({ assetId: asset.id, scheme: 'ipc', code })),
+            ...patent.cpcCodes.map((code) => ({ assetId: asset.id, scheme: 'cpc', code }))
+        ], { transaction });
+        return record;
+    }
+    /**
+     * Get the patent metadata of an asset
+     * @param assetId - Asset ID
+     * @returns Metadata, or null for assets without any
+     */
+    async getMetadata(assetId) {
+        const record = await IPAssetPatent.findOne({ where: { assetId } });
+        return record ? this.formatMetadata(record) : null;
+    }
+    /**
+     * Get the patent metadata of several assets
+     * @param assetIds - Asset IDs
+     * @returns Metadata by asset ID
+     */
+    async getMetadataByAsset(assetIds) {
+        if (assetIds.length === 0) {
+            return new Map();
+        }
+        const records = await IPAssetPatent.findAll({ where: { assetId: assetIds } });
+        return new Map(records.map((record) => [record.assetId, this.formatMetadata(record)]));
+    }
+    /**
+     * Whether a list query filters on patent metadata
+     * @param query - List query parameters
+     * @returns True when any patent filter is set
+     */
+    hasFilters(query) {
+        return this.filterParams.some((param) => query[param] !== undefined && query[param] !== '');
+    }
+    /**
+     * Find the assets matching the patent filters of a list query
+     * Names match case-insensitively anywhere in the name; classification codes match by prefix, and a
+     * comma-separated list matches any of its codes. All given filters must match.
+     * @param query - inventor, assignee, ipc, cpc, applicationNumber, publicationNumber, priorityFrom, priorityTo
+     * @returns Matching asset IDs
+     */
+    async findAssetIds(query) {
+        const matches = [];
+        for (const role of ['inventor', 'assignee']) {
+            if (!query[role]) {
+                continue;
+            }
+            const name = String(query[role]).trim().toLowerCase();
+            const parties = await IPAssetParty.findAll({
+                where: { role, normalizedName: { [Op.like]: `%${this.escapeLike(name)}%` } },
+                attributes: ['assetId']
+            });
+            matches.push(parties.map((party) => party.assetId));
+        }
+        for (const scheme of ['ipc', 'cpc']) {
+            if (!query[scheme]) {
+                continue;
+            }
+            const prefixes = String(query[scheme]).split(',').map((code) => code.trim()).filter(Boolean).map((code) => {
+                const prefix = normalizeClassificationPrefix(code);
+                if (!prefix) {
+                    throw new Error(`${scheme} must be ${scheme.toUpperCase()} codes or code prefixes (e.g. G06F 16/)`);
+                }
+                return prefix;
+            });
+            const classifications = await IPAssetClassification.findAll({
+                where: {
+                    scheme,
+                    [Op.or]: prefixes.map((prefix) => ({ code: { [Op.like]: `${this.escapeLike(prefix)}%` } }))
+                },
+                attributes: ['assetId']
+            });
+            matches.push(classifications.map((classification) => classification.assetId));
+        }
+        const where = {};
+        for (const field of ['applicationNumber', 'publicationNumber']) {
+            if (query[field]) {
+                const number = normalizePatentNumber(String(query[field]));
+                if (!number) {
+                    throw new Error(`${field} is not a valid patent number`);
+                }
+                where[field] = number;
+            }
+        }
+        if (query.priorityFrom || query.priorityTo) {
+            where.priorityDate = {};
+            if (query.priorityFrom) {
+                where.priorityDate[Op.gte] = this.parseDay(query.priorityFrom, 'priorityFrom');
+            }
+            if (query.priorityTo) {
+                where.priorityDate[Op.lte] = this.parseDay(query.priorityTo, 'priorityTo');
+            }
+        }
+        if (Object.keys(where).length > 0) {
+            const patents = await IPAssetPatent.findAll({ where, attributes: ['assetId'] });
+            matches.push(patents.map((patent) => patent.assetId));
+        }
+        const [first = [], ...rest] = matches;
+        return [...new Set(first)].filter((assetId) => rest.every((ids) => ids.includes(assetId)));
+    }
+    /**
+     * Shape a patent record for API responses
+     * @param record - Patent record
+     * @returns Metadata
+     */
+    formatMetadata(record) {
+        return {
+            inventors: record.inventors,
+            assignees: record.assignees,
+            claims: record.claims,
+            ipcCodes: record.ipcCodes,
+            cpcCodes: record.cpcCodes,
+            priorityDate: record.priorityDate,
+            applicationNumber: record.applicationNumber,
+            publicationNumber: record.publicationNumber,
+            metadataHash: record.metadataHash
+        };
+    }
+    /**
+     * Parse a calendar-day filter
+     * @param value - Date as YYYY-MM-DD
+     * @param name - Parameter name (for the error message)
+     * @returns The date
+     */
+    parseDay(value, name) {
+        const day = String(value);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || Number.isNaN(new Date(`${day}T00:00:00Z`).getTime())) {
+            throw new Error(`${name} must be a date in YYYY-MM-DD format`);
+        }
+        return day;
+    }
+    /**
+     * Escape the LIKE wildcards in a search term
+     * @param value - Search term
+     * @returns Term matching itself literally
+     */
+    escapeLike(value) {
+        return value.replace(/[\\%_]/g, '\\$&');
+    }
+}
+// Create singleton instance
+const patentService = new PatentService();
+// Export the service instance and class
+module.exports = {
+    patentService,
+    PatentService
+};
+//# sourceMappingURL=patent.service.js.map
\ No newline at end of file
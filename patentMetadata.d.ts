@@ -0,0 +1,65 @@
+/**
+ * Patent Metadata Utility Functions
+ * Validation and normalization of the bibliographic data of patent assets
+ */
+type PatentClaimType = 'independent' | 'dependent';
+type ClassificationScheme = 'ipc' | 'cpc';
+type PatentParty = {
+    name: string;
+    country: string | null;
+};
+type PatentClaim = {
+    number: number;
+    type: PatentClaimType;
+    text: string;
+    dependsOn: number[];
+};
+type PatentMetadata = {
+    inventors: PatentParty[];
+    assignees: PatentParty[];
+    claims: PatentClaim[];
+    ipcCodes: string[];
+    cpcCodes: string[];
+    priorityDate: string | null;
+    applicationNumber: string | null;
+    publicationNumber: string | null;
+};
+declare const PATENT_CLAIM_TYPES: PatentClaimType[];
+declare const CLASSIFICATION_SCHEMES: ClassificationScheme[];
+/**
+ * Parse a structured field that may arrive as a JSON string (multipart forms)
+ * @param value - Object, array or JSON string
+ * @returns Parsed value, or undefined when the string is not valid JSON
+ */
+declare const parseStructuredField: (value: any) => any;
+/**
+ * Normalize a classification code to its printed form
+ * @param scheme - 'ipc' or 'cpc'
+ * @param code - Code in any spacing or case (e.g. "g06f16/903")
+ * @returns Normalized code (e.g. "G06F 16/903"), or null if it is not a valid group code
+ */
+declare const normalizeClassificationCode: (scheme: ClassificationScheme, code: string) => string | null;
+/**
+ * Normalize a classification search term to a code prefix
+ * Accepts anything from a section ("G") to a full group code.
+ * @param code - Search term
+ * @returns Prefix to match normalized codes against, or null if it cannot start a code
+ */
+declare const normalizeClassificationPrefix: (code: string) => string | null;
+/**
+ * Normalize a patent application or publication number
+ * @param value - Number as printed by the office
+ * @returns Upper-case number with collapsed whitespace, or null if it does not look like one
+ */
+declare const normalizePatentNumber: (value: string) => string | null;
+/**
+ * Validate the structured metadata of a patent asset
+ * @param input - inventors, assignees, claims, ipcCodes, cpcCodes, priorityDate, applicationNumber and
+ * publicationNumber, as an object or a JSON string
+ * @returns Errors, and the normalized metadata when there are none
+ */
+declare const validatePatentMetadata: (input: any) => {
+    errors: string[];
+    patent: PatentMetadata | null;
+};
+//# sourceMappingURL=patentMetadata.d.ts.map
\ No newline at end of file
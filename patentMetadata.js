@@ -0,0 +1,264 @@
+"use strict";
+/**
+ * Patent Metadata Utility Functions
+ * Validation and normalization of the bibliographic data of patent assets
+ */
+const PATENT_CLAIM_TYPES = ['independent', 'dependent'];
+const CLASSIFICATION_SCHEMES = ['ipc', 'cpc'];
+const MAX_PARTIES = 50;
+const MAX_CLAIMS = 500;
+const MAX_CLAIM_LENGTH = 10000;
+// Section, class, subclass, main group and subgroup, e.g. "G06F 16/903"; CPC adds section Y
+const CLASSIFICATION_PATTERNS = {
+    ipc: /^([A-H]\d{2}[A-Z])(\d{1,4})\/(\d{2,6})$/,
+    cpc: /^([A-HY]\d{2}[A-Z])(\d{1,4})\/(\d{2,6})$/
+};
+// Office prefix followed by digits and the separators offices use, e.g. "US 17/123,456" or "EP3456789A1"
+const PATENT_NUMBER_PATTERN = /^[A-Z]{2}[\s\-/.,]?\d[\dA-Z\s\-/.,]{2,30}$/;
+/**
+ * Parse a structured field that may arrive as a JSON string (multipart forms)
+ * @param value - Object, array or JSON string
+ * @returns Parsed value, or undefined when the string is not valid JSON
+ */
+const parseStructuredField = (value) => {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    try {
+        return JSON.parse(value);
+    }
+    catch (error) {
+        return undefined;
+    }
+};
+/**
+ * Normalize a classification code to its printed form
+ * @param scheme - 'ipc' or 'cpc'
+ * @param code - Code in any spacing or case (e.g. "g06f16/903")
+ * @returns Normalized code (e.g. "G06F 16/903"), or null if it is not a valid group code
+ */
+const normalizeClassificationCode = (scheme, code) => {
+    if (typeof code !== 'string') {
+        return null;
+    }
+    const match = code.replace(/\s+/g, '').toUpperCase().match(CLASSIFICATION_PATTERNS[scheme]);
+    return match ? `${match[1]} ${Number(match[2])}/${match[3]}` : null;
+};
+/**
+ * Normalize a classification search term to a code prefix
+ * Accepts anything from a section ("G") to a full group code.
+ * @param code - Search term
+ * @returns Prefix to match normalized codes against, or null if it cannot start a code
+ */
+const normalizeClassificationPrefix = (code) => {
+    const compact = String(code ?? '').replace(/\s+/g, '').toUpperCase();
+    const match = compact.match(/^([A-HY](?:\d{2}(?:[A-Z])?)?)(?:(\d{1,4})(?:\/(\d{0,6}))?)?$/);
+    if (!match || (match[2] && match[1].length < 4)) {
+        return null;
+    }
+    if (!match[2]) {
+        return match[1];
+    }
+    // A bare main group matches all of its subgroups but not longer group numbers ("16" is not "160")
+    return `${match[1]} ${Number(match[2])}/${match[3] ?? ''}`;
+};
+/**
+ * Normalize a patent application or publication number
+ * @param value - Number as printed by the office
+ * @returns Upper-case number with collapsed whitespace, or null if it does not look like one
+ */
+const normalizePatentNumber = (value) => {
+    if (typeof value !== 'string') {
+        return null;
+    }
+    const normalized = value.trim().replace(/\s+/g, ' ').toUpperCase();
+    return PATENT_NUMBER_PATTERN.test(normalized) ? normalized : null;
+};
+/**
+ * Validate a list of inventors or assignees
+ * @param parties - Names, or objects with name and an optional ISO 3166 country code
+ * @param label - Field label for error messages
+ * @param errors - Error list to append to
+ * @returns Normalized parties
+ */
+const validateParties = (parties, label, errors) => {
+    if (!Array.isArray(parties)) {
+        errors.push(`Patent ${label} must be an array`);
+        return [];
+    }
+    if (parties.length > MAX_PARTIES) {
+        errors.push(`Patent ${label} cannot have more than ${MAX_PARTIES} entries`);
+        return [];
+    }
+    return parties.map((party, index) => {
+        const entry = typeof party === 'string' ? { name: party } : (party || {});
+        const name = typeof entry.name === 'string' ? entry.name.trim().replace(/\s+/g, ' ') : '';
+        if (name.length < 2 || name.length > 200) {
+            errors.push(`Patent ${label}[${index}] needs a name between 2 and 200 characters`);
+        }
+        let country = null;
+        if (entry.country !== undefined && entry.country !== null && entry.country !== '') {
+            country = String(entry.country).toUpperCase();
+            if (!/^[A-Z]{2}$/.test(country)) {
+                errors.push(`Patent ${label}[${index}] country must be a two-letter ISO 3166 code`);
+            }
+        }
+        return { name, country };
+    });
+};
+/**
+ * Validate the claims of a patent
+ * Claims are numbered consecutively from 1; claim 1 is independent and a dependent claim refers
+ * only to claims before it.
+ * @param claims - Claims with number, type, text and dependsOn
+ * @param errors - Error list to append to
+ * @returns Normalized claims in number order
+ */
+const validateClaims = (claims, errors) => {
+    if (!Array.isArray(claims) || claims.length === 0) {
+        errors.push('Patent claims must be a non-empty array');
+        return [];
+    }
+    if (claims.length > MAX_CLAIMS) {
+        errors.push(`Patent claims cannot have more than ${MAX_CLAIMS} entries`);
+        return [];
+    }
+    const normalized = claims.map((claim, index) => {
+        const entry = claim || {};
+        const number = Number(entry.number);
+        const type = typeof entry.type === 'string' ? entry.type.toLowerCase() : entry.type;
+        const text = typeof entry.text === 'string' ? entry.text.trim() : '';
+        if (!Number.isInteger(number) || number < 1) {
+            errors.push(`Patent claims[${index}] needs a positive integer number`);
+        }
+        if (!PATENT_CLAIM_TYPES.includes(type)) {
+            errors.push(`Patent claim ${entry.number ?? index + 1} type must be one of: ${PATENT_CLAIM_TYPES.join(', ')}`);
+        }
+        if (text.length === 0 || text.length > MAX_CLAIM_LENGTH) {
+            errors.push(`Patent claim ${entry.number ?? index + 1} text must be between 1 and ${MAX_CLAIM_LENGTH} characters`);
+        }
+        const dependsOn = entry.dependsOn === undefined || entry.dependsOn === null
+            ? []
+            : [].concat(entry.dependsOn).map(Number);
+        return { number, type, text, dependsOn };
+    }).sort((a, b) => a.number - b.number);
+    normalized.forEach((claim, index) => {
+        if (claim.number !== index + 1) {
+            errors.push(`Patent claims must be numbered consecutively from 1 (expected claim ${index + 1}, got ${claim.number})`);
+        }
+        if (claim.type === 'independent' && claim.dependsOn.length > 0) {
+            errors.push(`Patent claim ${claim.number} is independent and cannot depend on other claims`);
+        }
+        if (claim.type === 'dependent') {
+            if (claim.dependsOn.length === 0) {
+                errors.push(`Patent claim ${claim.number} is dependent and must reference the claims it depends on`);
+            }
+            else if (claim.dependsOn.some((parent) => !Number.isInteger(parent) || parent < 1 || parent >= claim.number)) {
+                errors.push(`Patent claim ${claim.number} can only depend on earlier claims`);
+            }
+        }
+    });
+    if (normalized[0] && normalized[0].type !== 'independent') {
+        errors.push('Patent claim 1 must be independent');
+    }
+    return normalized;
+};
+/**
+ * Validate classification codes of one scheme
+ * @param codes - Codes as strings
+ * @param scheme - 'ipc' or 'cpc'
+ * @param errors - Error list to append to
+ * @returns Normalized, de-duplicated codes
+ */
+const validateClassifications = (codes, scheme, errors) => {
+    if (codes === undefined || codes === null) {
+        return [];
+    }
+    if (!Array.isArray(codes)) {
+        errors.push(`Patent ${scheme}Codes must be an array`);
+        return [];
+    }
+    const normalized = codes.map((code) => {
+        const value = normalizeClassificationCode(scheme, code);
+        if (!value) {
+            errors.push(`Invalid ${scheme.toUpperCase()} code: ${code}`);
+        }
+        return value;
+    });
+    return [...new Set(normalized.filter(Boolean))];
+};
+/**
+ * Validate a priority date
+ * @param value - Date as YYYY-MM-DD
+ * @param errors - Error list to append to
+ * @returns The date, or null when omitted
+ */
+const validatePriorityDate = (value, errors) => {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(date.getTime())
+        || date.toISOString().slice(0, 10) !== value) {
+        errors.push('Patent priorityDate must be a date in YYYY-MM-DD format');
+        return null;
+    }
+    if (date.getTime() > Date.now()) {
+        errors.push('Patent priorityDate cannot be in the future');
+    }
+    return value;
+};
+/**
+ * Validate the structured metadata of a patent asset
+ * @param input - inventors, assignees, claims, ipcCodes, cpcCodes, priorityDate, applicationNumber and
+ * publicationNumber, as an object or a JSON string
+ * @returns Errors, and the normalized metadata when there are none
+ */
+const validatePatentMetadata = (input) => {
+    const patent = parseStructuredField(input);
+    if (!patent || typeof patent !== 'object' || Array.isArray(patent)) {
+        return { errors: ['Patent metadata is required and must be an object'], patent: null };
+    }
+    const errors = [];
+    const inventors = validateParties(patent.inventors, 'inventors', errors);
+    if (Array.isArray(patent.inventors) && patent.inventors.length === 0) {
+        errors.push('Patent inventors must name at least one inventor');
+    }
+    const assignees = patent.assignees === undefined || patent.assignees === null
+        ? []
+        : validateParties(patent.assignees, 'assignees', errors);
+    const claims = validateClaims(patent.claims, errors);
+    const ipcCodes = validateClassifications(patent.ipcCodes, 'ipc', errors);
+    const cpcCodes = validateClassifications(patent.cpcCodes, 'cpc', errors);
+    const priorityDate = validatePriorityDate(patent.priorityDate, errors);
+    const numbers = {};
+    for (const field of ['applicationNumber', 'publicationNumber']) {
+        const value = patent[field];
+        if (value === undefined || value === null || value === '') {
+            numbers[field] = null;
+            continue;
+        }
+        numbers[field] = normalizePatentNumber(value);
+        if (!numbers[field]) {
+            errors.push(`Patent ${field} must start with a two-letter office code followed by the number (e.g. US 17/123,456)`);
+        }
+    }
+    if (errors.length > 0) {
+        return { errors, patent: null };
+    }
+    return {
+        errors,
+        patent: { inventors, assignees, claims, ipcCodes, cpcCodes, priorityDate, ...numbers }
+    };
+};
+// Export all functions
+module.exports = {
+    PATENT_CLAIM_TYPES,
+    CLASSIFICATION_SCHEMES,
+    parseStructuredField,
+    normalizeClassificationCode,
+    normalizeClassificationPrefix,
+    normalizePatentNumber,
+    validatePatentMetadata
+};
+//# sourceMappingURL=patentMetadata.js.map
\ No newline at end of file
@@ -0,0 +1,49 @@
+/**
+ * Perceptual Hash Utility Functions
+ * aHash, dHash and pHash of images; unlike SHA-256 they barely change when an image is
+ * resized, recompressed or slightly edited, so near-identical images have a small Hamming distance.
+ */
+type ImageHashes = {
+    aHash: string;
+    dHash: string;
+    pHash: string;
+};
+declare const HASH_BITS = 64;
+/**
+ * Average hash: each pixel of an 8x8 thumbnail compared with the mean
+ * @param pixels - 8x8 grayscale pixels
+ * @returns 16-character hex hash
+ */
+declare const averageHash: (pixels: number[]) => string;
+/**
+ * Difference hash: each pixel of a 9x8 thumbnail compared with its right neighbour
+ * @param pixels - 9x8 grayscale pixels
+ * @returns 16-character hex hash
+ */
+declare const differenceHash: (pixels: number[]) => string;
+/**
+ * Perceptual hash: low-frequency DCT coefficients of a 32x32 thumbnail compared with their median
+ * @param pixels - 32x32 grayscale pixels
+ * @returns 16-character hex hash
+ */
+declare const perceptualHash: (pixels: number[]) => string;
+/**
+ * Compute the perceptual hashes of an image
+ * @param buffer - Image file
+ * @returns aHash, dHash and pHash as 16-character hex strings
+ */
+declare const computeImageHashes: (buffer: Buffer) => Promise<ImageHashes>;
+/**
+ * Count the differing bits of two hex hashes
+ * @param a - Hex hash
+ * @param b - Hex hash of the same length
+ * @returns Hamming distance
+ */
+declare const hammingDistance: (a: string | null, b: string | null) => number;
+/**
+ * Check whether a MIME type is an image we can hash
+ * @param mimeType - MIME type
+ * @returns True for jpeg, png and gif
+ */
+declare const isHashableImage: (mimeType?: string) => boolean;
+//# sourceMappingURL=perceptualHash.d.ts.map
\ No newline at end of file
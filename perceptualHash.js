@@ -0,0 +1,143 @@
+"use strict";
+const sharp = require('sharp');
+/**
+ * Perceptual Hash Utility Functions
+ * aHash, dHash and pHash of images; unlike SHA-256 they barely change when an image is
+ * resized, recompressed or slightly edited, so near-identical images have a small Hamming distance.
+ */
+const HASH_BITS = 64;
+const PHASH_SIZE = 32;
+const PHASH_LOW_FREQUENCIES = 8;
+/**
+ * Decode an image into grayscale pixels at a fixed size
+ * @param buffer - Image file (jpeg, png, gif; only the first frame is used)
+ * @param width - Target width
+ * @param height - Target height
+ * @returns Grayscale pixel values, row by row
+ */
+const toGrayscale = async (buffer, width, height) => {
+    const pixels = await sharp(buffer, { pages: 1 })
+        .flatten({ background: '#ffffff' })
+        .grayscale()
+        .resize(width, height, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+    return Array.from(pixels);
+};
+/**
+ * Pack bits into a hex string
+ * @param bits - Booleans, most significant first (length divisible by 4)
+ * @returns Hex string
+ */
+const bitsToHex = (bits) => {
+    let hex = '';
+    for (let i = 0; i < bits.length; i += 4) {
+        hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+    }
+    return hex;
+};
+/**
+ * Average hash: each pixel of an 8x8 thumbnail compared with the mean
+ * @param pixels - 8x8 grayscale pixels
+ * @returns 16-character hex hash
+ */
+const averageHash = (pixels) => {
+    const mean = pixels.reduce((sum, value) => sum + value, 0) / pixels.length;
+    return bitsToHex(pixels.map((value) => (value > mean ? 1 : 0)));
+};
+/**
+ * Difference hash: each pixel of a 9x8 thumbnail compared with its right neighbour
+ * @param pixels - 9x8 grayscale pixels
+ * @returns 16-character hex hash
+ */
+const differenceHash = (pixels) => {
+    const bits = [];
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            bits.push(pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1 : 0);
+        }
+    }
+    return bitsToHex(bits);
+};
+/**
+ * Perceptual hash: low-frequency DCT coefficients of a 32x32 thumbnail compared with their median
+ * @param pixels - 32x32 grayscale pixels
+ * @returns 16-character hex hash
+ */
+const perceptualHash = (pixels) => {
+    const size = PHASH_SIZE;
+    const low = PHASH_LOW_FREQUENCIES;
+    const cosines = Array.from({ length: low }, (_, u) => Array.from({ length: size }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * size))));
+    // Separable 2D DCT-II, keeping only the top-left low x low coefficients
+    const rows = Array.from({ length: size }, (_, y) => Array.from({ length: low }, (_, u) => {
+        let sum = 0;
+        for (let x = 0; x < size; x++) {
+            sum += pixels[y * size + x] * cosines[u][x];
+        }
+        return sum;
+    }));
+    const coefficients = [];
+    for (let v = 0; v < low; v++) {
+        for (let u = 0; u < low; u++) {
+            let sum = 0;
+            for (let y = 0; y < size; y++) {
+                sum += rows[y][u] * cosines[v][y];
+            }
+            coefficients.push(sum);
+        }
+    }
+    const sorted = [...coefficients].sort((a, b) => a - b);
+    const median = (sorted[sorted.length / 2 - 1] + sorted[sorted.length / 2]) / 2;
+    return bitsToHex(coefficients.map((value) => (value > median ? 1 : 0)));
+};
+/**
+ * Compute the perceptual hashes of an image
+ * @param buffer - Image file
+ * @returns aHash, dHash and pHash as 16-character hex strings
+ */
+const computeImageHashes = async (buffer) => {
+    return {
+        aHash: averageHash(await toGrayscale(buffer, 8, 8)),
+        dHash: differenceHash(await toGrayscale(buffer, 9, 8)),
+        pHash: perceptualHash(await toGrayscale(buffer, PHASH_SIZE, PHASH_SIZE))
+    };
+};
+/**
+ * Count the differing bits of two hex hashes
+ * @param a - Hex hash
+ * @param b - Hex hash of the same length
+ * @returns Hamming distance
+ */
+const hammingDistance = (a, b) => {
+    if (!a || !b || a.length !== b.length) {
+        return HASH_BITS;
+    }
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+        while (diff) {
+            distance += diff & 1;
+            diff >>= 1;
+        }
+    }
+    return distance;
+};
+/**
+ * Check whether a MIME type is an image we can hash
+ * @param mimeType - MIME type
+ * @returns True for jpeg, png and gif
+ */
+const isHashableImage = (mimeType) => {
+    return ['image/jpeg', 'image/png', 'image/gif'].includes(mimeType);
+};
+// Export all functions
+module.exports = {
+    HASH_BITS,
+    averageHash,
+    differenceHash,
+    perceptualHash,
+    computeImageHashes,
+    hammingDistance,
+    isHashableImage
+};
+//# sourceMappingURL=perceptualHash.js.map
\ No newline at end of file
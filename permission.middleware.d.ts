@@ -0,0 +1,2 @@
+export {};
+//# sourceMappingURL=permission.middleware.d.ts.map
\ No newline at end of file
@@ -0,0 +1,32 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const { hasPermission } = require('../utils/permissions');
+/**
+ * Permission middleware
+ * Must run after authenticate; rejects requests whose user lacks any of the permissions.
+ * Usage: router.post('/:id/transfer', authenticate, requirePermission('assets:transfer'), handler)
+ */
+const requirePermission = (...permissions) => {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required.'
+            });
+        }
+        const missing = permissions.filter((permission) => !hasPermission(req.user, permission));
+        if (missing.length > 0) {
+            console.warn(`🚫 Permission denied for user ${req.user.id} (${req.user.role}): ${missing.join(', ')}`);
+            return res.status(403).json({
+                success: false,
+                message: 'Insufficient permissions.',
+                required: missing
+            });
+        }
+        next();
+    };
+};
+module.exports = {
+    requirePermission
+};
+//# sourceMappingURL=permission.middleware.js.map
\ No newline at end of file
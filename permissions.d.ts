@@ -0,0 +1,39 @@
+/**
+ * Permission Utility Functions
+ * Role definitions and permission checks for role-based access control
+ */
+declare const ROLES: string[];
+declare const DEFAULT_ROLE = "creator";
+/**
+ * Permissions granted to each role.
+ * "*" grants every permission; "resource:*" grants every action on a resource.
+ */
+declare const ROLE_PERMISSIONS: Record<string, string[]>;
+/**
+ * Check whether a role name is known
+ * @param role - Role name
+ * @returns True if the role exists
+ */
+declare const isValidRole: (role: string) => boolean;
+/**
+ * Resolve the permissions granted to a role
+ * @param role - Role name
+ * @returns Permission list (empty for unknown roles)
+ */
+declare const getRolePermissions: (role: string) => string[];
+/**
+ * Check whether a granted permission list covers a permission
+ * @param granted - Granted permissions (may contain wildcards)
+ * @param permission - Required permission, e.g. "assets:transfer"
+ * @returns True if the permission is granted
+ */
+declare const permissionMatches: (granted: string[], permission: string) => boolean;
+/**
+ * Check whether a user holds a permission through their role
+ * API key requests carry user.scopes, which further restrict the role.
+ * @param user - User object or req.user
+ * @param permission - Required permission
+ * @returns True if the user has the permission
+ */
+declare const hasPermission: (user: any, permission: string) => boolean;
+//# sourceMappingURL=permissions.d.ts.map
\ No newline at end of file
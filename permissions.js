@@ -0,0 +1,95 @@
+"use strict";
+/**
+ * Permission Utility Functions
+ * Role definitions and permission checks for role-based access control
+ */
+const ROLES = ['admin', 'examiner', 'creator', 'licensee', 'auditor'];
+const DEFAULT_ROLE = 'creator';
+/**
+ * Permissions granted to each role.
+ * "*" grants every permission; "resource:*" grants every action on a resource.
+ */
+const ROLE_PERMISSIONS = {
+    admin: ['*'],
+    examiner: [
+        'assets:read',
+        'assets:review',
+        'marketplace:read',
+        'users:read'
+    ],
+    creator: [
+        'assets:create',
+        'assets:read',
+        'assets:update',
+        'assets:delete',
+        'assets:transfer',
+        'marketplace:read',
+        'marketplace:publish',
+        'marketplace:acquire'
+    ],
+    licensee: [
+        'assets:read',
+        'marketplace:read',
+        'marketplace:acquire'
+    ],
+    auditor: [
+        'assets:read',
+        'marketplace:read',
+        'users:read',
+        'audit:read',
+        'system:health'
+    ]
+};
+/**
+ * Check whether a role name is known
+ * @param role - Role name
+ * @returns True if the role exists
+ */
+const isValidRole = (role) => {
+    return ROLES.includes(role);
+};
+/**
+ * Resolve the permissions granted to a role
+ * @param role - Role name
+ * @returns Permission list (empty for unknown roles)
+ */
+const getRolePermissions = (role) => {
+    return ROLE_PERMISSIONS[role] ? [...ROLE_PERMISSIONS[role]] : [];
+};
+/**
+ * Check whether a granted permission list covers a permission
+ * @param granted - Granted permissions (may contain wildcards)
+ * @param permission - Required permission, e.g. "assets:transfer"
+ * @returns True if the permission is granted
+ */
+const permissionMatches = (granted, permission) => {
+    const [resource] = permission.split(':');
+    return granted.some((entry) => entry === '*' || entry === permission || entry === `${resource}:*`);
+};
+/**
+ * Check whether a user holds a permission through their role
+ * API key requests carry user.scopes, which further restrict the role.
+ * @param user - User object or req.user
+ * @param permission - Required permission
+ * @returns True if the user has the permission
+ */
+const hasPermission = (user, permission) => {
+    if (!user || !user.role) {
+        return false;
+    }
+    if (Array.isArray(user.scopes) && !permissionMatches(user.scopes, permission)) {
+        return false;
+    }
+    return permissionMatches(getRolePermissions(user.role), permission);
+};
+// Export all functions
+module.exports = {
+    ROLES,
+    DEFAULT_ROLE,
+    ROLE_PERMISSIONS,
+    isValidRole,
+    getRolePermissions,
+    permissionMatches,
+    hasPermission
+};
+//# sourceMappingURL=permissions.js.map
\ No newline at end of file
@@ -1,3 +1,4 @@
+declare const Op: any;
 declare const IPAsset: any;
 declare const create: any;
 declare const config: any;
@@ -1,4 +1,5 @@
 "use strict";
+const { Op } = require('sequelize');
 const { IPAsset } = require('../db/models/ipAsset.model');
 const { create } = require('ipfs-http-client');
 const config = require('../config');
@@ -80,7 +81,7 @@ class PinningJob {
             const assets = await IPAsset.findAll({
                 where: {
                     createdAt: {
-                        [require('sequelize').Op.gte]: oneDayAgo
+                        [Op.gte]: oneDayAgo
                     }
                 },
                 order: [['createdAt', 'DESC']],
@@ -0,0 +1,52 @@
+declare const bcrypt: any;
+declare const crypto: any;
+declare const User: any;
+declare const UserWallet: any;
+declare const WalletNonce: any;
+declare const RefreshToken: any;
+declare const PasswordHistory: any;
+declare const Session: any;
+declare const ApiKey: any;
+declare const IPAsset: any;
+declare const AuditLog: any;
+declare const EmailMessage: any;
+declare const Organization: any;
+declare const OrganizationMember: any;
+declare const OrganizationInvitation: any;
+declare const marketplaceService: any;
+declare const apiKeyService: any;
+declare const auditService: any;
+declare const sequelize: any;
+declare const config: any;
+/**
+ * Privacy Service
+ * GDPR data portability (export) and right to erasure (anonymization)
+ */
+declare class PrivacyService {
+    private readonly exportFormat;
+    private readonly retainedRecords;
+    constructor();
+    /**
+     * Build a machine-readable archive of everything held about a user
+     * @param userId - User ID
+     * @returns Export archive
+     */
+    exportUserData(userId: number): Promise<any>;
+    /**
+     * Collect marketplace works created or owned by the user's wallets
+     * The export still succeeds when the chain is unreachable; the section says so.
+     * @param walletAddresses - User wallet addresses
+     * @returns Marketplace section of the export
+     */
+    private getMarketplaceActivity;
+    /**
+     * Erase a user's personal data
+     * PII is anonymized rather than deleted so blockchain-anchored records keep a valid owner reference.
+     * @param userId - User ID
+     * @param password - Current password (re-authentication)
+     * @returns Erasure result, including what could not be erased
+     */
+    eraseUser(userId: number, password: string): Promise<any>;
+}
+declare const privacyService: PrivacyService;
+//# sourceMappingURL=privacy.service.d.ts.map
\ No newline at end of file
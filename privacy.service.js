@@ -0,0 +1,298 @@
+"use strict";
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const { User } = require('../db/models/user.model');
+const { UserWallet } = require('../db/models/userWallet.model');
+const { WalletNonce } = require('../db/models/walletNonce.model');
+const { RefreshToken } = require('../db/models/refreshToken.model');
+const { PasswordHistory } = require('../db/models/passwordHistory.model');
+const { Session } = require('../db/models/session.model');
+const { ApiKey } = require('../db/models/apiKey.model');
+const { IPAsset } = require('../db/models/ipAsset.model');
+const { AuditLog } = require('../db/models/auditLog.model');
+const { EmailMessage } = require('../db/models/emailMessage.model');
+const { Organization } = require('../db/models/organization.model');
+const { OrganizationMember } = require('../db/models/organizationMember.model');
+const { OrganizationInvitation } = require('../db/models/organizationInvitation.model');
+const { marketplaceService } = require('./marketplace.service');
+const { apiKeyService } = require('./apiKey.service');
+const { auditService } = require('./audit.service');
+const sequelize = require('../db/index');
+const config = require('../config');
+/**
+ * Privacy Service
+ * GDPR data portability (export) and right to erasure (anonymization)
+ */
+class PrivacyService {
+    constructor() {
+        this.exportFormat = 'ip-registry-export/v1';
+        // Data that stays after erasure because it is anchored on-chain or on IPFS
+        this.retainedRecords = [
+            {
+                data: 'IP asset registrations (title, type, description, IPFS hash, blockchain ID, owner wallet)',
+                reason: 'Registrations are recorded in the IPRegistry contract and on IPFS; blockchain and pinned content are immutable and public. The off-chain copies are kept so the registry stays consistent with the chain, linked only to an anonymized account.'
+            },
+            {
+                data: 'Ownership and transfer history',
+                reason: 'Transfers are blockchain transactions signed by your wallet and cannot be altered or removed.'
+            },
+            {
+                data: 'Marketplace listings and purchases',
+                reason: 'Listings, licence terms and sales are stored in the marketplace contract.'
+            },
+            {
+                data: 'Wallet addresses used in transactions',
+                reason: 'Addresses appear in on-chain transactions. They are unlinked from your account here, but remain visible on the chain.'
+            },
+            {
+                data: 'Audit trail entries',
+                reason: 'Kept to meet record-keeping obligations, with IP addresses removed and attributed only to the anonymized account ID.'
+            }
+        ];
+    }
+    /**
+     * Build a machine-readable archive of everything held about a user
+     * @param userId - User ID
+     * @returns Export archive
+     */
+    async exportUserData(userId) {
+        try {
+            console.log(`📦 Exporting data for user: ${userId}`);
+            const user = await User.findByPk(userId);
+            if (!user) {
+                throw new Error('User not found');
+            }
+            const [wallets, sessions, apiKeys, memberships, assets, auditEntries, emails] = await Promise.all([
+                UserWallet.findAll({ where: { userId }, order: [['createdAt', 'ASC']] }),
+                Session.findAll({ where: { userId }, order: [['createdAt', 'DESC']] }),
+                ApiKey.findAll({ where: { userId }, order: [['createdAt', 'DESC']] }),
+                OrganizationMember.findAll({ where: { userId } }),
+                IPAsset.findAll({ where: { ownerType: 'user', owner: userId }, order: [['createdAt', 'ASC']] }),
+                AuditLog.findAll({ where: { actorId: userId }, order: [['createdAt', 'ASC']] }),
+                EmailMessage.findAll({
+                    where: { to: user.email },
+                    attributes: ['id', 'template', 'subject', 'status', 'sentAt', 'createdAt'],
+                    order: [['createdAt', 'ASC']]
+                })
+            ]);
+            const organizations = memberships.length > 0
+                ? await Organization.findAll({ where: { id: memberships.map((member) => member.organizationId) } })
+                : [];
+            const walletAddresses = wallets.map((wallet) => wallet.address);
+            if (user.walletAddress && !walletAddresses.includes(user.walletAddress)) {
+                walletAddresses.push(user.walletAddress);
+            }
+            return {
+                success: true,
+                export: {
+                    format: this.exportFormat,
+                    exportedAt: new Date().toISOString(),
+                    profile: {
+                        id: user.id,
+                        username: user.username,
+                        email: user.email,
+                        walletAddress: user.walletAddress,
+                        walletVerifiedAt: user.walletVerifiedAt,
+                        role: user.role,
+                        isVerified: user.isVerified,
+                        twoFactorEnabled: user.twoFactorEnabled,
+                        createdAt: user.createdAt,
+                        updatedAt: user.updatedAt
+                    },
+                    wallets: wallets.map((wallet) => ({
+                        address: wallet.address,
+                        label: wallet.label,
+                        isPrimary: wallet.isPrimary,
+                        verifiedAt: wallet.verifiedAt
+                    })),
+                    sessions: sessions.map((session) => ({
+                        deviceName: session.deviceName,
+                        ipAddress: session.ipAddress,
+                        userAgent: session.userAgent,
+                        createdAt: session.createdAt,
+                        lastSeenAt: session.lastSeenAt,
+                        revokedAt: session.revokedAt
+                    })),
+                    apiKeys: apiKeys.map((apiKey) => apiKeyService.formatApiKey(apiKey)),
+                    organizations: memberships.map((member) => {
+                        const organization = organizations.find((org) => org.id === member.organizationId);
+                        return {
+                            id: member.organizationId,
+                            name: organization ? organization.name : null,
+                            slug: organization ? organization.slug : null,
+                            role: member.role,
+                            joinedAt: member.createdAt
+                        };
+                    }),
+                    ipAssets: assets.map((asset) => ({
+                        id: asset.id,
+                        title: asset.title,
+                        ipType: asset.ipType,
+                        description: asset.description,
+                        ipfsHash: asset.ipfsHash,
+                        walletAddress: asset.walletAddress,
+                        blockchainId: asset.blockchainId,
+                        status: asset.status,
+                        createdAt: asset.createdAt,
+                        updatedAt: asset.updatedAt
+                    })),
+                    marketplace: await this.getMarketplaceActivity(walletAddresses),
+                    auditEntries: auditEntries.map((entry) => ({
+                        action: entry.action,
+                        entityType: entry.entityType,
+                        entityId: entry.entityId,
+                        organizationId: entry.organizationId,
+                        metadata: entry.metadata,
+                        ipAddress: entry.ipAddress,
+                        hash: entry.hash,
+                        createdAt: entry.createdAt
+                    })),
+                    emails: emails.map((email) => ({
+                        template: email.template,
+                        subject: email.subject,
+                        status: email.status,
+                        sentAt: email.sentAt,
+                        createdAt: email.createdAt
+                    }))
+                }
+            };
+        }
+        catch (error) {
+            console.error('❌ Error exporting user data:', error);
+            throw new Error(`Failed to export user data: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Collect marketplace works created or owned by the user's wallets
+     * The export still succeeds when the chain is unreachable; the section says so.
+     * @param walletAddresses - User wallet addresses
+     * @returns Marketplace section of the export
+     */
+    async getMarketplaceActivity(walletAddresses) {
+        if (walletAddresses.length === 0) {
+            return { available: true, created: [], owned: [] };
+        }
+        try {
+            const addresses = walletAddresses.map((address) => address.toLowerCase());
+            const works = await marketplaceService.getAllWorks();
+            return {
+                available: true,
+                created: works.filter((work) => addresses.includes(String(work.originalCreator).toLowerCase())),
+                owned: works.filter((work) => addresses.includes(String(work.currentOwner).toLowerCase()))
+            };
+        }
+        catch (error) {
+            console.warn('⚠️ Marketplace activity unavailable for export:', error);
+            return {
+                available: false,
+                error: error instanceof Error ? error.message : String(error),
+                created: [],
+                owned: []
+            };
+        }
+    }
+    /**
+     * Erase a user's personal data
+     * PII is anonymized rather than deleted so blockchain-anchored records keep a valid owner reference.
+     * @param userId - User ID
+     * @param password - Current password (re-authentication)
+     * @returns Erasure result, including what could not be erased
+     */
+    async eraseUser(userId, password) {
+        try {
+            console.log(`🧹 Erasing personal data for user: ${userId}`);
+            const user = await User.findByPk(userId);
+            if (!user) {
+                throw new Error('User not found');
+            }
+            if (!(await bcrypt.compare(password || '', user.password))) {
+                throw new Error('Password is incorrect');
+            }
+            const ownerships = await OrganizationMember.findAll({ where: { userId, role: 'owner' } });
+            for (const ownership of ownerships) {
+                const owners = await OrganizationMember.count({ where: { organizationId: ownership.organizationId, role: 'owner' } });
+                if (owners <= 1) {
+                    throw new Error('Transfer ownership of your organizations before erasing your account');
+                }
+            }
+            const originalEmail = user.email;
+            const wallets = await UserWallet.findAll({ where: { userId } });
+            const walletAddresses = wallets.map((wallet) => wallet.address);
+            if (user.walletAddress && !walletAddresses.includes(user.walletAddress)) {
+                walletAddresses.push(user.walletAddress);
+            }
+            await sequelize.transaction(async (transaction) => {
+                await user.update({
+                    username: `erased-user-${user.id}`,
+                    email: `erased-${user.id}@users.invalid`,
+                    // Random unusable password; nobody can sign in to the anonymized account
+                    password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+                    walletAddress: null,
+                    walletVerifiedAt: null,
+                    isVerified: false,
+                    verificationToken: null,
+                    resetPasswordToken: null,
+                    resetPasswordExpires: null,
+                    failedLoginAttempts: 0,
+                    lockUntil: null,
+                    twoFactorEnabled: false,
+                    twoFactorSecret: null,
+                    twoFactorBackupCodes: null,
+                    twoFactorLastUsedStep: null,
+                    tokenVersion: (user.tokenVersion || 0) + 1,
+                    erasedAt: new Date()
+                }, { transaction });
+                await UserWallet.destroy({ where: { userId }, transaction });
+                if (walletAddresses.length > 0) {
+                    await WalletNonce.destroy({ where: { walletAddress: walletAddresses }, transaction });
+                }
+                await RefreshToken.destroy({ where: { userId }, transaction });
+                await PasswordHistory.destroy({ where: { userId }, transaction });
+                await Session.destroy({ where: { userId }, transaction });
+                await ApiKey.destroy({ where: { userId }, transaction });
+                await OrganizationMember.destroy({ where: { userId }, transaction });
+                await OrganizationInvitation.update({ revokedAt: new Date() }, {
+                    where: { email: originalEmail, acceptedAt: null, revokedAt: null },
+                    transaction
+                });
+                await EmailMessage.destroy({ where: { to: originalEmail }, transaction });
+                await AuditLog.update({ ipAddress: null }, { where: { actorId: userId }, transaction });
+                await auditService.record({
+                    actorId: userId,
+                    action: 'user.erased',
+                    entityType: 'user',
+                    entityId: userId,
+                    metadata: { walletsUnlinked: walletAddresses.length }
+                }, { transaction });
+            });
+            console.log(`✅ Personal data erased for user: ${userId}`);
+            return {
+                success: true,
+                message: 'Your personal data has been erased and your account closed',
+                erased: [
+                    'Username, email address, password and password history',
+                    'Linked wallets and wallet sign-in challenges',
+                    'Two-factor authentication secrets and backup codes',
+                    'Sessions, refresh tokens and API keys',
+                    'Organization memberships and pending invitations',
+                    'Queued and sent emails',
+                    'IP addresses in the audit trail'
+                ],
+                retained: this.retainedRecords,
+                contact: config.complianceContact
+            };
+        }
+        catch (error) {
+            console.error('❌ Error erasing user data:', error);
+            throw new Error(`Failed to erase account: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+}
+// Create singleton instance
+const privacyService = new PrivacyService();
+// Export the service instance and class
+module.exports = {
+    privacyService,
+    PrivacyService
+};
+//# sourceMappingURL=privacy.service.js.map
\ No newline at end of file
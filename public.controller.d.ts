@@ -0,0 +1,2 @@
+export {};
+//# sourceMappingURL=public.controller.d.ts.map
\ No newline at end of file
@@ -0,0 +1,52 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const { certificateService } = require('../services/certificate.service');
+const { ipAssetService } = require('../services/ipAsset.service');
+const { hashFile } = require('../utils/hash');
+const { strictRateLimiter } = require('../middlewares/rateLimiter.middleware');
+const { uploadSingleFile } = require('../middlewares/upload.middleware');
+/**
+ * Public Controller
+ * Unauthenticated endpoints for third parties checking registrations
+ */
+// Check a file (multipart field: file) or SHA-256 hash against registrations
+// Rate limited before the upload is read; no authentication
+exports.verifyContent = [strictRateLimiter, uploadSingleFile('file'), async (req, res) => {
+    try {
+        let hash;
+        if (req.file) {
+            hash = hashFile(req.file.buffer);
+        }
+        else {
+            hash = String(req.body?.hash || '').trim().toLowerCase().replace(/^0x/, '');
+            if (!/^[a-f0-9]{64}$/.test(hash)) {
+                return res.status(400).json({ message: 'Upload a file or provide its SHA-256 hash (64 hex characters).' });
+            }
+        }
+        const matches = await ipAssetService.findRegistrationsByHash(hash);
+        return res.status(200).json({
+            success: true,
+            hash,
+            algorithm: 'sha256',
+            registered: matches.length > 0,
+            matches,
+            checkedAt: new Date().toISOString()
+        });
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(500).json({ message: 'Failed to verify content.', error: errorMsg });
+    }
+}];
+// Verify a registration certificate (target of the certificate QR code)
+exports.verifyCertificate = async (req, res) => {
+    try {
+        const result = await certificateService.verifyCertificate(req.params.certificateId);
+        return res.status(200).json(result);
+    }
+    catch (err) {
+        const errorMsg = err instanceof Error ? err.message : 'Unknown error';
+        return res.status(errorMsg.includes('not found') ? 404 : 500).json({ message: 'Failed to verify certificate.', error: errorMsg });
+    }
+};
+//# sourceMappingURL=public.controller.js.map
\ No newline at end of file
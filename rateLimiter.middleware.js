@@ -39,15 +39,44 @@ const rateLimiter = (windowMs = 15 * 60 * 1000, maxRequests = config.rateLimit)
     };
 };
 /**
- * Stricter rate limiter for sensitive endpoints (auth, IP creation)
+ * Stricter rate limiter for sensitive endpoints (auth, IP creation, public verification)
  */
 const strictRateLimiter = rateLimiter(5 * 60 * 1000, 10); // 10 requests per 5 minutes
 /**
  * General rate limiter for regular endpoints
  */
 const generalRateLimiter = rateLimiter(15 * 60 * 1000, config.rateLimit); // Default from config
+// Per-API-key request counts (keyed by API key ID)
+const apiKeyRequestCounts = new Map();
+/**
+ * Count a request against an API key's own limit
+ * Uses the same fixed window bookkeeping as rateLimiter, but keyed by key ID.
+ * @param keyId - API key ID
+ * @param maxRequests - Requests allowed per window for this key
+ * @param windowMs - Window length in milliseconds
+ * @returns Whether the request is allowed, remaining quota and reset time
+ */
+const consumeApiKeyQuota = (keyId, maxRequests, windowMs = config.apiKeyRateLimitWindow) => {
+    const now = Date.now();
+    for (const [key, value] of apiKeyRequestCounts.entries()) {
+        if (value.resetTime < now) {
+            apiKeyRequestCounts.delete(key);
+        }
+    }
+    let keyData = apiKeyRequestCounts.get(keyId);
+    if (!keyData) {
+        keyData = { count: 0, resetTime: now + windowMs };
+        apiKeyRequestCounts.set(keyId, keyData);
+    }
+    if (keyData.count >= maxRequests) {
+        return { allowed: false, remaining: 0, resetTime: keyData.resetTime };
+    }
+    keyData.count++;
+    return { allowed: true, remaining: maxRequests - keyData.count, resetTime: keyData.resetTime };
+};
 module.exports = {
     rateLimiter,
+    consumeApiKeyQuota,
     strictRateLimiter,
     generalRateLimiter
 };
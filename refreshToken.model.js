@@ -0,0 +1,62 @@
+"use strict";
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+class RefreshToken extends Model {
+}
+RefreshToken.init({
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+    },
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'User ID the token was issued to',
+    },
+    familyId: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        comment: 'Login lineage; every rotation stays in the same family',
+    },
+    tokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+        comment: 'SHA-256 of the token ID (jti); the token itself is never stored',
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+    },
+    usedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'When the token was exchanged for a new pair',
+    },
+    replacedByHash: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        comment: 'Token hash issued in exchange for this token',
+    },
+    revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    revokedReason: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: 'logout, logout_all, reuse_detected, password_change',
+    },
+}, {
+    sequelize,
+    modelName: 'RefreshToken',
+    tableName: 'refresh_tokens',
+    timestamps: true,
+    indexes: [
+        { fields: ['userId'] },
+        { fields: ['familyId'] },
+    ],
+});
+module.exports = { RefreshToken };
+//# sourceMappingURL=refreshToken.model.js.map
\ No newline at end of file
@@ -41,7 +41,7 @@ const corsConfig = (req, res, next) => {
         res.setHeader('Access-Control-Allow-Origin', origin);
     }
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+    res.setHeader('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key, X-2FA-Code');
     res.setHeader('Access-Control-Allow-Credentials', 'true');
     res.setHeader('Access-Control-Max-Age', '86400'); // 24 hours
     if (req.method === 'OPTIONS') {
@@ -81,18 +81,21 @@ const requestSizeLimiter = (maxSize = 10 * 1024 * 1024) => {
 };
 /**
  * Anti-piracy detection middleware
- * Checks for suspicious patterns that might indicate piracy attempts
+ * Checks for phrases that indicate piracy attempts. Patterns match whole phrases rather than
+ * single words, so technical text ("serial port", "crack propagation") passes; copied content
+ * is caught by the similarity service instead.
  */
 const antiPiracyDetection = (req, res, next) => {
     const suspiciousPatterns = [
-        /crack/i,
-        /keygen/i,
-        /serial/i,
-        /pirate/i,
-        /torrent/i,
-        /warez/i,
-        /hack/i,
-        /bypass/i
+        /\bkeygens?\b/i,
+        /\bwarez\b/i,
+        /\bnulled\s+(?:script|plugin|theme|software)s?\b/i,
+        /\bcrack(?:ed)?\s+(?:version|software|download|patch|exe)\b/i,
+        /\bserial\s+(?:keys?|cracks?)\b/i,
+        /\b(?:license|licence|activation|product|cd)\s+key\s+generators?\b/i,
+        /\bpirated\s+(?:copy|copies|software|content|version|movies?|games?)\b/i,
+        /\btorrent\s+downloads?\b/i,
+        /\bbypass(?:ing)?\s+(?:the\s+)?(?:drm|copy\s+protection|license\s+checks?|activation)\b/i
     ];
     const checkSuspiciousContent = (obj) => {
         if (typeof obj === 'string') {
@@ -123,13 +126,22 @@ const antiPiracyDetection = (req, res, next) => {
 };
 /**
  * Blockchain verification middleware
- * Verifies that the user owns the wallet address they claim
+ * Verifies that the user owns the wallet address they claim.
+ * req.user.walletAddress is only set once ownership was proven with a SIWE signature.
  */
 const verifyWalletOwnership = async (req, res, next) => {
     try {
         const { walletAddress } = req.body;
         const userWalletAddress = req.user?.walletAddress;
-        if (walletAddress && walletAddress !== userWalletAddress) {
+        if (!walletAddress) {
+            return next();
+        }
+        if (!userWalletAddress) {
+            return res.status(403).json({
+                message: 'No verified wallet on this account. Sign a wallet verification message first.'
+            });
+        }
+        if (String(walletAddress).toLowerCase() !== userWalletAddress.toLowerCase()) {
             return res.status(403).json({
                 message: 'Wallet address does not match user account'
             });
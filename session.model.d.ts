@@ -0,0 +1,5 @@
+declare const DataTypes: any, Model: any;
+declare const sequelize: any;
+declare class Session extends Model {
+}
+//# sourceMappingURL=session.model.d.ts.map
\ No newline at end of file
@@ -0,0 +1,69 @@
+"use strict";
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+class Session extends Model {
+}
+Session.init({
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+    },
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    sessionHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+        comment: 'generateSessionHash() value carried in access tokens as "sid"',
+    },
+    familyId: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+        comment: 'Refresh token family backing this session',
+    },
+    deviceFingerprint: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        comment: 'SHA-256 of the user agent, used to recognise known devices',
+    },
+    deviceName: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Human readable device description (e.g., "Chrome on macOS")',
+    },
+    ipAddress: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+    },
+    userAgent: {
+        type: DataTypes.STRING(512),
+        allowNull: true,
+    },
+    lastSeenAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+    },
+    revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    revokedReason: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+    },
+}, {
+    sequelize,
+    modelName: 'Session',
+    tableName: 'sessions',
+    timestamps: true,
+    indexes: [
+        { fields: ['userId'] },
+        { fields: ['userId', 'deviceFingerprint'] },
+    ],
+});
+module.exports = { Session };
+//# sourceMappingURL=session.model.js.map
\ No newline at end of file
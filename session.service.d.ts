@@ -0,0 +1,92 @@
+declare const Op: any;
+declare const Session: any;
+declare const sha256: any, generateSessionHash: any;
+declare const mailerService: any;
+declare const config: any;
+/**
+ * Session Service
+ * Tracks the device, IP and activity behind each refresh token family and alerts on new devices
+ */
+declare class SessionService {
+    private readonly sessionIdleTimeout;
+    private readonly lastSeenResolution;
+    constructor();
+    /**
+     * Start a session for a newly issued refresh token family
+     * @param user - User object
+     * @param familyId - Refresh token family
+     * @param context - Request context (ipAddress, userAgent)
+     * @param options - Session options (alert: send the new-device alert)
+     * @returns Created session
+     */
+    createSession(user: any, familyId: string, context?: {
+        ipAddress?: string;
+        userAgent?: string;
+    }, options?: {
+        alert?: boolean;
+    }): Promise<any>;
+    /**
+     * Record activity on the session of a refresh token family, creating it if missing
+     * @param user - User object
+     * @param familyId - Refresh token family
+     * @param context - Request context (ipAddress, userAgent)
+     * @returns Session
+     */
+    touchSession(user: any, familyId: string, context?: {
+        ipAddress?: string;
+        userAgent?: string;
+    }): Promise<any>;
+    /**
+     * Find an active session by the hash carried in access tokens
+     * @param sessionHash - Session hash ("sid" claim)
+     * @returns Session, or null if it is unknown, revoked or idle
+     */
+    findActiveSession(sessionHash: string): Promise<any | null>;
+    /**
+     * List the active sessions of a user
+     * @param userId - User ID
+     * @param currentSessionId - Session hash of the requesting access token
+     * @returns Sessions, most recently active first
+     */
+    listSessions(userId: number, currentSessionId?: string | null): Promise<any>;
+    /**
+     * Find an active session of a user by its public ID
+     * @param userId - User ID
+     * @param sessionId - Session ID
+     * @returns Session
+     */
+    getUserSession(userId: number, sessionId: number): Promise<any>;
+    /**
+     * Mark the session of a refresh token family as revoked
+     * @param familyId - Refresh token family
+     * @param reason - Revocation reason
+     */
+    revokeSessionByFamily(familyId: string, reason: string): Promise<void>;
+    /**
+     * Mark every session of a user as revoked
+     * @param userId - User ID
+     * @param reason - Revocation reason
+     */
+    revokeUserSessions(userId: number, reason: string): Promise<void>;
+    /**
+     * Email the user about a sign-in from an unrecognised device (best effort)
+     * @param user - User object
+     * @param session - New session
+     */
+    private sendNewDeviceAlert;
+    /**
+     * Describe a device from its user agent (e.g., "Chrome on macOS")
+     * @param userAgent - User-Agent header
+     * @returns Device description
+     */
+    describeDevice(userAgent?: string): string;
+    /**
+     * Format a session for API responses
+     * @param session - Session
+     * @param currentSessionId - Session hash of the requesting access token
+     * @returns Public session fields
+     */
+    private formatSession;
+}
+declare const sessionService: SessionService;
+//# sourceMappingURL=session.service.d.ts.map
\ No newline at end of file
@@ -0,0 +1,221 @@
+"use strict";
+const { Op } = require('sequelize');
+const { Session } = require('../db/models/session.model');
+const { sha256, generateSessionHash } = require('../utils/hash');
+const { mailerService } = require('./mailer.service');
+const config = require('../config');
+/**
+ * Session Service
+ * Tracks the device, IP and activity behind each refresh token family and alerts on new devices
+ */
+class SessionService {
+    constructor() {
+        // Matches the refresh token lifetime: an idle session cannot be resumed after this
+        this.sessionIdleTimeout = 7 * 24 * 60 * 60 * 1000;
+        this.lastSeenResolution = 60 * 1000;
+    }
+    /**
+     * Start a session for a newly issued refresh token family
+     * @param user - User object
+     * @param familyId - Refresh token family
+     * @param context - Request context (ipAddress, userAgent)
+     * @param options - Session options (alert: send the new-device alert)
+     * @returns Created session
+     */
+    async createSession(user, familyId, context = {}, options = {}) {
+        const { alert = true } = options;
+        const deviceFingerprint = sha256(context.userAgent || 'unknown');
+        const [knownDevice, previousSessions] = await Promise.all([
+            Session.findOne({ where: { userId: user.id, deviceFingerprint } }),
+            Session.count({ where: { userId: user.id } })
+        ]);
+        const session = await Session.create({
+            userId: user.id,
+            sessionHash: generateSessionHash(user.id, { familyId, userAgent: context.userAgent, ipAddress: context.ipAddress }),
+            familyId,
+            deviceFingerprint,
+            deviceName: this.describeDevice(context.userAgent),
+            ipAddress: context.ipAddress || null,
+            userAgent: context.userAgent ? String(context.userAgent).slice(0, 512) : null,
+            lastSeenAt: new Date()
+        });
+        // The very first session of an account is not a "new" device
+        if (alert && !knownDevice && previousSessions > 0) {
+            await this.sendNewDeviceAlert(user, session);
+        }
+        return session;
+    }
+    /**
+     * Record activity on the session of a refresh token family, creating it if missing
+     * @param user - User object
+     * @param familyId - Refresh token family
+     * @param context - Request context (ipAddress, userAgent)
+     * @returns Session
+     */
+    async touchSession(user, familyId, context = {}) {
+        const session = await Session.findOne({ where: { familyId } });
+        if (!session) {
+            // Families issued before sessions were tracked
+            return this.createSession(user, familyId, context, { alert: false });
+        }
+        await session.update({
+            lastSeenAt: new Date(),
+            ipAddress: context.ipAddress || session.ipAddress
+        });
+        return session;
+    }
+    /**
+     * Find an active session by the hash carried in access tokens
+     * @param sessionHash - Session hash ("sid" claim)
+     * @returns Session, or null if it is unknown, revoked or idle
+     */
+    async findActiveSession(sessionHash) {
+        const session = await Session.findOne({ where: { sessionHash } });
+        if (!session || session.revokedAt) {
+            return null;
+        }
+        const now = Date.now();
+        if (now - new Date(session.lastSeenAt).getTime() > this.sessionIdleTimeout) {
+            return null;
+        }
+        if (now - new Date(session.lastSeenAt).getTime() > this.lastSeenResolution) {
+            await session.update({ lastSeenAt: new Date(now) });
+        }
+        return session;
+    }
+    /**
+     * List the active sessions of a user
+     * @param userId - User ID
+     * @param currentSessionId - Session hash of the requesting access token
+     * @returns Sessions, most recently active first
+     */
+    async listSessions(userId, currentSessionId) {
+        try {
+            const sessions = await Session.findAll({
+                where: {
+                    userId,
+                    revokedAt: null,
+                    lastSeenAt: { [Op.gt]: new Date(Date.now() - this.sessionIdleTimeout) }
+                },
+                order: [['lastSeenAt', 'DESC']]
+            });
+            return {
+                success: true,
+                sessions: sessions.map((session) => this.formatSession(session, currentSessionId))
+            };
+        }
+        catch (error) {
+            console.error('❌ Error listing sessions:', error);
+            throw new Error(`Failed to list sessions: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Find an active session of a user by its public ID
+     * @param userId - User ID
+     * @param sessionId - Session ID
+     * @returns Session
+     */
+    async getUserSession(userId, sessionId) {
+        const session = await Session.findOne({ where: { id: sessionId, userId, revokedAt: null } });
+        if (!session) {
+            throw new Error('Session not found');
+        }
+        return session;
+    }
+    /**
+     * Mark the session of a refresh token family as revoked
+     * @param familyId - Refresh token family
+     * @param reason - Revocation reason
+     */
+    async revokeSessionByFamily(familyId, reason) {
+        await Session.update({ revokedAt: new Date(), revokedReason: reason }, { where: { familyId, revokedAt: null } });
+    }
+    /**
+     * Mark every session of a user as revoked
+     * @param userId - User ID
+     * @param reason - Revocation reason
+     */
+    async revokeUserSessions(userId, reason) {
+        await Session.update({ revokedAt: new Date(), revokedReason: reason }, { where: { userId, revokedAt: null } });
+    }
+    /**
+     * Email the user about a sign-in from an unrecognised device (best effort)
+     * @param user - User object
+     * @param session - New session
+     */
+    async sendNewDeviceAlert(user, session) {
+        try {
+            console.warn(`⚠️ New device sign-in for user: ${user.username} (${session.deviceName})`);
+            await mailerService.queueEmail('newDeviceLogin', user.email, {
+                username: user.username,
+                deviceName: session.deviceName,
+                ipAddress: session.ipAddress || 'unknown',
+                signedInAt: new Date(session.createdAt || Date.now()).toUTCString(),
+                sessionsUrl: `${config.appUrl}/settings/sessions`
+            });
+        }
+        catch (error) {
+            console.error('❌ Error sending new device alert:', error);
+        }
+    }
+    /**
+     * Describe a device from its user agent (e.g., "Chrome on macOS")
+     * @param userAgent - User-Agent header
+     * @returns Device description
+     */
+    describeDevice(userAgent) {
+        if (!userAgent) {
+            return 'Unknown device';
+        }
+        const browsers = [
+            [/Edg\//, 'Edge'],
+            [/OPR\/|Opera/, 'Opera'],
+            [/Firefox\//, 'Firefox'],
+            [/Chrome\//, 'Chrome'],
+            [/Safari\//, 'Safari'],
+            [/curl\//, 'curl'],
+            [/PostmanRuntime/, 'Postman']
+        ];
+        const systems = [
+            [/Windows/, 'Windows'],
+            [/iPhone|iPad/, 'iOS'],
+            [/Mac OS X|Macintosh/, 'macOS'],
+            [/Android/, 'Android'],
+            [/Linux/, 'Linux']
+        ];
+        const browser = browsers.find(([pattern]) => pattern.test(userAgent));
+        const system = systems.find(([pattern]) => pattern.test(userAgent));
+        if (!browser && !system) {
+            return 'Unknown device';
+        }
+        if (!system) {
+            return browser[1];
+        }
+        return `${browser ? browser[1] : 'Unknown browser'} on ${system[1]}`;
+    }
+    /**
+     * Format a session for API responses
+     * @param session - Session
+     * @param currentSessionId - Session hash of the requesting access token
+     * @returns Public session fields
+     */
+    formatSession(session, currentSessionId) {
+        return {
+            id: session.id,
+            deviceName: session.deviceName,
+            ipAddress: session.ipAddress,
+            userAgent: session.userAgent,
+            createdAt: session.createdAt,
+            lastSeenAt: session.lastSeenAt,
+            current: Boolean(currentSessionId) && session.sessionHash === currentSessionId
+        };
+    }
+}
+// Create singleton instance
+const sessionService = new SessionService();
+// Export the service instance and class
+module.exports = {
+    sessionService,
+    SessionService
+};
+//# sourceMappingURL=session.service.js.map
\ No newline at end of file
@@ -0,0 +1,85 @@
+declare const Op: any;
+declare const IPAsset: any;
+declare const IPAssetSignature: any;
+declare const IPAssetLshBucket: any;
+declare const IPAssetSimilarityFlag: any;
+declare const shingleText: any, computeMinHashSignature: any, getLshBuckets: any, estimateSimilarity: any;
+declare const HASH_BITS: any, hammingDistance: any;
+declare const auditService: any;
+declare const config: any;
+/**
+ * Similarity Service
+ * Indexes asset texts as MinHash signatures and finds near-duplicate assets through LSH buckets,
+ * and finds likely copies of images by perceptual hash distance
+ */
+declare class SimilarityService {
+    private readonly defaultLimit;
+    private readonly maxLimit;
+    private readonly imageScanBatchSize;
+    private readonly unpublishedStates;
+    constructor();
+    /**
+     * Compute and store the signature of one of an asset's texts, replacing any earlier one
+     * @param assetId - Asset ID
+     * @param source - 'description' or 'document'
+     * @param text - Text to index
+     * @param transaction - Optional transaction
+     * @returns Stored signature, or null if the text has no words
+     */
+    indexText(assetId: number, source: 'description' | 'document', text: string, transaction?: any): Promise<any>;
+    /**
+     * Get the assets whose texts are most similar to an asset's
+     * @param assetId - Asset ID
+     * @param options - minScore (0-1), limit, and includeUnpublished to also list drafts and pending assets
+     * @returns Similar assets with their estimated similarity, most similar first
+     */
+    getSimilarAssets(assetId: number, options?: {
+        minScore?: number | string;
+        limit?: number | string;
+        includeUnpublished?: boolean;
+    }): Promise<any>;
+    /**
+     * Flag a new registration that closely resembles earlier assets (best effort)
+     * @param asset - Newly created asset
+     * @returns Flags created
+     */
+    flagSimilarRegistrations(asset: any): Promise<any[]>;
+    /**
+     * Find images whose perceptual hashes are close to the given ones
+     * A match is decided on the pHash distance; aHash and dHash distances are reported alongside.
+     * @param hashes - aHash, dHash and pHash of the query image
+     * @param options - maxDistance (0-64), limit, an asset ID to leave out, and includeUnpublished to
+     * also list drafts and pending assets
+     * @returns Likely copies, closest first
+     */
+    findImageMatches(hashes: {
+        aHash: string;
+        dHash: string;
+        pHash: string;
+    }, options?: {
+        maxDistance?: number | string;
+        limit?: number | string;
+        excludeAssetId?: number;
+        includeUnpublished?: boolean;
+    }): Promise<any>;
+    /**
+     * Find likely copies of an image asset
+     * @param assetId - Asset ID
+     * @param options - maxDistance (0-64), limit, and includeUnpublished to also list drafts and pending assets
+     * @returns Likely copies, closest first
+     */
+    getImageMatches(assetId: number, options?: {
+        maxDistance?: number | string;
+        limit?: number | string;
+        includeUnpublished?: boolean;
+    }): Promise<any>;
+    /**
+     * Compare an asset's signatures with every signature sharing an LSH bucket
+     * @param assetId - Asset ID
+     * @param minScore - Minimum estimated similarity
+     * @returns Best match per other asset, most similar first
+     */
+    private findMatches;
+}
+declare const similarityService: SimilarityService;
+//# sourceMappingURL=similarity.service.d.ts.map
\ No newline at end of file
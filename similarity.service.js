@@ -0,0 +1,291 @@
+"use strict";
+const { Op } = require('sequelize');
+const { IPAsset } = require('../db/models/ipAsset.model');
+const { IPAssetSignature } = require('../db/models/ipAssetSignature.model');
+const { IPAssetLshBucket } = require('../db/models/ipAssetLshBucket.model');
+const { IPAssetSimilarityFlag } = require('../db/models/ipAssetSimilarityFlag.model');
+const { shingleText, computeMinHashSignature, getLshBuckets, estimateSimilarity } = require('../utils/textSimilarity');
+const { HASH_BITS, hammingDistance } = require('../utils/perceptualHash');
+const { auditService } = require('./audit.service');
+const config = require('../config');
+/**
+ * Similarity Service
+ * Indexes asset texts as MinHash signatures and finds near-duplicate assets through LSH buckets,
+ * and finds likely copies of images by perceptual hash distance
+ */
+class SimilarityService {
+    constructor() {
+        this.defaultLimit = 20;
+        this.maxLimit = 100;
+        this.imageScanBatchSize = 1000;
+        // Assets not yet on chain are private to their owners and left out of match lists
+        this.unpublishedStates = ['draft', 'pending_chain'];
+    }
+    /**
+     * Compute and store the signature of one of an asset's texts, replacing any earlier one
+     * @param assetId - Asset ID
+     * @param source - 'description' or 'document'
+     * @param text - Text to index
+     * @param transaction - Optional transaction
+     * @returns Stored signature, or null if the text has no words
+     */
+    async indexText(assetId, source, text, transaction) {
+        try {
+            const shingles = shingleText(text);
+            const signature = computeMinHashSignature(shingles);
+            const existing = await IPAssetSignature.findOne({ where: { assetId, source }, transaction });
+            if (existing) {
+                await IPAssetLshBucket.destroy({ where: { signatureId: existing.id }, transaction });
+            }
+            if (!signature) {
+                if (existing) {
+                    await existing.destroy({ transaction });
+                }
+                return null;
+            }
+            const record = existing
+                ? await existing.update({ signature, shingleCount: shingles.length }, { transaction })
+                : await IPAssetSignature.create({ assetId, source, signature, shingleCount: shingles.length }, { transaction });
+            await IPAssetLshBucket.bulkCreate(getLshBuckets(signature).map((bucket) => ({
+                signatureId: record.id,
+                assetId,
+                bucket
+            })), { transaction });
+            return record;
+        }
+        catch (error) {
+            console.error('❌ Error indexing asset text:', error);
+            throw new Error(`Failed to index asset text: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Get the assets whose texts are most similar to an asset's
+     * @param assetId - Asset ID
+     * @param options - minScore (0-1), limit, and includeUnpublished to also list drafts and pending assets
+     * @returns Similar assets with their estimated similarity, most similar first
+     */
+    async getSimilarAssets(assetId, options = {}) {
+        try {
+            const asset = await IPAsset.findByPk(assetId);
+            if (!asset) {
+                throw new Error('IP asset not found');
+            }
+            const minScore = options.minScore !== undefined && options.minScore !== '' ? Number(options.minScore) : config.similarityMinScore;
+            if (!Number.isFinite(minScore) || minScore < 0 || minScore > 1) {
+                throw new Error('minScore must be between 0 and 1');
+            }
+            const limit = Math.min(Math.max(Number(options.limit) || this.defaultLimit, 1), this.maxLimit);
+            // Assets registered before similarity indexing are indexed on first lookup
+            if (!(await IPAssetSignature.count({ where: { assetId: asset.id } }))) {
+                await this.indexText(asset.id, 'description', asset.description);
+            }
+            const matches = await this.findMatches(asset.id, minScore);
+            const where = { id: matches.map((match) => match.assetId) };
+            if (!options.includeUnpublished) {
+                where.status = { [Op.notIn]: this.unpublishedStates };
+            }
+            const assets = await IPAsset.findAll({
+                where,
+                attributes: ['id', 'title', 'ipType', 'owner', 'ownerType', 'status', 'blockchainId', 'createdAt']
+            });
+            const byId = new Map(assets.map((match) => [match.id, match]));
+            return {
+                success: true,
+                assetId: asset.id,
+                minScore,
+                similar: matches
+                    .filter((match) => byId.has(match.assetId))
+                    .slice(0, limit)
+                    .map((match) => ({
+                    asset: byId.get(match.assetId).get({ plain: true }),
+                    similarity: Math.round(match.similarity * 1000) / 1000,
+                    sources: match.sources
+                }))
+            };
+        }
+        catch (error) {
+            console.error('❌ Error finding similar assets:', error);
+            throw new Error(`Failed to find similar assets: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Flag a new registration that closely resembles earlier assets (best effort)
+     * @param asset - Newly created asset
+     * @returns Flags created
+     */
+    async flagSimilarRegistrations(asset) {
+        try {
+            const matches = (await this.findMatches(asset.id, config.similarityFlagThreshold))
+                .filter((match) => match.assetId < asset.id);
+            if (matches.length === 0) {
+                return [];
+            }
+            const flags = await IPAssetSimilarityFlag.bulkCreate(matches.map((match) => ({
+                assetId: asset.id,
+                matchedAssetId: match.assetId,
+                similarity: match.similarity,
+                sources: match.sources
+            })), { ignoreDuplicates: true });
+            await auditService.record({
+                action: 'ip_asset.similarity_flagged',
+                entityType: 'ip_asset',
+                entityId: asset.id,
+                organizationId: asset.ownerType === 'organization' ? asset.owner : null,
+                metadata: { matches: matches.map((match) => ({ assetId: match.assetId, similarity: match.similarity })) }
+            });
+            console.warn(`🚩 IP asset ${asset.id} resembles earlier assets: ${matches.map((match) => `${match.assetId} (${match.similarity.toFixed(2)})`).join(', ')}`);
+            return flags.map((flag) => ({
+                matchedAssetId: flag.matchedAssetId,
+                similarity: Math.round(flag.similarity * 1000) / 1000,
+                sources: flag.sources
+            }));
+        }
+        catch (error) {
+            console.error('❌ Error flagging similar registrations:', error);
+            return [];
+        }
+    }
+    /**
+     * Find images whose perceptual hashes are close to the given ones
+     * A match is decided on the pHash distance; aHash and dHash distances are reported alongside.
+     * @param hashes - aHash, dHash and pHash of the query image
+     * @param options - maxDistance (0-64), limit, an asset ID to leave out, and includeUnpublished to
+     * also list drafts and pending assets
+     * @returns Likely copies, closest first
+     */
+    async findImageMatches(hashes, options = {}) {
+        try {
+            const maxDistance = options.maxDistance !== undefined && options.maxDistance !== '' ? Number(options.maxDistance) : config.imageMatchMaxDistance;
+            if (!Number.isInteger(maxDistance) || maxDistance < 0 || maxDistance > HASH_BITS) {
+                throw new Error(`maxDistance must be an integer between 0 and ${HASH_BITS}`);
+            }
+            const limit = Math.min(Math.max(Number(options.limit) || this.defaultLimit, 1), this.maxLimit);
+            const matches = [];
+            let lastId = 0;
+            // Hamming distance cannot use an index, so hashed images are scanned in ID order
+            for (;;) {
+                const idCondition = { [Op.gt]: lastId };
+                if (options.excludeAssetId) {
+                    idCondition[Op.ne] = Number(options.excludeAssetId);
+                }
+                const batch = await IPAsset.findAll({
+                    where: {
+                        id: idCondition,
+                        pHash: { [Op.ne]: null },
+                        status: { [Op.notIn]: options.includeUnpublished ? ['abandoned'] : ['abandoned', ...this.unpublishedStates] }
+                    },
+                    attributes: ['id', 'title', 'ipType', 'owner', 'ownerType', 'status', 'blockchainId', 'createdAt', 'aHash', 'dHash', 'pHash'],
+                    order: [['id', 'ASC']],
+                    limit: this.imageScanBatchSize
+                });
+                for (const candidate of batch) {
+                    const distance = {
+                        aHash: hammingDistance(hashes.aHash, candidate.aHash),
+                        dHash: hammingDistance(hashes.dHash, candidate.dHash),
+                        pHash: hammingDistance(hashes.pHash, candidate.pHash)
+                    };
+                    if (distance.pHash <= maxDistance) {
+                        const { aHash, dHash, pHash, ...asset } = candidate.get({ plain: true });
+                        matches.push({
+                            asset,
+                            distance,
+                            similarity: Math.round((1 - (distance.aHash + distance.dHash + distance.pHash) / (3 * HASH_BITS)) * 1000) / 1000
+                        });
+                    }
+                }
+                if (batch.length < this.imageScanBatchSize) {
+                    break;
+                }
+                lastId = batch[batch.length - 1].id;
+            }
+            matches.sort((a, b) => a.distance.pHash - b.distance.pHash || b.similarity - a.similarity);
+            return {
+                success: true,
+                maxDistance,
+                hashes: { aHash: hashes.aHash, dHash: hashes.dHash, pHash: hashes.pHash },
+                matches: matches.slice(0, limit)
+            };
+        }
+        catch (error) {
+            console.error('❌ Error searching image hashes:', error);
+            throw new Error(`Failed to search image hashes: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Find likely copies of an image asset
+     * @param assetId - Asset ID
+     * @param options - maxDistance (0-64), limit, and includeUnpublished to also list drafts and pending assets
+     * @returns Likely copies, closest first
+     */
+    async getImageMatches(assetId, options = {}) {
+        const asset = await IPAsset.findByPk(assetId);
+        if (!asset) {
+            throw new Error('IP asset not found');
+        }
+        if (!asset.pHash) {
+            throw new Error('IP asset has no image hashes; only uploaded jpeg, png and gif files are hashed');
+        }
+        return this.findImageMatches(asset, { ...options, excludeAssetId: asset.id });
+    }
+    /**
+     * Compare an asset's signatures with every signature sharing an LSH bucket
+     * @param assetId - Asset ID
+     * @param minScore - Minimum estimated similarity
+     * @returns Best match per other asset, most similar first
+     */
+    async findMatches(assetId, minScore) {
+        const own = await IPAssetSignature.findAll({ where: { assetId } });
+        if (own.length === 0) {
+            return [];
+        }
+        const ownBuckets = await IPAssetLshBucket.findAll({
+            where: { signatureId: own.map((signature) => signature.id) },
+            attributes: ['bucket']
+        });
+        const candidateRows = await IPAssetLshBucket.findAll({
+            where: {
+                bucket: [...new Set(ownBuckets.map((row) => row.bucket))],
+                assetId: { [Op.ne]: assetId }
+            },
+            attributes: ['signatureId', 'assetId']
+        });
+        if (candidateRows.length === 0) {
+            return [];
+        }
+        // Abandoned assets no longer claim their content
+        const activeAssets = await IPAsset.findAll({
+            where: {
+                id: [...new Set(candidateRows.map((row) => row.assetId))],
+                status: { [Op.ne]: 'abandoned' }
+            },
+            attributes: ['id']
+        });
+        const activeIds = new Set(activeAssets.map((active) => active.id));
+        const candidates = await IPAssetSignature.findAll({
+            where: { id: [...new Set(candidateRows.filter((row) => activeIds.has(row.assetId)).map((row) => row.signatureId))] }
+        });
+        const best = new Map();
+        for (const candidate of candidates) {
+            for (const signature of own) {
+                const similarity = estimateSimilarity(signature.signature, candidate.signature);
+                const current = best.get(candidate.assetId);
+                if (similarity >= minScore && (!current || similarity > current.similarity)) {
+                    best.set(candidate.assetId, {
+                        assetId: candidate.assetId,
+                        similarity,
+                        sources: `${signature.source}~${candidate.source}`
+                    });
+                }
+            }
+        }
+        return [...best.values()].sort((a, b) => b.similarity - a.similarity || a.assetId - b.assetId);
+    }
+}
+// Create singleton instance
+const similarityService = new SimilarityService();
+// Export the service instance and class
+module.exports = {
+    similarityService,
+    SimilarityService
+};
+//# sourceMappingURL=similarity.service.js.map
\ No newline at end of file
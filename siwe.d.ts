@@ -0,0 +1,39 @@
+declare const crypto: any;
+/**
+ * Sign-In With Ethereum (EIP-4361) Utility Functions
+ * Builds and parses the plain-text messages that wallets sign during login
+ */
+declare const SIWE_VERSION = "1";
+declare const SIWE_HEADER_SUFFIX = " wants you to sign in with your Ethereum account:";
+/**
+ * Generate a nonce suitable for a SIWE message
+ * EIP-4361 requires at least 8 alphanumeric characters
+ * @param length - Number of random bytes (default: 16)
+ * @returns Hex nonce
+ */
+declare const generateSiweNonce: (length?: number) => string;
+/**
+ * Build an EIP-4361 message
+ * @param fields - Message fields
+ * @returns Message text to be signed by the wallet
+ */
+declare const buildSiweMessage: (fields: {
+    domain: string;
+    address: string;
+    statement?: string;
+    uri: string;
+    version?: string;
+    chainId: number;
+    nonce: string;
+    issuedAt: string;
+    expirationTime?: string;
+    notBefore?: string;
+    requestId?: string;
+}) => string;
+/**
+ * Parse an EIP-4361 message
+ * @param message - Signed message text
+ * @returns Parsed message fields
+ */
+declare const parseSiweMessage: (message: string) => any;
+//# sourceMappingURL=siwe.d.ts.map
\ No newline at end of file
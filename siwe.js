@@ -0,0 +1,111 @@
+"use strict";
+const crypto = require('crypto');
+/**
+ * Sign-In With Ethereum (EIP-4361) Utility Functions
+ * Builds and parses the plain-text messages that wallets sign during login
+ */
+const SIWE_VERSION = '1';
+const SIWE_HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+/**
+ * Generate a nonce suitable for a SIWE message
+ * EIP-4361 requires at least 8 alphanumeric characters
+ * @param length - Number of random bytes (default: 16)
+ * @returns Hex nonce
+ */
+const generateSiweNonce = (length = 16) => {
+    return crypto.randomBytes(length).toString('hex');
+};
+/**
+ * Build an EIP-4361 message
+ * @param fields - Message fields
+ * @returns Message text to be signed by the wallet
+ */
+const buildSiweMessage = (fields) => {
+    const lines = [
+        `${fields.domain}${SIWE_HEADER_SUFFIX}`,
+        fields.address,
+        ''
+    ];
+    if (fields.statement) {
+        lines.push(fields.statement, '');
+    }
+    lines.push(`URI: ${fields.uri}`);
+    lines.push(`Version: ${fields.version || SIWE_VERSION}`);
+    lines.push(`Chain ID: ${fields.chainId}`);
+    lines.push(`Nonce: ${fields.nonce}`);
+    lines.push(`Issued At: ${fields.issuedAt}`);
+    if (fields.expirationTime) {
+        lines.push(`Expiration Time: ${fields.expirationTime}`);
+    }
+    if (fields.notBefore) {
+        lines.push(`Not Before: ${fields.notBefore}`);
+    }
+    if (fields.requestId) {
+        lines.push(`Request ID: ${fields.requestId}`);
+    }
+    return lines.join('\n');
+};
+/**
+ * Parse an EIP-4361 message
+ * @param message - Signed message text
+ * @returns Parsed message fields
+ */
+const parseSiweMessage = (message) => {
+    if (!message || typeof message !== 'string') {
+        throw new Error('SIWE message is required');
+    }
+    const lines = message.split('\n');
+    const header = lines[0] || '';
+    if (!header.endsWith(SIWE_HEADER_SUFFIX)) {
+        throw new Error('Invalid SIWE message header');
+    }
+    const fields = {
+        domain: header.slice(0, -SIWE_HEADER_SUFFIX.length),
+        address: (lines[1] || '').trim()
+    };
+    if (!/^0x[a-fA-F0-9]{40}$/.test(fields.address)) {
+        throw new Error('Invalid SIWE message address');
+    }
+    // Optional statement sits between two blank lines after the address
+    let index = 3;
+    if (lines[2] === '' && lines[3] !== undefined && !lines[3].startsWith('URI: ')) {
+        fields.statement = lines[3];
+        index = 5;
+    }
+    const keyMap = {
+        'URI': 'uri',
+        'Version': 'version',
+        'Chain ID': 'chainId',
+        'Nonce': 'nonce',
+        'Issued At': 'issuedAt',
+        'Expiration Time': 'expirationTime',
+        'Not Before': 'notBefore',
+        'Request ID': 'requestId'
+    };
+    for (const line of lines.slice(index)) {
+        const separator = line.indexOf(': ');
+        if (separator === -1) {
+            continue;
+        }
+        const key = keyMap[line.slice(0, separator)];
+        if (key) {
+            fields[key] = line.slice(separator + 2).trim();
+        }
+    }
+    if (!fields.uri || !fields.nonce || !fields.issuedAt || !fields.chainId) {
+        throw new Error('SIWE message is missing required fields');
+    }
+    if (fields.version !== SIWE_VERSION) {
+        throw new Error(`Unsupported SIWE message version: ${fields.version}`);
+    }
+    fields.chainId = Number(fields.chainId);
+    return fields;
+};
+// Export all functions
+module.exports = {
+    SIWE_VERSION,
+    generateSiweNonce,
+    buildSiweMessage,
+    parseSiweMessage
+};
+//# sourceMappingURL=siwe.js.map
\ No newline at end of file
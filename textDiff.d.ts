@@ -0,0 +1,26 @@
+/**
+ * Text Diff Utility Functions
+ * Longest-common-subsequence diff for comparing metadata revisions
+ */
+type DiffOperation = {
+    type: 'equal' | 'added' | 'removed';
+    value: string;
+};
+/**
+ * Diff two texts
+ * @param before - Earlier text
+ * @param after - Later text
+ * @param granularity - 'word' (default) or 'line'
+ * @returns Operations of type equal, added or removed, with adjacent tokens of the same type merged
+ */
+declare const diffText: (before: string, after: string, granularity?: "word" | "line") => DiffOperation[];
+/**
+ * Summarize a diff
+ * @param operations - Operations from diffText
+ * @returns Number of added and removed characters
+ */
+declare const summarizeDiff: (operations: DiffOperation[]) => {
+    added: number;
+    removed: number;
+};
+//# sourceMappingURL=textDiff.d.ts.map
\ No newline at end of file
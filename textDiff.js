@@ -0,0 +1,87 @@
+"use strict";
+/**
+ * Text Diff Utility Functions
+ * Longest-common-subsequence diff for comparing metadata revisions
+ */
+/**
+ * Split text into diff tokens
+ * @param text - Text to split
+ * @param granularity - 'line' or 'word'
+ * @returns Tokens (words keep their trailing whitespace so they can be re-joined)
+ */
+const tokenize = (text, granularity) => {
+    const value = String(text ?? '');
+    if (value === '') {
+        return [];
+    }
+    return granularity === 'line' ? value.split(/(?<=\n)/) : value.match(/\S+\s*|\s+/g);
+};
+/**
+ * Diff two texts
+ * @param before - Earlier text
+ * @param after - Later text
+ * @param granularity - 'word' (default) or 'line'
+ * @returns Operations of type equal, added or removed, with adjacent tokens of the same type merged
+ */
+const diffText = (before, after, granularity = 'word') => {
+    const a = tokenize(before, granularity);
+    const b = tokenize(after, granularity);
+    // lcs[i][j] is the LCS length of a[i..] and b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+    const operations = [];
+    const push = (type, value) => {
+        const previous = operations[operations.length - 1];
+        if (previous && previous.type === type) {
+            previous.value += value;
+        }
+        else {
+            operations.push({ type, value });
+        }
+    };
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            push('equal', a[i]);
+            i++;
+            j++;
+        }
+        else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            push('removed', a[i++]);
+        }
+        else {
+            push('added', b[j++]);
+        }
+    }
+    while (i < a.length) {
+        push('removed', a[i++]);
+    }
+    while (j < b.length) {
+        push('added', b[j++]);
+    }
+    return operations;
+};
+/**
+ * Summarize a diff
+ * @param operations - Operations from diffText
+ * @returns Number of added and removed characters
+ */
+const summarizeDiff = (operations) => {
+    return operations.reduce((summary, operation) => {
+        if (operation.type !== 'equal') {
+            summary[operation.type] += operation.value.length;
+        }
+        return summary;
+    }, { added: 0, removed: 0 });
+};
+// Export all functions
+module.exports = {
+    diffText,
+    summarizeDiff
+};
+//# sourceMappingURL=textDiff.js.map
\ No newline at end of file
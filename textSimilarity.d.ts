@@ -0,0 +1,35 @@
+/**
+ * Text Similarity Utility Functions
+ * Word shingling, MinHash signatures and LSH banding for near-duplicate text detection
+ */
+declare const MINHASH_SIZE = 128;
+declare const LSH_BANDS = 32;
+/**
+ * Split text into overlapping word shingles
+ * @param text - Text to shingle
+ * @param size - Words per shingle (default 3)
+ * @returns Unique shingles (the whole text when it has fewer words than a shingle)
+ */
+declare const shingleText: (text: string, size?: number) => string[];
+/**
+ * Compute the MinHash signature of a set of shingles
+ * The share of equal positions in two signatures estimates the Jaccard similarity of the sets.
+ * @param shingles - Shingles from shingleText
+ * @returns Signature of MINHASH_SIZE unsigned integers, or null for empty input
+ */
+declare const computeMinHashSignature: (shingles: string[]) => number[] | null;
+/**
+ * Compute the LSH bucket keys of a signature
+ * Signatures that share at least one bucket are candidates for a full comparison.
+ * @param signature - MinHash signature
+ * @returns One bucket key per band
+ */
+declare const getLshBuckets: (signature: number[]) => string[];
+/**
+ * Estimate the Jaccard similarity of two texts from their signatures
+ * @param a - MinHash signature
+ * @param b - MinHash signature
+ * @returns Similarity between 0 and 1
+ */
+declare const estimateSimilarity: (a: number[] | null, b: number[] | null) => number;
+//# sourceMappingURL=textSimilarity.d.ts.map
\ No newline at end of file
@@ -0,0 +1,135 @@
+"use strict";
+/**
+ * Text Similarity Utility Functions
+ * Word shingling, MinHash signatures and LSH banding for near-duplicate text detection
+ */
+const SHINGLE_SIZE = 3;
+const MINHASH_SIZE = 128;
+// 32 bands of 4 rows: pairs above ~0.45 Jaccard similarity very likely share a bucket
+const LSH_BANDS = 32;
+const LSH_ROWS = MINHASH_SIZE / LSH_BANDS;
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param value - String to hash
+ * @returns Unsigned 32-bit hash
+ */
+const fnv1a = (value) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+/**
+ * MurmurHash3 finalizer, used to derive independent hash functions from one seed each
+ * @param value - 32-bit integer
+ * @returns Unsigned 32-bit hash
+ */
+const mix32 = (value) => {
+    let hash = value;
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+};
+// Fixed seeds so signatures stay comparable across restarts
+const SEEDS = Array.from({ length: MINHASH_SIZE }, (_, i) => mix32(Math.imul(i + 1, 0x9e3779b9)));
+/**
+ * Normalize text for shingling: lowercase, punctuation removed, whitespace collapsed
+ * @param text - Text to normalize
+ * @returns Normalized words
+ */
+const normalizeWords = (text) => {
+    return String(text ?? '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .split(/\s+/)
+        .filter(Boolean);
+};
+/**
+ * Split text into overlapping word shingles
+ * @param text - Text to shingle
+ * @param size - Words per shingle (default 3)
+ * @returns Unique shingles (the whole text when it has fewer words than a shingle)
+ */
+const shingleText = (text, size = SHINGLE_SIZE) => {
+    const words = normalizeWords(text);
+    if (words.length === 0) {
+        return [];
+    }
+    if (words.length < size) {
+        return [words.join(' ')];
+    }
+    const shingles = new Set();
+    for (let i = 0; i <= words.length - size; i++) {
+        shingles.add(words.slice(i, i + size).join(' '));
+    }
+    return [...shingles];
+};
+/**
+ * Compute the MinHash signature of a set of shingles
+ * The share of equal positions in two signatures estimates the Jaccard similarity of the sets.
+ * @param shingles - Shingles from shingleText
+ * @returns Signature of MINHASH_SIZE unsigned integers, or null for empty input
+ */
+const computeMinHashSignature = (shingles) => {
+    if (!shingles || shingles.length === 0) {
+        return null;
+    }
+    const signature = new Array(MINHASH_SIZE).fill(0xffffffff);
+    for (const shingle of shingles) {
+        const base = fnv1a(shingle);
+        for (let i = 0; i < MINHASH_SIZE; i++) {
+            const hash = mix32(base ^ SEEDS[i]);
+            if (hash < signature[i]) {
+                signature[i] = hash;
+            }
+        }
+    }
+    return signature;
+};
+/**
+ * Compute the LSH bucket keys of a signature
+ * Signatures that share at least one bucket are candidates for a full comparison.
+ * @param signature - MinHash signature
+ * @returns One bucket key per band
+ */
+const getLshBuckets = (signature) => {
+    const buckets = [];
+    for (let band = 0; band < LSH_BANDS; band++) {
+        const rows = signature.slice(band * LSH_ROWS, (band + 1) * LSH_ROWS);
+        buckets.push(`${band}:${fnv1a(rows.join(',')).toString(16)}`);
+    }
+    return buckets;
+};
+/**
+ * Estimate the Jaccard similarity of two texts from their signatures
+ * @param a - MinHash signature
+ * @param b - MinHash signature
+ * @returns Similarity between 0 and 1
+ */
+const estimateSimilarity = (a, b) => {
+    if (!a || !b || a.length !== b.length) {
+        return 0;
+    }
+    let equal = 0;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] === b[i]) {
+            equal++;
+        }
+    }
+    return equal / a.length;
+};
+// Export all functions
+module.exports = {
+    MINHASH_SIZE,
+    LSH_BANDS,
+    shingleText,
+    computeMinHashSignature,
+    getLshBuckets,
+    estimateSimilarity
+};
+//# sourceMappingURL=textSimilarity.js.map
\ No newline at end of file
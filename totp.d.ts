@@ -0,0 +1,63 @@
+declare const crypto: any;
+/**
+ * TOTP Utility Functions (RFC 6238)
+ * Time-based one-time passwords compatible with common authenticator apps
+ */
+declare const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+declare const DEFAULT_STEP = 30;
+declare const DEFAULT_DIGITS = 6;
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param buffer - Bytes to encode
+ * @returns Base32 string
+ */
+declare const base32Encode: (buffer: Buffer) => string;
+/**
+ * Decode an RFC 4648 base32 string
+ * @param input - Base32 string (case-insensitive, padding and spaces ignored)
+ * @returns Decoded bytes
+ */
+declare const base32Decode: (input: string) => Buffer;
+/**
+ * Generate a new TOTP secret
+ * @param length - Number of random bytes (default: 20, the RFC 4226 recommendation)
+ * @returns Base32 secret
+ */
+declare const generateTotpSecret: (length?: number) => string;
+/**
+ * Build the otpauth:// URI understood by authenticator apps
+ * @param secret - Base32 secret
+ * @param accountName - Account label (usually the email)
+ * @param issuer - Issuer name shown in the app
+ * @returns otpauth URI
+ */
+declare const buildOtpauthUri: (secret: string, accountName: string, issuer: string) => string;
+/**
+ * Generate the TOTP code for a time step
+ * @param secret - Base32 secret
+ * @param counter - Time step counter
+ * @param digits - Number of digits (default: 6)
+ * @returns Zero-padded code
+ */
+declare const generateTotp: (secret: string, counter: number, digits?: number) => string;
+/**
+ * Get the current time step counter
+ * @param timestamp - Time in milliseconds (default: now)
+ * @returns Time step counter
+ */
+declare const getTimeStep: (timestamp?: number) => number;
+/**
+ * Verify a TOTP code, tolerating clock drift
+ * @param secret - Base32 secret
+ * @param code - Code entered by the user
+ * @param window - Number of steps accepted before/after the current one (default: 1)
+ * @returns Matching time step counter, or null if the code is invalid
+ */
+declare const verifyTotp: (secret: string, code: string, window?: number) => number | null;
+/**
+ * Generate single-use backup codes
+ * @param count - Number of codes (default: 10)
+ * @returns Backup codes formatted as xxxx-xxxx
+ */
+declare const generateBackupCodes: (count?: number) => string[];
+//# sourceMappingURL=totp.d.ts.map
\ No newline at end of file
@@ -0,0 +1,151 @@
+"use strict";
+const crypto = require('crypto');
+/**
+ * TOTP Utility Functions (RFC 6238)
+ * Time-based one-time passwords compatible with common authenticator apps
+ */
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DEFAULT_STEP = 30; // seconds
+const DEFAULT_DIGITS = 6;
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param buffer - Bytes to encode
+ * @returns Base32 string
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+/**
+ * Decode an RFC 4648 base32 string
+ * @param input - Base32 string (case-insensitive, padding and spaces ignored)
+ * @returns Decoded bytes
+ */
+const base32Decode = (input) => {
+    const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const output = [];
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            output.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(output);
+};
+/**
+ * Generate a new TOTP secret
+ * @param length - Number of random bytes (default: 20, the RFC 4226 recommendation)
+ * @returns Base32 secret
+ */
+const generateTotpSecret = (length = 20) => {
+    return base32Encode(crypto.randomBytes(length));
+};
+/**
+ * Build the otpauth:// URI understood by authenticator apps
+ * @param secret - Base32 secret
+ * @param accountName - Account label (usually the email)
+ * @param issuer - Issuer name shown in the app
+ * @returns otpauth URI
+ */
+const buildOtpauthUri = (secret, accountName, issuer) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DEFAULT_DIGITS),
+        period: String(DEFAULT_STEP)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+/**
+ * Generate the TOTP code for a time step
+ * @param secret - Base32 secret
+ * @param counter - Time step counter
+ * @param digits - Number of digits (default: 6)
+ * @returns Zero-padded code
+ */
+const generateTotp = (secret, counter, digits = DEFAULT_DIGITS) => {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+    const digest = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+    const offset = digest[digest.length - 1] & 0x0f;
+    const binary = ((digest[offset] & 0x7f) << 24) |
+        (digest[offset + 1] << 16) |
+        (digest[offset + 2] << 8) |
+        digest[offset + 3];
+    return String(binary % 10 ** digits).padStart(digits, '0');
+};
+/**
+ * Get the current time step counter
+ * @param timestamp - Time in milliseconds (default: now)
+ * @returns Time step counter
+ */
+const getTimeStep = (timestamp = Date.now()) => {
+    return Math.floor(timestamp / 1000 / DEFAULT_STEP);
+};
+/**
+ * Verify a TOTP code, tolerating clock drift
+ * @param secret - Base32 secret
+ * @param code - Code entered by the user
+ * @param window - Number of steps accepted before/after the current one (default: 1)
+ * @returns Matching time step counter, or null if the code is invalid
+ */
+const verifyTotp = (secret, code, window = 1) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) {
+        return null;
+    }
+    const current = getTimeStep();
+    for (let drift = -window; drift <= window; drift++) {
+        const expected = generateTotp(secret, current + drift);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return current + drift;
+        }
+    }
+    return null;
+};
+/**
+ * Generate single-use backup codes
+ * @param count - Number of codes (default: 10)
+ * @returns Backup codes formatted as xxxx-xxxx
+ */
+const generateBackupCodes = (count = 10) => {
+    return Array.from({ length: count }, () => {
+        const raw = crypto.randomBytes(4).toString('hex');
+        return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+    });
+};
+// Export all functions
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateTotpSecret,
+    buildOtpauthUri,
+    generateTotp,
+    getTimeStep,
+    verifyTotp,
+    generateBackupCodes
+};
+//# sourceMappingURL=totp.js.map
\ No newline at end of file
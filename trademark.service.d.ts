@@ -0,0 +1,125 @@
+declare const Op: any;
+declare const IPAsset: any;
+declare const IPAssetTrademark: any;
+declare const IPAssetClassification: any;
+declare const MARK_TYPES: any, parseNiceClass: any, normalizeMark: any, compareMarks: any;
+declare const auditService: any;
+declare const config: any;
+/**
+ * Trademark Service
+ * Stores the metadata of trademark assets, searches marks by Nice class and warns about conflicting marks
+ */
+declare class TrademarkService {
+    private readonly defaultPageSize;
+    private readonly maxPageSize;
+    private readonly filterParams;
+    private readonly hiddenStates;
+    constructor();
+    /**
+     * Store the metadata of a trademark asset with its searchable Nice classes
+     * @param asset - Newly created asset
+     * @param trademark - Metadata normalized by validateTrademarkMetadata, with the metadataHash it was pinned under
+     * @param transaction - Transaction the asset is created in
+     * @returns Trademark record
+     */
+    saveMetadata(asset: any, trademark: any, transaction?: any): Promise<any>;
+    /**
+     * Get the trademark metadata of an asset
+     * @param assetId - Asset ID
+     * @returns Metadata, or null for assets without any
+     */
+    getMetadata(assetId: number): Promise<any>;
+    /**
+     * Get the trademark metadata of several assets
+     * @param assetIds - Asset IDs
+     * @returns Metadata by asset ID
+     */
+    getMetadataByAsset(assetIds: number[]): Promise<Map<number, any>>;
+    /**
+     * Whether a list query filters on trademark metadata
+     * @param query - List query parameters
+     * @returns True when any trademark filter is set
+     */
+    hasFilters(query: Record<string, any>): boolean;
+    /**
+     * Find the assets matching the trademark filters of a list query
+     * A comma-separated niceClass matches marks in any of the classes; mark matches the word element
+     * ignoring case, accents, spacing and punctuation. All given filters must match.
+     * @param query - niceClass, markType, mark
+     * @returns Matching asset IDs
+     */
+    findAssetIds(query: {
+        niceClass?: string;
+        markType?: string;
+        mark?: string;
+    }): Promise<number[]>;
+    /**
+     * Search the marks of all owners by Nice class
+     * With a mark, returns the word marks that resemble it by spelling or sound, most similar first;
+     * without one, every mark in the classes, newest first.
+     * @param query - niceClass (required, comma-separated), mark, markType, minScore, limit
+     * @returns Marks with their asset, classes and, when searching by mark, similarity
+     */
+    searchMarks(query?: {
+        niceClass?: string;
+        mark?: string;
+        markType?: string;
+        minScore?: number | string;
+        limit?: number | string;
+    }): Promise<any>;
+    /**
+     * Warn about earlier marks a new word mark closely resembles in the same Nice class
+     * Conflicts are warnings: the registration goes ahead and the match is audited for review.
+     * @param asset - Newly created trademark asset
+     * @param trademark - Its normalized metadata
+     * @returns Conflicting marks, most similar first (empty if the check fails)
+     */
+    flagConflictingMarks(asset: any, trademark: any): Promise<Array<{
+        assetId: number;
+        title: string;
+        wordElement: string;
+        similarity: number;
+        sharedClasses: number[];
+    }>>;
+    /**
+     * Load the visible marks registered in any of the given Nice classes
+     * @param classNumbers - Nice classes
+     * @param options - markType and an asset ID to leave out
+     * @returns Marks with their asset title, status and the classes they share with the query
+     */
+    private findMarksInClasses;
+    /**
+     * Keep the marks whose word element resembles a mark, most similar first
+     * @param marks - Marks from findMarksInClasses
+     * @param mark - Word mark to compare against
+     * @param minScore - Minimum similarity (0-1)
+     * @returns Marks with a similarity rounded to three decimals
+     */
+    private rankBySimilarity;
+    /**
+     * Find the assets registered in any of the given Nice classes
+     * @param classNumbers - Nice classes
+     * @returns Asset IDs
+     */
+    private findAssetIdsByClass;
+    /**
+     * Parse a comma-separated list of Nice classes
+     * @param value - Classes, e.g. "9,42"
+     * @returns Class numbers
+     */
+    private parseNiceClasses;
+    /**
+     * Format a Nice class the way it is stored as a classification code
+     * @param classNumber - Nice class
+     * @returns Two-digit class, e.g. "09"
+     */
+    private formatNiceClass;
+    /**
+     * Shape a trademark record for API responses
+     * @param record - Trademark record
+     * @returns Metadata
+     */
+    private formatMetadata;
+}
+declare const trademarkService: TrademarkService;
+//# sourceMappingURL=trademark.service.d.ts.map
\ No newline at end of file
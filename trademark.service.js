@@ -0,0 +1,308 @@
+"use strict";
+const { Op } = require('sequelize');
+const { IPAsset } = require('../db/models/ipAsset.model');
+const { IPAssetTrademark } = require('../db/models/ipAssetTrademark.model');
+const { IPAssetClassification } = require('../db/models/ipAssetClassification.model');
+const { MARK_TYPES, parseNiceClass, normalizeMark, compareMarks } = require('../utils/trademarkMetadata');
+const { auditService } = require('./audit.service');
+const config = require('../config');
+/**
+ * Trademark Service
+ * Stores the metadata of trademark assets, searches marks by Nice class and warns about conflicting marks
+ */
+class TrademarkService {
+    constructor() {
+        this.defaultPageSize = 20;
+        this.maxPageSize = 100;
+        // List query parameters handled here, see findAssetIds
+        this.filterParams = ['niceClass', 'markType', 'mark'];
+        // Marks in these states are private or no longer claimed, so they are neither searched nor warned about
+        this.hiddenStates = ['draft', 'abandoned'];
+    }
+    /**
+     * Store the metadata of a trademark asset with its searchable Nice classes
+     * @param asset - Newly created asset
+     * @param trademark - Metadata normalized by validateTrademarkMetadata, with the metadataHash it was pinned under
+     * @param transaction - Transaction the asset is created in
+     * @returns Trademark record
+     */
+    async saveMetadata(asset, trademark, transaction) {
+        const record = await IPAssetTrademark.create({
+            assetId: asset.id,
+            markType: trademark.markType,
+            wordElement: trademark.wordElement,
+            normalizedWordElement: trademark.wordElement ? normalizeMark(trademark.wordElement) : null,
+            markImage: trademark.markImage,
+            classes: trademark.classes,
+            metadataHash: trademark.metadataHash || null
+        }, { transaction });
+        await IPAssetClassification.bulkCreate(trademark.classes.map((niceClass) => ({
+            assetId: asset.id,
+            scheme: 'nice',
+            code: this.formatNiceClass(niceClass.classNumber)
+        })), { transaction });
+        return record;
+    }
+    /**
+     * Get the trademark metadata of an asset
+     * @param assetId - Asset ID
+     * @returns Metadata, or null for assets without any
+     */
+    async getMetadata(assetId) {
+        const record = await IPAssetTrademark.findOne({ where: { assetId } });
+        return record ? this.formatMetadata(record) : null;
+    }
+    /**
+     * Get the trademark metadata of several assets
+     * @param assetIds - Asset IDs
+     * @returns Metadata by asset ID
+     */
+    async getMetadataByAsset(assetIds) {
+        if (assetIds.length === 0) {
+            return new Map();
+        }
+        const records = await IPAssetTrademark.findAll({ where: { assetId: assetIds } });
+        return new Map(records.map((record) => [record.assetId, this.formatMetadata(record)]));
+    }
+    /**
+     * Whether a list query filters on trademark metadata
+     * @param query - List query parameters
+     * @returns True when any trademark filter is set
+     */
+    hasFilters(query) {
+        return this.filterParams.some((param) => query[param] !== undefined && query[param] !== '');
+    }
+    /**
+     * Find the assets matching the trademark filters of a list query
+     * A comma-separated niceClass matches marks in any of the classes; mark matches the word element
+     * ignoring case, accents, spacing and punctuation. All given filters must match.
+     * @param query - niceClass, markType, mark
+     * @returns Matching asset IDs
+     */
+    async findAssetIds(query) {
+        const where = {};
+        if (query.niceClass) {
+            where.assetId = await this.findAssetIdsByClass(this.parseNiceClasses(query.niceClass));
+        }
+        if (query.markType) {
+            const markType = String(query.markType).toLowerCase();
+            if (!MARK_TYPES.includes(markType)) {
+                throw new Error(`markType must be one of: ${MARK_TYPES.join(', ')}`);
+            }
+            where.markType = markType;
+        }
+        if (query.mark) {
+            where.normalizedWordElement = { [Op.like]: `%${normalizeMark(query.mark)}%` };
+        }
+        const records = await IPAssetTrademark.findAll({ where, attributes: ['assetId'] });
+        return records.map((record) => record.assetId);
+    }
+    /**
+     * Search the marks of all owners by Nice class
+     * With a mark, returns the word marks that resemble it by spelling or sound, most similar first;
+     * without one, every mark in the classes, newest first.
+     * @param query - niceClass (required, comma-separated), mark, markType, minScore, limit
+     * @returns Marks with their asset, classes and, when searching by mark, similarity
+     */
+    async searchMarks(query = {}) {
+        try {
+            if (!query.niceClass) {
+                throw new Error('niceClass is required');
+            }
+            const classNumbers = this.parseNiceClasses(query.niceClass);
+            const limit = Math.min(Math.max(Number(query.limit) || this.defaultPageSize, 1), this.maxPageSize);
+            const marks = await this.findMarksInClasses(classNumbers, {
+                markType: query.markType ? String(query.markType).toLowerCase() : undefined
+            });
+            if (!query.mark) {
+                return {
+                    success: true,
+                    marks: marks.sort((a, b) => b.assetId - a.assetId).slice(0, limit)
+                };
+            }
+            const minScore = query.minScore !== undefined ? Number(query.minScore) : config.trademarkConflictThreshold;
+            if (!Number.isFinite(minScore) || minScore < 0 || minScore > 1) {
+                throw new Error('minScore must be between 0 and 1');
+            }
+            return {
+                success: true,
+                marks: this.rankBySimilarity(marks, query.mark, minScore).slice(0, limit)
+            };
+        }
+        catch (error) {
+            console.error('❌ Error searching trademarks:', error);
+            throw new Error(`Failed to search trademarks: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Warn about earlier marks a new word mark closely resembles in the same Nice class
+     * Conflicts are warnings: the registration goes ahead and the match is audited for review.
+     * @param asset - Newly created trademark asset
+     * @param trademark - Its normalized metadata
+     * @returns Conflicting marks, most similar first (empty if the check fails)
+     */
+    async flagConflictingMarks(asset, trademark) {
+        try {
+            if (trademark.markType !== 'word' || !trademark.wordElement) {
+                return [];
+            }
+            const marks = await this.findMarksInClasses(trademark.classes.map((niceClass) => niceClass.classNumber), {
+                excludeAssetId: asset.id
+            });
+            const conflicts = this.rankBySimilarity(marks, trademark.wordElement, config.trademarkConflictThreshold);
+            if (conflicts.length === 0) {
+                return [];
+            }
+            await auditService.record({
+                action: 'ip_asset.trademark_conflict',
+                entityType: 'ip_asset',
+                entityId: asset.id,
+                organizationId: asset.ownerType === 'organization' ? asset.owner : null,
+                metadata: {
+                    wordElement: trademark.wordElement,
+                    conflicts: conflicts.map((conflict) => ({
+                        assetId: conflict.assetId,
+                        similarity: conflict.similarity,
+                        sharedClasses: conflict.sharedClasses
+                    }))
+                }
+            });
+            console.warn(`🚩 Trademark "${trademark.wordElement}" (asset ${asset.id}) resembles: ${conflicts.map((conflict) => `"${conflict.wordElement}" (asset ${conflict.assetId}, ${conflict.similarity.toFixed(2)})`).join(', ')}`);
+            return conflicts.map((conflict) => ({
+                assetId: conflict.assetId,
+                title: conflict.title,
+                wordElement: conflict.wordElement,
+                similarity: conflict.similarity,
+                sharedClasses: conflict.sharedClasses
+            }));
+        }
+        catch (error) {
+            console.error('❌ Error checking trademark conflicts:', error);
+            return [];
+        }
+    }
+    /**
+     * Load the visible marks registered in any of the given Nice classes
+     * @param classNumbers - Nice classes
+     * @param options - markType and an asset ID to leave out
+     * @returns Marks with their asset title, status and the classes they share with the query
+     */
+    async findMarksInClasses(classNumbers, options = {}) {
+        const codes = classNumbers.map((classNumber) => this.formatNiceClass(classNumber));
+        const classifications = await IPAssetClassification.findAll({
+            where: { scheme: 'nice', code: codes },
+            attributes: ['assetId', 'code']
+        });
+        const sharedClasses = new Map();
+        for (const classification of classifications) {
+            if (classification.assetId === options.excludeAssetId) {
+                continue;
+            }
+            const shared = sharedClasses.get(classification.assetId) || [];
+            shared.push(Number(classification.code));
+            sharedClasses.set(classification.assetId, shared);
+        }
+        if (sharedClasses.size === 0) {
+            return [];
+        }
+        const assetIds = [...sharedClasses.keys()];
+        const trademarkWhere = { assetId: assetIds };
+        if (options.markType) {
+            if (!MARK_TYPES.includes(options.markType)) {
+                throw new Error(`markType must be one of: ${MARK_TYPES.join(', ')}`);
+            }
+            trademarkWhere.markType = options.markType;
+        }
+        const [records, assets] = await Promise.all([
+            IPAssetTrademark.findAll({ where: trademarkWhere }),
+            IPAsset.findAll({
+                where: { id: assetIds, status: { [Op.notIn]: this.hiddenStates } },
+                attributes: ['id', 'title', 'status', 'owner', 'ownerType']
+            })
+        ]);
+        const assetsById = new Map(assets.map((asset) => [asset.id, asset]));
+        return records.filter((record) => assetsById.has(record.assetId)).map((record) => {
+            const asset = assetsById.get(record.assetId);
+            return {
+                assetId: record.assetId,
+                title: asset.title,
+                status: asset.status,
+                ownerType: asset.ownerType,
+                owner: asset.owner,
+                markType: record.markType,
+                wordElement: record.wordElement,
+                markImage: record.markImage,
+                classes: record.classes,
+                sharedClasses: sharedClasses.get(record.assetId).sort((a, b) => a - b)
+            };
+        });
+    }
+    /**
+     * Keep the marks whose word element resembles a mark, most similar first
+     * @param marks - Marks from findMarksInClasses
+     * @param mark - Word mark to compare against
+     * @param minScore - Minimum similarity (0-1)
+     * @returns Marks with a similarity rounded to three decimals
+     */
+    rankBySimilarity(marks, mark, minScore) {
+        return marks
+            .filter((candidate) => candidate.wordElement)
+            .map((candidate) => ({ ...candidate, similarity: Math.round(compareMarks(mark, candidate.wordElement) * 1000) / 1000 }))
+            .filter((candidate) => candidate.similarity >= minScore)
+            .sort((a, b) => b.similarity - a.similarity || a.assetId - b.assetId);
+    }
+    /**
+     * Find the assets registered in any of the given Nice classes
+     * @param classNumbers - Nice classes
+     * @returns Asset IDs
+     */
+    async findAssetIdsByClass(classNumbers) {
+        const classifications = await IPAssetClassification.findAll({
+            where: { scheme: 'nice', code: classNumbers.map((classNumber) => this.formatNiceClass(classNumber)) },
+            attributes: ['assetId']
+        });
+        return [...new Set(classifications.map((classification) => classification.assetId))];
+    }
+    /**
+     * Parse a comma-separated list of Nice classes
+     * @param value - Classes, e.g. "9,42"
+     * @returns Class numbers
+     */
+    parseNiceClasses(value) {
+        const classNumbers = String(value).split(',').map((item) => item.trim()).filter(Boolean).map(parseNiceClass);
+        if (classNumbers.length === 0 || classNumbers.includes(null)) {
+            throw new Error('niceClass must be Nice classes between 1 and 45');
+        }
+        return [...new Set(classNumbers)];
+    }
+    /**
+     * Format a Nice class the way it is stored as a classification code
+     * @param classNumber - Nice class
+     * @returns Two-digit class, e.g. "09"
+     */
+    formatNiceClass(classNumber) {
+        return String(classNumber).padStart(2, '0');
+    }
+    /**
+     * Shape a trademark record for API responses
+     * @param record - Trademark record
+     * @returns Metadata
+     */
+    formatMetadata(record) {
+        return {
+            markType: record.markType,
+            wordElement: record.wordElement,
+            markImage: record.markImage,
+            classes: record.classes,
+            metadataHash: record.metadataHash
+        };
+    }
+}
+// Create singleton instance
+const trademarkService = new TrademarkService();
+// Export the service instance and class
+module.exports = {
+    trademarkService,
+    TrademarkService
+};
+//# sourceMappingURL=trademark.service.js.map
\ No newline at end of file
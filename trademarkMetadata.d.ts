@@ -0,0 +1,61 @@
+/**
+ * Trademark Metadata Utility Functions
+ * Validation of trademark metadata (mark type, Nice classes, goods and services, first-use dates)
+ * and comparison of word marks
+ */
+type MarkType = 'word' | 'figurative';
+type TrademarkClass = {
+    classNumber: number;
+    goodsServices: string;
+    firstUseDate: string | null;
+    firstUseInCommerceDate: string | null;
+};
+type TrademarkMetadata = {
+    markType: MarkType;
+    wordElement: string | null;
+    markImage: string | null;
+    classes: TrademarkClass[];
+};
+declare const MARK_TYPES: MarkType[];
+declare const NICE_CLASS_COUNT = 45;
+/**
+ * Whether a Nice class covers services rather than goods
+ * @param classNumber - Nice class (1-45)
+ * @returns True for service classes
+ */
+declare const isServiceClass: (classNumber: number) => boolean;
+/**
+ * Parse a Nice class number
+ * @param value - Class as a number or string (e.g. 9 or "09")
+ * @returns Class number, or null if it is not between 1 and 45
+ */
+declare const parseNiceClass: (value: number | string) => number | null;
+/**
+ * Validate the structured metadata of a trademark asset
+ * Word marks are protected as text and need a wordElement; figurative marks are protected as an image
+ * and need a markImage (an IPFS CID), unless the mark image is the file being uploaded.
+ * @param input - markType, wordElement, markImage and classes, as an object or a JSON string
+ * @param options - imageUploaded when the uploaded file will serve as the mark image
+ * @returns Errors, and the normalized metadata when there are none
+ */
+declare const validateTrademarkMetadata: (input: any, options?: {
+    imageUploaded?: boolean;
+}) => {
+    errors: string[];
+    trademark: TrademarkMetadata | null;
+};
+/**
+ * Reduce a word mark to the form marks are compared in
+ * Case, accents, spacing and punctuation do not distinguish marks.
+ * @param mark - Word element of a mark
+ * @returns Lower-case letters and digits
+ */
+declare const normalizeMark: (mark: string) => string;
+/**
+ * Compare two word marks by spelling and by sound
+ * @param a - Word element of a mark
+ * @param b - Word element of another mark
+ * @returns Similarity between 0 and 1
+ */
+declare const compareMarks: (a: string, b: string) => number;
+//# sourceMappingURL=trademarkMetadata.d.ts.map
\ No newline at end of file
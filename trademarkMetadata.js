@@ -0,0 +1,220 @@
+"use strict";
+const { parseStructuredField } = require('./patentMetadata');
+/**
+ * Trademark Metadata Utility Functions
+ * Validation of trademark metadata (mark type, Nice classes, goods and services, first-use dates)
+ * and comparison of word marks
+ */
+const MARK_TYPES = ['word', 'figurative'];
+// Nice Classification: classes 1-34 are goods, 35-45 services
+const NICE_CLASS_COUNT = 45;
+const FIRST_SERVICE_CLASS = 35;
+const MAX_GOODS_SERVICES_LENGTH = 2000;
+// CIDv0 ("Qm...") or base32 CIDv1 ("b...")
+const IPFS_CID_PATTERN = /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{58,})$/;
+/**
+ * Whether a Nice class covers services rather than goods
+ * @param classNumber - Nice class (1-45)
+ * @returns True for service classes
+ */
+const isServiceClass = (classNumber) => {
+    return classNumber >= FIRST_SERVICE_CLASS;
+};
+/**
+ * Parse a Nice class number
+ * @param value - Class as a number or string (e.g. 9 or "09")
+ * @returns Class number, or null if it is not between 1 and 45
+ */
+const parseNiceClass = (value) => {
+    const classNumber = Number(value);
+    return Number.isInteger(classNumber) && classNumber >= 1 && classNumber <= NICE_CLASS_COUNT ? classNumber : null;
+};
+/**
+ * Validate an optional first-use date
+ * @param value - Date as YYYY-MM-DD
+ * @param label - Field label for error messages
+ * @param errors - Error list to append to
+ * @returns The date, or null when omitted
+ */
+const validateFirstUseDate = (value, label, errors) => {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(date.getTime())
+        || date.toISOString().slice(0, 10) !== value) {
+        errors.push(`${label} must be a date in YYYY-MM-DD format`);
+        return null;
+    }
+    if (date.getTime() > Date.now()) {
+        errors.push(`${label} cannot be in the future`);
+    }
+    return value;
+};
+/**
+ * Validate the Nice classes of a trademark
+ * @param classes - Classes with classNumber, goodsServices, firstUseDate and firstUseInCommerceDate
+ * @param errors - Error list to append to
+ * @returns Normalized classes in class order
+ */
+const validateClasses = (classes, errors) => {
+    if (!Array.isArray(classes) || classes.length === 0) {
+        errors.push('Trademark classes must be a non-empty array');
+        return [];
+    }
+    if (classes.length > NICE_CLASS_COUNT) {
+        errors.push(`Trademark classes cannot have more than ${NICE_CLASS_COUNT} entries`);
+        return [];
+    }
+    const seen = new Set();
+    return classes.map((entry, index) => {
+        const item = entry || {};
+        const classNumber = parseNiceClass(item.classNumber);
+        const label = classNumber ? `Trademark class ${classNumber}` : `Trademark classes[${index}]`;
+        if (!classNumber) {
+            errors.push(`${label} needs a Nice classNumber between 1 and ${NICE_CLASS_COUNT}`);
+        }
+        else if (seen.has(classNumber)) {
+            errors.push(`${label} is listed more than once`);
+        }
+        seen.add(classNumber);
+        const goodsServices = typeof item.goodsServices === 'string' ? item.goodsServices.trim().replace(/\s+/g, ' ') : '';
+        if (goodsServices.length < 3 || goodsServices.length > MAX_GOODS_SERVICES_LENGTH) {
+            errors.push(`${label} needs a goodsServices description between 3 and ${MAX_GOODS_SERVICES_LENGTH} characters`);
+        }
+        const firstUseDate = validateFirstUseDate(item.firstUseDate, `${label} firstUseDate`, errors);
+        const firstUseInCommerceDate = validateFirstUseDate(item.firstUseInCommerceDate, `${label} firstUseInCommerceDate`, errors);
+        if (firstUseDate && firstUseInCommerceDate && firstUseInCommerceDate < firstUseDate) {
+            errors.push(`${label} firstUseInCommerceDate cannot be before firstUseDate`);
+        }
+        return { classNumber, goodsServices, firstUseDate, firstUseInCommerceDate };
+    }).sort((a, b) => a.classNumber - b.classNumber);
+};
+/**
+ * Validate the structured metadata of a trademark asset
+ * Word marks are protected as text and need a wordElement; figurative marks are protected as an image
+ * and need a markImage (an IPFS CID), unless the mark image is the file being uploaded.
+ * @param input - markType, wordElement, markImage and classes, as an object or a JSON string
+ * @param options - imageUploaded when the uploaded file will serve as the mark image
+ * @returns Errors, and the normalized metadata when there are none
+ */
+const validateTrademarkMetadata = (input, options = {}) => {
+    const trademark = parseStructuredField(input);
+    if (!trademark || typeof trademark !== 'object' || Array.isArray(trademark)) {
+        return { errors: ['Trademark metadata is required and must be an object'], trademark: null };
+    }
+    const errors = [];
+    const markType = typeof trademark.markType === 'string' ? trademark.markType.toLowerCase() : trademark.markType;
+    if (!MARK_TYPES.includes(markType)) {
+        errors.push(`Trademark markType must be one of: ${MARK_TYPES.join(', ')}`);
+    }
+    let wordElement = null;
+    if (trademark.wordElement !== undefined && trademark.wordElement !== null && trademark.wordElement !== '') {
+        wordElement = typeof trademark.wordElement === 'string' ? trademark.wordElement.trim().replace(/\s+/g, ' ') : '';
+        if (wordElement.length < 1 || wordElement.length > 255) {
+            errors.push('Trademark wordElement must be between 1 and 255 characters');
+        }
+    }
+    else if (markType === 'word') {
+        errors.push('Trademark wordElement is required for word marks');
+    }
+    let markImage = null;
+    if (trademark.markImage !== undefined && trademark.markImage !== null && trademark.markImage !== '') {
+        markImage = trademark.markImage;
+        if (typeof markImage !== 'string' || !IPFS_CID_PATTERN.test(markImage)) {
+            errors.push('Trademark markImage must be the IPFS CID of the mark image');
+        }
+    }
+    else if (markType === 'figurative' && !options.imageUploaded) {
+        errors.push('Trademark markImage is required for figurative marks (or upload the mark image as the file)');
+    }
+    const classes = validateClasses(trademark.classes, errors);
+    if (errors.length > 0) {
+        return { errors, trademark: null };
+    }
+    return { errors, trademark: { markType, wordElement, markImage, classes } };
+};
+/**
+ * Reduce a word mark to the form marks are compared in
+ * Case, accents, spacing and punctuation do not distinguish marks.
+ * @param mark - Word element of a mark
+ * @returns Lower-case letters and digits
+ */
+const normalizeMark = (mark) => {
+    return String(mark ?? '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, 'and')
+        .replace(/[^a-z0-9]/g, '');
+};
+/**
+ * Reduce a normalized mark to a rough phonetic key
+ * Spellings that sound alike ("Kwik", "Quick") get the same key.
+ * @param mark - Mark from normalizeMark
+ * @returns Phonetic key
+ */
+const phoneticKey = (mark) => {
+    const key = mark
+        .replace(/ph/g, 'f')
+        .replace(/(ck|qu|q|c(?=[aou])|c$)/g, 'k')
+        .replace(/c/g, 's')
+        .replace(/z/g, 's')
+        .replace(/x/g, 'ks')
+        .replace(/kw/g, 'k')
+        .replace(/y/g, 'i')
+        .replace(/(.)\1+/g, '$1');
+    // Vowels after the first letter carry little weight in how a mark is heard
+    return key.charAt(0) + key.slice(1).replace(/[aeiou]/g, '');
+};
+/**
+ * Levenshtein similarity of two strings
+ * @param a - First string
+ * @param b - Second string
+ * @returns 1 minus the edit distance over the longer length
+ */
+const editSimilarity = (a, b) => {
+    if (a === b) {
+        return 1;
+    }
+    if (!a || !b) {
+        return 0;
+    }
+    let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return 1 - previous[b.length] / Math.max(a.length, b.length);
+};
+/**
+ * Compare two word marks by spelling and by sound
+ * @param a - Word element of a mark
+ * @param b - Word element of another mark
+ * @returns Similarity between 0 and 1
+ */
+const compareMarks = (a, b) => {
+    const first = normalizeMark(a);
+    const second = normalizeMark(b);
+    if (!first || !second) {
+        return 0;
+    }
+    const spelling = editSimilarity(first, second);
+    // Sound-alike marks rank just below identical ones
+    const sound = editSimilarity(phoneticKey(first), phoneticKey(second)) * 0.95;
+    return Math.max(spelling, sound);
+};
+// Export all functions
+module.exports = {
+    MARK_TYPES,
+    NICE_CLASS_COUNT,
+    isServiceClass,
+    parseNiceClass,
+    validateTrademarkMetadata,
+    normalizeMark,
+    compareMarks
+};
+//# sourceMappingURL=trademarkMetadata.js.map
\ No newline at end of file
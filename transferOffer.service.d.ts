@@ -0,0 +1,151 @@
+declare const Op: any;
+declare const IPAsset: any;
+declare const IPAssetTransferOffer: any;
+declare const User: any;
+declare const UserWallet: any;
+declare const OrganizationMember: any;
+declare const assertOperationAllowed: any, AssetStateError: any;
+declare const ipAssetService: any;
+declare const organizationService: any;
+declare const authService: any;
+declare const walletService: any;
+declare const mailerService: any;
+declare const auditService: any;
+declare const config: any;
+/**
+ * Error raised when a transfer offer cannot be made, accepted or rejected
+ */
+declare class TransferOfferError extends Error {
+    readonly statusCode: number;
+    constructor(message: string, statusCode?: number);
+}
+/**
+ * Transfer Offer Service
+ * Two-phase transfers: the owner offers an asset to a wallet and ownership only changes,
+ * on-chain and in the database, once the holder of that wallet accepts
+ */
+declare class TransferOfferService {
+    private readonly maxListSize;
+    constructor();
+    /**
+     * Offer an asset to a wallet
+     * The wallet may belong to a registered user or organization, or be unlinked; the holder of an
+     * unlinked wallet accepts by signing with it.
+     * @param asset - IP asset (the caller has checked the proposer may transfer it)
+     * @param toAddress - Receiving wallet address
+     * @param proposedBy - User making the offer
+     * @param options - fromAddress (wallet the asset is sent from) and an optional note
+     * @returns Created offer
+     */
+    createOffer(asset: any, toAddress: string, proposedBy: number, options?: {
+        fromAddress?: string | null;
+        note?: string | null;
+    }): Promise<any>;
+    /**
+     * Accept a transfer offer and move the asset to the recipient
+     * @param user - Request user (the recipient)
+     * @param offerId - Offer ID
+     * @param proof - SIWE message and signature (purpose "transfer") from the receiving wallet,
+     * required when the wallet is not linked to an account yet; it is then linked to the user
+     * @returns Accepted offer, transferred asset, blockchain result and the proposer (for receipts)
+     */
+    acceptOffer(user: any, offerId: number, proof?: {
+        message?: string;
+        signature?: string;
+    }): Promise<{
+        offer: any;
+        asset: any;
+        blockchainResult: any;
+        recipient: any;
+        fromAddress: string;
+        proposer: any;
+    }>;
+    /**
+     * Reject a transfer offer
+     * @param user - Request user (the recipient)
+     * @param offerId - Offer ID
+     * @param proof - SIWE message and signature from the receiving wallet when it is not linked to an account
+     * @returns Rejected offer
+     */
+    rejectOffer(user: any, offerId: number, proof?: {
+        message?: string;
+        signature?: string;
+    }): Promise<any>;
+    /**
+     * Withdraw a pending transfer offer
+     * @param offer - Pending offer (the caller has checked the user may act for the asset's owners)
+     * @param actorId - User withdrawing the offer
+     * @returns Cancelled offer
+     */
+    cancelOffer(offer: any, actorId: number): Promise<any>;
+    /**
+     * Get a transfer offer
+     * @param offerId - Offer ID
+     * @returns Offer record
+     */
+    getOffer(offerId: number): Promise<any>;
+    /**
+     * List the transfer offers of an asset, newest first
+     * @param assetId - Asset ID
+     * @returns Offers
+     */
+    listAssetOffers(assetId: number): Promise<any>;
+    /**
+     * List offers made to a user's wallets or to organizations the user belongs to, newest first
+     * @param userId - User ID
+     * @param status - Optional status filter
+     * @returns Offers with the title of each asset
+     */
+    listIncomingOffers(userId: number, status?: string): Promise<any>;
+    /**
+     * Get a pending transfer offer
+     * @param offerId - Offer ID
+     * @returns Offer record
+     */
+    private getPendingOffer;
+    /**
+     * Whether a user proposed an offer or answers for its receiving wallet
+     * The recipient follows the same wallet link as assertRecipient; an unlinked receiving wallet has no
+     * account to match, so its holder sees the offer only once they sign for it.
+     * @param user - Request user
+     * @param offer - Offer
+     * @returns True for the proposer and the recipient
+     */
+    isParty(user: any, offer: any): Promise<boolean>;
+    /**
+     * Throw unless a user may answer an offer for its receiving wallet
+     * Who that is follows the wallet's current link: the linked user, an organization member allowed
+     * to transfer assets, or, for an unlinked wallet, whoever signs with it.
+     * @param user - Request user
+     * @param offer - Pending offer
+     * @param proof - SIWE message and signature (purpose "transfer") from the receiving wallet
+     * @param linkWallet - Link an unlinked receiving wallet to the user once the signature checks out
+     */
+    private assertRecipient;
+    /**
+     * Move a pending offer to a final status
+     * @param offer - Pending offer
+     * @param status - rejected or cancelled
+     * @param actorId - User resolving the offer
+     */
+    private resolveOffer;
+    /**
+     * Mark pending offers past their expiry as expired
+     * @param where - Extra conditions limiting which offers are checked
+     */
+    private expireStaleOffers;
+    /**
+     * Email a registered recipient about a new offer (best effort)
+     * @param offer - Created offer
+     * @param asset - Offered asset
+     */
+    private notifyRecipient;
+    /**
+     * Format an offer for API responses
+     * @param offer - Offer record
+     * @returns Offer summary
+     */
+    formatOffer(offer: any): any;
+}
+declare const transferOfferService: TransferOfferService;
+//# sourceMappingURL=transferOffer.service.d.ts.map
\ No newline at end of file
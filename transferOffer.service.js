@@ -0,0 +1,470 @@
+"use strict";
+const { Op } = require('sequelize');
+const { IPAsset } = require('../db/models/ipAsset.model');
+const { IPAssetTransferOffer } = require('../db/models/ipAssetTransferOffer.model');
+const { User } = require('../db/models/user.model');
+const { UserWallet } = require('../db/models/userWallet.model');
+const { OrganizationMember } = require('../db/models/organizationMember.model');
+const { assertOperationAllowed, AssetStateError } = require('../utils/assetLifecycle');
+const { ipAssetService } = require('./ipAsset.service');
+const { organizationService } = require('./organization.service');
+const { authService } = require('./auth.service');
+const { walletService } = require('./wallet.service');
+const { mailerService } = require('./mailer.service');
+const { auditService } = require('./audit.service');
+const config = require('../config');
+/**
+ * Error raised when a transfer offer cannot be made, accepted or rejected
+ */
+class TransferOfferError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'TransferOfferError';
+        this.statusCode = statusCode;
+    }
+}
+/**
+ * Transfer Offer Service
+ * Two-phase transfers: the owner offers an asset to a wallet and ownership only changes,
+ * on-chain and in the database, once the holder of that wallet accepts
+ */
+class TransferOfferService {
+    constructor() {
+        this.maxListSize = 100;
+    }
+    /**
+     * Offer an asset to a wallet
+     * The wallet may belong to a registered user or organization, or be unlinked; the holder of an
+     * unlinked wallet accepts by signing with it.
+     * @param asset - IP asset (the caller has checked the proposer may transfer it)
+     * @param toAddress - Receiving wallet address
+     * @param proposedBy - User making the offer
+     * @param options - fromAddress (wallet the asset is sent from) and an optional note
+     * @returns Created offer
+     */
+    async createOffer(asset, toAddress, proposedBy, options = {}) {
+        try {
+            assertOperationAllowed(asset, 'transfer');
+            let address;
+            try {
+                address = authService.normalizeWalletAddress(toAddress);
+            }
+            catch (error) {
+                throw new TransferOfferError('A valid recipient wallet address is required');
+            }
+            await this.expireStaleOffers({ assetId: asset.id });
+            // One open offer at a time, so two recipients can never both accept
+            const pending = await IPAssetTransferOffer.findOne({ where: { assetId: asset.id, status: 'pending' } });
+            if (pending) {
+                throw new TransferOfferError(`Transfer offer ${pending.id} is still pending for this IP asset`, 409);
+            }
+            const recipient = await organizationService.findWalletOwner(address);
+            if (recipient && recipient.ownerType === asset.ownerType && recipient.owner === asset.owner) {
+                throw new TransferOfferError('The recipient already owns this IP asset');
+            }
+            const offer = await IPAssetTransferOffer.create({
+                assetId: asset.id,
+                fromOwner: asset.owner,
+                fromOwnerType: asset.ownerType,
+                fromAddress: options.fromAddress || null,
+                toAddress: recipient ? recipient.address : address,
+                recipientType: recipient ? recipient.ownerType : 'wallet',
+                recipientId: recipient ? recipient.owner : null,
+                note: options.note ? String(options.note).slice(0, 500) : null,
+                proposedBy,
+                expiresAt: new Date(Date.now() + config.transferOfferTtl)
+            });
+            await auditService.record({
+                actorId: proposedBy,
+                action: 'ip_asset.transfer_offered',
+                entityType: 'ip_asset',
+                entityId: asset.id,
+                organizationId: asset.ownerType === 'organization' ? asset.owner : null,
+                metadata: { offerId: offer.id, toAddress: offer.toAddress, recipientType: offer.recipientType }
+            });
+            console.log(`📨 Transfer offer ${offer.id} for IP asset ${asset.id} sent to ${offer.toAddress}`);
+            await this.notifyRecipient(offer, asset);
+            return this.formatOffer(offer);
+        }
+        catch (error) {
+            console.error('❌ Error creating transfer offer:', error);
+            if (error instanceof TransferOfferError || error instanceof AssetStateError) {
+                throw error;
+            }
+            throw new Error(`Failed to create transfer offer: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Accept a transfer offer and move the asset to the recipient
+     * @param user - Request user (the recipient)
+     * @param offerId - Offer ID
+     * @param proof - SIWE message and signature (purpose "transfer") from the receiving wallet,
+     * required when the wallet is not linked to an account yet; it is then linked to the user
+     * @returns Accepted offer, transferred asset, blockchain result and the proposer (for receipts)
+     */
+    async acceptOffer(user, offerId, proof = {}) {
+        try {
+            const offer = await this.getPendingOffer(offerId);
+            await this.assertRecipient(user, offer, proof, true);
+            const asset = await IPAsset.findByPk(offer.assetId);
+            // The offer only covers the ownership it was made under
+            if (!asset || asset.owner !== offer.fromOwner || asset.ownerType !== offer.fromOwnerType) {
+                await offer.update({ status: 'cancelled', respondedAt: new Date(), error: 'Ownership changed after the offer was made' });
+                throw new TransferOfferError('The IP asset changed hands after this offer was made', 409);
+            }
+            assertOperationAllowed(asset, 'transfer');
+            // Claim the offer so a concurrent accept or cancel cannot also go through
+            const [claimed] = await IPAssetTransferOffer.update({ status: 'accepted', respondedBy: user.id, respondedAt: new Date() }, {
+                where: { id: offer.id, status: 'pending' }
+            });
+            if (claimed !== 1) {
+                throw new TransferOfferError('Transfer offer was resolved concurrently', 409);
+            }
+            let result;
+            try {
+                result = await ipAssetService.transferAsset(asset, offer.toAddress, user.id, offer.fromAddress || undefined);
+            }
+            catch (error) {
+                const errorMsg = error instanceof Error ? error.message : String(error);
+                await IPAssetTransferOffer.update({ status: 'failed', error: errorMsg.slice(0, 500) }, { where: { id: offer.id } });
+                throw error;
+            }
+            await offer.reload();
+            await offer.update({ transactionHash: result.blockchainResult.transactionHash });
+            await auditService.record({
+                actorId: user.id,
+                action: 'ip_asset.transfer_accepted',
+                entityType: 'ip_asset',
+                entityId: asset.id,
+                metadata: {
+                    offerId: offer.id,
+                    previousOwner: result.previousOwner,
+                    toAddress: offer.toAddress,
+                    transactionHash: offer.transactionHash
+                }
+            });
+            console.log(`✅ Transfer offer ${offer.id} accepted; IP asset ${asset.id} now owned by ${result.recipient.ownerType} ${result.recipient.owner}`);
+            return {
+                offer: this.formatOffer(offer),
+                asset,
+                blockchainResult: result.blockchainResult,
+                recipient: result.recipient,
+                fromAddress: result.fromAddress,
+                proposer: await User.findByPk(offer.proposedBy)
+            };
+        }
+        catch (error) {
+            console.error('❌ Error accepting transfer offer:', error);
+            if (error instanceof TransferOfferError || error instanceof AssetStateError) {
+                throw error;
+            }
+            throw new Error(`Failed to accept transfer offer: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Reject a transfer offer
+     * @param user - Request user (the recipient)
+     * @param offerId - Offer ID
+     * @param proof - SIWE message and signature from the receiving wallet when it is not linked to an account
+     * @returns Rejected offer
+     */
+    async rejectOffer(user, offerId, proof = {}) {
+        try {
+            const offer = await this.getPendingOffer(offerId);
+            await this.assertRecipient(user, offer, proof, false);
+            await this.resolveOffer(offer, 'rejected', user.id);
+            await auditService.record({
+                actorId: user.id,
+                action: 'ip_asset.transfer_rejected',
+                entityType: 'ip_asset',
+                entityId: offer.assetId,
+                metadata: { offerId: offer.id, toAddress: offer.toAddress }
+            });
+            return this.formatOffer(offer);
+        }
+        catch (error) {
+            console.error('❌ Error rejecting transfer offer:', error);
+            if (error instanceof TransferOfferError) {
+                throw error;
+            }
+            throw new Error(`Failed to reject transfer offer: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Withdraw a pending transfer offer
+     * @param offer - Pending offer (the caller has checked the user may act for the asset's owners)
+     * @param actorId - User withdrawing the offer
+     * @returns Cancelled offer
+     */
+    async cancelOffer(offer, actorId) {
+        try {
+            if (offer.status !== 'pending') {
+                throw new TransferOfferError(`Transfer offer is ${offer.status}`, 409);
+            }
+            await this.resolveOffer(offer, 'cancelled', actorId);
+            await auditService.record({
+                actorId,
+                action: 'ip_asset.transfer_offer_cancelled',
+                entityType: 'ip_asset',
+                entityId: offer.assetId,
+                metadata: { offerId: offer.id, toAddress: offer.toAddress }
+            });
+            return this.formatOffer(offer);
+        }
+        catch (error) {
+            console.error('❌ Error cancelling transfer offer:', error);
+            if (error instanceof TransferOfferError) {
+                throw error;
+            }
+            throw new Error(`Failed to cancel transfer offer: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Get a transfer offer
+     * @param offerId - Offer ID
+     * @returns Offer record
+     */
+    async getOffer(offerId) {
+        await this.expireStaleOffers({ id: offerId });
+        const offer = await IPAssetTransferOffer.findByPk(offerId);
+        if (!offer) {
+            throw new TransferOfferError('Transfer offer not found', 404);
+        }
+        return offer;
+    }
+    /**
+     * List the transfer offers of an asset, newest first
+     * @param assetId - Asset ID
+     * @returns Offers
+     */
+    async listAssetOffers(assetId) {
+        try {
+            await this.expireStaleOffers({ assetId });
+            const offers = await IPAssetTransferOffer.findAll({
+                where: { assetId },
+                order: [['createdAt', 'DESC'], ['id', 'DESC']],
+                limit: this.maxListSize
+            });
+            return { success: true, offers: offers.map((offer) => this.formatOffer(offer)) };
+        }
+        catch (error) {
+            console.error('❌ Error listing transfer offers:', error);
+            throw new Error(`Failed to list transfer offers: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * List offers made to a user's wallets or to organizations the user belongs to, newest first
+     * @param userId - User ID
+     * @param status - Optional status filter
+     * @returns Offers with the title of each asset
+     */
+    async listIncomingOffers(userId, status) {
+        try {
+            const [wallets, memberships] = await Promise.all([
+                UserWallet.findAll({ where: { userId }, attributes: ['address'] }),
+                OrganizationMember.findAll({ where: { userId }, attributes: ['organizationId'] })
+            ]);
+            const where = {
+                [Op.or]: [
+                    { toAddress: wallets.map((wallet) => wallet.address) },
+                    { recipientType: 'organization', recipientId: memberships.map((membership) => membership.organizationId) }
+                ]
+            };
+            await this.expireStaleOffers(where);
+            if (status) {
+                where.status = status;
+            }
+            const offers = await IPAssetTransferOffer.findAll({
+                where,
+                order: [['createdAt', 'DESC'], ['id', 'DESC']],
+                limit: this.maxListSize
+            });
+            const assets = await IPAsset.findAll({
+                where: { id: [...new Set(offers.map((offer) => offer.assetId))] },
+                attributes: ['id', 'title', 'ipType']
+            });
+            const assetsById = new Map(assets.map((asset) => [asset.id, asset]));
+            return {
+                success: true,
+                offers: offers.map((offer) => ({
+                    ...this.formatOffer(offer),
+                    asset: assetsById.has(offer.assetId)
+                        ? { id: offer.assetId, title: assetsById.get(offer.assetId).title, ipType: assetsById.get(offer.assetId).ipType }
+                        : null
+                }))
+            };
+        }
+        catch (error) {
+            console.error('❌ Error listing incoming transfer offers:', error);
+            throw new Error(`Failed to list incoming transfer offers: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Get a pending transfer offer
+     * @param offerId - Offer ID
+     * @returns Offer record
+     */
+    async getPendingOffer(offerId) {
+        const offer = await this.getOffer(offerId);
+        if (offer.status !== 'pending') {
+            throw new TransferOfferError(`Transfer offer is ${offer.status}`, 409);
+        }
+        return offer;
+    }
+    /**
+     * Whether a user proposed an offer or answers for its receiving wallet
+     * The recipient follows the same wallet link as assertRecipient; an unlinked receiving wallet has no
+     * account to match, so its holder sees the offer only once they sign for it.
+     * @param user - Request user
+     * @param offer - Offer
+     * @returns True for the proposer and the recipient
+     */
+    async isParty(user, offer) {
+        if (!user?.id) {
+            return false;
+        }
+        if (offer.proposedBy === user.id) {
+            return true;
+        }
+        const holder = await organizationService.findWalletOwner(offer.toAddress);
+        if (!holder) {
+            return false;
+        }
+        if (holder.ownerType === 'user') {
+            return holder.owner === user.id;
+        }
+        const membership = await organizationService.getMembership(holder.owner, user.id);
+        return Boolean(membership) && organizationService.roleHasPermission(membership.role, 'assets:transfer');
+    }
+    /**
+     * Throw unless a user may answer an offer for its receiving wallet
+     * Who that is follows the wallet's current link: the linked user, an organization member allowed
+     * to transfer assets, or, for an unlinked wallet, whoever signs with it.
+     * @param user - Request user
+     * @param offer - Pending offer
+     * @param proof - SIWE message and signature (purpose "transfer") from the receiving wallet
+     * @param linkWallet - Link an unlinked receiving wallet to the user once the signature checks out
+     */
+    async assertRecipient(user, offer, proof, linkWallet) {
+        const holder = await organizationService.findWalletOwner(offer.toAddress);
+        if (holder && holder.ownerType === 'user') {
+            if (holder.owner !== user.id) {
+                throw new TransferOfferError('Only the recipient can answer this transfer offer', 403);
+            }
+            return;
+        }
+        if (holder) {
+            const membership = await organizationService.getMembership(holder.owner, user.id);
+            if (!membership || !organizationService.roleHasPermission(membership.role, 'assets:transfer')) {
+                throw new TransferOfferError('Only members of the receiving organization allowed to transfer assets can answer this offer', 403);
+            }
+            return;
+        }
+        if (!proof.message || !proof.signature) {
+            throw new TransferOfferError('Sign a "transfer" wallet challenge with the receiving wallet to answer this offer', 403);
+        }
+        let signer;
+        try {
+            signer = await authService.consumeSiweSignature(proof.message, proof.signature, 'transfer');
+        }
+        catch (error) {
+            throw new TransferOfferError(error instanceof Error ? error.message : String(error), 403);
+        }
+        if (signer.toLowerCase() !== offer.toAddress.toLowerCase()) {
+            throw new TransferOfferError('The signature is not from the receiving wallet', 403);
+        }
+        // The DB owner is the account the wallet belongs to, so the signer's wallet joins their account
+        if (linkWallet) {
+            await walletService.attachVerifiedWallet(user.id, signer, null);
+        }
+    }
+    /**
+     * Move a pending offer to a final status
+     * @param offer - Pending offer
+     * @param status - rejected or cancelled
+     * @param actorId - User resolving the offer
+     */
+    async resolveOffer(offer, status, actorId) {
+        const [resolved] = await IPAssetTransferOffer.update({ status, respondedBy: actorId, respondedAt: new Date() }, {
+            where: { id: offer.id, status: 'pending' }
+        });
+        if (resolved !== 1) {
+            throw new TransferOfferError('Transfer offer was resolved concurrently', 409);
+        }
+        await offer.reload();
+    }
+    /**
+     * Mark pending offers past their expiry as expired
+     * @param where - Extra conditions limiting which offers are checked
+     */
+    async expireStaleOffers(where) {
+        await IPAssetTransferOffer.update({ status: 'expired', respondedAt: new Date() }, {
+            where: { ...where, status: 'pending', expiresAt: { [Op.lt]: new Date() } }
+        });
+    }
+    /**
+     * Email a registered recipient about a new offer (best effort)
+     * @param offer - Created offer
+     * @param asset - Offered asset
+     */
+    async notifyRecipient(offer, asset) {
+        try {
+            if (offer.recipientType !== 'user') {
+                return;
+            }
+            const [recipient, proposer] = await Promise.all([
+                User.findByPk(offer.recipientId),
+                User.findByPk(offer.proposedBy)
+            ]);
+            if (!recipient) {
+                return;
+            }
+            await mailerService.queueEmail('transferOffer', recipient.email, {
+                username: recipient.username,
+                proposerName: proposer ? proposer.username : 'The owner',
+                title: asset.title,
+                assetId: asset.id,
+                toAddress: offer.toAddress,
+                note: offer.note,
+                offerUrl: `${config.appUrl}/transfer-offers/${offer.id}`,
+                expiresAt: offer.expiresAt.toISOString()
+            });
+        }
+        catch (error) {
+            console.error('❌ Error sending transfer offer email:', error);
+        }
+    }
+    /**
+     * Format an offer for API responses
+     * @param offer - Offer record
+     * @returns Offer summary
+     */
+    formatOffer(offer) {
+        return {
+            id: offer.id,
+            assetId: offer.assetId,
+            fromAddress: offer.fromAddress,
+            toAddress: offer.toAddress,
+            recipientType: offer.recipientType,
+            recipientId: offer.recipientId,
+            note: offer.note,
+            proposedBy: offer.proposedBy,
+            status: offer.status,
+            expiresAt: offer.expiresAt,
+            respondedBy: offer.respondedBy,
+            respondedAt: offer.respondedAt,
+            transactionHash: offer.transactionHash,
+            error: offer.error,
+            createdAt: offer.createdAt
+        };
+    }
+}
+// Create singleton instance
+const transferOfferService = new TransferOfferService();
+// Export the service instance and class
+module.exports = {
+    transferOfferService,
+    TransferOfferService,
+    TransferOfferError
+};
+//# sourceMappingURL=transferOffer.service.js.map
\ No newline at end of file
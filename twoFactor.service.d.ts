@@ -0,0 +1,77 @@
+declare const Op: any;
+declare const bcrypt: any;
+declare const User: any;
+declare const encrypt: any, decrypt: any;
+declare const generateTotpSecret: any, buildOtpauthUri: any, verifyTotp: any, generateBackupCodes: any;
+declare const sha256: any;
+declare const config: any;
+declare const sequelize: any;
+/**
+ * Two-Factor Authentication Service
+ * Handles TOTP enrollment, backup codes and second-factor verification
+ */
+declare class TwoFactorService {
+    private readonly backupCodeCount;
+    private readonly maxFailedAttempts;
+    private readonly lockTime;
+    constructor();
+    /**
+     * Start TOTP enrollment by generating a new secret
+     * @param userId - User ID
+     * @returns Secret and otpauth URI for the authenticator app
+     */
+    setup(userId: number): Promise<any>;
+    /**
+     * Confirm enrollment with a code from the authenticator app
+     * @param userId - User ID
+     * @param code - Current TOTP code
+     * @returns Backup codes (shown once)
+     */
+    enable(userId: number, code: string): Promise<any>;
+    /**
+     * Disable 2FA after re-checking password and a second factor
+     * @param userId - User ID
+     * @param password - Current password
+     * @param code - TOTP or backup code
+     * @returns Disable result
+     */
+    disable(userId: number, password: string, code: string): Promise<any>;
+    /**
+     * Replace all backup codes
+     * @param userId - User ID
+     * @param code - Current TOTP code
+     * @returns New backup codes (shown once)
+     */
+    regenerateBackupCodes(userId: number, code: string): Promise<any>;
+    /**
+     * Verify a TOTP or backup code for a user
+     * A TOTP step is accepted only once and a backup code is consumed on use.
+     * @param user - User object
+     * @param code - TOTP or backup code
+     * @param options - Verification options
+     * @returns True if the code is valid
+     */
+    verifyCode(user: any, code: string, options?: {
+        allowBackupCode?: boolean;
+    }): Promise<boolean>;
+    /**
+     * Check a fresh second-factor proof for a sensitive action
+     * Failures count toward the same lockout as failed logins, and a locked account fails every proof.
+     * @param userId - User ID
+     * @param code - TOTP or backup code supplied with the request
+     * @returns Whether 2FA is required, whether the proof is valid and whether the account is locked
+     */
+    checkFreshProof(userId: number, code: string): Promise<{
+        required: boolean;
+        verified: boolean;
+        locked: boolean;
+    }>;
+    /**
+     * Count a failed second-factor proof toward the account lockout
+     * @param user - User object
+     * @returns True if the account is now locked
+     */
+    private handleFailedProof;
+}
+declare const twoFactorService: TwoFactorService;
+//# sourceMappingURL=twoFactor.service.d.ts.map
\ No newline at end of file
@@ -0,0 +1,261 @@
+"use strict";
+const { Op } = require('sequelize');
+const bcrypt = require('bcrypt');
+const { User } = require('../db/models/user.model');
+const { encrypt, decrypt } = require('../utils/encryption');
+const { generateTotpSecret, buildOtpauthUri, verifyTotp, generateBackupCodes } = require('../utils/totp');
+const { sha256 } = require('../utils/hash');
+const config = require('../config');
+const sequelize = require('../db/index');
+/**
+ * Two-Factor Authentication Service
+ * Handles TOTP enrollment, backup codes and second-factor verification
+ */
+class TwoFactorService {
+    constructor() {
+        this.backupCodeCount = 10;
+        // Same limits as AuthService.handleFailedLogin, which shares the counter
+        this.maxFailedAttempts = 5;
+        this.lockTime = 15 * 60 * 1000; // 15 minutes
+    }
+    /**
+     * Start TOTP enrollment by generating a new secret
+     * @param userId - User ID
+     * @returns Secret and otpauth URI for the authenticator app
+     */
+    async setup(userId) {
+        try {
+            console.log(`🔐 Starting 2FA enrollment for user: ${userId}`);
+            const user = await User.findByPk(userId);
+            if (!user) {
+                throw new Error('User not found');
+            }
+            if (user.twoFactorEnabled) {
+                throw new Error('Two-factor authentication is already enabled');
+            }
+            const secret = generateTotpSecret();
+            await user.update({
+                twoFactorSecret: encrypt(secret),
+                twoFactorBackupCodes: null,
+                twoFactorLastUsedStep: null
+            });
+            return {
+                success: true,
+                secret,
+                otpauthUri: buildOtpauthUri(secret, user.email, config.twoFactorIssuer)
+            };
+        }
+        catch (error) {
+            console.error('❌ Error starting 2FA enrollment:', error);
+            throw new Error(`Failed to set up two-factor authentication: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Confirm enrollment with a code from the authenticator app
+     * @param userId - User ID
+     * @param code - Current TOTP code
+     * @returns Backup codes (shown once)
+     */
+    async enable(userId, code) {
+        try {
+            console.log(`🔐 Enabling 2FA for user: ${userId}`);
+            const user = await User.findByPk(userId);
+            if (!user) {
+                throw new Error('User not found');
+            }
+            if (user.twoFactorEnabled) {
+                throw new Error('Two-factor authentication is already enabled');
+            }
+            if (!user.twoFactorSecret) {
+                throw new Error('Two-factor setup has not been started');
+            }
+            const step = verifyTotp(decrypt(user.twoFactorSecret), code);
+            if (step === null) {
+                throw new Error('Invalid two-factor code');
+            }
+            const backupCodes = generateBackupCodes(this.backupCodeCount);
+            await user.update({
+                twoFactorEnabled: true,
+                twoFactorBackupCodes: backupCodes.map((backupCode) => sha256(backupCode)),
+                twoFactorLastUsedStep: step
+            });
+            console.log(`✅ 2FA enabled for user: ${user.username}`);
+            return {
+                success: true,
+                message: 'Two-factor authentication enabled',
+                backupCodes
+            };
+        }
+        catch (error) {
+            console.error('❌ Error enabling 2FA:', error);
+            throw new Error(`Failed to enable two-factor authentication: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Disable 2FA after re-checking password and a second factor
+     * @param userId - User ID
+     * @param password - Current password
+     * @param code - TOTP or backup code
+     * @returns Disable result
+     */
+    async disable(userId, password, code) {
+        try {
+            console.log(`🔐 Disabling 2FA for user: ${userId}`);
+            const user = await User.findByPk(userId);
+            if (!user) {
+                throw new Error('User not found');
+            }
+            if (!user.twoFactorEnabled) {
+                throw new Error('Two-factor authentication is not enabled');
+            }
+            const isPasswordValid = await bcrypt.compare(password, user.password);
+            if (!isPasswordValid || !(await this.verifyCode(user, code))) {
+                throw new Error('Invalid password or two-factor code');
+            }
+            await user.update({
+                twoFactorEnabled: false,
+                twoFactorSecret: null,
+                twoFactorBackupCodes: null,
+                twoFactorLastUsedStep: null
+            });
+            console.log(`✅ 2FA disabled for user: ${user.username}`);
+            return {
+                success: true,
+                message: 'Two-factor authentication disabled'
+            };
+        }
+        catch (error) {
+            console.error('❌ Error disabling 2FA:', error);
+            throw new Error(`Failed to disable two-factor authentication: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Replace all backup codes
+     * @param userId - User ID
+     * @param code - Current TOTP code
+     * @returns New backup codes (shown once)
+     */
+    async regenerateBackupCodes(userId, code) {
+        try {
+            const user = await User.findByPk(userId);
+            if (!user) {
+                throw new Error('User not found');
+            }
+            if (!user.twoFactorEnabled) {
+                throw new Error('Two-factor authentication is not enabled');
+            }
+            if (!(await this.verifyCode(user, code, { allowBackupCode: false }))) {
+                throw new Error('Invalid two-factor code');
+            }
+            const backupCodes = generateBackupCodes(this.backupCodeCount);
+            await user.update({
+                twoFactorBackupCodes: backupCodes.map((backupCode) => sha256(backupCode))
+            });
+            return {
+                success: true,
+                backupCodes
+            };
+        }
+        catch (error) {
+            console.error('❌ Error regenerating backup codes:', error);
+            throw new Error(`Failed to regenerate backup codes: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Verify a TOTP or backup code for a user
+     * A TOTP step is accepted only once and a backup code is consumed on use.
+     * @param user - User object
+     * @param code - TOTP or backup code
+     * @param options - Verification options
+     * @returns True if the code is valid
+     */
+    async verifyCode(user, code, options = {}) {
+        const { allowBackupCode = true } = options;
+        if (!user.twoFactorEnabled || !user.twoFactorSecret || !code) {
+            return false;
+        }
+        const step = verifyTotp(decrypt(user.twoFactorSecret), code);
+        if (step !== null) {
+            // Conditional update rejects a code whose step was already used (replay)
+            const [updated] = await User.update({ twoFactorLastUsedStep: step }, {
+                where: {
+                    id: user.id,
+                    [Op.or]: [
+                        { twoFactorLastUsedStep: null },
+                        { twoFactorLastUsedStep: { [Op.lt]: step } }
+                    ]
+                }
+            });
+            return updated === 1;
+        }
+        if (!allowBackupCode) {
+            return false;
+        }
+        const codeHash = sha256(String(code).trim().toLowerCase());
+        const backupCodes = user.twoFactorBackupCodes || [];
+        if (!backupCodes.includes(codeHash)) {
+            return false;
+        }
+        // Conditional update removes the code only while it is still unused, so two concurrent
+        // requests cannot both spend it
+        const [updated] = await User.update({
+            twoFactorBackupCodes: sequelize.literal(`("twoFactorBackupCodes"::jsonb - ${sequelize.escape(codeHash)})::json`)
+        }, {
+            where: {
+                id: user.id,
+                [Op.and]: [sequelize.literal(`"twoFactorBackupCodes"::jsonb @> ${sequelize.escape(JSON.stringify([codeHash]))}::jsonb`)]
+            }
+        });
+        if (updated !== 1) {
+            return false;
+        }
+        console.warn(`⚠️ Backup code used by user: ${user.username} (${backupCodes.length - 1} left)`);
+        return true;
+    }
+    /**
+     * Check a fresh second-factor proof for a sensitive action
+     * Failures count toward the same lockout as failed logins, and a locked account fails every proof.
+     * @param userId - User ID
+     * @param code - TOTP or backup code supplied with the request
+     * @returns Whether 2FA is required, whether the proof is valid and whether the account is locked
+     */
+    async checkFreshProof(userId, code) {
+        const user = await User.findByPk(userId);
+        if (!user || !user.twoFactorEnabled) {
+            return { required: false, verified: true, locked: false };
+        }
+        if (user.lockUntil && user.lockUntil > new Date()) {
+            return { required: true, verified: false, locked: true };
+        }
+        if (await this.verifyCode(user, code)) {
+            return { required: true, verified: true, locked: false };
+        }
+        const locked = await this.handleFailedProof(user);
+        return { required: true, verified: false, locked };
+    }
+    /**
+     * Count a failed second-factor proof toward the account lockout
+     * @param user - User object
+     * @returns True if the account is now locked
+     */
+    async handleFailedProof(user) {
+        const failedAttempts = (user.failedLoginAttempts || 0) + 1;
+        const lockUntil = failedAttempts >= this.maxFailedAttempts ? new Date(Date.now() + this.lockTime) : null;
+        await user.update({
+            failedLoginAttempts: failedAttempts,
+            lockUntil
+        });
+        if (lockUntil) {
+            console.warn(`🚨 Account locked for user: ${user.username} due to too many failed two-factor codes`);
+        }
+        return lockUntil !== null;
+    }
+}
+// Create singleton instance
+const twoFactorService = new TwoFactorService();
+// Export the service instance and class
+module.exports = {
+    twoFactorService,
+    TwoFactorService
+};
+//# sourceMappingURL=twoFactor.service.js.map
\ No newline at end of file
@@ -0,0 +1,2 @@
+export {};
+//# sourceMappingURL=upload.middleware.d.ts.map
\ No newline at end of file
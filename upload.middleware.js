@@ -0,0 +1,54 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const multer = require('multer');
+const config = require('../config');
+const { matchesFileSignature } = require('../utils/fileSignature');
+/**
+ * Single-file upload middleware
+ * Keeps the file in memory (it is hashed and sent to IPFS, never written to disk) and rejects
+ * files larger than config.maxFileSize or of a type not in config.allowedFileTypes. The declared
+ * type is checked against the file's contents once it is received.
+ * Usage: router.post('/upload', authenticate, uploadSingleFile('file'), handler)
+ */
+const uploadSingleFile = (fieldName = 'file') => {
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: {
+            fileSize: config.maxFileSize,
+            files: 1
+        },
+        fileFilter: (req, file, callback) => {
+            if (!config.allowedFileTypes.includes(file.mimetype)) {
+                const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', fieldName);
+                error.message = `File type ${file.mimetype} is not allowed`;
+                return callback(error);
+            }
+            callback(null, true);
+        }
+    }).single(fieldName);
+    return (req, res, next) => {
+        upload(req, res, (error) => {
+            if (!error && req.file && !matchesFileSignature(req.file.buffer, req.file.mimetype)) {
+                error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', fieldName);
+                error.message = `File contents do not match the declared type ${req.file.mimetype}`;
+            }
+            if (!error) {
+                return next();
+            }
+            if (error instanceof multer.MulterError) {
+                const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+                return res.status(tooLarge ? 413 : 400).json({
+                    success: false,
+                    message: tooLarge ? `File exceeds the maximum size of ${config.maxFileSize} bytes.` : error.message,
+                    allowedFileTypes: config.allowedFileTypes,
+                    maxFileSize: config.maxFileSize
+                });
+            }
+            next(error);
+        });
+    };
+};
+module.exports = {
+    uploadSingleFile
+};
+//# sourceMappingURL=upload.middleware.js.map
\ No newline at end of file
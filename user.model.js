@@ -23,10 +23,36 @@ User.init({
         type: DataTypes.STRING,
         allowNull: false,
     },
+    passwordChangedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    passwordChangeRequired: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Set by an admin to force a new password at next login',
+    },
+    walletAddress: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Checksummed wallet address claimed by the user',
+    },
+    walletVerifiedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'When ownership of walletAddress was proven with a SIWE signature',
+    },
     isVerified: {
         type: DataTypes.BOOLEAN,
         defaultValue: false,
     },
+    role: {
+        type: DataTypes.ENUM('admin', 'examiner', 'creator', 'licensee', 'auditor'),
+        allowNull: false,
+        defaultValue: 'creator',
+        comment: 'Access control role; permissions are resolved from utils/permissions',
+    },
     verificationToken: {
         type: DataTypes.STRING,
         allowNull: true,
@@ -47,10 +73,44 @@ User.init({
         type: DataTypes.DATE,
         allowNull: true,
     },
+    tokenVersion: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Bumped on password change or logout-all to revoke issued tokens',
+    },
+    twoFactorEnabled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+    },
+    twoFactorSecret: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'TOTP secret, encrypted at rest',
+    },
+    twoFactorBackupCodes: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'SHA-256 hashes of unused backup codes',
+    },
+    twoFactorLastUsedStep: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Last accepted TOTP time step (replay protection)',
+    },
+    erasedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'When the account was anonymized on a GDPR erasure request',
+    },
 }, {
     sequelize,
     modelName: 'User',
     tableName: 'users',
+    indexes: [
+        { fields: ['walletAddress'] },
+    ],
 });
 module.exports = { User };
 //# sourceMappingURL=user.model.js.map
\ No newline at end of file
@@ -0,0 +1,50 @@
+"use strict";
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+class UserWallet extends Model {
+}
+UserWallet.init({
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+    },
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'User ID the wallet is linked to',
+    },
+    address: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        unique: true,
+        comment: 'Checksummed wallet address (a wallet can be linked to one account only)',
+    },
+    label: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'User supplied label (e.g., "Studio Ledger")',
+    },
+    isPrimary: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Primary wallet used for registrations and transfers',
+    },
+    verifiedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: 'When ownership was proven with a SIWE signature',
+    },
+}, {
+    sequelize,
+    modelName: 'UserWallet',
+    tableName: 'user_wallets',
+    timestamps: true,
+    indexes: [
+        { fields: ['userId'] },
+        { fields: ['address'] },
+    ],
+});
+module.exports = { UserWallet };
+//# sourceMappingURL=userWallet.model.js.map
\ No newline at end of file
@@ -1,5 +1,10 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
+const { validatePassword } = require('../utils/passwordPolicy');
+const { validatePatentMetadata } = require('../utils/patentMetadata');
+const { validateTrademarkMetadata } = require('../utils/trademarkMetadata');
+const { parseJurisdictions } = require('../utils/deadlineRules');
+const config = require('../config');
 /**
  * Validation middleware for IP asset creation
  */
@@ -21,6 +26,38 @@ const validateIPAsset = (req, res, next) => {
     else if (!validIPTypes.includes(ipType.toLowerCase())) {
         errors.push(`IP type must be one of: ${validIPTypes.join(', ')}`);
     }
+    // Patent metadata validation (inventors, claims, classification codes, dates and numbers)
+    if (typeof ipType === 'string' && ipType.toLowerCase() === 'patent') {
+        const patentCheck = validatePatentMetadata(req.body.patent);
+        errors.push(...patentCheck.errors);
+        if (patentCheck.patent) {
+            req.body.patent = patentCheck.patent;
+        }
+    }
+    else if (req.body.patent !== undefined) {
+        errors.push('Patent metadata is only accepted for patent assets');
+    }
+    // Trademark metadata validation (mark type, mark image, Nice classes with goods/services and first-use dates)
+    if (typeof ipType === 'string' && ipType.toLowerCase() === 'trademark') {
+        const trademarkCheck = validateTrademarkMetadata(req.body.trademark);
+        errors.push(...trademarkCheck.errors);
+        if (trademarkCheck.trademark) {
+            req.body.trademark = trademarkCheck.trademark;
+        }
+    }
+    else if (req.body.trademark !== undefined) {
+        errors.push('Trademark metadata is only accepted for trademark assets');
+    }
+    // Jurisdictions validation (optional; deadlines are tracked in each)
+    if (req.body.jurisdictions !== undefined && req.body.jurisdictions !== null && req.body.jurisdictions !== '') {
+        const { jurisdictions, invalid } = parseJurisdictions(req.body.jurisdictions, config.legalJurisdictions);
+        if (invalid.length > 0 || jurisdictions.length === 0) {
+            errors.push(`Jurisdictions must be one or more of: ${config.legalJurisdictions.join(', ')}`);
+        }
+        else {
+            req.body.jurisdictions = jurisdictions;
+        }
+    }
     // Description validation
     if (!description || typeof description !== 'string') {
         errors.push('Description is required and must be a string');
@@ -67,16 +104,9 @@ const validateRegistration = (req, res, next) => {
     else if (!emailRegex.test(email)) {
         errors.push('Invalid email format');
     }
-    // Password validation
-    if (!password || typeof password !== 'string') {
-        errors.push('Password is required and must be a string');
-    }
-    else if (password.length < 8) {
-        errors.push('Password must be at least 8 characters long');
-    }
-    else if (!/(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/.test(password)) {
-        errors.push('Password must contain at least one uppercase letter, one lowercase letter, and one number');
-    }
+    // Password validation against the configured policy
+    const passwordCheck = validatePassword(password, { userInputs: [username, email] });
+    errors.push(...passwordCheck.violations.map((violation) => violation.message));
     // Wallet address validation (basic Ethereum address format)
     if (!walletAddress || typeof walletAddress !== 'string') {
         errors.push('Wallet address is required and must be a string');
@@ -87,7 +117,8 @@ const validateRegistration = (req, res, next) => {
     if (errors.length > 0) {
         return res.status(400).json({
             message: 'Validation failed',
-            errors
+            errors,
+            passwordErrors: passwordCheck.violations
         });
     }
     next();
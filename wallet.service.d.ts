@@ -0,0 +1,59 @@
+declare const Op: any;
+declare const User: any;
+declare const UserWallet: any;
+declare const OrganizationWallet: any;
+declare const authService: any;
+declare const sequelize: any;
+/**
+ * Wallet Service
+ * Manages the verified wallets linked to a user account and the primary wallet
+ */
+declare class WalletService {
+    /**
+     * List wallets linked to a user
+     * @param userId - User ID
+     * @returns Linked wallets, primary first
+     */
+    listWallets(userId: number): Promise<any>;
+    /**
+     * Link a new wallet to a user after a signature challenge
+     * @param userId - User ID
+     * @param message - SIWE message issued with purpose "link"
+     * @param signature - Wallet signature of the message
+     * @param label - Optional wallet label
+     * @returns Linked wallet
+     */
+    linkWallet(userId: number, message: string, signature: string, label?: string): Promise<any>;
+    /**
+     * Link a wallet whose ownership was already proven by a consumed signature
+     * @param userId - User ID
+     * @param address - Checksummed wallet address recovered from the signature
+     * @param label - Optional wallet label
+     * @returns Linked wallet
+     */
+    attachVerifiedWallet(userId: number, address: string, label?: string): Promise<any>;
+    /**
+     * Unlink a wallet from a user after a signature challenge
+     * @param userId - User ID
+     * @param message - SIWE message issued with purpose "unlink"
+     * @param signature - Wallet signature of the message
+     * @returns Unlink result
+     */
+    unlinkWallet(userId: number, message: string, signature: string): Promise<any>;
+    /**
+     * Make one of the user's verified wallets the primary wallet
+     * @param userId - User ID
+     * @param walletAddress - Wallet address to promote
+     * @returns Primary wallet
+     */
+    setPrimaryWallet(userId: number, walletAddress: string): Promise<any>;
+    /**
+     * Check whether an address is one of the user's verified wallets
+     * @param user - Authenticated user (req.user)
+     * @param address - Wallet address to check
+     * @returns True if the wallet belongs to the user
+     */
+    ownsWallet(user: any, address: string): boolean;
+}
+declare const walletService: WalletService;
+//# sourceMappingURL=wallet.service.d.ts.map
\ No newline at end of file
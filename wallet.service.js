@@ -0,0 +1,196 @@
+"use strict";
+const { Op } = require('sequelize');
+const { User } = require('../db/models/user.model');
+const { UserWallet } = require('../db/models/userWallet.model');
+const { OrganizationWallet } = require('../db/models/organizationWallet.model');
+const { authService } = require('./auth.service');
+const sequelize = require('../db/index');
+/**
+ * Wallet Service
+ * Manages the verified wallets linked to a user account and the primary wallet
+ */
+class WalletService {
+    /**
+     * List wallets linked to a user
+     * @param userId - User ID
+     * @returns Linked wallets, primary first
+     */
+    async listWallets(userId) {
+        try {
+            const wallets = await UserWallet.findAll({
+                where: { userId },
+                order: [['isPrimary', 'DESC'], ['createdAt', 'ASC']]
+            });
+            return {
+                success: true,
+                wallets: wallets.map((wallet) => ({
+                    address: wallet.address,
+                    label: wallet.label,
+                    isPrimary: wallet.isPrimary,
+                    verifiedAt: wallet.verifiedAt
+                }))
+            };
+        }
+        catch (error) {
+            console.error('❌ Error listing wallets:', error);
+            throw new Error(`Failed to list wallets: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Link a new wallet to a user after a signature challenge
+     * @param userId - User ID
+     * @param message - SIWE message issued with purpose "link"
+     * @param signature - Wallet signature of the message
+     * @param label - Optional wallet label
+     * @returns Linked wallet
+     */
+    async linkWallet(userId, message, signature, label) {
+        try {
+            console.log(`🔗 Linking wallet for user: ${userId}`);
+            const address = await authService.consumeSiweSignature(message, signature, 'link');
+            return await this.attachVerifiedWallet(userId, address, label);
+        }
+        catch (error) {
+            console.error('❌ Error linking wallet:', error);
+            throw new Error(`Failed to link wallet: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Link a wallet whose ownership was already proven by a consumed signature
+     * @param userId - User ID
+     * @param address - Checksummed wallet address recovered from the signature
+     * @param label - Optional wallet label
+     * @returns Linked wallet
+     */
+    async attachVerifiedWallet(userId, address, label) {
+        const user = await User.findByPk(userId);
+        if (!user) {
+            throw new Error('User not found');
+        }
+        const existingWallet = await UserWallet.findOne({ where: { address } });
+        if (existingWallet) {
+            throw new Error(existingWallet.userId === userId
+                ? 'Wallet is already linked to this account'
+                : 'Wallet address is already linked to another account');
+        }
+        if (await OrganizationWallet.findOne({ where: { address } })) {
+            throw new Error('Wallet address belongs to an organization');
+        }
+        const wallet = await sequelize.transaction(async (transaction) => {
+            const walletCount = await UserWallet.count({ where: { userId }, transaction });
+            const isPrimary = walletCount === 0;
+            const created = await UserWallet.create({
+                userId,
+                address,
+                label: label || null,
+                isPrimary,
+                verifiedAt: new Date()
+            }, { transaction });
+            if (isPrimary) {
+                await user.update({ walletAddress: address, walletVerifiedAt: created.verifiedAt }, { transaction });
+            }
+            return created;
+        });
+        console.log(`✅ Wallet ${address} linked to user: ${user.username}`);
+        return {
+            success: true,
+            wallet: {
+                address: wallet.address,
+                label: wallet.label,
+                isPrimary: wallet.isPrimary,
+                verifiedAt: wallet.verifiedAt
+            }
+        };
+    }
+    /**
+     * Unlink a wallet from a user after a signature challenge
+     * @param userId - User ID
+     * @param message - SIWE message issued with purpose "unlink"
+     * @param signature - Wallet signature of the message
+     * @returns Unlink result
+     */
+    async unlinkWallet(userId, message, signature) {
+        try {
+            console.log(`🔗 Unlinking wallet for user: ${userId}`);
+            const address = await authService.consumeSiweSignature(message, signature, 'unlink');
+            const wallet = await UserWallet.findOne({ where: { userId, address } });
+            if (!wallet) {
+                throw new Error('Wallet is not linked to this account');
+            }
+            if (wallet.isPrimary) {
+                const otherWallets = await UserWallet.count({
+                    where: { userId, address: { [Op.ne]: address } }
+                });
+                if (otherWallets > 0) {
+                    throw new Error('Choose another primary wallet before unlinking this one');
+                }
+            }
+            await sequelize.transaction(async (transaction) => {
+                await wallet.destroy({ transaction });
+                if (wallet.isPrimary) {
+                    await User.update({ walletVerifiedAt: null }, { where: { id: userId }, transaction });
+                }
+            });
+            console.log(`✅ Wallet ${address} unlinked from user: ${userId}`);
+            return {
+                success: true,
+                message: 'Wallet unlinked successfully',
+                address
+            };
+        }
+        catch (error) {
+            console.error('❌ Error unlinking wallet:', error);
+            throw new Error(`Failed to unlink wallet: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Make one of the user's verified wallets the primary wallet
+     * @param userId - User ID
+     * @param walletAddress - Wallet address to promote
+     * @returns Primary wallet
+     */
+    async setPrimaryWallet(userId, walletAddress) {
+        try {
+            const address = authService.normalizeWalletAddress(walletAddress);
+            console.log(`⭐ Setting primary wallet ${address} for user: ${userId}`);
+            const wallet = await UserWallet.findOne({ where: { userId, address } });
+            if (!wallet) {
+                throw new Error('Wallet is not linked to this account');
+            }
+            await sequelize.transaction(async (transaction) => {
+                await UserWallet.update({ isPrimary: false }, { where: { userId }, transaction });
+                await wallet.update({ isPrimary: true }, { transaction });
+                await User.update({ walletAddress: address, walletVerifiedAt: wallet.verifiedAt }, { where: { id: userId }, transaction });
+            });
+            return {
+                success: true,
+                primaryWallet: address
+            };
+        }
+        catch (error) {
+            console.error('❌ Error setting primary wallet:', error);
+            throw new Error(`Failed to set primary wallet: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Check whether an address is one of the user's verified wallets
+     * @param user - Authenticated user (req.user)
+     * @param address - Wallet address to check
+     * @returns True if the wallet belongs to the user
+     */
+    ownsWallet(user, address) {
+        if (!user || !address) {
+            return false;
+        }
+        const wallets = user.wallets || (user.walletAddress ? [user.walletAddress] : []);
+        return wallets.some((wallet) => wallet.toLowerCase() === String(address).toLowerCase());
+    }
+}
+// Create singleton instance
+const walletService = new WalletService();
+// Export the service instance and class
+module.exports = {
+    walletService,
+    WalletService
+};
+//# sourceMappingURL=wallet.service.js.map
\ No newline at end of file
@@ -0,0 +1,53 @@
+"use strict";
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+class WalletNonce extends Model {
+}
+WalletNonce.init({
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+    },
+    nonce: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+        comment: 'Random nonce embedded in the signed message',
+    },
+    walletAddress: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'Checksummed wallet address the nonce was issued for',
+    },
+    purpose: {
+        type: DataTypes.STRING(32),
+        allowNull: false,
+        defaultValue: 'login',
+        comment: 'What the signature will authorize (e.g., login, verify)',
+    },
+    message: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        comment: 'Exact message text the wallet is expected to sign',
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+    },
+    consumedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+}, {
+    sequelize,
+    modelName: 'WalletNonce',
+    tableName: 'wallet_nonces',
+    timestamps: true,
+    indexes: [
+        { fields: ['walletAddress'] },
+        { fields: ['expiresAt'] },
+    ],
+});
+module.exports = { WalletNonce };
+//# sourceMappingURL=walletNonce.model.js.map
\ No newline at end of file
@@ -1,4 +1,6 @@
+declare const Op: any;
 declare const ethers: any;
+declare const ChainLedgerEntry: any;
 declare const config: any;
 /**
  * Web3 Service for Blockchain Interactions
@@ -40,6 +42,44 @@ declare class Web3Service {
      * @returns Transfer result
      */
     transferOwnership(assetId: string, fromAddress: string, toAddress: string): Promise<any>;
+    /**
+     * Get IP asset record from blockchain
+     * @param assetId - Blockchain asset ID
+     * @returns On-chain record or null if unknown
+     */
+    getIP(assetId: string): Promise<any>;
+    /**
+     * Get current owner of an IP asset
+     * @param assetId - Blockchain asset ID
+     * @returns Owner wallet address or null if unknown
+     */
+    getOwner(assetId: string): Promise<string | null>;
+    /**
+     * Update description and IPFS hash of an IP asset
+     * @param assetId - Blockchain asset ID
+     * @param description - New description
+     * @param ipfsHash - New IPFS hash
+     * @returns Update transaction result
+     */
+    updateDescription(assetId: string, description: string, ipfsHash: string): Promise<any>;
+    /**
+     * Get ownership history of an IP asset
+     * @param assetId - Blockchain asset ID
+     * @returns Past and current owners, oldest first
+     */
+    getOwnershipHistory(assetId: string): Promise<any[]>;
+    /**
+     * Get the status of a submitted transaction
+     * @param transactionHash - Transaction hash
+     * @returns confirmed, pending, failed, or not_found when the chain has no such transaction
+     */
+    getTransactionStatus(transactionHash: string): Promise<'confirmed' | 'pending' | 'failed' | 'not_found'>;
+    /**
+     * Load the simulated ledger entries of an IP asset, oldest first
+     * @param assetId - Blockchain asset ID
+     * @returns Register, transfer and update entries
+     */
+    private getLedgerEntries;
     /**
      * Get blockchain network information
      * @returns Network information
@@ -1,5 +1,7 @@
 "use strict";
+const { Op } = require('sequelize');
 const { ethers } = require('ethers');
+const { ChainLedgerEntry } = require('../db/models/chainLedgerEntry.model');
 const config = require('../config');
 /**
  * Web3 Service for Blockchain Interactions
@@ -45,6 +47,18 @@ class Web3Service {
                 status: 'confirmed',
                 timestamp: new Date().toISOString()
             };
+            // Simulated on-chain state is kept in the database so it survives restarts
+            await ChainLedgerEntry.create({
+                blockchainId,
+                event: 'register',
+                owner: assetData.ownerAddress,
+                title: assetData.title,
+                ipType: assetData.ipType,
+                description: assetData.description,
+                ipfsHash: assetData.ipfsHash,
+                transactionHash,
+                createdAt: result.timestamp
+            });
             console.log(`✅ IP asset registered on blockchain: ${blockchainId}`);
             return result;
         }
@@ -112,6 +126,13 @@ class Web3Service {
             console.log(`🔄 Transferring ownership of asset ${assetId}...`);
             // For now, simulate ownership transfer
             // In production, you would call your smart contract's transfer function
+            const owner = await this.getOwner(assetId);
+            if (!owner) {
+                throw new Error('IP asset not found on chain');
+            }
+            if (fromAddress && owner.toLowerCase() !== fromAddress.toLowerCase()) {
+                throw new Error('Only owner can perform this action');
+            }
             const transactionHash = this.generateTransactionHash();
             const result = {
                 assetId,
@@ -123,6 +144,13 @@ class Web3Service {
                 status: 'confirmed',
                 timestamp: new Date().toISOString()
             };
+            await ChainLedgerEntry.create({
+                blockchainId: assetId,
+                event: 'transfer',
+                owner: toAddress,
+                transactionHash,
+                createdAt: result.timestamp
+            });
             console.log(`✅ Ownership transferred: ${assetId}`);
             return result;
         }
@@ -131,6 +159,156 @@ class Web3Service {
             throw new Error(`Failed to transfer ownership: ${error instanceof Error ? error.message : String(error)}`);
         }
     }
+    /**
+     * Get IP asset record from blockchain
+     * @param assetId - Blockchain asset ID
+     * @returns On-chain record or null if unknown
+     */
+    async getIP(assetId) {
+        try {
+            console.log(`📋 Getting IP record for ${assetId}...`);
+            // For now, replay the simulated ledger
+            // In production, you would call the contract's getIP function
+            const entries = await this.getLedgerEntries(assetId);
+            if (entries.length === 0) {
+                return null;
+            }
+            const details = {
+                id: assetId,
+                title: entries[0].title,
+                ipType: entries[0].ipType,
+                description: null,
+                ipfsHash: null,
+                owner: null,
+                createdAt: entries[0].createdAt.toISOString()
+            };
+            for (const entry of entries) {
+                if (entry.event === 'transfer') {
+                    details.owner = entry.owner;
+                }
+                else {
+                    details.description = entry.description;
+                    details.ipfsHash = entry.ipfsHash;
+                    details.owner = entry.owner || details.owner;
+                }
+            }
+            return details;
+        }
+        catch (error) {
+            console.error('❌ Error getting IP record:', error);
+            throw new Error(`Failed to get IP record: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Get current owner of an IP asset
+     * @param assetId - Blockchain asset ID
+     * @returns Owner wallet address or null if unknown
+     */
+    async getOwner(assetId) {
+        try {
+            if (!assetId) {
+                return null;
+            }
+            const latest = await ChainLedgerEntry.findOne({
+                where: { blockchainId: assetId, event: { [Op.in]: ['register', 'transfer'] } },
+                order: [['id', 'DESC']]
+            });
+            return latest ? latest.owner : null;
+        }
+        catch (error) {
+            console.error('❌ Error getting owner:', error);
+            throw new Error(`Failed to get owner: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Update description and IPFS hash of an IP asset
+     * @param assetId - Blockchain asset ID
+     * @param description - New description
+     * @param ipfsHash - New IPFS hash
+     * @returns Update transaction result
+     */
+    async updateDescription(assetId, description, ipfsHash) {
+        try {
+            console.log(`✏️ Updating IP asset ${assetId} on blockchain...`);
+            // For now, simulate the IPUpdated transaction
+            // In production, you would call the contract's updateIP function
+            if (!(await this.getOwner(assetId))) {
+                throw new Error('IP asset not found on chain');
+            }
+            const transactionHash = this.generateTransactionHash();
+            const result = {
+                assetId,
+                transactionHash,
+                blockNumber: Math.floor(Math.random() * 1000000) + 1000000,
+                gasUsed: Math.floor(Math.random() * 100000) + 50000,
+                status: 'confirmed',
+                timestamp: new Date().toISOString()
+            };
+            await ChainLedgerEntry.create({
+                blockchainId: assetId,
+                event: 'update',
+                description,
+                ipfsHash,
+                transactionHash,
+                createdAt: result.timestamp
+            });
+            console.log(`✅ IP asset updated on blockchain: ${assetId}`);
+            return result;
+        }
+        catch (error) {
+            console.error('❌ Error updating IP asset on blockchain:', error);
+            throw new Error(`Failed to update IP asset on blockchain: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Get ownership history of an IP asset
+     * @param assetId - Blockchain asset ID
+     * @returns Past and current owners, oldest first
+     */
+    async getOwnershipHistory(assetId) {
+        try {
+            const entries = await this.getLedgerEntries(assetId);
+            return entries
+                .filter((entry) => entry.event !== 'update')
+                .map((entry) => ({
+                    owner: entry.owner,
+                    transactionHash: entry.transactionHash,
+                    timestamp: entry.createdAt.toISOString()
+                }));
+        }
+        catch (error) {
+            console.error('❌ Error getting ownership history:', error);
+            throw new Error(`Failed to get ownership history: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Get the status of a submitted transaction
+     * @param transactionHash - Transaction hash
+     * @returns confirmed, pending, failed, or not_found when the chain has no such transaction
+     */
+    async getTransactionStatus(transactionHash) {
+        try {
+            // For now, a transaction is confirmed once it is in the simulated ledger
+            // In production, you would read the receipt (null while pending, status 0 when reverted)
+            const entry = await ChainLedgerEntry.findOne({ where: { transactionHash } });
+            return entry ? 'confirmed' : 'not_found';
+        }
+        catch (error) {
+            console.error('❌ Error getting transaction status:', error);
+            throw new Error(`Failed to get transaction status: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+    /**
+     * Load the simulated ledger entries of an IP asset, oldest first
+     * @param assetId - Blockchain asset ID
+     * @returns Register, transfer and update entries
+     */
+    async getLedgerEntries(assetId) {
+        if (!assetId) {
+            return [];
+        }
+        return ChainLedgerEntry.findAll({ where: { blockchainId: assetId }, order: [['id', 'ASC']] });
+    }
     /**
      * Get blockchain network information
      * @returns Network information